@@ -0,0 +1,338 @@
+// api/netlify-functions/certificateTemplates.js
+// Certificate templates: per-entity (optionally per-class) certificate look —
+// logo and seal images, colours, font, border, officer titles and the stock
+// power back page. Applied by every certificate PDF.
+const { query, withTransaction } = require('./utils/db');
+const { authMiddleware, requireRole, enforceEntityScope } = require('./middleware/auth');
+const { logAudit, getClientIp } = require('./utils/auditLog');
+const { generateCertificatePdf } = require('./utils/certificateUtils');
+const {
+  IMAGE_KINDS, IMAGE_TYPES, MAX_IMAGE_BYTES,
+  validateTemplateInput, renderableTemplate,
+} = require('./utils/templateUtils');
+const { uploadStorageObject } = require('./utils/storageUtils');
+
+function json(statusCode, body, extraHeaders = {}) {
+  return {
+    statusCode,
+    headers: { 'Content-Type': 'application/json', ...extraHeaders },
+    body: JSON.stringify(body),
+  };
+}
+
+function parseBody(event) {
+  if (!event.body) return {};
+  try { return JSON.parse(event.body); }
+  catch { throw new Error('Invalid JSON body'); }
+}
+
+const TEMPLATE_FIELDS = [
+  'name', 'entity_stock_type_id', 'primary_color', 'text_color', 'font_family', 'border_style',
+  'signer_title', 'countersigner_title', 'include_stock_power', 'is_active',
+];
+
+// Only one active template per entity default / class: activating one retires the other
+async function deactivateSiblings(client, template) {
+  await client.query(`
+    UPDATE certificate_templates SET is_active = FALSE, updated_at = NOW()
+    WHERE entity_id = $1 AND id <> $2 AND is_active
+      AND entity_stock_type_id IS NOT DISTINCT FROM $3::int
+  `, [template.entity_id, template.id, template.entity_stock_type_id]);
+}
+
+/* =====================================================
+   HANDLER
+===================================================== */
+exports.handler = async (event) => {
+  const params = event.queryStringParameters || {};
+  const action = params.action;
+
+  try {
+    if (event.httpMethod === 'GET') {
+      if (action === 'list-templates') return await handleListTemplates(event, params);
+      if (action === 'preview-template') return await handlePreviewTemplate(event, params);
+      return json(400, { success:false, error:'Invalid action' });
+    }
+
+    if (event.httpMethod === 'POST') {
+      if (action === 'create-template') return await handleCreateTemplate(event);
+      if (action === 'update-template') return await handleUpdateTemplate(event);
+      if (action === 'upload-template-image') return await handleUploadTemplateImage(event);
+      return json(400, { success:false, error:'Invalid action' });
+    }
+
+    return json(405, { success:false, error:'Method not allowed' });
+  } catch (e) {
+    if (e.statusCode === 400) return json(400, { success:false, error:e.message });
+    console.error('CERTIFICATE TEMPLATES ERROR:', e);
+    return json(500, { success:false, error:e.message });
+  }
+};
+
+/* =====================================================
+   GET: Templates
+   Every template (inactive ones too); a template without
+   a class is the entity default.
+===================================================== */
+async function handleListTemplates(event, params) {
+  const auth = await authMiddleware(event);
+  if (auth.statusCode) return auth;
+  const { user, headers } = auth;
+
+  const targetEntityId = user.role === 'SUPER_ADMIN' && params.entity_id ? params.entity_id : user.entity_id;
+
+  const result = await query(`
+    SELECT t.*, est.display_name AS stock_type_name
+    FROM certificate_templates t
+    LEFT JOIN entity_stock_types est ON est.id = t.entity_stock_type_id
+    WHERE t.entity_id = $1
+    ORDER BY t.is_active DESC, t.entity_stock_type_id NULLS FIRST, t.name, t.id
+  `, [targetEntityId]);
+
+  return json(200, { success:true, templates: result.rows }, headers);
+}
+
+/* =====================================================
+   GET: Preview Template
+   A sample certificate rendered with one template
+   (active or not).
+===================================================== */
+async function handlePreviewTemplate(event, params) {
+  const auth = await authMiddleware(event);
+  if (auth.statusCode) return auth;
+  const { user, headers } = auth;
+
+  if (!params.template_id) return json(400, { success:false, error:'template_id is required' }, headers);
+
+  const tplRes = await query(`
+    SELECT t.*, e.name AS entity_name, est.display_name AS stock_type_name
+    FROM certificate_templates t
+    JOIN entities e ON e.id = t.entity_id
+    LEFT JOIN entity_stock_types est ON est.id = t.entity_stock_type_id
+    WHERE t.id = $1
+  `, [params.template_id]);
+  if (!tplRes.rows.length) return json(404, { success:false, error:'Template not found' }, headers);
+  const row = tplRes.rows[0];
+  if (!enforceEntityScope(user, row.entity_id)) {
+    return json(403, { success:false, error:'Forbidden' }, headers);
+  }
+
+  const pdfBuffer = await generateCertificatePdf({
+    entity_name: row.entity_name,
+    certificate_number: 'SAMPLE',
+    shareholder_name: 'Sample Shareholder',
+    shares: 1000,
+    stock_type: row.stock_type_name || 'Common',
+    issue_date: new Date().toISOString().split('T')[0],
+    is_restricted: true,
+    template: await renderableTemplate(row),
+  });
+
+  return {
+    statusCode: 200,
+    headers: {
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `inline; filename="template-${row.id}-preview.pdf"`,
+      ...headers,
+    },
+    body: pdfBuffer.toString('base64'),
+    isBase64Encoded: true,
+  };
+}
+
+/* =====================================================
+   POST: Create Template
+   name; optional entity_stock_type_id (class override,
+   otherwise the entity default), primary_color /
+   text_color (#rrggbb), font_family, border_style,
+   signer_title, countersigner_title, include_stock_power.
+   The new template replaces the active one for the same
+   class (or default).
+===================================================== */
+async function handleCreateTemplate(event) {
+  const auth = await authMiddleware(event);
+  if (auth.statusCode) return auth;
+  const { user, headers } = auth;
+
+  const canManage = requireRole(['SUPER_ADMIN', 'ENTITY_ADMIN'])(user);
+  if (!canManage) return json(403, { success:false, error:'Forbidden' }, headers);
+
+  const body = parseBody(event);
+  const entityId = user.role === 'SUPER_ADMIN' && body.entity_id ? body.entity_id : user.entity_id;
+
+  const { values, error } = validateTemplateInput(body);
+  if (error) return json(400, { success:false, error }, headers);
+
+  let stockTypeId = null;
+  if (body.entity_stock_type_id) {
+    const typeRes = await query('SELECT id FROM entity_stock_types WHERE id = $1 AND entity_id = $2', [body.entity_stock_type_id, entityId]);
+    if (!typeRes.rows.length) return json(400, { success:false, error:'Invalid stock type' }, headers);
+    stockTypeId = typeRes.rows[0].id;
+  }
+
+  const template = await withTransaction(async (client) => {
+    const ins = await client.query(`
+      INSERT INTO certificate_templates (
+        entity_id, entity_stock_type_id, name, primary_color, text_color, font_family, border_style,
+        signer_title, countersigner_title, include_stock_power, is_active, created_by
+      ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,FALSE,$11)
+      RETURNING *
+    `, [
+      entityId, stockTypeId, values.name, values.primary_color, values.text_color, values.font_family, values.border_style,
+      values.signer_title, values.countersigner_title, values.include_stock_power, user.id,
+    ]);
+    const created = ins.rows[0];
+    await deactivateSiblings(client, created);
+    const act = await client.query('UPDATE certificate_templates SET is_active = TRUE WHERE id = $1 RETURNING *', [created.id]);
+    return act.rows[0];
+  });
+
+  await logAudit({
+    user_id: user.id, user_email: user.email, user_role: user.role,
+    entity_id: entityId, action: 'CREATE_CERTIFICATE_TEMPLATE',
+    resource_type: 'CERTIFICATE_TEMPLATE', resource_id: template.id,
+    details: Object.fromEntries(TEMPLATE_FIELDS.map(f => [f, template[f]])),
+    ip_address: getClientIp(event),
+  });
+
+  return json(201, { success:true, template }, headers);
+}
+
+/* =====================================================
+   POST: Update Template
+   template_id plus any of the create fields and
+   is_active. Activating retires the active template for
+   the same class (or default); deactivating falls back to
+   the entity default, then the built-in look. Before and
+   after values go to the audit log.
+===================================================== */
+async function handleUpdateTemplate(event) {
+  const auth = await authMiddleware(event);
+  if (auth.statusCode) return auth;
+  const { user, headers } = auth;
+
+  const canManage = requireRole(['SUPER_ADMIN', 'ENTITY_ADMIN'])(user);
+  if (!canManage) return json(403, { success:false, error:'Forbidden' }, headers);
+
+  const body = parseBody(event);
+  if (!body.template_id) return json(400, { success:false, error:'template_id is required' }, headers);
+
+  const { values, error } = validateTemplateInput(body, { partial: true });
+  if (error) return json(400, { success:false, error }, headers);
+
+  const existingRes = await query('SELECT * FROM certificate_templates WHERE id = $1', [body.template_id]);
+  if (!existingRes.rows.length) return json(404, { success:false, error:'Template not found' }, headers);
+  const existing = existingRes.rows[0];
+  if (!enforceEntityScope(user, existing.entity_id)) {
+    return json(403, { success:false, error:'Forbidden' }, headers);
+  }
+
+  if (body.entity_stock_type_id !== undefined) {
+    values.entity_stock_type_id = null;
+    if (body.entity_stock_type_id) {
+      const typeRes = await query('SELECT id FROM entity_stock_types WHERE id = $1 AND entity_id = $2', [body.entity_stock_type_id, existing.entity_id]);
+      if (!typeRes.rows.length) return json(400, { success:false, error:'Invalid stock type' }, headers);
+      values.entity_stock_type_id = typeRes.rows[0].id;
+    }
+  }
+
+  const columns = Object.keys(values);
+  if (!columns.length) return json(400, { success:false, error:'Nothing to update' }, headers);
+
+  const template = await withTransaction(async (client) => {
+    const activeAfter = values.is_active !== undefined ? values.is_active : existing.is_active;
+    // Retire the sibling before this one takes the active slot (unique index)
+    if (activeAfter) {
+      await deactivateSiblings(client, {
+        ...existing,
+        entity_stock_type_id: values.entity_stock_type_id !== undefined ? values.entity_stock_type_id : existing.entity_stock_type_id,
+      });
+    }
+    const sets = columns.map((c, i) => `${c} = $${i + 2}`);
+    const upd = await client.query(
+      `UPDATE certificate_templates SET ${sets.join(', ')}, updated_at = NOW() WHERE id = $1 RETURNING *`,
+      [existing.id, ...columns.map(c => values[c])]
+    );
+    return upd.rows[0];
+  });
+
+  const changed = TEMPLATE_FIELDS.filter(f => existing[f] !== template[f]);
+  await logAudit({
+    user_id: user.id, user_email: user.email, user_role: user.role,
+    entity_id: existing.entity_id, action: 'UPDATE_CERTIFICATE_TEMPLATE',
+    resource_type: 'CERTIFICATE_TEMPLATE', resource_id: template.id,
+    details: {
+      changed,
+      before: Object.fromEntries(changed.map(f => [f, existing[f]])),
+      after: Object.fromEntries(changed.map(f => [f, template[f]])),
+    },
+    ip_address: getClientIp(event),
+  });
+
+  return json(200, { success:true, template }, headers);
+}
+
+/* =====================================================
+   POST: Upload Template Image
+   template_id, kind (LOGO or SEAL), content_type
+   (image/png or image/jpeg) and data_base64; remove: true
+   clears the image instead.
+===================================================== */
+async function handleUploadTemplateImage(event) {
+  const auth = await authMiddleware(event);
+  if (auth.statusCode) return auth;
+  const { user, headers } = auth;
+
+  const canManage = requireRole(['SUPER_ADMIN', 'ENTITY_ADMIN'])(user);
+  if (!canManage) return json(403, { success:false, error:'Forbidden' }, headers);
+
+  const body = parseBody(event);
+  const { template_id, kind, content_type, data_base64 } = body;
+  if (!template_id) return json(400, { success:false, error:'template_id is required' }, headers);
+  if (!IMAGE_KINDS.includes(kind)) {
+    return json(400, { success:false, error:`kind must be one of ${IMAGE_KINDS.join(', ')}` }, headers);
+  }
+
+  const existingRes = await query('SELECT * FROM certificate_templates WHERE id = $1', [template_id]);
+  if (!existingRes.rows.length) return json(404, { success:false, error:'Template not found' }, headers);
+  const existing = existingRes.rows[0];
+  if (!enforceEntityScope(user, existing.entity_id)) {
+    return json(403, { success:false, error:'Forbidden' }, headers);
+  }
+
+  const pathCol = kind === 'LOGO' ? 'logo_path' : 'seal_path';
+  const typeCol = kind === 'LOGO' ? 'logo_content_type' : 'seal_content_type';
+
+  let storagePath = null;
+  let size = 0;
+  if (body.remove !== true) {
+    if (!IMAGE_TYPES[content_type]) {
+      return json(400, { success:false, error:`content_type must be one of ${Object.keys(IMAGE_TYPES).join(', ')}` }, headers);
+    }
+    if (!data_base64) return json(400, { success:false, error:'data_base64 is required' }, headers);
+    const buffer = Buffer.from(data_base64, 'base64');
+    if (!buffer.length) return json(400, { success:false, error:'Image is empty' }, headers);
+    if (buffer.length > MAX_IMAGE_BYTES) {
+      return json(400, { success:false, error:`Image must be ${MAX_IMAGE_BYTES / 1024 / 1024} MB or smaller` }, headers);
+    }
+    size = buffer.length;
+    storagePath = `certificate-templates/${existing.entity_id}/${existing.id}/${kind.toLowerCase()}-${Date.now()}.${IMAGE_TYPES[content_type]}`;
+    await uploadStorageObject(storagePath, buffer, content_type);
+  }
+
+  const result = await query(
+    `UPDATE certificate_templates SET ${pathCol} = $2, ${typeCol} = $3, updated_at = NOW() WHERE id = $1 RETURNING *`,
+    [existing.id, storagePath, storagePath ? content_type : null]
+  );
+  const template = result.rows[0];
+
+  await logAudit({
+    user_id: user.id, user_email: user.email, user_role: user.role,
+    entity_id: existing.entity_id, action: storagePath ? 'UPLOAD_CERTIFICATE_TEMPLATE_IMAGE' : 'REMOVE_CERTIFICATE_TEMPLATE_IMAGE',
+    resource_type: 'CERTIFICATE_TEMPLATE', resource_id: existing.id,
+    details: { kind, path: storagePath, previous_path: existing[pathCol], content_type: storagePath ? content_type : null, size },
+    ip_address: getClientIp(event),
+  });
+
+  return json(200, { success:true, template }, headers);
+}
@@ -1,5 +1,6 @@
 // api/netlify-functions/certificates.js
-// Stock Certificate management: generate, list, cancel, reissue, download PDF
+// Stock Certificate management: generate, list, cancel, reissue, Rule 144 legend removal, download PDF
+// Certificates are signed by registry officers (see officers.js) in office on the issue date
 // Architecture: Frontend → Netlify → Neon DB + Supabase Storage
 
 const { query, withTransaction } = require('./utils/db');
@@ -8,8 +9,13 @@ const { logAudit, getClientIp } = require('./utils/auditLog');
 
 const {
   pad, abbrevStockType, numberToWords,
-  generateCertificateNumber, generateCertificatePdf, uploadPdfToStorage,
+  generateCertificateNumber, generateCertificatePdf, uploadPdfToStorage, storeCertificatePdf,
 } = require('./utils/certificateUtils');
+const { ACTIVE_ORDER_SQL, findCertificateStopOrders } = require('./utils/stopOrderUtils');
+const { HOLDING_PERIOD_MONTHS, holdingPeriodStart, inheritRestriction, certificateEligibility } = require('./utils/rule144Utils');
+const { resolveCertificateLegends, copyCertificateLegends } = require('./utils/legendUtils');
+const { loadCertificateTemplate } = require('./utils/templateUtils');
+const { resolveCertificateSigners, signerColumns, loadCertificateSignatures } = require('./utils/officerUtils');
 function json(statusCode, body, extraHeaders = {}) {
   return {
     statusCode,
@@ -18,6 +24,16 @@ function json(statusCode, body, extraHeaders = {}) {
   };
 }
 
+// 400 for a certificate frozen by stop-transfer orders (same shape as the ledger's)
+function stopOrderResponse(orders, headers) {
+  return json(400, {
+    success: false,
+    error: 'This certificate is frozen by a stop-transfer order',
+    error_code: 'ERR_STOP_TRANSFER_ORDER',
+    details: { orders: orders.map(o => ({ id: o.id, scope: o.scope, reason_type: o.reason_type, reason: o.reason, reference_document: o.reference_document, expires_on: o.expires_on })) },
+  }, headers);
+}
+
 function parseBody(event) {
   if (!event.body) return {};
   try { return JSON.parse(event.body); }
@@ -175,7 +191,17 @@ exports.handler = async (event) => {
                sh.full_name AS shareholder_name,
                e.name AS entity_name,
                est.stock_type, est.display_name AS stock_type_name,
-               ess.series
+               ess.series,
+               (sc.status = 'ISSUED' AND EXISTS (
+                 SELECT 1 FROM stop_transfer_orders o
+                 WHERE o.entity_id = sc.entity_id
+                   AND ${ACTIVE_ORDER_SQL}
+                   AND (o.certificate_id = sc.id
+                        OR (o.shareholder_id = sc.shareholder_id AND o.scope = 'SHAREHOLDER')
+                        OR (o.shareholder_id = sc.shareholder_id AND o.scope = 'HOLDING'
+                            AND o.entity_stock_type_id = sc.entity_stock_type_id
+                            AND (o.entity_stock_series_id IS NULL OR o.entity_stock_series_id = sc.entity_stock_series_id)))
+               )) AS is_held
         FROM stock_certificates sc
         JOIN shareholders sh ON sh.id = sc.shareholder_id
         JOIN entities e ON e.id = sc.entity_id
@@ -237,6 +263,9 @@ exports.handler = async (event) => {
         shareholder_address: shAddress,
         entity_address: eAddress,
         stock_series: cert.series,
+        legends: await resolveCertificateLegends({ query }, cert),
+        template: await loadCertificateTemplate({ query }, cert),
+        ...(await loadCertificateSignatures({ query }, cert)),
       });
 
       return {
@@ -265,10 +294,14 @@ exports.handler = async (event) => {
         shares,
         issue_date,
         share_transaction_id,
+        signed_by_officer_id,
+        countersigned_by_officer_id,
         signed_by_name,
         signed_by_title,
         countersigned_by_name,
         countersigned_by_title,
+        is_restricted,
+        is_control_security,
       } = body;
 
       if (!shareholder_id || !entity_stock_type_id || !shares) {
@@ -298,6 +331,14 @@ exports.handler = async (event) => {
         seriesName = serRes.rows[0]?.series || null;
       }
 
+      // Registry officers sign by id; free-text names still work for one-off
+      // signers, and a slot left empty gets the entity's default signatory
+      const signers = signerColumns(await resolveCertificateSigners({ query }, {
+        entityId, issueDate: issue_date,
+        signedByOfficerId: signed_by_officer_id || (signed_by_name ? null : undefined),
+        countersignedByOfficerId: countersigned_by_officer_id || (countersigned_by_name ? null : undefined),
+      }), { signed_by_name, signed_by_title, countersigned_by_name, countersigned_by_title });
+
       // Generate certificate number inside transaction (using dedicated client)
       const cert = await withTransaction(async (client) => {
 	 
@@ -308,20 +349,22 @@ exports.handler = async (event) => {
             entity_id, shareholder_id, share_transaction_id,
             entity_stock_type_id, entity_stock_series_id,
             certificate_number, shares, issue_date, status,
-            original_issue_date,
-            signed_by_name, signed_by_title,
-            countersigned_by_name, countersigned_by_title,
+            original_issue_date, holding_period_start,
+            is_restricted, is_control_security,
+            signed_by_officer_id, signed_by_name, signed_by_title,
+            countersigned_by_officer_id, countersigned_by_name, countersigned_by_title,
             created_by
           ) VALUES ($1,$2,$3,$4,$5,$6,$7,COALESCE($8::date, CURRENT_DATE),'ISSUED',
-                    COALESCE($8::date, CURRENT_DATE),
-                    $9,$10,$11,$12,$13)
+                    COALESCE($8::date, CURRENT_DATE), COALESCE($8::date, CURRENT_DATE),
+                    $9,$10,$11,$12,$13,$14,$15,$16,$17)
           RETURNING *
         `, [
           entityId, shareholder_id, share_transaction_id || null,
           entity_stock_type_id, entity_stock_series_id || null,
           certNumber, shares, issue_date || null,
-          signed_by_name || null, signed_by_title || null,
-          countersigned_by_name || null, countersigned_by_title || null,
+          is_restricted !== false, is_control_security === true,
+          signers.signed_by_officer_id, signers.signed_by_name, signers.signed_by_title,
+          signers.countersigned_by_officer_id, signers.countersigned_by_name, signers.countersigned_by_title,
           user.id,
         ]);
 
@@ -343,8 +386,12 @@ exports.handler = async (event) => {
             stock_type: stockType.display_name,
             stock_series: seriesName,
             issue_date: cert.issue_date,
-            signed_by_name, signed_by_title,
-            countersigned_by_name, countersigned_by_title,
+            signed_by_name: cert.signed_by_name, signed_by_title: cert.signed_by_title,
+            countersigned_by_name: cert.countersigned_by_name, countersigned_by_title: cert.countersigned_by_title,
+            is_restricted: cert.is_restricted,
+            legends: await resolveCertificateLegends({ query }, cert),
+            template: await loadCertificateTemplate({ query }, cert),
+            ...(await loadCertificateSignatures({ query }, cert)),
           });
 
           const pdfPath = `certificates/${entityId}/${cert.certificate_number}.pdf`;
@@ -384,6 +431,9 @@ exports.handler = async (event) => {
       if (!enforceEntityScope(user, cert.entity_id)) return json(403, { success: false, error: 'Forbidden' }, headers);
       if (cert.status === 'CANCELLED') return json(400, { success: false, error: 'Certificate is already cancelled' }, headers);
 
+      const stopOrders = await findCertificateStopOrders({ query }, cert);
+      if (stopOrders.length) return stopOrderResponse(stopOrders, headers);
+
       await query(
         `UPDATE stock_certificates SET status = 'CANCELLED', cancelled_at = NOW(), cancelled_reason = $1, updated_at = NOW() WHERE id = $2`,
         [reason || 'Cancelled by administrator', certificate_id]
@@ -424,6 +474,9 @@ exports.handler = async (event) => {
       if (!enforceEntityScope(user, oldCert.entity_id)) return json(403, { success: false, error: 'Forbidden' }, headers);
       if (oldCert.status === 'CANCELLED') return json(400, { success: false, error: 'Cannot reissue a cancelled certificate' }, headers);
 
+      const stopOrders = await findCertificateStopOrders({ query }, oldCert);
+      if (stopOrders.length) return stopOrderResponse(stopOrders, headers);
+
       const targetShareholderId = new_shareholder_id || oldCert.shareholder_id;
       const targetShares = new_shares || oldCert.shares;
 
@@ -439,6 +492,14 @@ exports.handler = async (event) => {
         seriesName = serRes.rows[0]?.series || null;
       }
 
+      // Signed today: by the officers given, else the entity's defaults, else the original's signers
+      const signers = signerColumns(await resolveCertificateSigners({ query }, {
+        entityId: oldCert.entity_id, issueDate: null,
+        signedByOfficerId: body.signed_by_officer_id || undefined,
+        countersignedByOfficerId: body.countersigned_by_officer_id || undefined,
+        fallback: oldCert,
+      }), oldCert);
+
       const newCert = await withTransaction(async (client) => {
 	 
         // Cancel old certificate
@@ -449,6 +510,7 @@ exports.handler = async (event) => {
 
         // Generate new certificate
         const newCertNumber = await generateCertificateNumber(client, oldCert.entity_id, oldCert.entity_name, abbrevStockType(oldCert.stock_type));
+        const restriction = await inheritRestriction(client, { sourceCertificateIds: [oldCert.id], shareholderId: targetShareholderId });
 
         const insertRes = await client.query(`
           INSERT INTO stock_certificates (
@@ -456,20 +518,23 @@ exports.handler = async (event) => {
             entity_stock_type_id, entity_stock_series_id,
             certificate_number, shares, issue_date, status,
             original_issue_date, source_certificate_id,
-            signed_by_name, signed_by_title,
-            countersigned_by_name, countersigned_by_title,
+            is_restricted, is_control_security, holding_period_start,
+            signed_by_officer_id, signed_by_name, signed_by_title,
+            countersigned_by_officer_id, countersigned_by_name, countersigned_by_title,
             created_by
           ) VALUES ($1,$2,$3,$4,$5,$6,$7,CURRENT_DATE,'ISSUED',
                     COALESCE($8::date, CURRENT_DATE), $9,
-                    $10,$11,$12,$13,$14)
+                    $10,$11,COALESCE($12::date, $8::date, CURRENT_DATE),
+                    $13,$14,$15,$16,$17,$18,$19)
           RETURNING *
         `, [
           oldCert.entity_id, targetShareholderId, oldCert.share_transaction_id,
           oldCert.entity_stock_type_id, oldCert.entity_stock_series_id,
           newCertNumber, targetShares,
           oldCert.original_issue_date || oldCert.issue_date, certificate_id,
-          oldCert.signed_by_name, oldCert.signed_by_title,
-          oldCert.countersigned_by_name, oldCert.countersigned_by_title,
+          restriction.isRestricted, restriction.isControlSecurity, restriction.holdingPeriodStart,
+          signers.signed_by_officer_id, signers.signed_by_name, signers.signed_by_title,
+          signers.countersigned_by_officer_id, signers.countersigned_by_name, signers.countersigned_by_title,
           user.id,
         ]);
 
@@ -477,6 +542,7 @@ exports.handler = async (event) => {
 
         // Link old → new
         await client.query('UPDATE stock_certificates SET replaced_by_certificate_id = $1 WHERE id = $2', [nc.id, certificate_id]);
+        await copyCertificateLegends(client, oldCert.id, nc.id);
 
         return nc;
       });
@@ -496,10 +562,14 @@ exports.handler = async (event) => {
             stock_type: oldCert.stock_type_name,
             stock_series: seriesName,
             issue_date: newCert.issue_date,
-            signed_by_name: oldCert.signed_by_name,
-            signed_by_title: oldCert.signed_by_title,
-            countersigned_by_name: oldCert.countersigned_by_name,
-            countersigned_by_title: oldCert.countersigned_by_title,
+            signed_by_name: newCert.signed_by_name,
+            signed_by_title: newCert.signed_by_title,
+            countersigned_by_name: newCert.countersigned_by_name,
+            countersigned_by_title: newCert.countersigned_by_title,
+            is_restricted: newCert.is_restricted,
+            legends: await resolveCertificateLegends({ query }, newCert),
+            template: await loadCertificateTemplate({ query }, newCert),
+            ...(await loadCertificateSignatures({ query }, newCert)),
           });
 
           const pdfPath = `certificates/${oldCert.entity_id}/${newCert.certificate_number}.pdf`;
@@ -529,7 +599,10 @@ exports.handler = async (event) => {
       }
 
       const body = parseBody(event);
-      const { certificate_id, signed_by_name, signed_by_title, countersigned_by_name, countersigned_by_title } = body;
+      const {
+        certificate_id, signed_by_officer_id, countersigned_by_officer_id,
+        signed_by_name, signed_by_title, countersigned_by_name, countersigned_by_title,
+      } = body;
       if (!certificate_id) return json(400, { success: false, error: 'certificate_id required' }, headers);
 
       const certRes = await query(`
@@ -546,6 +619,23 @@ exports.handler = async (event) => {
       if (!enforceEntityScope(user, lostCert.entity_id)) return json(403, { success: false, error: 'Forbidden' }, headers);
       if (lostCert.status !== 'ISSUED') return json(400, { success: false, error: `Cannot report lost: certificate status is '${lostCert.status}'` }, headers);
 
+      const stopOrders = await findCertificateStopOrders({ query }, lostCert);
+      if (stopOrders.length) return stopOrderResponse(stopOrders, headers);
+
+      // Signed today: by the officers or free-text signers given, else the
+      // entity's defaults, else the lost certificate's signers
+      const signers = signerColumns(await resolveCertificateSigners({ query }, {
+        entityId: lostCert.entity_id, issueDate: null,
+        signedByOfficerId: signed_by_officer_id || (signed_by_name ? null : undefined),
+        countersignedByOfficerId: countersigned_by_officer_id || (countersigned_by_name ? null : undefined),
+        fallback: lostCert,
+      }), {
+        signed_by_name: signed_by_name || lostCert.signed_by_name,
+        signed_by_title: signed_by_title || lostCert.signed_by_title,
+        countersigned_by_name: countersigned_by_name || lostCert.countersigned_by_name,
+        countersigned_by_title: countersigned_by_title || lostCert.countersigned_by_title,
+      });
+
       // Get shareholder info
       const shRes = await query('SELECT id, full_name, address, city, state, zip_code, country FROM shareholders WHERE id = $1', [lostCert.shareholder_id]);
       if (!shRes.rows.length) return json(404, { success: false, error: 'Shareholder not found' }, headers);
@@ -569,21 +659,24 @@ exports.handler = async (event) => {
             entity_stock_type_id, entity_stock_series_id,
             certificate_number, shares, issue_date, status,
             original_issue_date, source_certificate_id,
-            signed_by_name, signed_by_title,
-            countersigned_by_name, countersigned_by_title,
+            is_restricted, is_control_security, holding_period_start,
+            signed_by_officer_id, signed_by_name, signed_by_title,
+            countersigned_by_officer_id, countersigned_by_name, countersigned_by_title,
             lost_certificate_number, lost_certificate_id,
             created_by
           ) VALUES ($1,$2,$3,$4,$5,$6,$7,CURRENT_DATE,'ISSUED',
                     COALESCE($8::date, CURRENT_DATE), $9,
-                    $10,$11,$12,$13,$14,$15,$16)
+                    $10,$11,COALESCE($12::date, $8::date, CURRENT_DATE),
+                    $13,$14,$15,$16,$17,$18,$19,$20,$21)
           RETURNING *
         `, [
           lostCert.entity_id, lostCert.shareholder_id, lostCert.share_transaction_id,
           lostCert.entity_stock_type_id, lostCert.entity_stock_series_id,
           newCertNumber, lostCert.shares,
           lostCert.original_issue_date || lostCert.issue_date, lostCert.id,
-          signed_by_name || lostCert.signed_by_name, signed_by_title || lostCert.signed_by_title,
-          countersigned_by_name || lostCert.countersigned_by_name, countersigned_by_title || lostCert.countersigned_by_title,
+          lostCert.is_restricted, lostCert.is_control_security, lostCert.holding_period_start,
+          signers.signed_by_officer_id, signers.signed_by_name, signers.signed_by_title,
+          signers.countersigned_by_officer_id, signers.countersigned_by_name, signers.countersigned_by_title,
           lostCert.certificate_number, lostCert.id,
           user.id,
         ]);
@@ -595,6 +688,7 @@ exports.handler = async (event) => {
           `UPDATE stock_certificates SET status = 'REPLACED', cancelled_at = NOW(), cancelled_reason = 'LOST', replaced_by_certificate_id = $1, updated_at = NOW() WHERE id = $2`,
           [nc.id, certificate_id]
         );
+        await copyCertificateLegends(client, lostCert.id, nc.id);
 
         return nc;
       });
@@ -614,11 +708,15 @@ exports.handler = async (event) => {
             stock_type: lostCert.stock_type_name,
             stock_series: seriesName,
             issue_date: newCert.issue_date,
-            signed_by_name: signed_by_name || lostCert.signed_by_name,
-            signed_by_title: signed_by_title || lostCert.signed_by_title,
-            countersigned_by_name: countersigned_by_name || lostCert.countersigned_by_name,
-            countersigned_by_title: countersigned_by_title || lostCert.countersigned_by_title,
+            signed_by_name: newCert.signed_by_name,
+            signed_by_title: newCert.signed_by_title,
+            countersigned_by_name: newCert.countersigned_by_name,
+            countersigned_by_title: newCert.countersigned_by_title,
             lost_certificate_number: lostCert.certificate_number,
+            is_restricted: newCert.is_restricted,
+            legends: await resolveCertificateLegends({ query }, newCert),
+            template: await loadCertificateTemplate({ query }, newCert),
+            ...(await loadCertificateSignatures({ query }, newCert)),
           });
 
           const pdfPath = `certificates/${lostCert.entity_id}/${newCert.certificate_number}.pdf`;
@@ -641,6 +739,202 @@ exports.handler = async (event) => {
 	
     }
 
+    /* ===== POST: Set Rule 144 flags (control security, restricted, holding period start) ===== */
+    if (event.httpMethod === 'POST' && action === 'set-restriction-flags') {
+      if (!requireRole(['SUPER_ADMIN', 'ENTITY_ADMIN'])(user)) {
+        return json(403, { success: false, error: 'Forbidden' }, headers);
+      }
+
+      const body = parseBody(event);
+      const { certificate_id, is_control_security, is_restricted, holding_period_start, reason } = body;
+      if (!certificate_id) return json(400, { success: false, error: 'certificate_id required' }, headers);
+      if (holding_period_start && (!/^\d{4}-\d{2}-\d{2}$/.test(holding_period_start) || isNaN(new Date(holding_period_start).getTime()))) {
+        return json(400, { success: false, error: 'holding_period_start must be a date in YYYY-MM-DD format' }, headers);
+      }
+
+      const certRes = await query('SELECT * FROM stock_certificates WHERE id = $1', [certificate_id]);
+      if (!certRes.rows.length) return json(404, { success: false, error: 'Certificate not found' }, headers);
+      const cert = certRes.rows[0];
+      if (!enforceEntityScope(user, cert.entity_id)) return json(403, { success: false, error: 'Forbidden' }, headers);
+      if (cert.status !== 'ISSUED') return json(400, { success: false, error: `Cannot update flags: certificate status is '${cert.status}'` }, headers);
+      // A certificate of unknown status (predates the flag) may be recorded either way;
+      // a known restricted one only loses its legend through remove-legend
+      if (is_restricted === false && cert.is_restricted !== null) {
+        return json(400, { success: false, error: 'Use remove-legend to lift the restrictive legend' }, headers);
+      }
+
+      const updated = await query(`
+        UPDATE stock_certificates
+        SET is_control_security = COALESCE($2::boolean, is_control_security),
+            is_restricted = CASE WHEN is_restricted IS NULL THEN $3::boolean ELSE is_restricted OR COALESCE($3::boolean, FALSE) END,
+            holding_period_start = COALESCE($4::date, holding_period_start),
+            updated_at = NOW()
+        WHERE id = $1
+        RETURNING *
+      `, [
+        cert.id,
+        typeof is_control_security === 'boolean' ? is_control_security : null,
+        typeof is_restricted === 'boolean' ? is_restricted : null,
+        holding_period_start || null,
+      ]);
+
+      await logAudit({
+        user_id: user.id, user_email: user.email, user_role: user.role,
+        entity_id: cert.entity_id, action: 'SET_CERTIFICATE_RESTRICTION_FLAGS',
+        resource_type: 'STOCK_CERTIFICATE', resource_id: cert.id,
+        details: {
+          certificate_number: cert.certificate_number,
+          before: { is_restricted: cert.is_restricted, is_control_security: cert.is_control_security, holding_period_start: cert.holding_period_start },
+          after: { is_restricted: updated.rows[0].is_restricted, is_control_security: updated.rows[0].is_control_security, holding_period_start: updated.rows[0].holding_period_start },
+          reason: reason || null,
+        },
+        ip_address: getClientIp(event),
+      });
+
+      return json(200, { success: true, certificate: updated.rows[0] }, headers);
+    }
+
+    /* ===== POST: Remove restrictive legend (Rule 144) =====
+       Replaces the certificate with an unlegended one carrying the same
+       original issue date and holding period, and records counsel's opinion
+       letter. Refused for control securities and before the free-to-sell date
+       (six months with reporting_issuer=true, otherwise one year). */
+    if (event.httpMethod === 'POST' && action === 'remove-legend') {
+      if (!requireRole(['SUPER_ADMIN', 'ENTITY_ADMIN'])(user)) {
+        return json(403, { success: false, error: 'Forbidden' }, headers);
+      }
+
+      const body = parseBody(event);
+      const { certificate_id, opinion_counsel, opinion_date, opinion_reference, opinion_document_path, reporting_issuer, reason } = body;
+      if (!certificate_id) return json(400, { success: false, error: 'certificate_id required' }, headers);
+      if (!opinion_counsel || !String(opinion_counsel).trim()) {
+        return json(400, { success: false, error: 'opinion_counsel is required' }, headers);
+      }
+      if (!opinion_date || !/^\d{4}-\d{2}-\d{2}$/.test(opinion_date) || isNaN(new Date(opinion_date).getTime())) {
+        return json(400, { success: false, error: 'opinion_date must be a date in YYYY-MM-DD format' }, headers);
+      }
+
+      const certRes = await query(`
+        SELECT sc.*, e.name AS entity_name, est.stock_type
+        FROM stock_certificates sc
+        JOIN entities e ON e.id = sc.entity_id
+        JOIN entity_stock_types est ON est.id = sc.entity_stock_type_id
+        WHERE sc.id = $1
+      `, [certificate_id]);
+      if (!certRes.rows.length) return json(404, { success: false, error: 'Certificate not found' }, headers);
+
+      const oldCert = certRes.rows[0];
+      if (!enforceEntityScope(user, oldCert.entity_id)) return json(403, { success: false, error: 'Forbidden' }, headers);
+      if (oldCert.status !== 'ISSUED') return json(400, { success: false, error: `Cannot remove legend: certificate status is '${oldCert.status}'` }, headers);
+      if (oldCert.is_restricted === null) {
+        return json(400, { success: false, error: 'Restriction status of this certificate is unknown; record it with set-restriction-flags first' }, headers);
+      }
+      if (!oldCert.is_restricted) return json(400, { success: false, error: 'Certificate does not carry a restrictive legend' }, headers);
+      if (oldCert.is_control_security) {
+        return json(400, {
+          success: false,
+          error: 'Certificate is held as a control security; the legend stays while the holder is an affiliate',
+          error_code: 'ERR_CONTROL_SECURITY',
+        }, headers);
+      }
+
+      const months = reporting_issuer === true ? HOLDING_PERIOD_MONTHS.REPORTING : HOLDING_PERIOD_MONTHS.NON_REPORTING;
+      const eligibility = certificateEligibility(oldCert, new Date().toISOString().slice(0, 10), months);
+      if (eligibility.status === 'RESTRICTED') {
+        return json(400, {
+          success: false,
+          error: `Rule 144 holding period has not elapsed (free to sell on ${eligibility.free_to_sell_date})`,
+          error_code: 'ERR_HOLDING_PERIOD',
+          details: { holding_period_start: eligibility.holding_period_start, free_to_sell_date: eligibility.free_to_sell_date, holding_period_months: months },
+        }, headers);
+      }
+
+      const stopOrders = await findCertificateStopOrders({ query }, oldCert);
+      if (stopOrders.length) return stopOrderResponse(stopOrders, headers);
+
+      // Signed today: by the officers given, else the entity's defaults, else the original's signers
+      const signers = signerColumns(await resolveCertificateSigners({ query }, {
+        entityId: oldCert.entity_id, issueDate: null,
+        signedByOfficerId: body.signed_by_officer_id || undefined,
+        countersignedByOfficerId: body.countersigned_by_officer_id || undefined,
+        fallback: oldCert,
+      }), oldCert);
+
+      const { newCert, document } = await withTransaction(async (client) => {
+        const docRes = await client.query(`
+          INSERT INTO certificate_documents (
+            entity_id, certificate_id, document_type, title, pdf_path,
+            counsel_name, document_date, reference, created_by
+          ) VALUES ($1, $2, 'LEGEND_REMOVAL_OPINION', 'Rule 144 Legend Removal Opinion', $3, $4, $5, $6, $7)
+          RETURNING *
+        `, [
+          oldCert.entity_id, oldCert.id, opinion_document_path || null,
+          String(opinion_counsel).trim(), opinion_date, opinion_reference || null, user.id,
+        ]);
+        const doc = docRes.rows[0];
+
+        const newCertNumber = await generateCertificateNumber(client, oldCert.entity_id, oldCert.entity_name, abbrevStockType(oldCert.stock_type));
+        const insertRes = await client.query(`
+          INSERT INTO stock_certificates (
+            entity_id, shareholder_id, share_transaction_id,
+            entity_stock_type_id, entity_stock_series_id,
+            certificate_number, shares, issue_date, status,
+            original_issue_date, source_certificate_id,
+            is_restricted, is_control_security, holding_period_start,
+            legend_removed_at, legend_removal_document_id,
+            signed_by_officer_id, signed_by_name, signed_by_title,
+            countersigned_by_officer_id, countersigned_by_name, countersigned_by_title,
+            created_by
+          ) VALUES ($1,$2,$3,$4,$5,$6,$7,CURRENT_DATE,'ISSUED',
+                    COALESCE($8::date, CURRENT_DATE), $9,
+                    FALSE, FALSE, $10::date,
+                    NOW(), $11,
+                    $12,$13,$14,$15,$16,$17,$18)
+          RETURNING *
+        `, [
+          oldCert.entity_id, oldCert.shareholder_id, oldCert.share_transaction_id,
+          oldCert.entity_stock_type_id, oldCert.entity_stock_series_id,
+          newCertNumber, oldCert.shares,
+          oldCert.original_issue_date || oldCert.issue_date, oldCert.id,
+          holdingPeriodStart(oldCert), doc.id,
+          signers.signed_by_officer_id, signers.signed_by_name, signers.signed_by_title,
+          signers.countersigned_by_officer_id, signers.countersigned_by_name, signers.countersigned_by_title,
+          user.id,
+        ]);
+        const nc = insertRes.rows[0];
+
+        await client.query(
+          `UPDATE stock_certificates SET status = 'REPLACED', cancelled_at = NOW(), cancelled_reason = 'LEGEND_REMOVED', replaced_by_certificate_id = $1, updated_at = NOW() WHERE id = $2`,
+          [nc.id, oldCert.id]
+        );
+        await client.query('UPDATE certificate_documents SET replacement_certificate_id = $1 WHERE id = $2', [nc.id, doc.id]);
+        await copyCertificateLegends(client, oldCert.id, nc.id);
+
+        return { newCert: nc, document: { ...doc, replacement_certificate_id: nc.id } };
+      });
+
+      try {
+        newCert.pdf_path = await storeCertificatePdf(newCert.id);
+      } catch (pdfErr) {
+        console.error('PDF generation error (non-fatal):', pdfErr.message);
+      }
+
+      await logAudit({
+        user_id: user.id, user_email: user.email, user_role: user.role,
+        entity_id: oldCert.entity_id, action: 'REMOVE_RESTRICTIVE_LEGEND',
+        resource_type: 'STOCK_CERTIFICATE', resource_id: newCert.id,
+        details: {
+          old_certificate_id: oldCert.id, old_number: oldCert.certificate_number, new_number: newCert.certificate_number,
+          holding_period_start: eligibility.holding_period_start, free_to_sell_date: eligibility.free_to_sell_date,
+          opinion_document_id: document.id, opinion_counsel: document.counsel_name, opinion_date, opinion_reference: opinion_reference || null,
+          reason: reason || null,
+        },
+        ip_address: getClientIp(event),
+      });
+
+      return json(201, { success: true, old_certificate_id: oldCert.id, new_certificate: newCert, opinion_document: document }, headers);
+    }
+
     /* ===== POST: Generate Lost Certificate Affidavit PDF ===== */
     if (event.httpMethod === 'POST' && action === 'generate-affidavit') {
       if (!requireRole(['SUPER_ADMIN', 'ENTITY_ADMIN'])(user)) {
@@ -735,6 +1029,9 @@ exports.handler = async (event) => {
 
     return json(405, { success: false, error: 'Method not allowed or invalid action' });
   } catch (error) {
+    if (error.statusCode === 400) {
+      return json(400, { success: false, error: error.message, error_code: error.error_code, details: error.details });
+    }
     console.error('CERTIFICATES ERROR:', error);
     return json(500, { success: false, error: error.message });
   }
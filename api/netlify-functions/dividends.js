@@ -0,0 +1,503 @@
+// api/netlify-functions/dividends.js
+// Cash dividend declarations and the per-holder payment register
+// (JSON, CSV or a NACHA-style ACH credit file).
+const { query, withTransaction } = require('./utils/db');
+const { authMiddleware, requireRole, enforceEntityScope } = require('./middleware/auth');
+const { logAudit, getClientIp } = require('./utils/auditLog');
+const { toDateStr } = require('./utils/vestingUtils');
+
+const AMOUNT_TYPES = ['PER_SHARE', 'PERCENT_OF_PAR'];
+
+function json(statusCode, body, extraHeaders = {}) {
+  return {
+    statusCode,
+    headers: { 'Content-Type': 'application/json', ...extraHeaders },
+    body: JSON.stringify(body),
+  };
+}
+
+function parseBody(event) {
+  if (!event.body) return {};
+  try { return JSON.parse(event.body); }
+  catch { throw new Error('Invalid JSON body'); }
+}
+
+// Validate an optional date field (YYYY-MM-DD). Returns null when absent.
+function parseDate(value, field) {
+  if (!value) return null;
+  const v = String(value).trim();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(v) || isNaN(new Date(v).getTime())) {
+    throw Object.assign(new Error(`${field} must be a date in YYYY-MM-DD format`), { statusCode: 400 });
+  }
+  return v;
+}
+
+function isBlank(v) {
+  return v === undefined || v === null || v === '';
+}
+
+function roundCents(v) {
+  return Math.round(v * 100) / 100;
+}
+
+function csvCell(v) {
+  if (v === null || v === undefined) return '';
+  return typeof v === 'string' ? `"${v.replace(/"/g, '""')}"` : v;
+}
+
+/* ========== NACHA ========== */
+
+// Fixed-width field helpers: alpha fields are left-justified and space-padded,
+// numeric fields right-justified and zero-padded.
+function alpha(v, len) {
+  return String(v || '').toUpperCase().replace(/[^A-Z0-9 .,&'/-]/g, '').slice(0, len).padEnd(len, ' ');
+}
+
+function num(v, len) {
+  return String(v || 0).replace(/\D/g, '').slice(-len).padStart(len, '0');
+}
+
+function yymmdd(d) {
+  return toDateStr(d).slice(2).replace(/-/g, '');
+}
+
+/**
+ * Build a NACHA-style PPD credit file (one batch) for a dividend's payments.
+ * @param {Object} opts
+ * @param {Object} opts.entity - entities row (name, tax_id)
+ * @param {Object} opts.declaration - dividend_declarations row
+ * @param {Object[]} opts.payments - payment rows with bank details, net_amount > 0
+ * @param {string} opts.odfiRouting - originating bank routing number (9 digits)
+ * @param {string} [opts.odfiName] - originating bank name
+ * @returns {string}
+ */
+function buildNachaFile({ entity, declaration, payments, odfiRouting, odfiName }) {
+  const now = new Date();
+  const companyId = `1${num(entity.tax_id, 9)}`;
+  const odfi8 = odfiRouting.slice(0, 8);
+  const lines = [];
+
+  // File header
+  lines.push(
+    '1' + '01' + ` ${odfiRouting}` + companyId + yymmdd(now)
+    + String(now.getHours()).padStart(2, '0') + String(now.getMinutes()).padStart(2, '0')
+    + 'A' + '094' + '10' + '1'
+    + alpha(odfiName, 23) + alpha(entity.name, 23) + alpha(`DIV${declaration.id}`, 8)
+  );
+
+  // Batch header: 220 = credits only, PPD entries
+  lines.push(
+    '5' + '220' + alpha(entity.name, 16) + alpha('', 20) + companyId + 'PPD'
+    + alpha('DIVIDEND', 10) + yymmdd(declaration.payment_date) + yymmdd(declaration.payment_date)
+    + '   ' + '1' + odfi8 + num(1, 7)
+  );
+
+  let entryHash = 0;
+  let totalCredit = 0;
+  payments.forEach((p, idx) => {
+    const routing = num(p.bank_routing_number, 9);
+    const cents = Math.round(parseFloat(p.net_amount) * 100);
+    entryHash += parseInt(routing.slice(0, 8));
+    totalCredit += cents;
+    lines.push(
+      '6' + (p.bank_account_type === 'SAVINGS' ? '32' : '22')
+      + routing + alpha(p.bank_account_number, 17) + num(cents, 10)
+      + alpha(p.external_id || p.shareholder_id, 15) + alpha(p.full_name, 22)
+      + '  ' + '0' + odfi8 + num(idx + 1, 7)
+    );
+  });
+  const hash = num(entryHash % 10000000000, 10);
+
+  // Batch control
+  lines.push(
+    '8' + '220' + num(payments.length, 6) + hash + num(0, 12) + num(totalCredit, 12)
+    + companyId + alpha('', 19) + alpha('', 6) + odfi8 + num(1, 7)
+  );
+
+  // File control; block count covers the 9-filler padding to a multiple of 10 records
+  const blockCount = Math.ceil((lines.length + 1) / 10);
+  lines.push(
+    '9' + num(1, 6) + num(blockCount, 6) + num(payments.length, 8) + hash
+    + num(0, 12) + num(totalCredit, 12) + alpha('', 39)
+  );
+  while (lines.length % 10 !== 0) lines.push('9'.repeat(94));
+
+  return lines.join('\n') + '\n';
+}
+
+/* =====================================================
+   HANDLER
+===================================================== */
+exports.handler = async (event) => {
+  const params = event.queryStringParameters || {};
+  const action = params.action;
+
+  try {
+    if (event.httpMethod === 'GET') {
+      if (action === 'list-dividends') return await handleListDividends(event, params);
+      if (action === 'payment-register') return await handlePaymentRegister(event, params);
+      return json(400, { success:false, error:'Invalid action' });
+    }
+
+    if (event.httpMethod === 'POST') {
+      if (action === 'declare-dividend') return await handleDeclareDividend(event);
+      if (action === 'mark-paid') return await handleMarkPaid(event);
+      return json(400, { success:false, error:'Invalid action' });
+    }
+
+    return json(405, { success:false, error:'Method not allowed' });
+  } catch (e) {
+    if (e.statusCode === 400) return json(400, { success:false, error:e.message });
+    console.error('DIVIDENDS ERROR:', e);
+    return json(500, { success:false, error:e.message });
+  }
+};
+
+/* =====================================================
+   GET: Dividend Declarations
+===================================================== */
+async function handleListDividends(event, params) {
+  const auth = await authMiddleware(event);
+  if (auth.statusCode) return auth;
+  const { user, headers } = auth;
+
+  const targetEntityId = user.role === 'SUPER_ADMIN' && params.entity_id ? params.entity_id : user.entity_id;
+
+  const result = await query(`
+    SELECT d.*,
+           est.display_name AS stock_type_name,
+           ess.series,
+           (SELECT COUNT(*) FROM dividend_payments p WHERE p.declaration_id = d.id) AS holder_count
+    FROM dividend_declarations d
+    JOIN entity_stock_types est ON est.id = d.entity_stock_type_id
+    LEFT JOIN entity_stock_series ess ON ess.id = d.entity_stock_series_id
+    WHERE d.entity_id = $1
+    ORDER BY d.declaration_date DESC, d.id DESC
+  `, [targetEntityId]);
+
+  return json(200, { success:true, dividends: result.rows }, headers);
+}
+
+/* =====================================================
+   POST: Declare Dividend
+   Snapshots holders of record (SUM of share_transactions
+   up to record_date) for the class, or just the series when
+   entity_stock_series_id is given, and writes one payment
+   row per holder. PERCENT_OF_PAR is a percentage of the
+   class par value; it defaults to the class dividend_rate.
+   Withholding per holder: the holder's own withholding_rate
+   if set, else backup_withholding_rate when the holder has
+   no tax id, else the declaration's withholding_rate.
+   preview = true returns the register without writing.
+===================================================== */
+async function handleDeclareDividend(event) {
+  const auth = await authMiddleware(event);
+  if (auth.statusCode) return auth;
+  const { user, headers } = auth;
+
+  const canDeclare = requireRole(['SUPER_ADMIN', 'ENTITY_ADMIN'])(user);
+  if (!canDeclare) return json(403, { success:false, error:'Forbidden' }, headers);
+
+  const body = parseBody(event);
+  const { entity_stock_type_id, entity_stock_series_id, notes } = body;
+  const preview = body.preview === true || body.preview === 'true';
+  const amountType = String(body.amount_type || 'PER_SHARE').toUpperCase();
+
+  if (!entity_stock_type_id || !body.record_date || !body.payment_date) {
+    return json(400, { success:false, error:'Missing required fields' }, headers);
+  }
+  if (!AMOUNT_TYPES.includes(amountType)) {
+    return json(400, { success:false, error:'amount_type must be PER_SHARE or PERCENT_OF_PAR' }, headers);
+  }
+
+  const declarationDate = parseDate(body.declaration_date, 'declaration_date') || toDateStr(new Date());
+  const recordDate = parseDate(body.record_date, 'record_date');
+  const paymentDate = parseDate(body.payment_date, 'payment_date');
+  if (recordDate < declarationDate) {
+    return json(400, { success:false, error:'record_date cannot be before declaration_date' }, headers);
+  }
+  if (paymentDate < recordDate) {
+    return json(400, { success:false, error:'payment_date cannot be before record_date' }, headers);
+  }
+
+  const withholdingRate = isBlank(body.withholding_rate) ? 0 : parseFloat(body.withholding_rate);
+  const backupRate = isBlank(body.backup_withholding_rate) ? 0 : parseFloat(body.backup_withholding_rate);
+  if (!(withholdingRate >= 0 && withholdingRate <= 100) || !(backupRate >= 0 && backupRate <= 100)) {
+    return json(400, { success:false, error:'Withholding rates must be between 0 and 100' }, headers);
+  }
+
+  const entityId = user.entity_id;
+  const typeRes = await query(
+    `SELECT id, entity_id, display_name, supports_series, par_value, dividend_rate
+     FROM entity_stock_types WHERE id = $1`,
+    [entity_stock_type_id]
+  );
+  if (!typeRes.rows.length) return json(400, { success:false, error:'Invalid stock type' }, headers);
+  const stockType = typeRes.rows[0];
+  if (!enforceEntityScope(user, stockType.entity_id)) {
+    return json(403, { success:false, error:'Forbidden' }, headers);
+  }
+  if (entity_stock_series_id) {
+    const sRes = await query(
+      'SELECT id FROM entity_stock_series WHERE id = $1 AND entity_stock_type_id = $2',
+      [entity_stock_series_id, entity_stock_type_id]
+    );
+    if (!sRes.rows.length) return json(400, { success:false, error:'Invalid series' }, headers);
+  }
+
+  let amount = isBlank(body.amount) ? null : parseFloat(body.amount);
+  let amountPerShare;
+  if (amountType === 'PERCENT_OF_PAR') {
+    if (amount === null && stockType.dividend_rate !== null) amount = parseFloat(stockType.dividend_rate);
+    if (stockType.par_value === null || !(parseFloat(stockType.par_value) > 0)) {
+      return json(400, { success:false, error:'PERCENT_OF_PAR requires the stock type to have a par value' }, headers);
+    }
+    if (!(amount > 0)) return json(400, { success:false, error:'amount (percent of par) must be positive' }, headers);
+    amountPerShare = Math.round(parseFloat(stockType.par_value) * (amount / 100) * 1e6) / 1e6;
+  } else {
+    if (!(amount > 0)) return json(400, { success:false, error:'amount (per share) must be positive' }, headers);
+    amountPerShare = amount;
+  }
+
+  // Holders of record on the record date
+  const holdersRes = await query(`
+    SELECT s.id AS shareholder_id, s.external_id, s.full_name, s.tax_id, s.withholding_rate,
+           SUM(st.shares) AS shares
+    FROM share_transactions st
+    JOIN shareholders s ON s.id = st.shareholder_id
+    WHERE st.entity_id = $1
+      AND st.entity_stock_type_id = $2
+      AND ($3::bigint IS NULL OR st.entity_stock_series_id = $3)
+      AND st.transaction_date <= $4
+    GROUP BY s.id
+    HAVING SUM(st.shares) > 0
+    ORDER BY s.full_name
+  `, [entityId, entity_stock_type_id, entity_stock_series_id || null, recordDate]);
+
+  const payments = holdersRes.rows.map(h => {
+    const shares = parseFloat(h.shares);
+    const rate = h.withholding_rate !== null
+      ? parseFloat(h.withholding_rate)
+      : (!h.tax_id ? backupRate : withholdingRate);
+    const gross = roundCents(shares * amountPerShare);
+    const withheld = roundCents(gross * rate / 100);
+    return {
+      shareholder_id: h.shareholder_id,
+      external_id: h.external_id,
+      full_name: h.full_name,
+      shares,
+      gross_amount: gross,
+      withholding_rate: rate,
+      withholding_amount: withheld,
+      net_amount: roundCents(gross - withheld),
+    };
+  });
+
+  const totals = payments.reduce((t, p) => ({
+    shares: t.shares + p.shares,
+    gross: roundCents(t.gross + p.gross_amount),
+    withholding: roundCents(t.withholding + p.withholding_amount),
+    net: roundCents(t.net + p.net_amount),
+  }), { shares: 0, gross: 0, withholding: 0, net: 0 });
+
+  const terms = {
+    entity_stock_type_id, entity_stock_series_id: entity_stock_series_id || null,
+    declaration_date: declarationDate, record_date: recordDate, payment_date: paymentDate,
+    amount_type: amountType, amount, amount_per_share: amountPerShare,
+    withholding_rate: withholdingRate, backup_withholding_rate: backupRate,
+  };
+
+  if (preview) {
+    return json(200, { success:true, preview:true, declaration: terms, payments, totals }, headers);
+  }
+  if (!payments.length) {
+    return json(400, { success:false, error:`No holders of record on ${recordDate}` }, headers);
+  }
+
+  const declaration = await withTransaction(async (client) => {
+    const declRes = await client.query(`
+      INSERT INTO dividend_declarations (
+        entity_id, entity_stock_type_id, entity_stock_series_id,
+        declaration_date, record_date, payment_date,
+        amount_type, amount, amount_per_share, withholding_rate, backup_withholding_rate,
+        total_shares, total_gross, total_withholding, total_net, notes, created_by
+      ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17)
+      RETURNING *
+    `, [
+      entityId, entity_stock_type_id, entity_stock_series_id || null,
+      declarationDate, recordDate, paymentDate,
+      amountType, amount, amountPerShare, withholdingRate, backupRate,
+      totals.shares, totals.gross, totals.withholding, totals.net, notes || null, user.id,
+    ]);
+    const decl = declRes.rows[0];
+
+    for (const p of payments) {
+      await client.query(`
+        INSERT INTO dividend_payments (
+          declaration_id, entity_id, shareholder_id, shares,
+          gross_amount, withholding_rate, withholding_amount, net_amount
+        ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8)
+      `, [decl.id, entityId, p.shareholder_id, p.shares, p.gross_amount, p.withholding_rate, p.withholding_amount, p.net_amount]);
+    }
+    return decl;
+  });
+
+  await logAudit({
+    user_id: user.id, user_email: user.email, user_role: user.role,
+    entity_id: entityId, action: 'DECLARE_DIVIDEND',
+    resource_type: 'DIVIDEND', resource_id: declaration.id,
+    details: { ...terms, holders: payments.length, total_gross: totals.gross, total_withholding: totals.withholding, total_net: totals.net },
+    ip_address: getClientIp(event),
+  });
+
+  return json(201, { success:true, declaration, payments, totals }, headers);
+}
+
+/* =====================================================
+   GET: Payment Register
+   format = json (default) | csv | nacha. The NACHA file
+   needs odfi_routing (the paying bank's routing number) and
+   only includes holders with bank details and a net amount.
+===================================================== */
+async function handlePaymentRegister(event, params) {
+  const auth = await authMiddleware(event);
+  if (auth.statusCode) return auth;
+  const { user, headers } = auth;
+
+  const { declaration_id, format = 'json' } = params;
+  if (!declaration_id) return json(400, { success:false, error:'declaration_id is required' }, headers);
+
+  const declRes = await query(`
+    SELECT d.*, est.display_name AS stock_type_name, ess.series
+    FROM dividend_declarations d
+    JOIN entity_stock_types est ON est.id = d.entity_stock_type_id
+    LEFT JOIN entity_stock_series ess ON ess.id = d.entity_stock_series_id
+    WHERE d.id = $1
+  `, [declaration_id]);
+  if (!declRes.rows.length) return json(404, { success:false, error:'Dividend not found' }, headers);
+  const declaration = declRes.rows[0];
+  if (!enforceEntityScope(user, declaration.entity_id)) {
+    return json(403, { success:false, error:'Forbidden' }, headers);
+  }
+
+  const paymentsRes = await query(`
+    SELECT p.*, s.external_id, s.full_name, s.tax_id,
+           s.bank_routing_number, s.bank_account_number, s.bank_account_type
+    FROM dividend_payments p
+    JOIN shareholders s ON s.id = p.shareholder_id
+    WHERE p.declaration_id = $1
+    ORDER BY s.full_name
+  `, [declaration_id]);
+  const payments = paymentsRes.rows.map(p => ({
+    ...p,
+    ach_ready: /^\d{9}$/.test(p.bank_routing_number || '') && Boolean(p.bank_account_number),
+  }));
+
+  const label = `${declaration.stock_type_name}${declaration.series ? ' ' + declaration.series : ''}`;
+
+  if (format === 'csv') {
+    const csvRows = [];
+    csvRows.push([`Dividend #${declaration.id}`, label, `Record Date ${toDateStr(declaration.record_date)}`, `Payment Date ${toDateStr(declaration.payment_date)}`, `Per Share ${declaration.amount_per_share}`].map(csvCell).join(','));
+    csvRows.push('');
+    csvRows.push(['Account #', 'Shareholder Name', 'Tax ID', 'Shares', 'Gross Amount', 'Withholding %', 'Withholding', 'Net Amount', 'ACH Ready'].join(','));
+    payments.forEach(p => {
+      csvRows.push([
+        p.external_id || String(p.shareholder_id),
+        p.full_name,
+        p.tax_id ? `***${String(p.tax_id).slice(-4)}` : '',
+        parseFloat(p.shares),
+        parseFloat(p.gross_amount),
+        parseFloat(p.withholding_rate),
+        parseFloat(p.withholding_amount),
+        parseFloat(p.net_amount),
+        p.ach_ready ? 'Y' : 'N',
+      ].map(csvCell).join(','));
+    });
+    csvRows.push(['', 'TOTALS', '', parseFloat(declaration.total_shares), parseFloat(declaration.total_gross), '', parseFloat(declaration.total_withholding), parseFloat(declaration.total_net), ''].map(csvCell).join(','));
+
+    return {
+      statusCode: 200,
+      headers: {
+        'Content-Type': 'text/csv',
+        'Content-Disposition': `attachment; filename="dividend_register_${declaration.id}_${toDateStr(declaration.payment_date)}.csv"`,
+        'Access-Control-Allow-Origin': '*',
+      },
+      body: csvRows.join('\n'),
+    };
+  }
+
+  if (format === 'nacha') {
+    const odfiRouting = String(params.odfi_routing || '').trim();
+    if (!/^\d{9}$/.test(odfiRouting)) {
+      return json(400, { success:false, error:'odfi_routing must be a 9-digit routing number' }, headers);
+    }
+    const entityRes = await query('SELECT id, name, tax_id FROM entities WHERE id = $1', [declaration.entity_id]);
+    const entity = entityRes.rows[0];
+    if (!entity.tax_id) return json(400, { success:false, error:'Entity tax ID is required for the ACH company ID' }, headers);
+
+    const achPayments = payments.filter(p => p.ach_ready && parseFloat(p.net_amount) > 0);
+    if (!achPayments.length) {
+      return json(400, { success:false, error:'No holders have bank details for ACH payment' }, headers);
+    }
+
+    await logAudit({
+      user_id: user.id, user_email: user.email, user_role: user.role,
+      entity_id: declaration.entity_id, action: 'EXPORT_DIVIDEND_ACH',
+      resource_type: 'DIVIDEND', resource_id: declaration.id,
+      details: { entries: achPayments.length, skipped: payments.length - achPayments.length },
+      ip_address: getClientIp(event),
+    });
+
+    return {
+      statusCode: 200,
+      headers: {
+        'Content-Type': 'text/plain',
+        'Content-Disposition': `attachment; filename="dividend_${declaration.id}_ach.txt"`,
+        'Access-Control-Allow-Origin': '*',
+      },
+      body: buildNachaFile({ entity, declaration, payments: achPayments, odfiRouting, odfiName: params.odfi_name }),
+    };
+  }
+
+  // Account numbers are only needed for the ACH file
+  const register = payments.map(({ bank_account_number, ...p }) => ({
+    ...p,
+    bank_account_last4: bank_account_number ? String(bank_account_number).slice(-4) : null,
+  }));
+  return json(200, { success:true, declaration, payments: register }, headers);
+}
+
+/* =====================================================
+   POST: Mark Dividend Paid
+===================================================== */
+async function handleMarkPaid(event) {
+  const auth = await authMiddleware(event);
+  if (auth.statusCode) return auth;
+  const { user, headers } = auth;
+
+  const canManage = requireRole(['SUPER_ADMIN', 'ENTITY_ADMIN'])(user);
+  if (!canManage) return json(403, { success:false, error:'Forbidden' }, headers);
+
+  const body = parseBody(event);
+  if (!body.declaration_id) return json(400, { success:false, error:'declaration_id is required' }, headers);
+
+  const result = await query(`
+    UPDATE dividend_declarations
+    SET status = 'PAID', paid_at = NOW()
+    WHERE id = $1 AND entity_id = $2 AND status = 'DECLARED'
+    RETURNING *
+  `, [body.declaration_id, user.entity_id]);
+  if (!result.rows.length) {
+    return json(400, { success:false, error:'Dividend not found or already paid' }, headers);
+  }
+
+  await logAudit({
+    user_id: user.id, user_email: user.email, user_role: user.role,
+    entity_id: user.entity_id, action: 'MARK_DIVIDEND_PAID',
+    resource_type: 'DIVIDEND', resource_id: result.rows[0].id,
+    details: { total_net: result.rows[0].total_net, payment_date: toDateStr(result.rows[0].payment_date) },
+    ip_address: getClientIp(event),
+  });
+
+  return json(200, { success:true, declaration: result.rows[0] }, headers);
+}
@@ -4,11 +4,11 @@
 
 const { authMiddleware } = require('./middleware/auth');
 const { query } = require('./utils/db');
+const {
+  isStorageConfigured, uploadStorageObject, deleteStorageObjects, getPublicUrl,
+} = require('./utils/storageUtils');
 const Busboy = require('busboy');
 
-const SUPABASE_URL = process.env.SUPABASE_URL || process.env.VITE_SUPABASE_URL;
-const SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
-
 function json(statusCode, body) {
   return {
     statusCode,
@@ -67,58 +67,6 @@ function parseMultipart(event) {
   });
 }
 
-/**
- * Upload file to Supabase Storage via REST API using service_role key
- */
-async function uploadToStorage(filePath, fileBuffer, contentType) {
-  const url = `${SUPABASE_URL}/storage/v1/object/aegisiq-storage/${filePath}`;
-
-  const res = await fetch(url, {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${SUPABASE_SERVICE_ROLE_KEY}`,
-      'Content-Type': contentType,
-      'x-upsert': 'false',
-    },
-    body: fileBuffer,
-  });
-
-  if (!res.ok) {
-    const errText = await res.text();
-    throw new Error(`Storage upload failed: ${res.status} ${errText}`);
-  }
-
-  return await res.json();
-}
-
-/**
- * Delete file from Supabase Storage via REST API
- */
-async function deleteFromStorage(filePaths) {
-  const url = `${SUPABASE_URL}/storage/v1/object/aegisiq-storage`;
-
-  const res = await fetch(url, {
-    method: 'DELETE',
-    headers: {
-      'Authorization': `Bearer ${SUPABASE_SERVICE_ROLE_KEY}`,
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify({ prefixes: filePaths }),
-  });
-
-  if (!res.ok) {
-    const errText = await res.text();
-    throw new Error(`Storage delete failed: ${res.status} ${errText}`);
-  }
-}
-
-/**
- * Get public URL for a file in storage
- */
-function getPublicUrl(filePath) {
-  return `${SUPABASE_URL}/storage/v1/object/public/aegisiq-storage/${filePath}`;
-}
-
 /* =====================================================
    HANDLER
 ===================================================== */
@@ -136,7 +84,7 @@ exports.handler = async (event) => {
     const authResult = await authMiddleware(event);
     if (authResult.statusCode) return authResult; // Auth failed
 
-    if (!SUPABASE_URL || !SUPABASE_SERVICE_ROLE_KEY) {
+    if (!isStorageConfigured()) {
       return json(500, { success: false, error: 'Storage configuration missing. Set SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY.' });
     }
 
@@ -180,7 +128,7 @@ exports.handler = async (event) => {
 
 
       // Upload to Supabase Storage via service_role
-      await uploadToStorage(filePath, fileData, fileContentType);
+      await uploadStorageObject(filePath, fileData, fileContentType, { upsert: false });
 
       // Record metadata in Neon DB
       const insertResult = await query(
@@ -217,7 +165,7 @@ exports.handler = async (event) => {
       }
 
       // Delete from Supabase Storage
-      await deleteFromStorage([file_path]);
+      await deleteStorageObjects([file_path]);
 
       // Delete metadata from Neon DB
       await query('DELETE FROM transaction_documents WHERE id = $1', [document_id]);
@@ -0,0 +1,772 @@
+// api/netlify-functions/grants.js
+// Equity plan register: option pools, stock option / warrant grants,
+// exercises (issued into the ledger) and cancellations.
+const { query, withTransaction } = require('./utils/db');
+const { authMiddleware, requireRole, enforceEntityScope } = require('./middleware/auth');
+const { logAudit, getClientIp } = require('./utils/auditLog');
+const { autoGenerateCertificateWithClient, storeCertificatePdf } = require('./utils/certificateUtils');
+const { toDateStr, validateVestingTerms, computeVesting } = require('./utils/vestingUtils');
+const { loadStockClass, assertWithinAuthorized, insertIssuance } = require('./utils/issuanceUtils');
+const { createLot } = require('./utils/taxLotUtils');
+
+const GRANT_TYPES = ['OPTION', 'WARRANT'];
+const OPTION_TYPES = ['ISO', 'NSO'];
+const CANCELLATION_REASONS = ['EXPIRED', 'FORFEITED', 'TERMINATED', 'OTHER'];
+
+function json(statusCode, body, extraHeaders = {}) {
+  return {
+    statusCode,
+    headers: { 'Content-Type': 'application/json', ...extraHeaders },
+    body: JSON.stringify(body),
+  };
+}
+
+function parseBody(event) {
+  if (!event.body) return {};
+  try { return JSON.parse(event.body); }
+  catch { throw new Error('Invalid JSON body'); }
+}
+
+// Validate an optional date field (YYYY-MM-DD). Returns null when absent.
+function parseDate(value, field) {
+  if (!value) return null;
+  const v = String(value).trim();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(v) || isNaN(new Date(v).getTime())) {
+    throw Object.assign(new Error(`${field} must be a date in YYYY-MM-DD format`), { statusCode: 400 });
+  }
+  return v;
+}
+
+function badRequest(message, extra = {}) {
+  return Object.assign(new Error(message), { statusCode: 400, ...extra });
+}
+
+// A grant without vesting terms is fully vested from the grant date.
+function grantVesting(grant, asOf) {
+  const granted = parseFloat(grant.shares_granted);
+  if (!grant.vesting_months) {
+    return {
+      total_shares: granted,
+      vested_shares: toDateStr(asOf) >= toDateStr(grant.grant_date) ? granted : 0,
+      unvested_shares: toDateStr(asOf) >= toDateStr(grant.grant_date) ? 0 : granted,
+      accelerated_shares: 0,
+      next_vesting_date: null,
+      fully_vested_date: toDateStr(grant.grant_date),
+    };
+  }
+  return computeVesting({ ...grant, total_shares: granted, status: 'ACTIVE' }, asOf);
+}
+
+// Vested shares not yet exercised or cancelled. Cancellations come out of the
+// unvested balance first, so they only reduce this once they exceed it.
+function exercisableShares(grant, vesting) {
+  const granted = parseFloat(grant.shares_granted);
+  const exercised = parseFloat(grant.exercised_shares || 0);
+  const cancelled = parseFloat(grant.cancelled_shares || 0);
+  return Math.max(0, Math.min(vesting.vested_shares, granted - cancelled) - exercised);
+}
+
+function decorateGrant(grant, asOf) {
+  const vesting = grantVesting(grant, asOf);
+  const granted = parseFloat(grant.shares_granted);
+  const outstanding = granted - parseFloat(grant.exercised_shares || 0) - parseFloat(grant.cancelled_shares || 0);
+  const expired = grant.status === 'ACTIVE' && grant.expiration_date && toDateStr(grant.expiration_date) < toDateStr(asOf);
+  return {
+    ...grant,
+    outstanding_shares: outstanding,
+    is_expired: Boolean(expired),
+    exercisable_shares: expired ? 0 : exercisableShares(grant, vesting),
+    vesting,
+  };
+}
+
+/* =====================================================
+   HANDLER
+===================================================== */
+exports.handler = async (event) => {
+  const params = event.queryStringParameters || {};
+  const action = params.action;
+
+  try {
+    if (event.httpMethod === 'GET') {
+      if (action === 'list-pools') return await handleListPools(event, params);
+      if (action === 'list-grants') return await handleListGrants(event, params);
+      if (action === 'grant-events') return await handleGrantEvents(event, params);
+      return json(400, { success:false, error:'Invalid action' });
+    }
+
+    if (event.httpMethod === 'POST') {
+      if (action === 'create-pool') return await handleCreatePool(event);
+      if (action === 'create-grant') return await handleCreateGrant(event);
+      if (action === 'exercise-grant') return await handleExerciseGrant(event);
+      if (action === 'cancel-grant') return await handleCancelGrant(event);
+      return json(400, { success:false, error:'Invalid action' });
+    }
+
+    if (event.httpMethod === 'PUT') {
+      if (action === 'update-pool') return await handleUpdatePool(event);
+      return json(400, { success:false, error:'Invalid action' });
+    }
+
+    return json(405, { success:false, error:'Method not allowed' });
+  } catch (e) {
+    if (e.statusCode === 400) return json(400, { success:false, error:e.message });
+    console.error('GRANTS ERROR:', e);
+    return json(500, { success:false, error:e.message });
+  }
+};
+
+/* =====================================================
+   GET: Plan Pools
+   Reserved / granted / exercised / available per pool.
+===================================================== */
+async function handleListPools(event, params) {
+  const auth = await authMiddleware(event);
+  if (auth.statusCode) return auth;
+  const { user, headers } = auth;
+
+  const targetEntityId = user.role === 'SUPER_ADMIN' && params.entity_id ? params.entity_id : user.entity_id;
+
+  const result = await query(`
+    SELECT p.*,
+           est.display_name AS stock_type_name,
+           ess.series,
+           COALESCE(g.granted, 0) AS granted_shares,
+           COALESCE(g.exercised, 0) AS exercised_shares,
+           COALESCE(g.cancelled, 0) AS cancelled_shares,
+           p.reserved_shares - COALESCE(g.granted, 0) + COALESCE(g.cancelled, 0) AS available_shares
+    FROM equity_plan_pools p
+    JOIN entity_stock_types est ON est.id = p.entity_stock_type_id
+    LEFT JOIN entity_stock_series ess ON ess.id = p.entity_stock_series_id
+    LEFT JOIN (
+      SELECT pool_id,
+             SUM(shares_granted) AS granted,
+             SUM(exercised_shares) AS exercised,
+             SUM(cancelled_shares) AS cancelled
+      FROM equity_grants
+      WHERE pool_id IS NOT NULL
+      GROUP BY pool_id
+    ) g ON g.pool_id = p.id
+    WHERE p.entity_id = $1
+    ORDER BY p.is_active DESC, p.name
+  `, [targetEntityId]);
+
+  return json(200, { success:true, pools: result.rows }, headers);
+}
+
+/* =====================================================
+   GET: Grants
+   Filters: shareholder_id, pool_id, status. Vested and
+   exercisable shares are computed as of today (or as_of).
+===================================================== */
+async function handleListGrants(event, params) {
+  const auth = await authMiddleware(event);
+  if (auth.statusCode) return auth;
+  const { user, headers } = auth;
+
+  const targetEntityId = user.role === 'SUPER_ADMIN' && params.entity_id ? params.entity_id : user.entity_id;
+  const asOf = parseDate(params.as_of, 'as_of') || toDateStr(new Date());
+
+  const result = await query(`
+    SELECT g.*,
+           sh.full_name AS shareholder_name,
+           p.name AS pool_name,
+           est.display_name AS stock_type_name,
+           ess.series
+    FROM equity_grants g
+    JOIN shareholders sh ON sh.id = g.shareholder_id
+    LEFT JOIN equity_plan_pools p ON p.id = g.pool_id
+    LEFT JOIN entity_stock_types est ON est.id = g.entity_stock_type_id
+    LEFT JOIN entity_stock_series ess ON ess.id = g.entity_stock_series_id
+    WHERE g.entity_id = $1
+      AND ($2::bigint IS NULL OR g.shareholder_id = $2)
+      AND ($3::bigint IS NULL OR g.pool_id = $3)
+      AND ($4::text IS NULL OR g.status = $4)
+    ORDER BY g.grant_date DESC, g.id DESC
+  `, [targetEntityId, params.shareholder_id || null, params.pool_id || null, params.status ? String(params.status).toUpperCase() : null]);
+
+  return json(200, { success:true, as_of: asOf, grants: result.rows.map(g => decorateGrant(g, asOf)) }, headers);
+}
+
+/* =====================================================
+   GET: Grant Events (grant, exercises, cancellations)
+===================================================== */
+async function handleGrantEvents(event, params) {
+  const auth = await authMiddleware(event);
+  if (auth.statusCode) return auth;
+  const { user, headers } = auth;
+
+  if (!params.grant_id) return json(400, { success:false, error:'grant_id is required' }, headers);
+
+  const grantRes = await query('SELECT id, entity_id FROM equity_grants WHERE id = $1', [params.grant_id]);
+  if (!grantRes.rows.length) return json(404, { success:false, error:'Grant not found' }, headers);
+  if (!enforceEntityScope(user, grantRes.rows[0].entity_id)) {
+    return json(403, { success:false, error:'Forbidden' }, headers);
+  }
+
+  const result = await query(`
+    SELECT e.*, u.email AS created_by_email
+    FROM equity_grant_events e
+    LEFT JOIN users u ON u.id = e.created_by
+    WHERE e.grant_id = $1
+    ORDER BY e.event_date, e.id
+  `, [params.grant_id]);
+
+  return json(200, { success:true, events: result.rows }, headers);
+}
+
+/* =====================================================
+   POST: Create Plan Pool
+   Reserves shares of a class (or series) for future grants.
+   The reserve counts against the authorized limit.
+===================================================== */
+async function handleCreatePool(event) {
+  const auth = await authMiddleware(event);
+  if (auth.statusCode) return auth;
+  const { user, headers } = auth;
+
+  const canManage = requireRole(['SUPER_ADMIN', 'ENTITY_ADMIN'])(user);
+  if (!canManage) return json(403, { success:false, error:'Forbidden' }, headers);
+
+  const body = parseBody(event);
+  const { name, entity_stock_type_id, entity_stock_series_id, notes } = body;
+  const reserved = parseFloat(body.reserved_shares);
+
+  if (!name || !entity_stock_type_id) {
+    return json(400, { success:false, error:'Missing required fields' }, headers);
+  }
+  if (!(reserved > 0)) return json(400, { success:false, error:'reserved_shares must be positive' }, headers);
+  const approvalDate = parseDate(body.board_approval_date, 'board_approval_date');
+  const entityId = user.entity_id;
+
+  let pool;
+  try {
+    pool = await withTransaction(async (client) => {
+      const { stockType, series } = await loadStockClass(client, entityId, entity_stock_type_id, entity_stock_series_id);
+      // Serialize reserve changes for this class before reading headroom
+      await client.query('SELECT id FROM entity_stock_types WHERE id = $1 FOR UPDATE', [stockType.id]);
+
+      const res = await client.query(`
+        INSERT INTO equity_plan_pools (
+          entity_id, entity_stock_type_id, entity_stock_series_id,
+          name, reserved_shares, board_approval_date, notes, created_by
+        ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8)
+        RETURNING *
+      `, [entityId, stockType.id, series ? series.id : null, name, reserved, approvalDate, notes || null, user.id]);
+
+      await assertWithinAuthorized(client, entityId, stockType, series, reserved, 'reserve');
+      return res.rows[0];
+    });
+  } catch (err) {
+    if (err.statusCode === 400) {
+      return json(400, { success:false, error:err.message, error_code:err.error_code, details:err.details }, headers);
+    }
+    throw err;
+  }
+
+  await logAudit({
+    user_id: user.id, user_email: user.email, user_role: user.role,
+    entity_id: entityId, action: 'CREATE_EQUITY_POOL',
+    resource_type: 'EQUITY_POOL', resource_id: pool.id,
+    details: { name, entity_stock_type_id, entity_stock_series_id: pool.entity_stock_series_id, reserved_shares: reserved },
+    ip_address: getClientIp(event),
+  });
+
+  return json(201, { success:true, pool }, headers);
+}
+
+/* =====================================================
+   PUT: Update Plan Pool
+   reserved_shares can't drop below what is already granted;
+   an increase must fit within the authorized limit. A pool
+   with outstanding grants can't be deactivated.
+===================================================== */
+async function handleUpdatePool(event) {
+  const auth = await authMiddleware(event);
+  if (auth.statusCode) return auth;
+  const { user, headers } = auth;
+
+  const canManage = requireRole(['SUPER_ADMIN', 'ENTITY_ADMIN'])(user);
+  if (!canManage) return json(403, { success:false, error:'Forbidden' }, headers);
+
+  const body = parseBody(event);
+  if (!body.pool_id) return json(400, { success:false, error:'pool_id is required' }, headers);
+
+  let result;
+  try {
+    result = await withTransaction(async (client) => {
+      const poolRes = await client.query('SELECT * FROM equity_plan_pools WHERE id = $1 FOR UPDATE', [body.pool_id]);
+      if (!poolRes.rows.length) throw Object.assign(new Error('Pool not found'), { statusCode: 404 });
+      const pool = poolRes.rows[0];
+      if (!enforceEntityScope(user, pool.entity_id)) throw Object.assign(new Error('Forbidden'), { statusCode: 403 });
+
+      const usage = await client.query(`
+        SELECT COALESCE(SUM(shares_granted - cancelled_shares), 0) AS allocated,
+               COALESCE(SUM(shares_granted - exercised_shares - cancelled_shares), 0) AS outstanding
+        FROM equity_grants WHERE pool_id = $1
+      `, [pool.id]);
+      const allocated = parseFloat(usage.rows[0].allocated);
+      const outstanding = parseFloat(usage.rows[0].outstanding);
+
+      const updates = {};
+      if (body.name !== undefined) updates.name = body.name;
+      if (body.notes !== undefined) updates.notes = body.notes || null;
+      if (body.board_approval_date !== undefined) {
+        updates.board_approval_date = parseDate(body.board_approval_date, 'board_approval_date');
+      }
+      if (body.reserved_shares !== undefined) {
+        const reserved = parseFloat(body.reserved_shares);
+        if (!(reserved >= 0)) throw badRequest('reserved_shares must be zero or positive');
+        if (reserved < allocated) {
+          throw badRequest(`reserved_shares cannot be less than the ${allocated.toLocaleString()} shares already granted from this pool`);
+        }
+        updates.reserved_shares = reserved;
+      }
+      if (body.is_active !== undefined) {
+        const active = body.is_active === true || body.is_active === 'true';
+        if (!active && outstanding > 0) {
+          throw badRequest(`Cannot deactivate a pool with ${outstanding.toLocaleString()} shares under outstanding grants`);
+        }
+        updates.is_active = active;
+      }
+
+      const fields = Object.keys(updates);
+      if (!fields.length) throw badRequest('No fields to update');
+
+      const sets = fields.map((f, i) => `${f} = $${i + 2}`);
+      const upd = await client.query(
+        `UPDATE equity_plan_pools SET ${sets.join(', ')}, updated_at = NOW() WHERE id = $1 RETURNING *`,
+        [pool.id, ...fields.map(f => updates[f])]
+      );
+
+      // Re-check headroom when an active pool grows or an inactive one comes back
+      const newReserved = parseFloat(upd.rows[0].reserved_shares);
+      const added = pool.is_active ? newReserved - parseFloat(pool.reserved_shares) : newReserved;
+      if (upd.rows[0].is_active && added > 0) {
+        const { stockType, series } = await loadStockClass(client, pool.entity_id, pool.entity_stock_type_id, pool.entity_stock_series_id);
+        await client.query('SELECT id FROM entity_stock_types WHERE id = $1 FOR UPDATE', [stockType.id]);
+        await assertWithinAuthorized(client, pool.entity_id, stockType, series, added, 'reserve');
+      }
+
+      return { pool: upd.rows[0], previous: pool, updates };
+    });
+  } catch (err) {
+    if (err.statusCode === 400 || err.statusCode === 403 || err.statusCode === 404) {
+      return json(err.statusCode, { success:false, error:err.message, error_code:err.error_code, details:err.details }, headers);
+    }
+    throw err;
+  }
+
+  await logAudit({
+    user_id: user.id, user_email: user.email, user_role: user.role,
+    entity_id: result.pool.entity_id, action: 'UPDATE_EQUITY_POOL',
+    resource_type: 'EQUITY_POOL', resource_id: result.pool.id,
+    details: { changes: result.updates, previous_reserved_shares: result.previous.reserved_shares },
+    ip_address: getClientIp(event),
+  });
+
+  return json(200, { success:true, pool: result.pool }, headers);
+}
+
+/* =====================================================
+   POST: Create Grant
+   OPTION grants (ISO / NSO) are drawn from a plan pool;
+   WARRANTs may be drawn from a pool or stand alone.
+   Optional `vesting` takes the same terms as issue-shares.
+===================================================== */
+async function handleCreateGrant(event) {
+  const auth = await authMiddleware(event);
+  if (auth.statusCode) return auth;
+  const { user, headers } = auth;
+
+  const canManage = requireRole(['SUPER_ADMIN', 'ENTITY_ADMIN'])(user);
+  if (!canManage) return json(403, { success:false, error:'Forbidden' }, headers);
+
+  const body = parseBody(event);
+  const { shareholder_id, pool_id, notes, vesting } = body;
+  const grantType = String(body.grant_type || '').toUpperCase();
+  const optionType = body.option_type ? String(body.option_type).toUpperCase() : null;
+  const sharesNum = parseFloat(body.shares);
+  const strike = parseFloat(body.strike_price);
+
+  if (!shareholder_id || !grantType || body.shares === undefined || body.strike_price === undefined) {
+    return json(400, { success:false, error:'Missing required fields' }, headers);
+  }
+  if (!GRANT_TYPES.includes(grantType)) return json(400, { success:false, error:'grant_type must be OPTION or WARRANT' }, headers);
+  if (grantType === 'OPTION' && !OPTION_TYPES.includes(optionType)) {
+    return json(400, { success:false, error:'option_type must be ISO or NSO' }, headers);
+  }
+  if (grantType === 'WARRANT' && optionType) {
+    return json(400, { success:false, error:'option_type only applies to OPTION grants' }, headers);
+  }
+  if (grantType === 'OPTION' && !pool_id) {
+    return json(400, { success:false, error:'Option grants must be drawn from a plan pool' }, headers);
+  }
+  if (!(sharesNum > 0)) return json(400, { success:false, error:'shares must be positive' }, headers);
+  if (!(strike >= 0)) return json(400, { success:false, error:'strike_price must be zero or positive' }, headers);
+
+  const grantDate = parseDate(body.grant_date, 'grant_date') || toDateStr(new Date());
+  const expirationDate = parseDate(body.expiration_date, 'expiration_date');
+  if (expirationDate && expirationDate <= grantDate) {
+    return json(400, { success:false, error:'expiration_date must be after grant_date' }, headers);
+  }
+
+  let vestingTerms = null;
+  if (vesting) {
+    const v = validateVestingTerms(vesting);
+    if (v.error) return json(400, { success:false, error:v.error }, headers);
+    vestingTerms = v.terms;
+  }
+
+  const entityId = user.entity_id;
+  let grant;
+  try {
+    grant = await withTransaction(async (client) => {
+      const shRes = await client.query(
+        'SELECT id, shareholder_type FROM shareholders WHERE id = $1 AND entity_id = $2',
+        [shareholder_id, entityId]
+      );
+      if (!shRes.rows.length) throw badRequest('Shareholder not found');
+      if (optionType === 'ISO' && shRes.rows[0].shareholder_type && shRes.rows[0].shareholder_type !== 'INDIVIDUAL') {
+        throw badRequest('ISOs can only be granted to individuals');
+      }
+
+      let typeId = body.entity_stock_type_id;
+      let seriesId = body.entity_stock_series_id || null;
+      if (pool_id) {
+        const poolRes = await client.query(
+          'SELECT * FROM equity_plan_pools WHERE id = $1 AND entity_id = $2 FOR UPDATE',
+          [pool_id, entityId]
+        );
+        if (!poolRes.rows.length) throw badRequest('Plan pool not found');
+        const pool = poolRes.rows[0];
+        if (!pool.is_active) throw badRequest('Plan pool is inactive');
+        // Grants from a pool are always over the pool's class
+        typeId = pool.entity_stock_type_id;
+        seriesId = pool.entity_stock_series_id;
+
+        const usage = await client.query(
+          'SELECT COALESCE(SUM(shares_granted - cancelled_shares), 0) AS allocated FROM equity_grants WHERE pool_id = $1',
+          [pool.id]
+        );
+        const available = parseFloat(pool.reserved_shares) - parseFloat(usage.rows[0].allocated);
+        if (sharesNum > available) {
+          throw badRequest(
+            `Cannot grant ${sharesNum.toLocaleString()} shares. Pool "${pool.name}" has ${available.toLocaleString()} shares available.`,
+            { error_code: 'ERR_EXCEEDS_POOL', details: { reserved: parseFloat(pool.reserved_shares), available, requested: sharesNum } }
+          );
+        }
+      }
+      if (!typeId) throw badRequest('entity_stock_type_id is required for a warrant outside a pool');
+      await loadStockClass(client, entityId, typeId, seriesId);
+
+      const res = await client.query(`
+        INSERT INTO equity_grants (
+          entity_id, pool_id, shareholder_id, grant_type, option_type,
+          entity_stock_type_id, entity_stock_series_id, shares_granted, strike_price,
+          grant_date, expiration_date,
+          vesting_start_date, cliff_months, vesting_months, frequency,
+          acceleration_trigger, acceleration_percent, notes, created_by
+        ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19)
+        RETURNING *
+      `, [
+        entityId, pool_id || null, shareholder_id, grantType, optionType,
+        typeId, seriesId, sharesNum, strike,
+        grantDate, expirationDate,
+        vestingTerms ? vestingTerms.vesting_start_date : null,
+        vestingTerms ? vestingTerms.cliff_months : null,
+        vestingTerms ? vestingTerms.vesting_months : null,
+        vestingTerms ? vestingTerms.frequency : null,
+        vestingTerms ? vestingTerms.acceleration_trigger : 'NONE',
+        vestingTerms ? vestingTerms.acceleration_percent : 100,
+        notes || null, user.id,
+      ]);
+      const created = res.rows[0];
+
+      await client.query(`
+        INSERT INTO equity_grant_events (entity_id, grant_id, event_type, event_date, shares, price_per_share, created_by)
+        VALUES ($1,$2,'GRANT',$3,$4,$5,$6)
+      `, [entityId, created.id, grantDate, sharesNum, strike, user.id]);
+
+      return created;
+    });
+  } catch (err) {
+    if (err.statusCode === 400) {
+      return json(400, { success:false, error:err.message, error_code:err.error_code, details:err.details }, headers);
+    }
+    throw err;
+  }
+
+  await logAudit({
+    user_id: user.id, user_email: user.email, user_role: user.role,
+    entity_id: entityId, action: 'CREATE_GRANT',
+    resource_type: 'EQUITY_GRANT', resource_id: grant.id,
+    details: {
+      shareholder_id, pool_id: pool_id || null, grant_type: grantType, option_type: optionType,
+      shares: sharesNum, strike_price: strike, grant_date: grantDate, expiration_date: expirationDate,
+      vesting: vestingTerms,
+    },
+    ip_address: getClientIp(event),
+  });
+
+  return json(201, { success:true, grant: decorateGrant(grant, toDateStr(new Date())) }, headers);
+}
+
+/* =====================================================
+   POST: Exercise Grant
+   Issues the exercised shares to the grantee as an
+   ISSUANCE, the same way issue-shares does (including the
+   auto-generated certificate). Only vested, unexpired
+   shares can be exercised. Shares exercised from a pool
+   move from "reserved" to "issued", so they don't use new
+   authorized headroom; standalone warrants do.
+===================================================== */
+async function handleExerciseGrant(event) {
+  const auth = await authMiddleware(event);
+  if (auth.statusCode) return auth;
+  const { user, headers } = auth;
+
+  const canManage = requireRole(['SUPER_ADMIN', 'ENTITY_ADMIN'])(user);
+  if (!canManage) return json(403, { success:false, error:'Forbidden' }, headers);
+
+  const body = parseBody(event);
+  const { grant_id, certificate_number, notes } = body;
+  const sharesNum = parseFloat(body.shares);
+
+  if (!grant_id || body.shares === undefined) {
+    return json(400, { success:false, error:'Missing required fields' }, headers);
+  }
+  if (!(sharesNum > 0)) return json(400, { success:false, error:'shares must be positive' }, headers);
+  const exerciseDate = parseDate(body.exercise_date, 'exercise_date') || toDateStr(new Date());
+  const entityId = user.entity_id;
+
+  let result;
+  try {
+    result = await withTransaction(async (client) => {
+      const grantRes = await client.query(
+        'SELECT * FROM equity_grants WHERE id = $1 AND entity_id = $2 FOR UPDATE',
+        [grant_id, entityId]
+      );
+      if (!grantRes.rows.length) throw badRequest('Grant not found');
+      const grant = grantRes.rows[0];
+
+      if (grant.status !== 'ACTIVE') throw badRequest(`Grant is ${grant.status.toLowerCase()}`);
+      if (exerciseDate < toDateStr(grant.grant_date)) throw badRequest('exercise_date cannot be before grant_date');
+      if (grant.expiration_date && exerciseDate > toDateStr(grant.expiration_date)) {
+        throw badRequest(`Grant expired on ${toDateStr(grant.expiration_date)}`);
+      }
+
+      const exercisable = exercisableShares(grant, grantVesting(grant, exerciseDate));
+      if (sharesNum > exercisable) {
+        throw badRequest(
+          `Cannot exercise ${sharesNum.toLocaleString()} shares. ${exercisable.toLocaleString()} shares are vested and exercisable on ${exerciseDate}.`,
+          { error_code: 'ERR_EXCEEDS_EXERCISABLE', details: { exercisable, requested: sharesNum } }
+        );
+      }
+
+      const { stockType, series } = await loadStockClass(client, entityId, grant.entity_stock_type_id, grant.entity_stock_series_id);
+      await client.query('SELECT id FROM entity_stock_types WHERE id = $1 FOR UPDATE', [stockType.id]);
+
+      const strike = parseFloat(grant.strike_price);
+      const consideration = body.total_consideration !== undefined && body.total_consideration !== null && body.total_consideration !== ''
+        ? parseFloat(body.total_consideration)
+        : Math.round(sharesNum * strike * 100) / 100;
+      if (!(consideration >= 0)) throw badRequest('total_consideration must be zero or positive');
+
+      const label = grant.grant_type === 'OPTION' ? `${grant.option_type} option` : 'warrant';
+      const issuance = await insertIssuance(client, {
+        entityId,
+        shareholderId: grant.shareholder_id,
+        entityStockTypeId: grant.entity_stock_type_id,
+        entityStockSeriesId: grant.entity_stock_series_id,
+        shares: sharesNum,
+        transactionDate: exerciseDate,
+        certificateNumber: certificate_number,
+        notes: `Exercise of ${label} grant #${grant.id} at ${strike}${notes ? ` — ${notes}` : ''}`,
+        pricePerShare: strike,
+        createdBy: user.id,
+      });
+
+      // Basis is what was paid; any spread taxed as income on exercise isn't known here
+      await createLot(client, {
+        entityId,
+        shareholderId: grant.shareholder_id,
+        entityStockTypeId: grant.entity_stock_type_id,
+        entityStockSeriesId: grant.entity_stock_series_id,
+        sourceType: 'EXERCISE',
+        sourceTransactionId: issuance.id,
+        acquisitionDate: exerciseDate,
+        shares: sharesNum,
+        basisPerShare: Math.round((consideration / sharesNum) * 1e6) / 1e6,
+        createdBy: user.id,
+      });
+
+      const exercisedTotal = parseFloat(grant.exercised_shares) + sharesNum;
+      const fullyUsed = exercisedTotal + parseFloat(grant.cancelled_shares) >= parseFloat(grant.shares_granted);
+      const upd = await client.query(`
+        UPDATE equity_grants
+        SET exercised_shares = $2, status = $3, updated_at = NOW()
+        WHERE id = $1
+        RETURNING *
+      `, [grant.id, exercisedTotal, fullyUsed ? 'EXERCISED' : 'ACTIVE']);
+
+      const evRes = await client.query(`
+        INSERT INTO equity_grant_events (
+          entity_id, grant_id, event_type, event_date, shares,
+          price_per_share, total_consideration, share_transaction_id, notes, created_by
+        ) VALUES ($1,$2,'EXERCISE',$3,$4,$5,$6,$7,$8,$9)
+        RETURNING *
+      `, [entityId, grant.id, exerciseDate, sharesNum, strike, consideration, issuance.id, notes || null, user.id]);
+
+      // Checked after the updates so a pool exercise nets reserved against issued
+      await assertWithinAuthorized(client, entityId, stockType, series, sharesNum, 'exercise');
+
+      // Certificate in the same transaction, so a signer out of term rejects the exercise
+      const certificate = await autoGenerateCertificateWithClient(client, {
+        entityId,
+        shareholderId: grant.shareholder_id,
+        shareTransactionId: issuance.id,
+        entityStockTypeId: grant.entity_stock_type_id,
+        entityStockSeriesId: grant.entity_stock_series_id || null,
+        shares: sharesNum,
+        issueDate: exerciseDate,
+        createdBy: user.id,
+      });
+
+      return { grant: upd.rows[0], issuance, exercise: evRes.rows[0], certificate };
+    });
+  } catch (err) {
+    if (err.statusCode === 400) {
+      return json(400, { success:false, error:err.message, error_code:err.error_code, details:err.details }, headers);
+    }
+    throw err;
+  }
+
+  const { grant, issuance, exercise, certificate } = result;
+
+  await logAudit({
+    user_id: user.id, user_email: user.email, user_role: user.role,
+    entity_id: entityId, action: 'ISSUE_SHARES',
+    resource_type: 'SHARE_TRANSACTION', resource_id: issuance.id,
+    details: { shareholder_id: grant.shareholder_id, entity_stock_type_id: grant.entity_stock_type_id, shares: sharesNum, certificate_number, grant_id: grant.id },
+    ip_address: getClientIp(event),
+  });
+  await logAudit({
+    user_id: user.id, user_email: user.email, user_role: user.role,
+    entity_id: entityId, action: 'EXERCISE_GRANT',
+    resource_type: 'EQUITY_GRANT', resource_id: grant.id,
+    details: {
+      shares: sharesNum, exercise_date: exerciseDate, strike_price: exercise.price_per_share,
+      total_consideration: exercise.total_consideration, share_transaction_id: issuance.id,
+    },
+    ip_address: getClientIp(event),
+  });
+
+  await logAudit({
+    user_id: user.id, user_email: user.email, user_role: user.role,
+    entity_id: entityId, action: 'AUTO_GENERATE_CERTIFICATE',
+    resource_type: 'STOCK_CERTIFICATE', resource_id: certificate.id,
+    details: { certificate_number: certificate.certificate_number, shareholder_id: grant.shareholder_id, shares: sharesNum, trigger: 'GRANT_EXERCISE' },
+    ip_address: getClientIp(event),
+  });
+
+  try {
+    certificate.pdf_path = await storeCertificatePdf(certificate.id);
+  } catch (pdfErr) {
+    console.error('Exercise certificate PDF generation error (non-fatal):', pdfErr.message);
+  }
+
+  return json(201, {
+    success: true,
+    grant: decorateGrant(grant, exerciseDate),
+    exercise,
+    transaction: issuance,
+    certificate,
+  }, headers);
+}
+
+/* =====================================================
+   POST: Cancel Grant
+   Cancels unexercised shares (all of them by default).
+   Cancelled pool shares go back to the pool.
+===================================================== */
+async function handleCancelGrant(event) {
+  const auth = await authMiddleware(event);
+  if (auth.statusCode) return auth;
+  const { user, headers } = auth;
+
+  const canManage = requireRole(['SUPER_ADMIN', 'ENTITY_ADMIN'])(user);
+  if (!canManage) return json(403, { success:false, error:'Forbidden' }, headers);
+
+  const body = parseBody(event);
+  const { grant_id, notes } = body;
+  if (!grant_id) return json(400, { success:false, error:'grant_id is required' }, headers);
+
+  const reason = String(body.reason || 'OTHER').toUpperCase();
+  if (!CANCELLATION_REASONS.includes(reason)) {
+    return json(400, { success:false, error:`reason must be one of ${CANCELLATION_REASONS.join(', ')}` }, headers);
+  }
+  const cancelDate = parseDate(body.cancellation_date, 'cancellation_date') || toDateStr(new Date());
+  const entityId = user.entity_id;
+
+  let result;
+  try {
+    result = await withTransaction(async (client) => {
+      const grantRes = await client.query(
+        'SELECT * FROM equity_grants WHERE id = $1 AND entity_id = $2 FOR UPDATE',
+        [grant_id, entityId]
+      );
+      if (!grantRes.rows.length) throw badRequest('Grant not found');
+      const grant = grantRes.rows[0];
+      if (grant.status !== 'ACTIVE') throw badRequest(`Grant is ${grant.status.toLowerCase()}`);
+
+      const remaining = parseFloat(grant.shares_granted) - parseFloat(grant.exercised_shares) - parseFloat(grant.cancelled_shares);
+      const sharesNum = body.shares !== undefined && body.shares !== null && body.shares !== ''
+        ? parseFloat(body.shares)
+        : remaining;
+      if (!(sharesNum > 0)) throw badRequest('shares must be positive');
+      if (sharesNum > remaining) {
+        throw badRequest(`Cannot cancel ${sharesNum.toLocaleString()} shares. ${remaining.toLocaleString()} shares remain unexercised.`);
+      }
+
+      const cancelledTotal = parseFloat(grant.cancelled_shares) + sharesNum;
+      const fullyUsed = sharesNum >= remaining;
+      const upd = await client.query(`
+        UPDATE equity_grants
+        SET cancelled_shares = $2,
+            status = $3,
+            updated_at = NOW()
+        WHERE id = $1
+        RETURNING *
+      `, [
+        grant.id, cancelledTotal,
+        !fullyUsed ? 'ACTIVE' : parseFloat(grant.exercised_shares) > 0 ? 'EXERCISED' : 'CANCELLED',
+      ]);
+
+      const evRes = await client.query(`
+        INSERT INTO equity_grant_events (entity_id, grant_id, event_type, event_date, shares, reason, notes, created_by)
+        VALUES ($1,$2,'CANCELLATION',$3,$4,$5,$6,$7)
+        RETURNING *
+      `, [entityId, grant.id, cancelDate, sharesNum, reason, notes || null, user.id]);
+
+      return { grant: upd.rows[0], cancellation: evRes.rows[0] };
+    });
+  } catch (err) {
+    if (err.statusCode === 400) return json(400, { success:false, error:err.message }, headers);
+    throw err;
+  }
+
+  await logAudit({
+    user_id: user.id, user_email: user.email, user_role: user.role,
+    entity_id: entityId, action: 'CANCEL_GRANT',
+    resource_type: 'EQUITY_GRANT', resource_id: result.grant.id,
+    details: { shares: parseFloat(result.cancellation.shares), reason, cancellation_date: cancelDate },
+    ip_address: getClientIp(event),
+  });
+
+  return json(200, {
+    success: true,
+    grant: decorateGrant(result.grant, cancelDate),
+    cancellation: result.cancellation,
+  }, headers);
+}
@@ -0,0 +1,655 @@
+// api/netlify-functions/instruments.js
+// Convertible instruments register (SAFEs / convertible notes) and
+// conversion into a priced round's series.
+const { query, withTransaction } = require('./utils/db');
+const { authMiddleware, requireRole, enforceEntityScope } = require('./middleware/auth');
+const { logAudit, getClientIp } = require('./utils/auditLog');
+const { autoGenerateCertificateWithClient, storeCertificatePdf } = require('./utils/certificateUtils');
+const { toDateStr } = require('./utils/vestingUtils');
+const { loadStockClass, assertWithinAuthorized, insertIssuance } = require('./utils/issuanceUtils');
+const { createLot } = require('./utils/taxLotUtils');
+
+const INSTRUMENT_TYPES = ['SAFE', 'CONVERTIBLE_NOTE'];
+const EDITABLE_FIELDS = [
+  'principal', 'interest_rate', 'valuation_cap', 'discount_percent',
+  'is_mfn', 'issue_date', 'maturity_date', 'notes',
+];
+
+function json(statusCode, body, extraHeaders = {}) {
+  return {
+    statusCode,
+    headers: { 'Content-Type': 'application/json', ...extraHeaders },
+    body: JSON.stringify(body),
+  };
+}
+
+function parseBody(event) {
+  if (!event.body) return {};
+  try { return JSON.parse(event.body); }
+  catch { throw new Error('Invalid JSON body'); }
+}
+
+// Validate an optional date field (YYYY-MM-DD). Returns null when absent.
+function parseDate(value, field) {
+  if (!value) return null;
+  const v = String(value).trim();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(v) || isNaN(new Date(v).getTime())) {
+    throw Object.assign(new Error(`${field} must be a date in YYYY-MM-DD format`), { statusCode: 400 });
+  }
+  return v;
+}
+
+function badRequest(message, extra = {}) {
+  return Object.assign(new Error(message), { statusCode: 400, ...extra });
+}
+
+function isBlank(v) {
+  return v === undefined || v === null || v === '';
+}
+
+// Normalise register fields from a request body. Only keys present in `input`
+// are returned, so the same function serves create and update.
+function validateInstrumentFields(input) {
+  const out = {};
+  if ('principal' in input) {
+    out.principal = parseFloat(input.principal);
+    if (!(out.principal > 0)) throw badRequest('principal must be positive');
+  }
+  if ('interest_rate' in input) {
+    out.interest_rate = isBlank(input.interest_rate) ? 0 : parseFloat(input.interest_rate);
+    if (!(out.interest_rate >= 0)) throw badRequest('interest_rate must be zero or positive');
+  }
+  if ('valuation_cap' in input) {
+    out.valuation_cap = isBlank(input.valuation_cap) ? null : parseFloat(input.valuation_cap);
+    if (out.valuation_cap !== null && !(out.valuation_cap > 0)) throw badRequest('valuation_cap must be positive');
+  }
+  if ('discount_percent' in input) {
+    out.discount_percent = isBlank(input.discount_percent) ? 0 : parseFloat(input.discount_percent);
+    if (!(out.discount_percent >= 0 && out.discount_percent < 100)) {
+      throw badRequest('discount_percent must be between 0 and 100');
+    }
+  }
+  if ('is_mfn' in input) out.is_mfn = input.is_mfn === true || input.is_mfn === 'true';
+  if ('issue_date' in input) out.issue_date = parseDate(input.issue_date, 'issue_date');
+  if ('maturity_date' in input) out.maturity_date = parseDate(input.maturity_date, 'maturity_date');
+  if ('notes' in input) out.notes = input.notes || null;
+  return out;
+}
+
+// Simple (non-compounding) interest on a note, actual/365, to the given date.
+function accruedInterest(instrument, asOf) {
+  if (instrument.instrument_type !== 'CONVERTIBLE_NOTE') return 0;
+  const rate = parseFloat(instrument.interest_rate || 0);
+  const days = Math.max(0, Math.round((new Date(toDateStr(asOf)) - new Date(toDateStr(instrument.issue_date))) / 86400000));
+  return Math.round(parseFloat(instrument.principal) * (rate / 100) * (days / 365) * 100) / 100;
+}
+
+/**
+ * Conversion terms for one instrument at a priced round.
+ * The conversion price is the lowest of the round price, the discounted round
+ * price and the cap price (valuation cap / pre-money capitalization). An MFN
+ * instrument takes the best cap and discount of any instrument issued after it.
+ * @param {Object} instrument - convertible_instruments row
+ * @param {Object} round - { price, capitalization, conversionDate }
+ * @param {Object[]} register - all non-cancelled instruments of the entity (for MFN)
+ * @returns {Object}
+ */
+function computeConversion(instrument, round, register) {
+  let cap = instrument.valuation_cap !== null ? parseFloat(instrument.valuation_cap) : null;
+  let discount = parseFloat(instrument.discount_percent || 0);
+
+  if (instrument.is_mfn) {
+    const issued = toDateStr(instrument.issue_date);
+    register
+      .filter(o => o.id !== instrument.id && toDateStr(o.issue_date) > issued)
+      .forEach(o => {
+        if (o.valuation_cap !== null && (cap === null || parseFloat(o.valuation_cap) < cap)) cap = parseFloat(o.valuation_cap);
+        if (parseFloat(o.discount_percent || 0) > discount) discount = parseFloat(o.discount_percent);
+      });
+  }
+
+  const principal = parseFloat(instrument.principal);
+  const interest = accruedInterest(instrument, round.conversionDate);
+  const amount = Math.round((principal + interest) * 100) / 100;
+
+  const capPrice = cap !== null ? Math.round((cap / round.capitalization) * 1e6) / 1e6 : null;
+  const discountPrice = discount > 0 ? Math.round(round.price * (1 - discount / 100) * 1e6) / 1e6 : null;
+
+  let conversionPrice = round.price;
+  let priceBasis = 'ROUND';
+  if (discountPrice !== null && discountPrice < conversionPrice) {
+    conversionPrice = discountPrice;
+    priceBasis = 'DISCOUNT';
+  }
+  if (capPrice !== null && capPrice < conversionPrice) {
+    conversionPrice = capPrice;
+    priceBasis = 'CAP';
+  }
+
+  // Fractional shares are rounded down
+  const shares = Math.floor(Math.round((amount / conversionPrice) * 1e6) / 1e6);
+
+  return {
+    instrument_id: instrument.id,
+    shareholder_id: instrument.shareholder_id,
+    shareholder_name: instrument.shareholder_name,
+    instrument_type: instrument.instrument_type,
+    principal,
+    accrued_interest: interest,
+    conversion_amount: amount,
+    valuation_cap: cap,
+    discount_percent: discount,
+    cap_price: capPrice,
+    discount_price: discountPrice,
+    conversion_price: conversionPrice,
+    price_basis: priceBasis,
+    shares,
+  };
+}
+
+/**
+ * Build the conversion plan for a round. With a transaction client and
+ * lock = true the instruments being converted are locked FOR UPDATE.
+ * @returns {Object} { stockType, series, instruments, holders, totals }
+ */
+async function buildConversionPlan(db, entityId, round, { instrumentIds, lock = false }) {
+  const seriesRes = await db.query(`
+    SELECT ess.id, ess.entity_stock_type_id
+    FROM entity_stock_series ess
+    JOIN entity_stock_types est ON est.id = ess.entity_stock_type_id
+    WHERE ess.id = $1 AND est.entity_id = $2
+  `, [round.seriesId, entityId]);
+  if (!seriesRes.rows.length) throw badRequest('Invalid target series');
+  const { stockType, series } = await loadStockClass(db, entityId, seriesRes.rows[0].entity_stock_type_id, round.seriesId);
+
+  const registerRes = await db.query(`
+    SELECT ci.*, sh.full_name AS shareholder_name
+    FROM convertible_instruments ci
+    JOIN shareholders sh ON sh.id = ci.shareholder_id
+    WHERE ci.entity_id = $1 AND ci.status <> 'CANCELLED'
+    ORDER BY ci.issue_date, ci.id
+  `, [entityId]);
+  const register = registerRes.rows;
+
+  const targetRes = await db.query(`
+    SELECT id
+    FROM convertible_instruments
+    WHERE entity_id = $1
+      AND status = 'OUTSTANDING'
+      AND ($2::int[] IS NULL OR id = ANY($2::int[]))
+    ORDER BY issue_date, id
+    ${lock ? 'FOR UPDATE' : ''}
+  `, [entityId, instrumentIds]);
+  const targetIds = new Set(targetRes.rows.map(r => r.id));
+
+  if (instrumentIds) {
+    const missing = instrumentIds.filter(id => !targetIds.has(id));
+    if (missing.length) throw badRequest(`Instruments not found or not outstanding: ${missing.join(', ')}`);
+  }
+  if (!targetIds.size) throw badRequest('No outstanding instruments to convert');
+
+  const instruments = register
+    .filter(i => targetIds.has(i.id))
+    .map(i => {
+      if (toDateStr(i.issue_date) > round.conversionDate) {
+        throw badRequest(`Instrument #${i.id} was issued after the conversion date`);
+      }
+      return computeConversion(i, round, register);
+    });
+
+  const holderMap = new Map();
+  instruments.forEach(c => {
+    if (!holderMap.has(c.shareholder_id)) {
+      holderMap.set(c.shareholder_id, {
+        shareholder_id: c.shareholder_id,
+        shareholder_name: c.shareholder_name,
+        instrument_ids: [],
+        conversion_amount: 0,
+        shares: 0,
+      });
+    }
+    const h = holderMap.get(c.shareholder_id);
+    h.instrument_ids.push(c.instrument_id);
+    h.conversion_amount = Math.round((h.conversion_amount + c.conversion_amount) * 100) / 100;
+    h.shares += c.shares;
+  });
+  const holders = Array.from(holderMap.values());
+
+  return {
+    stockType,
+    series,
+    instruments,
+    holders,
+    totals: {
+      instruments: instruments.length,
+      holders: holders.length,
+      conversion_amount: Math.round(instruments.reduce((s, c) => s + c.conversion_amount, 0) * 100) / 100,
+      shares: instruments.reduce((s, c) => s + c.shares, 0),
+    },
+  };
+}
+
+/* =====================================================
+   HANDLER
+===================================================== */
+exports.handler = async (event) => {
+  const params = event.queryStringParameters || {};
+  const action = params.action;
+
+  try {
+    if (event.httpMethod === 'GET') {
+      if (action === 'list-instruments') return await handleListInstruments(event, params);
+      return json(400, { success:false, error:'Invalid action' });
+    }
+
+    if (event.httpMethod === 'POST') {
+      if (action === 'create-instrument') return await handleCreateInstrument(event);
+      if (action === 'cancel-instrument') return await handleCancelInstrument(event);
+      if (action === 'convert-instruments') return await handleConvertInstruments(event);
+      return json(400, { success:false, error:'Invalid action' });
+    }
+
+    if (event.httpMethod === 'PUT') {
+      if (action === 'update-instrument') return await handleUpdateInstrument(event);
+      return json(400, { success:false, error:'Invalid action' });
+    }
+
+    return json(405, { success:false, error:'Method not allowed' });
+  } catch (e) {
+    if (e.statusCode === 400) return json(400, { success:false, error:e.message });
+    console.error('INSTRUMENTS ERROR:', e);
+    return json(500, { success:false, error:e.message });
+  }
+};
+
+/* =====================================================
+   GET: Instruments Register
+   Filters: shareholder_id, status. Accrued note interest
+   is computed as of today (or as_of).
+===================================================== */
+async function handleListInstruments(event, params) {
+  const auth = await authMiddleware(event);
+  if (auth.statusCode) return auth;
+  const { user, headers } = auth;
+
+  const targetEntityId = user.role === 'SUPER_ADMIN' && params.entity_id ? params.entity_id : user.entity_id;
+  const asOf = parseDate(params.as_of, 'as_of') || toDateStr(new Date());
+
+  const result = await query(`
+    SELECT ci.*,
+           sh.full_name AS shareholder_name,
+           ess.series AS converted_series
+    FROM convertible_instruments ci
+    JOIN shareholders sh ON sh.id = ci.shareholder_id
+    LEFT JOIN entity_stock_series ess ON ess.id = ci.converted_entity_stock_series_id
+    WHERE ci.entity_id = $1
+      AND ($2::bigint IS NULL OR ci.shareholder_id = $2)
+      AND ($3::text IS NULL OR ci.status = $3)
+    ORDER BY ci.issue_date, ci.id
+  `, [targetEntityId, params.shareholder_id || null, params.status ? String(params.status).toUpperCase() : null]);
+
+  const instruments = result.rows.map(i => ({
+    ...i,
+    accrued_interest: i.status === 'OUTSTANDING' ? accruedInterest(i, asOf) : null,
+  }));
+  return json(200, { success:true, as_of: asOf, instruments }, headers);
+}
+
+/* =====================================================
+   POST: Create Instrument
+===================================================== */
+async function handleCreateInstrument(event) {
+  const auth = await authMiddleware(event);
+  if (auth.statusCode) return auth;
+  const { user, headers } = auth;
+
+  const canManage = requireRole(['SUPER_ADMIN', 'ENTITY_ADMIN'])(user);
+  if (!canManage) return json(403, { success:false, error:'Forbidden' }, headers);
+
+  const body = parseBody(event);
+  const instrumentType = String(body.instrument_type || '').toUpperCase();
+
+  if (!body.shareholder_id || !instrumentType || isBlank(body.principal) || !body.issue_date) {
+    return json(400, { success:false, error:'Missing required fields' }, headers);
+  }
+  if (!INSTRUMENT_TYPES.includes(instrumentType)) {
+    return json(400, { success:false, error:'instrument_type must be SAFE or CONVERTIBLE_NOTE' }, headers);
+  }
+
+  const fields = validateInstrumentFields({ ...body });
+  if (instrumentType === 'SAFE' && fields.interest_rate) {
+    return json(400, { success:false, error:'SAFEs do not accrue interest' }, headers);
+  }
+  if (fields.maturity_date && fields.maturity_date <= fields.issue_date) {
+    return json(400, { success:false, error:'maturity_date must be after issue_date' }, headers);
+  }
+
+  const entityId = user.entity_id;
+  const shRes = await query('SELECT id FROM shareholders WHERE id = $1 AND entity_id = $2', [body.shareholder_id, entityId]);
+  if (!shRes.rows.length) return json(400, { success:false, error:'Shareholder not found' }, headers);
+
+  const result = await query(`
+    INSERT INTO convertible_instruments (
+      entity_id, shareholder_id, instrument_type, principal, interest_rate,
+      valuation_cap, discount_percent, is_mfn, issue_date, maturity_date, notes, created_by
+    ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12)
+    RETURNING *
+  `, [
+    entityId, body.shareholder_id, instrumentType, fields.principal, fields.interest_rate ?? 0,
+    fields.valuation_cap ?? null, fields.discount_percent ?? 0, fields.is_mfn ?? false,
+    fields.issue_date, fields.maturity_date ?? null, fields.notes ?? null, user.id,
+  ]);
+  const instrument = result.rows[0];
+
+  await logAudit({
+    user_id: user.id, user_email: user.email, user_role: user.role,
+    entity_id: entityId, action: 'CREATE_INSTRUMENT',
+    resource_type: 'CONVERTIBLE_INSTRUMENT', resource_id: instrument.id,
+    details: { shareholder_id: body.shareholder_id, instrument_type: instrumentType, ...fields },
+    ip_address: getClientIp(event),
+  });
+
+  return json(201, { success:true, instrument }, headers);
+}
+
+/* =====================================================
+   PUT: Update Instrument (outstanding only)
+===================================================== */
+async function handleUpdateInstrument(event) {
+  const auth = await authMiddleware(event);
+  if (auth.statusCode) return auth;
+  const { user, headers } = auth;
+
+  const canManage = requireRole(['SUPER_ADMIN', 'ENTITY_ADMIN'])(user);
+  if (!canManage) return json(403, { success:false, error:'Forbidden' }, headers);
+
+  const body = parseBody(event);
+  if (!body.instrument_id) return json(400, { success:false, error:'instrument_id is required' }, headers);
+
+  const existingRes = await query('SELECT * FROM convertible_instruments WHERE id = $1', [body.instrument_id]);
+  if (!existingRes.rows.length) return json(404, { success:false, error:'Instrument not found' }, headers);
+  const existing = existingRes.rows[0];
+
+  if (!enforceEntityScope(user, existing.entity_id)) {
+    return json(403, { success:false, error:'Forbidden' }, headers);
+  }
+  if (existing.status !== 'OUTSTANDING') {
+    return json(400, { success:false, error:`Instrument is ${existing.status.toLowerCase()}` }, headers);
+  }
+
+  const input = {};
+  EDITABLE_FIELDS.forEach(f => { if (body[f] !== undefined) input[f] = body[f]; });
+  const updates = validateInstrumentFields(input);
+  const fields = Object.keys(updates);
+  if (!fields.length) return json(400, { success:false, error:'No fields to update' }, headers);
+
+  if ('issue_date' in updates && !updates.issue_date) {
+    return json(400, { success:false, error:'issue_date cannot be cleared' }, headers);
+  }
+  if (existing.instrument_type === 'SAFE' && updates.interest_rate) {
+    return json(400, { success:false, error:'SAFEs do not accrue interest' }, headers);
+  }
+  const issueDate = updates.issue_date || toDateStr(existing.issue_date);
+  const maturityDate = 'maturity_date' in updates ? updates.maturity_date : toDateStr(existing.maturity_date);
+  if (maturityDate && maturityDate <= issueDate) {
+    return json(400, { success:false, error:'maturity_date must be after issue_date' }, headers);
+  }
+
+  const sets = fields.map((f, i) => `${f} = $${i + 2}`);
+  const result = await query(
+    `UPDATE convertible_instruments SET ${sets.join(', ')}, updated_at = NOW() WHERE id = $1 RETURNING *`,
+    [existing.id, ...fields.map(f => updates[f])]
+  );
+
+  await logAudit({
+    user_id: user.id, user_email: user.email, user_role: user.role,
+    entity_id: existing.entity_id, action: 'UPDATE_INSTRUMENT',
+    resource_type: 'CONVERTIBLE_INSTRUMENT', resource_id: existing.id,
+    details: { changes: updates },
+    ip_address: getClientIp(event),
+  });
+
+  return json(200, { success:true, instrument: result.rows[0] }, headers);
+}
+
+/* =====================================================
+   POST: Cancel Instrument (e.g. repaid note)
+===================================================== */
+async function handleCancelInstrument(event) {
+  const auth = await authMiddleware(event);
+  if (auth.statusCode) return auth;
+  const { user, headers } = auth;
+
+  const canManage = requireRole(['SUPER_ADMIN', 'ENTITY_ADMIN'])(user);
+  if (!canManage) return json(403, { success:false, error:'Forbidden' }, headers);
+
+  const body = parseBody(event);
+  if (!body.instrument_id) return json(400, { success:false, error:'instrument_id is required' }, headers);
+
+  const result = await query(`
+    UPDATE convertible_instruments
+    SET status = 'CANCELLED',
+        notes = COALESCE($3, notes),
+        updated_at = NOW()
+    WHERE id = $1 AND entity_id = $2 AND status = 'OUTSTANDING'
+    RETURNING *
+  `, [body.instrument_id, user.entity_id, body.notes || null]);
+
+  if (!result.rows.length) {
+    return json(400, { success:false, error:'Instrument not found or not outstanding' }, headers);
+  }
+
+  await logAudit({
+    user_id: user.id, user_email: user.email, user_role: user.role,
+    entity_id: user.entity_id, action: 'CANCEL_INSTRUMENT',
+    resource_type: 'CONVERTIBLE_INSTRUMENT', resource_id: result.rows[0].id,
+    details: { notes: body.notes || null },
+    ip_address: getClientIp(event),
+  });
+
+  return json(200, { success:true, instrument: result.rows[0] }, headers);
+}
+
+/* =====================================================
+   POST: Convert Instruments at a Priced Round
+   Body: entity_stock_series_id (the round's series),
+   price_per_share, pre_money_valuation, optional
+   pre_money_shares (defaults to pre-money / price),
+   conversion_date, instrument_ids (default: all
+   outstanding) and preview.
+   preview = true returns the per-instrument and per-holder
+   conversion without writing anything. Otherwise each
+   holder gets one ISSUANCE (and certificate) for the sum
+   of their converted instruments.
+===================================================== */
+async function handleConvertInstruments(event) {
+  const auth = await authMiddleware(event);
+  if (auth.statusCode) return auth;
+  const { user, headers } = auth;
+
+  const canManage = requireRole(['SUPER_ADMIN', 'ENTITY_ADMIN'])(user);
+  if (!canManage) return json(403, { success:false, error:'Forbidden' }, headers);
+
+  const body = parseBody(event);
+  const preview = body.preview === true || body.preview === 'true';
+  const price = parseFloat(body.price_per_share);
+  const preMoney = parseFloat(body.pre_money_valuation);
+
+  if (!body.entity_stock_series_id || isBlank(body.price_per_share) || isBlank(body.pre_money_valuation)) {
+    return json(400, { success:false, error:'Missing required fields' }, headers);
+  }
+  if (!(price > 0)) return json(400, { success:false, error:'price_per_share must be positive' }, headers);
+  if (!(preMoney > 0)) return json(400, { success:false, error:'pre_money_valuation must be positive' }, headers);
+
+  const preMoneyShares = isBlank(body.pre_money_shares) ? preMoney / price : parseFloat(body.pre_money_shares);
+  if (!(preMoneyShares > 0)) return json(400, { success:false, error:'pre_money_shares must be positive' }, headers);
+
+  let instrumentIds = null;
+  if (body.instrument_ids !== undefined && body.instrument_ids !== null) {
+    if (!Array.isArray(body.instrument_ids) || !body.instrument_ids.length) {
+      return json(400, { success:false, error:'instrument_ids must be a non-empty array' }, headers);
+    }
+    instrumentIds = body.instrument_ids.map(id => parseInt(id));
+    if (instrumentIds.some(id => !(id > 0))) {
+      return json(400, { success:false, error:'instrument_ids must be instrument ids' }, headers);
+    }
+  }
+
+  const entityId = user.entity_id;
+  const round = {
+    seriesId: body.entity_stock_series_id,
+    price,
+    preMoney,
+    capitalization: preMoneyShares,
+    conversionDate: parseDate(body.conversion_date, 'conversion_date') || toDateStr(new Date()),
+  };
+  const roundInfo = {
+    entity_stock_series_id: round.seriesId,
+    price_per_share: price,
+    pre_money_valuation: preMoney,
+    pre_money_shares: preMoneyShares,
+    conversion_date: round.conversionDate,
+  };
+
+  if (preview) {
+    let plan;
+    try {
+      plan = await buildConversionPlan({ query }, entityId, round, { instrumentIds });
+    } catch (err) {
+      if (err.statusCode === 400) return json(400, { success:false, error:err.message }, headers);
+      throw err;
+    }
+    return json(200, {
+      success: true,
+      preview: true,
+      round: roundInfo,
+      instruments: plan.instruments,
+      holders: plan.holders,
+      totals: plan.totals,
+    }, headers);
+  }
+
+  const auditEntries = [];
+  let result;
+  try {
+    result = await withTransaction(async (client) => {
+      const plan = await buildConversionPlan(client, entityId, round, { instrumentIds, lock: true });
+      const { stockType, series } = plan;
+      await client.query('SELECT id FROM entity_stock_types WHERE id = $1 FOR UPDATE', [stockType.id]);
+
+      const issued = [];
+      for (const holder of plan.holders) {
+        if (!(holder.shares > 0)) continue;
+
+        const issuance = await insertIssuance(client, {
+          entityId,
+          shareholderId: holder.shareholder_id,
+          entityStockTypeId: stockType.id,
+          entityStockSeriesId: series.id,
+          shares: holder.shares,
+          transactionDate: round.conversionDate,
+          notes: `Conversion of instrument${holder.instrument_ids.length > 1 ? 's' : ''} #${holder.instrument_ids.join(', #')} at priced round (${price} per share)`,
+          createdBy: user.id,
+        });
+        // The converted amount (principal plus any accrued interest) is the basis of the new shares
+        await createLot(client, {
+          entityId,
+          shareholderId: holder.shareholder_id,
+          entityStockTypeId: stockType.id,
+          entityStockSeriesId: series.id,
+          sourceType: 'ISSUANCE',
+          sourceTransactionId: issuance.id,
+          acquisitionDate: round.conversionDate,
+          shares: holder.shares,
+          basisPerShare: Math.round((holder.conversion_amount / holder.shares) * 1e6) / 1e6,
+          createdBy: user.id,
+        });
+        const cert = await autoGenerateCertificateWithClient(client, {
+          entityId,
+          shareholderId: holder.shareholder_id,
+          shareTransactionId: issuance.id,
+          entityStockTypeId: stockType.id,
+          entityStockSeriesId: series.id,
+          shares: holder.shares,
+          issueDate: round.conversionDate,
+          createdBy: user.id,
+        });
+        issued.push({ ...holder, transaction: issuance, certificate: cert });
+
+        auditEntries.push({
+          action: 'ISSUE_SHARES',
+          resource_type: 'SHARE_TRANSACTION', resource_id: issuance.id,
+          details: { shareholder_id: holder.shareholder_id, entity_stock_type_id: stockType.id, shares: holder.shares, instrument_ids: holder.instrument_ids },
+        });
+        auditEntries.push({
+          action: 'AUTO_GENERATE_CERTIFICATE',
+          resource_type: 'STOCK_CERTIFICATE', resource_id: cert.id,
+          details: { certificate_number: cert.certificate_number, shareholder_id: holder.shareholder_id, shares: holder.shares, trigger: 'INSTRUMENT_CONVERSION' },
+        });
+      }
+
+      const txByHolder = new Map(issued.map(h => [h.shareholder_id, h.transaction.id]));
+      for (const c of plan.instruments) {
+        await client.query(`
+          UPDATE convertible_instruments
+          SET status = 'CONVERTED',
+              conversion_date = $2,
+              conversion_amount = $3,
+              conversion_price = $4,
+              conversion_shares = $5,
+              share_transaction_id = $6,
+              converted_entity_stock_series_id = $7,
+              updated_at = NOW()
+          WHERE id = $1
+        `, [c.instrument_id, round.conversionDate, c.conversion_amount, c.conversion_price, c.shares, txByHolder.get(c.shareholder_id) || null, series.id]);
+      }
+
+      await assertWithinAuthorized(client, entityId, stockType, series, plan.totals.shares, 'convert into');
+
+      auditEntries.push({
+        action: 'CONVERT_INSTRUMENTS',
+        resource_type: 'ENTITY_STOCK_SERIES', resource_id: series.id,
+        details: { ...roundInfo, instrument_ids: plan.instruments.map(c => c.instrument_id), total_shares: plan.totals.shares },
+      });
+
+      return { plan, issued };
+    });
+  } catch (err) {
+    if (err.statusCode === 400) {
+      return json(400, { success:false, error:err.message, error_code:err.error_code, details:err.details }, headers);
+    }
+    throw err;
+  }
+
+  for (const entry of auditEntries) {
+    await logAudit({
+      user_id: user.id, user_email: user.email, user_role: user.role,
+      entity_id: entityId, ...entry,
+      ip_address: getClientIp(event),
+    });
+  }
+
+  for (const h of result.issued) {
+    try {
+      h.certificate.pdf_path = await storeCertificatePdf(h.certificate.id);
+    } catch (pdfErr) {
+      console.error('Conversion certificate PDF generation error (non-fatal):', pdfErr.message);
+    }
+  }
+
+  return json(201, {
+    success: true,
+    round: roundInfo,
+    instruments: result.plan.instruments,
+    holders: result.issued.map(h => ({
+      shareholder_id: h.shareholder_id,
+      shareholder_name: h.shareholder_name,
+      instrument_ids: h.instrument_ids,
+      conversion_amount: h.conversion_amount,
+      shares: h.shares,
+      transaction: h.transaction,
+      certificate: { id: h.certificate.id, certificate_number: h.certificate.certificate_number, shares: h.certificate.shares },
+    })),
+    totals: result.plan.totals,
+  }, headers);
+}
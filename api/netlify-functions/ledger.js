@@ -1,8 +1,30 @@
 // api/netlify-functions/ledger.js
+const crypto = require('crypto');
 const { query, withTransaction } = require('./utils/db');
 const { authMiddleware, requireRole, enforceEntityScope } = require('./middleware/auth');
 const { logAudit, getClientIp } = require('./utils/auditLog');
-const { autoGenerateCertificate, cancelCertificatesForHolding } = require('./utils/certificateUtils');
+const {
+  autoGenerateCertificateWithClient, storeCertificatePdf,
+  consumeCertificatesFifo, reissueCertificatesForSplit, cancelCertificatesForHolding, getCertificatesIssuedAsOf,
+} = require('./utils/certificateUtils');
+const {
+  TERMINATION_TYPES, toDateStr, validateVestingTerms, computeVesting, createVestingSchedule,
+} = require('./utils/vestingUtils');
+const {
+  loadStockClass, assertWithinAuthorized,
+  resolveAuthorizedLimit, getIssuedShares, getTreasuryShares, getReservedPoolShares, insertIssuance,
+} = require('./utils/issuanceUtils');
+const {
+  APPROVAL_ACTION_TYPES, APPROVER_ROLES, PROCESSING_TIMEOUT_MINUTES, requiresApproval, createPendingTransaction,
+  isReviewable, markApprovalPosted, notifyApprovers, notifyRequester,
+} = require('./utils/approvalUtils');
+const { evaluateTransferRestrictions } = require('./utils/restrictionUtils');
+const { stopOrderError, assertHoldingNotStopped, carryStopOrders } = require('./utils/stopOrderUtils');
+const { inheritRestriction } = require('./utils/rule144Utils');
+const {
+  parseLotSelection, parseTransferKind, createLot, consumeLots, createReceiverLots, createConversionLots,
+  adjustLotsForSplit, reverseLotAdjustments, unwindLots,
+} = require('./utils/taxLotUtils');
 
 function json(statusCode, body, extraHeaders = {}) {
   return {
@@ -18,6 +40,31 @@ function parseBody(event) {
   catch { throw new Error('Invalid JSON body'); }
 }
 
+// Validate an optional date param (YYYY-MM-DD), as_of by default. Returns null when absent.
+function parseAsOf(value, field = 'as_of') {
+  if (!value) return null;
+  const v = String(value).trim();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(v) || isNaN(new Date(v).getTime())) {
+    throw Object.assign(new Error(`${field} must be a date in YYYY-MM-DD format`), { statusCode: 400 });
+  }
+  return v;
+}
+
+// Apply a corporate-action rounding mode to a fractional share count.
+// Values are snapped to 6 dp first so float noise (e.g. 28.999999999) doesn't round the wrong way.
+function roundShares(value, mode) {
+  const v = Math.round(value * 1e6) / 1e6;
+  if (mode === 'ROUND_UP') return Math.ceil(v);
+  if (mode === 'ROUND_NEAREST') return Math.round(v);
+  return Math.floor(v);
+}
+
+// Ledger entry types void-transaction can offset
+const VOIDABLE_TYPES = ['ISSUANCE', 'TRANSFER', 'CANCELLATION'];
+
+// Upper bound on lines in one batch-issue request
+const MAX_BATCH_LINES = 500;
+
 /* =====================================================
    HANDLER
 ===================================================== */
@@ -30,20 +77,37 @@ exports.handler = async (event) => {
       if (action === 'ledger') return await handleLedger(event, params);
       if (action === 'shareholder-holdings') return await handleShareholderHoldings(event, params);
       if (action === 'list-book-entries') return await handleListBookEntries(event, params);
+      if (action === 'vesting-schedules') return await handleListVestingSchedules(event, params);
+      if (action === 'pending-transactions') return await handleListPending(event, params);
+      if (action === 'approval-policies') return await handleListApprovalPolicies(event, params);
       return json(400, { success:false, error:'Invalid action' });
     }
 
     if (event.httpMethod === 'POST') {
       if (action === 'issue-shares') return await handleIssue(event);
+      if (action === 'batch-issue') return await handleBatchIssue(event);
       if (action === 'transfer-shares') return await handleTransfer(event);
+      if (action === 'multi-transfer') return await handleMultiTransfer(event);
       if (action === 'cancel-shares') return await handleCancel(event);
+      if (action === 'void-transaction') return await handleVoidTransaction(event);
+      if (action === 'repurchase-shares') return await handleRepurchase(event);
       if (action === 'execute-split') return await handleSplit(event);
+      if (action === 'stock-dividend') return await handleStockDividend(event);
+      if (action === 'reverse-corporate-action') return await handleReverseCorporateAction(event);
+      if (action === 'convert-shares') return await handleConvert(event);
+      if (action === 'create-vesting-schedule') return await handleCreateVestingSchedule(event);
+      if (action === 'record-change-of-control') return await handleRecordChangeOfControl(event);
+      if (action === 'forfeit-unvested') return await handleForfeitUnvested(event);
       if (action === 'update-document-urls') return await handleUpdateDocumentUrls(event);
+      if (action === 'save-approval-policy') return await handleSaveApprovalPolicy(event);
+      if (action === 'approve-pending') return await handleApprovePending(event);
+      if (action === 'reject-pending') return await handleRejectPending(event);
       return json(400, { success:false, error:'Invalid action' });
     }
 
     return json(405, { success:false, error:'Method not allowed' });
   } catch (e) {
+    if (e.statusCode === 400) return json(400, { success:false, error:e.message });
     console.error('LEDGER ERROR:', e);
     return json(500, { success:false, error:e.message });
   }
@@ -93,6 +157,8 @@ async function handleLedger(event) {
 
 /* =====================================================
    GET: Shareholder Holdings (for transfer/cancel modals)
+   Optional as_of=YYYY-MM-DD replays the ledger up to that
+   date and lists the certificates outstanding on it.
 ===================================================== */
 async function handleShareholderHoldings(event, params) {
   const auth = await authMiddleware(event);
@@ -101,6 +167,7 @@ async function handleShareholderHoldings(event, params) {
   const { shareholder_id, entity_id } = params;
   if (!shareholder_id) return json(400, { success: false, error: 'shareholder_id required' }, headers);
   const targetEntityId = user.role === 'SUPER_ADMIN' && entity_id ? entity_id : user.entity_id;
+  const asOf = parseAsOf(params.as_of);
   const holdingsQuery = `
     SELECT 
       st.entity_stock_type_id,
@@ -111,30 +178,32 @@ async function handleShareholderHoldings(event, params) {
       ess.series,
       COALESCE(SUM(st.shares), 0) AS current_shares
     FROM share_transactions st
-													 
     JOIN entity_stock_types est ON est.id = st.entity_stock_type_id
     LEFT JOIN entity_stock_series ess ON ess.id = st.entity_stock_series_id
     WHERE st.shareholder_id = $1
       AND st.entity_id = $2
+      AND ($3::date IS NULL OR st.transaction_date <= $3::date)
     GROUP BY st.entity_stock_type_id, est.stock_type, est.display_name, est.supports_series, st.entity_stock_series_id, ess.series
-    HAVING COALESCE(SUM(
-      CASE 
-        WHEN st.transaction_type = 'ISSUANCE' THEN st.shares
-        WHEN st.transaction_type = 'TRANSFER' AND st.to_shareholder_id = $1 THEN st.shares
-        WHEN st.transaction_type = 'TRANSFER' AND st.from_shareholder_id = $1 THEN -st.shares
-        WHEN st.transaction_type IN ('CANCELLATION', 'FORFEITURE') THEN st.shares
-        ELSE 0
-      END
-    ), 0) > 0
+    HAVING COALESCE(SUM(st.shares), 0) > 0
   `;
-  const result = await query(holdingsQuery, [shareholder_id, targetEntityId]);
-  return json(200, { success: true, holdings: result.rows }, headers);
+  const result = await query(holdingsQuery, [shareholder_id, targetEntityId, asOf]);
+
+  if (!asOf) return json(200, { success: true, holdings: result.rows }, headers);
+
+  const certificates = await getCertificatesIssuedAsOf({
+    entityId: targetEntityId,
+    asOf,
+    shareholderId: shareholder_id,
+  });
+  return json(200, { success: true, as_of: asOf, holdings: result.rows, certificates }, headers);
 }
 
 
 
 /* =====================================================
    GET: List Book Entries for a Shareholder
+   Optional as_of=YYYY-MM-DD limits entries to that date
+   and returns the running balance per class/series.
 ===================================================== */
 async function handleListBookEntries(event, params) {
   const auth = await authMiddleware(event);
@@ -148,6 +217,7 @@ async function handleListBookEntries(event, params) {
   }
 
   const targetEntityId = user.role === 'SUPER_ADMIN' && entity_id ? entity_id : user.entity_id;
+  const asOf = parseAsOf(params.as_of);
 
   const result = await query(
     `
@@ -158,28 +228,60 @@ async function handleListBookEntries(event, params) {
       st.shares,
       st.certificate_number,
       st.notes,
+      st.entity_stock_type_id,
+      st.entity_stock_series_id,
       est.stock_type,
       est.display_name AS stock_type_name,
       ess.series,
-      st.created_at
+      st.created_at,
+      st.reversal_of_transaction_id,
+      v.id AS voided_by_transaction_id,
+      (v.id IS NOT NULL) AS is_voided
     FROM share_transactions st
     JOIN entity_stock_types est ON est.id = st.entity_stock_type_id
     LEFT JOIN entity_stock_series ess ON ess.id = st.entity_stock_series_id
+    LEFT JOIN share_transactions v
+      ON v.reversal_of_transaction_id = st.id
+     AND ($3::date IS NULL OR v.transaction_date <= $3::date)
     WHERE st.entity_id = $1
       AND st.shareholder_id = $2
+      AND ($3::date IS NULL OR st.transaction_date <= $3::date)
     ORDER BY st.transaction_date DESC, st.id DESC
     `,
-    [targetEntityId, shareholder_id]
+    [targetEntityId, shareholder_id, asOf]
   );
 
-  return json(200, { success: true, entries: result.rows }, headers);
+  if (!asOf) return json(200, { success: true, entries: result.rows }, headers);
+
+  // Replay entries oldest → newest to get the balance per class/series on as_of
+  const balances = new Map();
+  for (const entry of [...result.rows].reverse()) {
+    const key = `${entry.entity_stock_type_id}_${entry.entity_stock_series_id || 'null'}`;
+    if (!balances.has(key)) {
+      balances.set(key, {
+        entity_stock_type_id: entry.entity_stock_type_id,
+        entity_stock_series_id: entry.entity_stock_series_id,
+        stock_type_name: entry.stock_type_name,
+        series: entry.series,
+        shares: 0,
+      });
+    }
+    balances.get(key).shares += parseFloat(entry.shares) || 0;
+  }
+
+  return json(200, {
+    success: true,
+    as_of: asOf,
+    entries: result.rows,
+    balances: Array.from(balances.values()).filter(b => b.shares !== 0),
+  }, headers);
 }
 
 /* =====================================================
    POST: Issue Shares
 ===================================================== */
-async function handleIssue(event) {
-  const auth = await authMiddleware(event);
+async function handleIssue(event, approval = null) {
+  const auth = approval ? approval.auth : await authMiddleware(event);
   if (auth.statusCode) return auth;
   const { user, headers } = auth;
 
@@ -196,12 +298,29 @@ async function handleIssue(event) {
     transaction_date,
     certificate_number,
     notes,
+    price_per_share,    // cost basis of the new tax lot (optional)
+    vesting,            // optional restricted-stock vesting terms
+    from_treasury,      // reissue previously repurchased treasury shares
   } = body;
+  const fromTreasury = from_treasury === true || from_treasury === 'true';
 
   if (!shareholder_id || !entity_stock_type_id || !shares) {
     return json(400, { success:false, error:'Missing required fields' }, headers);
   }
 
+  const hasPrice = price_per_share !== undefined && price_per_share !== null && price_per_share !== '';
+  const pricePerShare = hasPrice ? parseFloat(price_per_share) : null;
+  if (hasPrice && !(pricePerShare >= 0)) {
+    return json(400, { success:false, error:'price_per_share must be zero or a positive number' }, headers);
+  }
+
+  let vestingTerms = null;
+  if (vesting) {
+    const v = validateVestingTerms(vesting);
+    if (v.error) return json(400, { success:false, error:v.error }, headers);
+    vestingTerms = v.terms;
+  }
+
   // Validate stock type
   const typeRes = await query(
     `SELECT id, entity_id, supports_series, is_active, authorized_shares
@@ -248,116 +367,358 @@ async function handleIssue(event) {
   }
 
   // ── Authorized Shares Validation ──
-  // Use series-level limit if set, otherwise fall back to class-level
-  const authorizedLimit = seriesAuthorizedShares !== null && seriesAuthorizedShares !== undefined
-    ? parseFloat(seriesAuthorizedShares)
-    : (st.authorized_shares !== null && st.authorized_shares !== undefined ? parseFloat(st.authorized_shares) : null);
-
-  if (authorizedLimit !== null && authorizedLimit > 0) {
-    // Calculate current outstanding: ISSUANCE adds, CANCELLATION/FORFEITURE subtracts
-    const outstandingRes = await query(`
-      SELECT COALESCE(SUM(
-        CASE
-          WHEN transaction_type = 'ISSUANCE' THEN shares
-          WHEN transaction_type IN ('CANCELLATION', 'FORFEITURE') THEN shares
-          ELSE 0
-        END
-      ), 0) AS outstanding
-      FROM share_transactions
-      WHERE entity_id = $1
-        AND entity_stock_type_id = $2
-        ${entity_stock_series_id && seriesAuthorizedShares !== null ? 'AND entity_stock_series_id = $3' : ''}
-    `, entity_stock_series_id && seriesAuthorizedShares !== null
-      ? [user.entity_id, entity_stock_type_id, entity_stock_series_id]
-      : [user.entity_id, entity_stock_type_id]
-    );
+  // Use series-level limit if set, otherwise fall back to class-level.
+  // Treasury shares are already issued, so reissuing them doesn't use headroom.
+  // Shares reserved by equity plan pools are unavailable for direct issuance.
+  const { limit: authorizedLimit, level: limitLevel } = resolveAuthorizedLimit(st, { authorized_shares: seriesAuthorizedShares });
 
-    const currentOutstanding = parseFloat(outstandingRes.rows[0].outstanding || 0);
+  if (!fromTreasury && authorizedLimit !== null && authorizedLimit > 0) {
+    const limitSeriesId = limitLevel === 'SERIES' ? entity_stock_series_id : null;
+    const currentOutstanding = await getIssuedShares({ query }, user.entity_id, entity_stock_type_id, limitSeriesId);
+    const reservedShares = await getReservedPoolShares({ query }, user.entity_id, entity_stock_type_id, limitSeriesId);
+    const available = authorizedLimit - currentOutstanding - reservedShares;
     const newShares = parseFloat(shares);
 
-    if (currentOutstanding + newShares > authorizedLimit) {
+    if (newShares > available) {
       return json(400, {
         success: false,
-        error: `Cannot issue ${newShares.toLocaleString()} shares. Current outstanding: ${currentOutstanding.toLocaleString()}, Authorized limit: ${authorizedLimit.toLocaleString()}. Available: ${(authorizedLimit - currentOutstanding).toLocaleString()}.`,
+        error: `Cannot issue ${newShares.toLocaleString()} shares. Current outstanding: ${currentOutstanding.toLocaleString()}, Reserved for equity plans: ${reservedShares.toLocaleString()}, Authorized limit: ${authorizedLimit.toLocaleString()}. Available: ${available.toLocaleString()}.`,
         error_code: 'ERR_EXCEEDS_AUTHORIZED_SHARES',
         details: {
           authorized: authorizedLimit,
           outstanding: currentOutstanding,
+          reserved: reservedShares,
           requested: newShares,
-          available: authorizedLimit - currentOutstanding
+          available
         }
       }, headers);
     }
   }
 
-  const result = await query(
-    `
-    INSERT INTO share_transactions (
-      entity_id,
-      shareholder_id,
-      transaction_type,
-      transaction_date,
-      entity_stock_type_id,
-      entity_stock_series_id,
-      shares,
-      certificate_number,
-      notes,
-      created_by
-    )
-    VALUES (
-      $1,$2,'ISSUANCE',$3,$4,$5,$6,$7,$8,$9
-    )
-    RETURNING *
-    `,
-    [
-      user.entity_id,
-      shareholder_id,
-      transaction_date || new Date(),
-      entity_stock_type_id,
-      entity_stock_series_id || null,
-      shares,
-      certificate_number || null,
-      notes || null,
-      user.id,
-    ]
-  );
+  if (!approval) {
+    const held = await holdForApproval(event, auth, 'issue-shares', 'ISSUE', parseFloat(shares), body);
+    if (held) return held;
+  }
+
+  let issuance, vestingSchedule, certificate;
+  try {
+    ({ issuance, vestingSchedule, certificate } = await withTransaction(async (client) => {
+      await markApprovalPosted(client, approval);
+      if (fromTreasury) {
+        // Serialize treasury reissues for this class before reading the balance
+        await client.query('SELECT id FROM entity_stock_types WHERE id = $1 FOR UPDATE', [entity_stock_type_id]);
+        const available = await getTreasuryShares(client, user.entity_id, entity_stock_type_id, entity_stock_series_id);
+        const requested = parseFloat(shares);
+        if (requested > available) {
+          throw Object.assign(
+            new Error(`Cannot reissue ${requested.toLocaleString()} shares from treasury. Treasury holds ${available.toLocaleString()}.`),
+            { statusCode: 400, error_code: 'ERR_INSUFFICIENT_TREASURY_SHARES', details: { treasury: available, requested } }
+          );
+        }
+      }
+
+      const issuance = await insertIssuance(client, {
+        entityId: user.entity_id,
+        shareholderId: shareholder_id,
+        entityStockTypeId: entity_stock_type_id,
+        entityStockSeriesId: entity_stock_series_id,
+        shares,
+        transactionDate: transaction_date,
+        certificateNumber: certificate_number,
+        notes,
+        isTreasury: fromTreasury,
+        pricePerShare,
+        createdBy: user.id,
+      });
+
+      await createLot(client, {
+        entityId: user.entity_id,
+        shareholderId: shareholder_id,
+        entityStockTypeId: entity_stock_type_id,
+        entityStockSeriesId: entity_stock_series_id,
+        sourceType: 'ISSUANCE',
+        sourceTransactionId: issuance.id,
+        acquisitionDate: issuance.transaction_date,
+        shares,
+        basisPerShare: pricePerShare,
+        createdBy: user.id,
+      });
+
+      const vestingSchedule = vestingTerms
+        ? await createVestingSchedule(client, issuance, vestingTerms, user.id)
+        : null;
+
+      // Certificate in the same transaction, so a signer out of term rejects the issuance
+      const certificate = await autoGenerateCertificateWithClient(client, {
+        entityId: user.entity_id,
+        shareholderId: shareholder_id,
+        shareTransactionId: issuance.id,
+        entityStockTypeId: entity_stock_type_id,
+        entityStockSeriesId: entity_stock_series_id || null,
+        shares,
+        issueDate: transaction_date || null,
+        createdBy: user.id,
+      });
+      return { issuance, vestingSchedule, certificate };
+    }));
+  } catch (err) {
+    if (err.statusCode === 400) {
+      return json(400, { success:false, error:err.message, error_code:err.error_code, details:err.details }, headers);
+    }
+    throw err;
+  }
 
   await logAudit({
     user_id: user.id, user_email: user.email, user_role: user.role,
     entity_id: user.entity_id, action: 'ISSUE_SHARES',
-    resource_type: 'SHARE_TRANSACTION', resource_id: result.rows[0].id,
-    details: { shareholder_id, entity_stock_type_id, shares, certificate_number },
+    resource_type: 'SHARE_TRANSACTION', resource_id: issuance.id,
+    details: { shareholder_id, entity_stock_type_id, shares, certificate_number, price_per_share: pricePerShare, from_treasury: fromTreasury },
+    ip_address: getClientIp(event),
+  });
+
+  if (vestingSchedule) {
+    await logAudit({
+      user_id: user.id, user_email: user.email, user_role: user.role,
+      entity_id: user.entity_id, action: 'CREATE_VESTING_SCHEDULE',
+      resource_type: 'VESTING_SCHEDULE', resource_id: vestingSchedule.id,
+      details: { share_transaction_id: issuance.id, shareholder_id, ...vestingTerms },
+      ip_address: getClientIp(event),
+    });
+  }
+
+  await logAudit({
+    user_id: user.id, user_email: user.email, user_role: user.role,
+    entity_id: user.entity_id, action: 'AUTO_GENERATE_CERTIFICATE',
+    resource_type: 'STOCK_CERTIFICATE', resource_id: certificate.id,
+    details: { certificate_number: certificate.certificate_number, shareholder_id, shares, trigger: 'ISSUANCE' },
     ip_address: getClientIp(event),
   });
 
-  // Auto-generate stock certificate for this issuance
-  let certificate = null;
   try {
-    certificate = await autoGenerateCertificate({
-      entityId: user.entity_id,
-      shareholderId: shareholder_id,
-      shareTransactionId: result.rows[0].id,
-      entityStockTypeId: entity_stock_type_id,
-      entityStockSeriesId: entity_stock_series_id || null,
-      shares,
-      issueDate: transaction_date || null,
-      createdBy: user.id,
+    certificate.pdf_path = await storeCertificatePdf(certificate.id);
+  } catch (pdfErr) {
+    console.error('Issuance certificate PDF generation error (non-fatal):', pdfErr.message);
+  }
+
+  return json(201, { success:true, transaction: issuance, certificate, vesting_schedule: vestingSchedule }, headers);
+}
+
+/* =====================================================
+   POST: Batch Issue (financing close)
+   lines: [{ shareholder_id, entity_stock_type_id,
+   entity_stock_series_id, shares, price_per_share,
+   certificate_number, notes }]
+   Every line is validated up front (errors are reported per
+   line), headroom is checked per class against the batch
+   total, and all ISSUANCE rows plus their certificates
+   commit in one transaction. PDFs render after commit.
+===================================================== */
+async function handleBatchIssue(event, approval = null) {
+  const auth = approval ? approval.auth : await authMiddleware(event);
+  if (auth.statusCode) return auth;
+  const { user, headers } = auth;
+
+  const canIssue = requireRole(['SUPER_ADMIN', 'ADMIN'])(user);
+  if (!canIssue) return json(403, { success:false, error:'Forbidden' }, headers);
+
+  const body = parseBody(event);
+  const { lines, transaction_date, notes } = body;
+
+  if (!Array.isArray(lines) || !lines.length) {
+    return json(400, { success:false, error:'lines must be a non-empty array' }, headers);
+  }
+  if (lines.length > MAX_BATCH_LINES) {
+    return json(400, { success:false, error:`A batch can contain at most ${MAX_BATCH_LINES} lines` }, headers);
+  }
+  const txDate = parseAsOf(transaction_date, 'transaction_date');
+  const entityId = user.entity_id;
+
+  const shRes = await query(
+    'SELECT id FROM shareholders WHERE entity_id = $1 AND id = ANY($2::int[])',
+    [entityId, lines.map(l => parseInt(l && l.shareholder_id)).filter(Number.isInteger)]
+  );
+  const knownHolders = new Set(shRes.rows.map(r => r.id));
+
+  // Validate every line before writing anything; class lookups are cached per type/series
+  const classCache = new Map();
+  const lineErrors = [];
+  const prepared = [];
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i] || {};
+    const shares = parseFloat(line.shares);
+    const price = line.price_per_share === undefined || line.price_per_share === null || line.price_per_share === ''
+      ? null
+      : parseFloat(line.price_per_share);
+    let error = null;
+
+    if (!line.shareholder_id || !line.entity_stock_type_id || !line.shares) error = 'Missing required fields';
+    else if (!knownHolders.has(parseInt(line.shareholder_id))) error = 'Shareholder not found';
+    else if (!(shares > 0)) error = 'shares must be a positive number';
+    else if (price !== null && !(price >= 0)) error = 'price_per_share must be zero or more';
+
+    let stockClass = null;
+    if (!error) {
+      const key = `${line.entity_stock_type_id}_${line.entity_stock_series_id || 'null'}`;
+      if (!classCache.has(key)) {
+        try {
+          classCache.set(key, await loadStockClass({ query }, entityId, line.entity_stock_type_id, line.entity_stock_series_id || null));
+        } catch (err) {
+          if (err.statusCode !== 400) throw err;
+          classCache.set(key, err);
+        }
+      }
+      stockClass = classCache.get(key);
+      if (stockClass instanceof Error) error = stockClass.message;
+    }
+
+    if (error) {
+      lineErrors.push({ line: i + 1, error });
+      continue;
+    }
+    prepared.push({ line: i + 1, input: line, shares, price, stockClass });
+  }
+
+  if (lineErrors.length) {
+    return json(400, {
+      success: false,
+      error: `${lineErrors.length} line(s) failed validation. Nothing was issued.`,
+      error_code: 'ERR_BATCH_VALIDATION',
+      details: { lines: lineErrors },
+    }, headers);
+  }
+
+  if (!approval) {
+    const batchTotal = prepared.reduce((sum, p) => sum + p.shares, 0);
+    const held = await holdForApproval(event, auth, 'batch-issue', 'ISSUE', batchTotal, body);
+    if (held) return held;
+  }
+
+  // Batch total per class/series, for the headroom check
+  const groups = new Map();
+  for (const p of prepared) {
+    const key = `${p.stockClass.stockType.id}_${p.stockClass.series ? p.stockClass.series.id : 'null'}`;
+    if (!groups.has(key)) groups.set(key, { stockClass: p.stockClass, total: 0 });
+    groups.get(key).total += p.shares;
+  }
+
+  const auditEntries = [];
+  let results;
+  try {
+    results = await withTransaction(async (client) => {
+      await markApprovalPosted(client, approval);
+      // Serialize issuances against each class (in id order to avoid deadlocks)
+      const typeIds = [...new Set(prepared.map(p => p.stockClass.stockType.id))].sort((a, b) => a - b);
+      for (const typeId of typeIds) {
+        await client.query('SELECT id FROM entity_stock_types WHERE id = $1 FOR UPDATE', [typeId]);
+      }
+
+      const rows = [];
+      for (const p of prepared) {
+        const issuance = await insertIssuance(client, {
+          entityId,
+          shareholderId: p.input.shareholder_id,
+          entityStockTypeId: p.stockClass.stockType.id,
+          entityStockSeriesId: p.stockClass.series ? p.stockClass.series.id : null,
+          shares: p.shares,
+          transactionDate: txDate,
+          certificateNumber: p.input.certificate_number,
+          notes: p.input.notes || notes,
+          pricePerShare: p.price,
+          createdBy: user.id,
+        });
+        await createLot(client, {
+          entityId,
+          shareholderId: p.input.shareholder_id,
+          entityStockTypeId: p.stockClass.stockType.id,
+          entityStockSeriesId: p.stockClass.series ? p.stockClass.series.id : null,
+          sourceType: 'ISSUANCE',
+          sourceTransactionId: issuance.id,
+          acquisitionDate: issuance.transaction_date,
+          shares: p.shares,
+          basisPerShare: p.price,
+          createdBy: user.id,
+        });
+        const certificate = await autoGenerateCertificateWithClient(client, {
+          entityId,
+          shareholderId: p.input.shareholder_id,
+          shareTransactionId: issuance.id,
+          entityStockTypeId: p.stockClass.stockType.id,
+          entityStockSeriesId: p.stockClass.series ? p.stockClass.series.id : null,
+          shares: p.shares,
+          issueDate: txDate,
+          createdBy: user.id,
+        });
+
+        auditEntries.push({
+          action: 'ISSUE_SHARES',
+          resource_type: 'SHARE_TRANSACTION', resource_id: issuance.id,
+          details: { shareholder_id: p.input.shareholder_id, entity_stock_type_id: p.stockClass.stockType.id, shares: p.shares, price_per_share: p.price, batch_line: p.line },
+        });
+        auditEntries.push({
+          action: 'AUTO_GENERATE_CERTIFICATE',
+          resource_type: 'STOCK_CERTIFICATE', resource_id: certificate.id,
+          details: { certificate_number: certificate.certificate_number, shareholder_id: p.input.shareholder_id, shares: p.shares, trigger: 'BATCH_ISSUANCE' },
+        });
+        rows.push({ prepared: p, issuance, certificate });
+      }
+
+      for (const g of groups.values()) {
+        await assertWithinAuthorized(client, entityId, g.stockClass.stockType, g.stockClass.series, g.total, 'issue');
+      }
+      return rows;
+    });
+  } catch (err) {
+    if (err.statusCode === 400) {
+      return json(400, { success:false, error:err.message, error_code:err.error_code, details:err.details }, headers);
+    }
+    throw err;
+  }
+
+  const totalShares = prepared.reduce((sum, p) => sum + p.shares, 0);
+  const totalConsideration = Math.round(prepared.reduce((sum, p) => sum + p.shares * (p.price || 0), 0) * 100) / 100;
+
+  await logAudit({
+    user_id: user.id, user_email: user.email, user_role: user.role,
+    entity_id: entityId, action: 'BATCH_ISSUE_SHARES',
+    resource_type: 'SHARE_TRANSACTION',
+    details: { lines: results.length, total_shares: totalShares, total_consideration: totalConsideration, transaction_ids: results.map(r => r.issuance.id) },
+    ip_address: getClientIp(event),
+  });
+  for (const entry of auditEntries) {
+    await logAudit({
+      user_id: user.id, user_email: user.email, user_role: user.role,
+      entity_id: entityId, ...entry,
+      ip_address: getClientIp(event),
     });
+  }
 
-    if (certificate) {
-      await logAudit({
-        user_id: user.id, user_email: user.email, user_role: user.role,
-        entity_id: user.entity_id, action: 'AUTO_GENERATE_CERTIFICATE',
-        resource_type: 'STOCK_CERTIFICATE', resource_id: certificate.id,
-        details: { certificate_number: certificate.certificate_number, shareholder_id, shares, trigger: 'ISSUANCE' },
-        ip_address: getClientIp(event),
-      });
+  for (const r of results) {
+    try {
+      r.certificate.pdf_path = await storeCertificatePdf(r.certificate.id);
+    } catch (pdfErr) {
+      console.error('Batch issue certificate PDF generation error (non-fatal):', pdfErr.message);
     }
-  } catch (certErr) {
-    console.error('Auto-certificate generation failed (non-fatal):', certErr.message);
   }
 
-  return json(201, { success:true, transaction: result.rows[0], certificate }, headers);
+  return json(201, {
+    success: true,
+    batch: {
+      lines: results.length,
+      total_shares: totalShares,
+      total_consideration: totalConsideration,
+    },
+    results: results.map(r => ({
+      line: r.prepared.line,
+      shareholder_id: r.issuance.shareholder_id,
+      entity_stock_type_id: r.issuance.entity_stock_type_id,
+      entity_stock_series_id: r.issuance.entity_stock_series_id,
+      shares: r.prepared.shares,
+      price_per_share: r.prepared.price,
+      transaction_id: r.issuance.id,
+      certificate_id: r.certificate.id,
+      certificate_number: r.certificate.certificate_number,
+    })),
+  }, headers);
 }
 
 /* =====================================================
@@ -365,9 +726,14 @@ async function handleIssue(event) {
    Creates TWO transactions:
    1. TRANSFER-out from sender (negative shares)
    2. TRANSFER-in to receiver (positive shares)
+   Tax lots: transfer_kind PURCHASE (default) opens a lot
+   for the receiver at price_per_share; GIFT carries the
+   sender's basis and acquisition dates over. The sender's
+   lots are consumed FIFO unless lot_method=SPECIFIC_ID
+   with lot_selections [{ lot_id, shares }].
 ===================================================== */
-async function handleTransfer(event) {
-  const auth = await authMiddleware(event);
+async function handleTransfer(event, approval = null) {
+  const auth = approval ? approval.auth : await authMiddleware(event);
   if (auth.statusCode) return auth;
   const { user, headers } = auth;
 
@@ -380,12 +746,21 @@ async function handleTransfer(event) {
     shares,
     transaction_date,
     notes,
+    price_per_share,
   } = body;
 
   if (!from_shareholder_id || !to_shareholder_id || !entity_stock_type_id || !shares) {
     return json(400, { success:false, error:'Missing required fields' }, headers);
   }
 
+  const transferKind = parseTransferKind(body);
+  const lotSelection = parseLotSelection(body);
+  const hasPrice = transferKind === 'PURCHASE' && price_per_share !== undefined && price_per_share !== null && price_per_share !== '';
+  const pricePerShare = hasPrice ? parseFloat(price_per_share) : null;
+  if (hasPrice && !(pricePerShare >= 0)) {
+    return json(400, { success:false, error:'price_per_share must be zero or a positive number' }, headers);
+  }
+
   // Prevent transferring to same shareholder
   if (from_shareholder_id === to_shareholder_id || String(from_shareholder_id) === String(to_shareholder_id)) {
     return json(400, { success:false, error:'Cannot transfer shares to the same shareholder' }, headers);
@@ -394,237 +769,241 @@ async function handleTransfer(event) {
   const txDate = transaction_date || new Date();
   const sharesNum = Math.abs(parseFloat(shares));
 
-  // Validate sender has enough shares
-  const balanceCheck = await query(`
-    SELECT COALESCE(SUM(
-      CASE 
-        WHEN transaction_type = 'ISSUANCE' THEN shares
-        WHEN transaction_type = 'TRANSFER' AND to_shareholder_id = $1 THEN shares
-        WHEN transaction_type = 'TRANSFER' AND from_shareholder_id = $1 THEN -shares
-        WHEN transaction_type IN ('CANCELLATION', 'FORFEITURE') THEN shares
-        ELSE 0
-      END
-    ), 0) as balance
-    FROM share_transactions
-    WHERE shareholder_id = $1 
-      AND entity_stock_type_id = $2
-      AND ($3::bigint IS NULL OR entity_stock_series_id = $3)
-  `, [from_shareholder_id, entity_stock_type_id, entity_stock_series_id || null]);
+  const restriction = await checkTransferRestrictions(event, auth, {
+    action: 'transfer-shares',
+    legs: [{ from: from_shareholder_id, to: to_shareholder_id }],
+    shares: sharesNum,
+    body,
+    approval,
+  });
+  if (restriction.response) return restriction.response;
 
-  const currentBalance = parseFloat(balanceCheck.rows[0]?.balance || 0);
-  if (currentBalance < sharesNum) {
-    return json(400, { success:false, error:`Insufficient shares. Sender has ${currentBalance} shares available.` }, headers);
+  if (!approval) {
+    const held = await holdForApproval(event, auth, 'transfer-shares', 'TRANSFER', sharesNum, body);
+    if (held) return held;
   }
 
-  // Create TRANSFER-out transaction for sender (with negative shares)
-  const outResult = await query(
-    `
-    INSERT INTO share_transactions (
-      entity_id,
-      shareholder_id,
-      from_shareholder_id,
-      to_shareholder_id,
-      transaction_type,
-      transaction_date,
-      entity_stock_type_id,
-      entity_stock_series_id,
-      shares,
-      notes,
-      created_by
-    )
-    VALUES (
-      $1,$2,$3,$4,'TRANSFER',$5,$6,$7,$8,$9,$10
-    )
-    RETURNING *
-    `,
-    [
-      user.entity_id,
-      from_shareholder_id,   // shareholder_id is the sender
-      from_shareholder_id,
-      to_shareholder_id,
-      txDate,
-      entity_stock_type_id,
-      entity_stock_series_id || null,
-      -sharesNum,            // NEGATIVE shares for sender
-      notes ? `Transfer Out: ${notes}` : 'Transfer Out',
-      user.id,
-    ]
-  );
-
-  // Create TRANSFER-in transaction for receiver (with positive shares)
-  const inResult = await query(
-    `
-    INSERT INTO share_transactions (
-      entity_id,
-      shareholder_id,
-      from_shareholder_id,
-      to_shareholder_id,
-      transaction_type,
-      transaction_date,
-      entity_stock_type_id,
-      entity_stock_series_id,
-      shares,
-      notes,
-      created_by
-    )
-    VALUES (
-      $1,$2,$3,$4,'TRANSFER',$5,$6,$7,$8,$9,$10
-    )
-    RETURNING *
-    `,
-    [
-      user.entity_id,
-      to_shareholder_id,     // shareholder_id is the receiver
-      from_shareholder_id,
-      to_shareholder_id,
-      txDate,
-      entity_stock_type_id,
-      entity_stock_series_id || null,
-      sharesNum,             // POSITIVE shares for receiver
-      notes ? `Transfer In: ${notes}` : 'Transfer In',
-      user.id,
-    ]
-  );
+  // The whole transfer (ledger rows + certificate reissuance) commits or rolls back as one unit.
+  // Audit entries are collected and written only after COMMIT.
+  const auditEntries = [];
+  let result;
+  try {
+    result = await withTransaction(async (client) => {
+      await markApprovalPosted(client, approval);
+      // Lock the sender so concurrent transfers/cancellations can't race the balance check
+      const senderLock = await client.query(
+        'SELECT id FROM shareholders WHERE id = $1 AND entity_id = $2 FOR UPDATE',
+        [from_shareholder_id, user.entity_id]
+      );
+      if (!senderLock.rows.length) {
+        throw Object.assign(new Error('Sender not found'), { statusCode: 400 });
+      }
 
-  await logAudit({
-    user_id: user.id, user_email: user.email, user_role: user.role,
-    entity_id: user.entity_id, action: 'TRANSFER_SHARES',
-    resource_type: 'SHARE_TRANSACTION', resource_id: outResult.rows[0].id,
-    details: { from_shareholder_id, to_shareholder_id, entity_stock_type_id, shares: sharesNum },
-    ip_address: getClientIp(event),
-  });
+      // Validate sender has enough shares (every movement is stored signed, so the balance is a plain SUM)
+      const balanceCheck = await client.query(`
+        SELECT COALESCE(SUM(shares), 0) as balance
+        FROM share_transactions
+        WHERE shareholder_id = $1 
+          AND entity_stock_type_id = $2
+          AND ($3::bigint IS NULL OR entity_stock_series_id = $3)
+      `, [from_shareholder_id, entity_stock_type_id, entity_stock_series_id || null]);
 
-  // ── FIFO Certificate Allocation & Reissuance ──
-  // Per transfer-agent model: cancel affected certs, reissue remainder + transferred
-  let cancelledCerts = [];
-  let newReceiverCert = null;
-  let newSenderCerts = [];
-  try {
-    // 1. Fetch sender's ISSUED certificates for this stock type/series, ordered FIFO
-    const senderCertsRes = await query(`
-      SELECT id, certificate_number, shares, original_issue_date, issue_date,
-             entity_stock_type_id, entity_stock_series_id, shareholder_id,
-             signed_by_name, signed_by_title, countersigned_by_name, countersigned_by_title
-      FROM stock_certificates
-      WHERE entity_id = $1 AND shareholder_id = $2 AND entity_stock_type_id = $3
-        ${entity_stock_series_id ? 'AND entity_stock_series_id = $4' : 'AND entity_stock_series_id IS NULL'}
-        AND status = 'ISSUED'
-      ORDER BY COALESCE(original_issue_date, issue_date) ASC, id ASC
-    `, entity_stock_series_id
-      ? [user.entity_id, from_shareholder_id, entity_stock_type_id, entity_stock_series_id]
-      : [user.entity_id, from_shareholder_id, entity_stock_type_id]
-    );
+      const currentBalance = parseFloat(balanceCheck.rows[0]?.balance || 0);
+      if (currentBalance < sharesNum) {
+        throw Object.assign(new Error(`Insufficient shares. Sender has ${currentBalance} shares available.`), { statusCode: 400 });
+      }
 
-    const senderCerts = senderCertsRes.rows;
-    let remaining = sharesNum;
-
-    // 2. FIFO allocation: determine which certs are fully/partially consumed
-    const allocations = []; // { cert, usedShares, remainderShares }
-    for (const cert of senderCerts) {
-      if (remaining <= 0) break;
-      const certShares = parseFloat(cert.shares);
-      const used = Math.min(certShares, remaining);
-      allocations.push({
-        cert,
-        usedShares: used,
-        remainderShares: certShares - used,
-        originalIssueDate: cert.original_issue_date || cert.issue_date,
+      // Stop-transfer orders: a frozen holder or holding is refused outright; frozen
+      // certificates stay with the sender and don't count towards what can move
+      const stop = await assertHoldingNotStopped(client, {
+        entityId: user.entity_id,
+        shareholderId: from_shareholder_id,
+        entityStockTypeId: entity_stock_type_id,
+        entityStockSeriesId: entity_stock_series_id || null,
       });
-      remaining -= used;
-    }
-
-    // 3. Cancel all affected certificates
-													
-							   
-									   
-											  
-											  
-														  
-						
-								
-						 
-	   
-
-						 
-												
-    for (const alloc of allocations) {
-      await query(
-        `UPDATE stock_certificates SET status = 'CANCELLED', cancelled_at = NOW(), cancelled_reason = $1, updated_at = NOW() WHERE id = $2`,
-        [`Cancelled for transfer of ${alloc.usedShares} shares to shareholder #${to_shareholder_id}`, alloc.cert.id]
+      if (currentBalance - stop.heldShares < sharesNum) {
+        throw stopOrderError(
+          `Only ${currentBalance - stop.heldShares} shares are free to transfer; ${stop.heldShares} are frozen by stop-transfer orders`,
+          stop.orders
+        );
+      }
+
+      // Create TRANSFER-out transaction for sender (with negative shares)
+      const outResult = await client.query(
+        `
+        INSERT INTO share_transactions (
+          entity_id,
+          shareholder_id,
+          from_shareholder_id,
+          to_shareholder_id,
+          transaction_type,
+          transaction_date,
+          entity_stock_type_id,
+          entity_stock_series_id,
+          shares,
+          price_per_share,
+          notes,
+          created_by
+        )
+        VALUES (
+          $1,$2,$3,$4,'TRANSFER',$5,$6,$7,$8,$9,$10,$11
+        )
+        RETURNING *
+        `,
+        [
+          user.entity_id,
+          from_shareholder_id,   // shareholder_id is the sender
+          from_shareholder_id,
+          to_shareholder_id,
+          txDate,
+          entity_stock_type_id,
+          entity_stock_series_id || null,
+          -sharesNum,            // NEGATIVE shares for sender
+          pricePerShare,
+          notes ? `Transfer Out: ${notes}` : 'Transfer Out',
+          user.id,
+        ]
       );
-      cancelledCerts.push(alloc.cert);
-
-      await logAudit({
-        user_id: user.id, user_email: user.email, user_role: user.role,
-        entity_id: user.entity_id, action: 'AUTO_CANCEL_CERTIFICATE',
-        resource_type: 'STOCK_CERTIFICATE', resource_id: alloc.cert.id,
-        details: { certificate_number: alloc.cert.certificate_number, trigger: 'TRANSFER', transfer_to: to_shareholder_id, shares_used: alloc.usedShares },
-        ip_address: getClientIp(event),
+
+      // Create TRANSFER-in transaction for receiver (with positive shares)
+      const inResult = await client.query(
+        `
+        INSERT INTO share_transactions (
+          entity_id,
+          shareholder_id,
+          from_shareholder_id,
+          to_shareholder_id,
+          transaction_type,
+          transaction_date,
+          entity_stock_type_id,
+          entity_stock_series_id,
+          shares,
+          price_per_share,
+          notes,
+          created_by
+        )
+        VALUES (
+          $1,$2,$3,$4,'TRANSFER',$5,$6,$7,$8,$9,$10,$11
+        )
+        RETURNING *
+        `,
+        [
+          user.entity_id,
+          to_shareholder_id,     // shareholder_id is the receiver
+          from_shareholder_id,
+          to_shareholder_id,
+          txDate,
+          entity_stock_type_id,
+          entity_stock_series_id || null,
+          sharesNum,             // POSITIVE shares for receiver
+          pricePerShare,
+          notes ? `Transfer In: ${notes}` : 'Transfer In',
+          user.id,
+        ]
+      );
+
+      // Tax lots: draw down the sender's lots, open the receiver's
+      const holding = {
+        entityId: user.entity_id,
+        entityStockTypeId: entity_stock_type_id,
+        entityStockSeriesId: entity_stock_series_id || null,
+      };
+      const consumed = await consumeLots(client, {
+        ...holding,
+        shareholderId: from_shareholder_id,
+        shares: sharesNum,
+        shareTransactionId: outResult.rows[0].id,
+        disposalType: transferKind === 'GIFT' ? 'GIFT' : 'TRANSFER',
+        method: lotSelection.method,
+        selections: lotSelection.selections,
+      });
+      const receiverLots = await createReceiverLots(client, {
+        ...holding,
+        ...consumed,
+        kind: transferKind,
+        shareholderId: to_shareholder_id,
+        shares: sharesNum,
+        pricePerShare,
+        transactionDate: inResult.rows[0].transaction_date,
+        sourceTransactionId: inResult.rows[0].id,
+        createdBy: user.id,
       });
-    }
 
-    // 4. Issue remainder certificates back to sender (one per partially-consumed cert)
-    for (const alloc of allocations) {
-      if (alloc.remainderShares > 0) {
-        const remainderCert = await autoGenerateCertificate({
-          entityId: user.entity_id,
-          shareholderId: from_shareholder_id,
-          shareTransactionId: outResult.rows[0].id,
-          entityStockTypeId: entity_stock_type_id,
-          entityStockSeriesId: entity_stock_series_id || null,
-          shares: alloc.remainderShares,
-          issueDate: null, // certificate_issue_date = today
-          createdBy: user.id,
-          // New fields for date preservation
-          originalIssueDate: alloc.originalIssueDate,
-          transferDate: null, // No transfer - same owner
-          sourceCertificateId: alloc.cert.id,
+      auditEntries.push({
+        action: 'TRANSFER_SHARES',
+        resource_type: 'SHARE_TRANSACTION', resource_id: outResult.rows[0].id,
+        details: {
+          from_shareholder_id, to_shareholder_id, entity_stock_type_id, shares: sharesNum,
+          transfer_kind: transferKind, price_per_share: pricePerShare, lot_method: lotSelection.method,
+          lots_consumed: consumed.disposals.map(d => ({ lot_id: d.lot.id, shares: d.shares })),
+          lots_opened: receiverLots.map(l => l.id),
+        },
+      });
+
+      // ── FIFO Certificate Allocation & Reissuance ──
+      // Per transfer-agent model: cancel affected certs, reissue remainder + transferred
+      const { allocations, cancelled: cancelledCerts, remainders } = await consumeCertificatesFifo(client, {
+        entityId: user.entity_id,
+        shareholderId: from_shareholder_id,
+        entityStockTypeId: entity_stock_type_id,
+        entityStockSeriesId: entity_stock_series_id || null,
+        shares: sharesNum,
+        reason: (alloc) => `Cancelled for transfer of ${alloc.usedShares} shares to shareholder #${to_shareholder_id}`,
+        shareTransactionId: outResult.rows[0].id,
+        createdBy: user.id,
+        excludeCertificateIds: stop.heldCertificateIds,
+      });
+      const newSenderCerts = remainders.map(r => r.cert);
+
+      for (const alloc of allocations) {
+        auditEntries.push({
+          action: 'AUTO_CANCEL_CERTIFICATE',
+          resource_type: 'STOCK_CERTIFICATE', resource_id: alloc.cert.id,
+          details: { certificate_number: alloc.cert.certificate_number, trigger: 'TRANSFER', transfer_to: to_shareholder_id, shares_used: alloc.usedShares },
+        });
+      }
+      for (const r of remainders) {
+        auditEntries.push({
+          action: 'AUTO_GENERATE_CERTIFICATE',
+          resource_type: 'STOCK_CERTIFICATE', resource_id: r.cert.id,
+          details: {
+            certificate_number: r.cert.certificate_number,
+            shareholder_id: from_shareholder_id,
+            shares: r.shares,
+            trigger: 'TRANSFER_REMAINDER',
+            source_certificate: r.source.certificate_number,
+            original_issue_date: r.originalIssueDate,
+          },
         });
-        if (remainderCert) {
-          newSenderCerts.push(remainderCert);
-          // Link cancelled cert to its remainder
-          await query('UPDATE stock_certificates SET replaced_by_certificate_id = $1 WHERE id = $2', [remainderCert.id, alloc.cert.id]);
-
-          await logAudit({
-            user_id: user.id, user_email: user.email, user_role: user.role,
-            entity_id: user.entity_id, action: 'AUTO_GENERATE_CERTIFICATE',
-            resource_type: 'STOCK_CERTIFICATE', resource_id: remainderCert.id,
-            details: {
-              certificate_number: remainderCert.certificate_number,
-              shareholder_id: from_shareholder_id,
-              shares: alloc.remainderShares,
-              trigger: 'TRANSFER_REMAINDER',
-              source_certificate: alloc.cert.certificate_number,
-              original_issue_date: alloc.originalIssueDate,
-            },
-            ip_address: getClientIp(event),
-          });
-        }
       }
-    }
 
-    // 5. Issue NEW certificate for receiver (never merge with existing certs)
-    // The original_issue_date of the FIRST consumed cert is used as lineage
-    const firstAllocDate = allocations.length > 0 ? allocations[0].originalIssueDate : null;
-    newReceiverCert = await autoGenerateCertificate({
-      entityId: user.entity_id,
-      shareholderId: to_shareholder_id,
-      shareTransactionId: inResult.rows[0].id,
-      entityStockTypeId: entity_stock_type_id,
-      entityStockSeriesId: entity_stock_series_id || null,
-      shares: sharesNum,
-      issueDate: null, // certificate_issue_date = today
-      createdBy: user.id,
-      // New fields
-      originalIssueDate: firstAllocDate,
-      transferDate: txDate,
-      sourceCertificateId: allocations.length > 0 ? allocations[0].cert.id : null,
-    });
+      // Issue NEW certificate for receiver (never merge with existing certs)
+      // The original_issue_date of the FIRST consumed cert is used as lineage;
+      // Rule 144 flags and holding period come from every consumed cert
+      const firstAllocDate = allocations.length > 0 ? allocations[0].originalIssueDate : null;
+      const receiverRestriction = await inheritRestriction(client, {
+        sourceCertificateIds: allocations.map(a => a.cert.id),
+        shareholderId: to_shareholder_id,
+        transferDate: txDate,
+        gift: transferKind === 'GIFT',
+      });
+      const newReceiverCert = await autoGenerateCertificateWithClient(client, {
+        entityId: user.entity_id,
+        shareholderId: to_shareholder_id,
+        shareTransactionId: inResult.rows[0].id,
+        entityStockTypeId: entity_stock_type_id,
+        entityStockSeriesId: entity_stock_series_id || null,
+        shares: sharesNum,
+        issueDate: null, // certificate_issue_date = today
+        createdBy: user.id,
+        originalIssueDate: firstAllocDate,
+        transferDate: txDate,
+        sourceCertificateId: allocations.length > 0 ? allocations[0].cert.id : null,
+        restriction: receiverRestriction,
+      });
 
-    if (newReceiverCert) {
-      await logAudit({
-        user_id: user.id, user_email: user.email, user_role: user.role,
-        entity_id: user.entity_id, action: 'AUTO_GENERATE_CERTIFICATE',
+      auditEntries.push({
+        action: 'AUTO_GENERATE_CERTIFICATE',
         resource_type: 'STOCK_CERTIFICATE', resource_id: newReceiverCert.id,
         details: {
           certificate_number: newReceiverCert.certificate_number,
@@ -635,11 +1014,42 @@ async function handleTransfer(event) {
           transfer_date: txDate,
           source_certificates: cancelledCerts.map(c => c.certificate_number),
         },
-        ip_address: getClientIp(event),
       });
+
+      return { outResult, inResult, cancelledCerts, newSenderCerts, newReceiverCert };
+    });
+  } catch (err) {
+    if (err.statusCode === 400) {
+      return json(400, { success:false, error:err.message, error_code:err.error_code, details:err.details }, headers);
+    }
+    throw err;
+  }
+
+  const { outResult, inResult, cancelledCerts, newSenderCerts, newReceiverCert } = result;
+
+  if (restriction.override) {
+    auditEntries.unshift({
+      action: 'TRANSFER_RESTRICTION_OVERRIDE',
+      resource_type: 'SHARE_TRANSACTION', resource_id: outResult.rows[0].id,
+      details: { reason: restriction.override.reason, violations: restriction.override.violations },
+    });
+  }
+
+  for (const entry of auditEntries) {
+    await logAudit({
+      user_id: user.id, user_email: user.email, user_role: user.role,
+      entity_id: user.entity_id, ...entry,
+      ip_address: getClientIp(event),
+    });
+  }
+
+  // Render PDFs after commit (best-effort; the certificate records already exist)
+  for (const cert of [...newSenderCerts, newReceiverCert]) {
+    try {
+      cert.pdf_path = await storeCertificatePdf(cert.id);
+    } catch (pdfErr) {
+      console.error('Transfer certificate PDF generation error (non-fatal):', pdfErr.message);
     }
-  } catch (certErr) {
-    console.error('Auto-certificate transfer handling failed (non-fatal):', certErr.message);
   }
 
   return json(201, { 
@@ -657,233 +1067,2696 @@ async function handleTransfer(event) {
 }
 
 /* =====================================================
-   POST: Cancel Shares
-   Stores with NEGATIVE shares for proper balance calculation
+   POST: Multi-Transfer (one-to-many / many-to-one)
+   Either from_shareholder_id + receivers [{ to_shareholder_id,
+   shares }] (fund distribution) or to_shareholder_id +
+   senders [{ from_shareholder_id, shares }] (consolidation).
+   Each leg is a TRANSFER-out / TRANSFER-in pair like
+   transfer-shares, all tagged with one transfer_batch_id.
+   Balances are validated up front; each sender's certificates
+   get a single FIFO pass for their whole outflow, so there is
+   at most one remainder per consumed certificate rather than
+   one per leg. Every receiver leg gets a new certificate.
+   Tax lots follow transfer-shares (transfer_kind,
+   price_per_share, overridable per leg) but are always
+   consumed FIFO, leg by leg.
 ===================================================== */
-async function handleCancel(event) {
-  const auth = await authMiddleware(event);
+async function handleMultiTransfer(event, approval = null) {
+  const auth = approval ? approval.auth : await authMiddleware(event);
   if (auth.statusCode) return auth;
   const { user, headers } = auth;
 
   const body = parseBody(event);
   const {
-    shareholder_id,
+    from_shareholder_id,
+    to_shareholder_id,
+    receivers,
+    senders,
     entity_stock_type_id,
     entity_stock_series_id,
-    shares,
     transaction_date,
     notes,
   } = body;
 
-  if (!shareholder_id || !entity_stock_type_id || !shares) {
+  const transferKind = parseTransferKind(body);
+
+  const oneToMany = Array.isArray(receivers) && receivers.length > 0;
+  const manyToOne = Array.isArray(senders) && senders.length > 0;
+  if (oneToMany === manyToOne) {
+    return json(400, { success:false, error:'Provide either receivers (one sender) or senders (one receiver)' }, headers);
+  }
+  if (!entity_stock_type_id || (oneToMany ? !from_shareholder_id : !to_shareholder_id)) {
     return json(400, { success:false, error:'Missing required fields' }, headers);
   }
 
-  // Store cancellation with NEGATIVE shares
-  const sharesNum = -Math.abs(parseFloat(shares));
+  // Normalise to legs of { from, to, shares }
+  const legs = oneToMany
+    ? receivers.map(r => ({ from: String(from_shareholder_id), to: String(r.to_shareholder_id || ''), shares: Math.abs(parseFloat(r.shares)), price: r.price_per_share }))
+    : senders.map(s => ({ from: String(s.from_shareholder_id || ''), to: String(to_shareholder_id), shares: Math.abs(parseFloat(s.shares)), price: s.price_per_share }));
 
-  const result = await query(
-    `
-    INSERT INTO share_transactions (
-      entity_id,
-      shareholder_id,
-      transaction_type,
-      transaction_date,
-      entity_stock_type_id,
-      entity_stock_series_id,
-      shares,
-      notes,
-      created_by
-    )
-    VALUES (
-      $1,$2,'CANCELLATION',$3,$4,$5,$6,$7,$8
-    )
-    RETURNING *
-    `,
-    [
-      user.entity_id,
-      shareholder_id,
-      transaction_date || new Date(),
-      entity_stock_type_id,
-      entity_stock_series_id || null,
-      sharesNum,  // NEGATIVE shares for cancellation
-      notes || null,
-      user.id,
-    ]
-  );
+  const counterparties = legs.map(l => (oneToMany ? l.to : l.from));
+  if (counterparties.some(id => !id) || legs.some(l => !(l.shares > 0))) {
+    return json(400, { success:false, error:'Every leg needs a shareholder and a positive share count' }, headers);
+  }
+  if (new Set(counterparties).size !== counterparties.length) {
+    return json(400, { success:false, error:'Each shareholder may appear only once per multi-transfer' }, headers);
+  }
+  if (legs.some(l => l.from === l.to)) {
+    return json(400, { success:false, error:'Cannot transfer shares to the same shareholder' }, headers);
+  }
 
-  await logAudit({
-    user_id: user.id, user_email: user.email, user_role: user.role,
-    entity_id: user.entity_id, action: 'CANCEL_SHARES',
-    resource_type: 'SHARE_TRANSACTION', resource_id: result.rows[0].id,
-    details: { shareholder_id, entity_stock_type_id, shares: sharesNum },
-    ip_address: getClientIp(event),
-  });
+  // Purchase price per leg, falling back to the top-level price_per_share; gifts carry basis instead
+  for (const l of legs) {
+    const raw = l.price !== undefined && l.price !== null && l.price !== '' ? l.price : body.price_per_share;
+    l.price = transferKind === 'PURCHASE' && raw !== undefined && raw !== null && raw !== '' ? parseFloat(raw) : null;
+    if (l.price !== null && !(l.price >= 0)) {
+      return json(400, { success:false, error:'price_per_share must be zero or a positive number' }, headers);
+    }
+  }
 
-  return json(201, { success:true, transaction: result.rows[0] }, headers);
-}
+  const totalShares = legs.reduce((sum, l) => sum + l.shares, 0);
+  const restriction = await checkTransferRestrictions(event, auth, { action: 'multi-transfer', legs, shares: totalShares, body, approval });
+  if (restriction.response) return restriction.response;
 
-/* =====================================================
-   POST: Execute Stock Split (Forward or Reverse)
-   Appends FORWARD_SPLIT or REVERSE_SPLIT adjustment 
-   transactions per holder – immutable, audit-safe.
-===================================================== */
-async function handleSplit(event) {
-  const auth = await authMiddleware(event);
-  if (auth.statusCode) return auth;
-  const { user, headers } = auth;
+  if (!approval) {
+    const held = await holdForApproval(event, auth, 'multi-transfer', 'TRANSFER', totalShares, body);
+    if (held) return held;
+  }
 
-  const canSplit = requireRole(['SUPER_ADMIN', 'ENTITY_ADMIN'])(user);
-  if (!canSplit) return json(403, { success:false, error:'Forbidden' }, headers);
+  const txDate = transaction_date || new Date();
+  const batchId = crypto.randomUUID();
+  const auditEntries = [];
+  let result;
+  try {
+    result = await withTransaction(async (client) => {
+      await markApprovalPosted(client, approval);
+      // Lock every party (in id order) so concurrent transfers can't race the balance checks
+      const partyIds = [...new Set(legs.flatMap(l => [l.from, l.to]))].map(Number).sort((a, b) => a - b);
+      const lockRes = await client.query(
+        'SELECT id FROM shareholders WHERE entity_id = $1 AND id = ANY($2::int[]) ORDER BY id FOR UPDATE',
+        [user.entity_id, partyIds]
+      );
+      if (lockRes.rows.length !== partyIds.length) {
+        throw Object.assign(new Error('One or more shareholders not found'), { statusCode: 400 });
+      }
 
-  const body = parseBody(event);
-  const {
-    entity_stock_type_id,
+      // Validate every sender's balance against its total outflow before writing anything
+      const outflow = new Map();
+      for (const l of legs) outflow.set(l.from, (outflow.get(l.from) || 0) + l.shares);
+      const shortfalls = [];
+      const balances = new Map();
+      for (const [senderId, total] of outflow) {
+        const balRes = await client.query(`
+          SELECT COALESCE(SUM(shares), 0) as balance
+          FROM share_transactions
+          WHERE shareholder_id = $1
+            AND entity_stock_type_id = $2
+            AND ($3::bigint IS NULL OR entity_stock_series_id = $3)
+        `, [senderId, entity_stock_type_id, entity_stock_series_id || null]);
+        const balance = parseFloat(balRes.rows[0]?.balance || 0);
+        balances.set(senderId, balance);
+        if (balance < total) shortfalls.push({ shareholder_id: Number(senderId), balance, requested: total });
+      }
+      if (shortfalls.length) {
+        throw Object.assign(
+          new Error(`Insufficient shares for ${shortfalls.length} sender(s). Nothing was transferred.`),
+          { statusCode: 400, error_code: 'ERR_INSUFFICIENT_SHARES', details: { senders: shortfalls } }
+        );
+      }
+
+      // Stop-transfer orders, checked the same way as transfer-shares for each sender
+      const heldCertIds = new Map();
+      for (const [senderId, total] of outflow) {
+        const stop = await assertHoldingNotStopped(client, {
+          entityId: user.entity_id,
+          shareholderId: senderId,
+          entityStockTypeId: entity_stock_type_id,
+          entityStockSeriesId: entity_stock_series_id || null,
+        });
+        const free = balances.get(senderId) - stop.heldShares;
+        if (free < total) {
+          throw stopOrderError(
+            `Shareholder #${senderId} has only ${free} shares free to transfer; ${stop.heldShares} are frozen by stop-transfer orders. Nothing was transferred.`,
+            stop.orders
+          );
+        }
+        heldCertIds.set(senderId, stop.heldCertificateIds);
+      }
+
+      // Ledger rows: one TRANSFER-out / TRANSFER-in pair per leg
+      for (const l of legs) {
+        const insertLeg = (shareholderId, shares, note) => client.query(`
+          INSERT INTO share_transactions (
+            entity_id, shareholder_id, from_shareholder_id, to_shareholder_id,
+            transaction_type, transaction_date, entity_stock_type_id, entity_stock_series_id,
+            shares, price_per_share, notes, transfer_batch_id, created_by
+          ) VALUES ($1,$2,$3,$4,'TRANSFER',$5,$6,$7,$8,$9,$10,$11,$12)
+          RETURNING *
+        `, [
+          user.entity_id, shareholderId, l.from, l.to,
+          txDate, entity_stock_type_id, entity_stock_series_id || null,
+          shares, l.price, note, batchId, user.id,
+        ]);
+        l.out = (await insertLeg(l.from, -l.shares, notes ? `Transfer Out: ${notes}` : 'Transfer Out')).rows[0];
+        l.in = (await insertLeg(l.to, l.shares, notes ? `Transfer In: ${notes}` : 'Transfer In')).rows[0];
+
+        const holding = {
+          entityId: user.entity_id,
+          entityStockTypeId: entity_stock_type_id,
+          entityStockSeriesId: entity_stock_series_id || null,
+        };
+        const consumed = await consumeLots(client, {
+          ...holding,
+          shareholderId: l.from,
+          shares: l.shares,
+          shareTransactionId: l.out.id,
+          disposalType: transferKind === 'GIFT' ? 'GIFT' : 'TRANSFER',
+        });
+        const receiverLots = await createReceiverLots(client, {
+          ...holding,
+          ...consumed,
+          kind: transferKind,
+          shareholderId: l.to,
+          shares: l.shares,
+          pricePerShare: l.price,
+          transactionDate: l.in.transaction_date,
+          sourceTransactionId: l.in.id,
+          createdBy: user.id,
+        });
+
+        auditEntries.push({
+          action: 'TRANSFER_SHARES',
+          resource_type: 'SHARE_TRANSACTION', resource_id: l.out.id,
+          details: {
+            from_shareholder_id: l.from, to_shareholder_id: l.to, entity_stock_type_id, shares: l.shares, transfer_batch_id: batchId,
+            transfer_kind: transferKind, price_per_share: l.price,
+            lots_consumed: consumed.disposals.map(d => ({ lot_id: d.lot.id, shares: d.shares })),
+            lots_opened: receiverLots.map(r => r.id),
+          },
+        });
+      }
+
+      // One FIFO pass per sender over its whole outflow, then hand the consumed
+      // certificates out to that sender's legs in order for lineage
+      const cancelledCerts = [];
+      const senderRemainders = [];
+      const receiverCerts = [];
+      for (const [senderId, total] of outflow) {
+        const senderLegs = legs.filter(l => l.from === senderId);
+        const { allocations, cancelled, remainders } = await consumeCertificatesFifo(client, {
+          entityId: user.entity_id,
+          shareholderId: senderId,
+          entityStockTypeId: entity_stock_type_id,
+          entityStockSeriesId: entity_stock_series_id || null,
+          shares: total,
+          reason: (alloc) => `Cancelled for multi-transfer of ${alloc.usedShares} shares`,
+          shareTransactionId: senderLegs[0].out.id,
+          createdBy: user.id,
+          excludeCertificateIds: heldCertIds.get(senderId),
+        });
+        cancelledCerts.push(...cancelled);
+        senderRemainders.push(...remainders.map(r => r.cert));
+
+        for (const alloc of allocations) {
+          auditEntries.push({
+            action: 'AUTO_CANCEL_CERTIFICATE',
+            resource_type: 'STOCK_CERTIFICATE', resource_id: alloc.cert.id,
+            details: { certificate_number: alloc.cert.certificate_number, trigger: 'MULTI_TRANSFER', shares_used: alloc.usedShares, transfer_batch_id: batchId },
+          });
+        }
+        for (const r of remainders) {
+          auditEntries.push({
+            action: 'AUTO_GENERATE_CERTIFICATE',
+            resource_type: 'STOCK_CERTIFICATE', resource_id: r.cert.id,
+            details: {
+              certificate_number: r.cert.certificate_number,
+              shareholder_id: senderId,
+              shares: r.shares,
+              trigger: 'TRANSFER_REMAINDER',
+              source_certificate: r.source.certificate_number,
+              original_issue_date: r.originalIssueDate,
+            },
+          });
+        }
+
+        // Walk the allocations: each leg's lineage comes from the first certificate it draws on
+        let allocIdx = 0;
+        let allocLeft = allocations.length ? allocations[0].usedShares : 0;
+        for (const l of senderLegs) {
+          while (allocLeft <= 0 && allocIdx < allocations.length - 1) {
+            allocIdx += 1;
+            allocLeft = allocations[allocIdx].usedShares;
+          }
+          const first = allocLeft > 0 ? allocations[allocIdx] : null;
+          const drawnFrom = first ? [first.cert.id] : [];
+          let need = l.shares;
+          while (need > 0 && allocLeft > 0) {
+            const take = Math.min(need, allocLeft);
+            need -= take;
+            allocLeft -= take;
+            if (need > 0 && allocIdx < allocations.length - 1) {
+              allocIdx += 1;
+              allocLeft = allocations[allocIdx].usedShares;
+              drawnFrom.push(allocations[allocIdx].cert.id);
+            }
+          }
+          const restriction = await inheritRestriction(client, {
+            sourceCertificateIds: drawnFrom, shareholderId: l.to, transferDate: txDate, gift: transferKind === 'GIFT',
+          });
+
+          const cert = await autoGenerateCertificateWithClient(client, {
+            entityId: user.entity_id,
+            shareholderId: l.to,
+            shareTransactionId: l.in.id,
+            entityStockTypeId: entity_stock_type_id,
+            entityStockSeriesId: entity_stock_series_id || null,
+            shares: l.shares,
+            issueDate: null, // certificate_issue_date = today
+            createdBy: user.id,
+            originalIssueDate: first ? first.originalIssueDate : null,
+            transferDate: txDate,
+            sourceCertificateId: first ? first.cert.id : null,
+            restriction,
+          });
+          receiverCerts.push(cert);
+          auditEntries.push({
+            action: 'AUTO_GENERATE_CERTIFICATE',
+            resource_type: 'STOCK_CERTIFICATE', resource_id: cert.id,
+            details: {
+              certificate_number: cert.certificate_number,
+              shareholder_id: l.to,
+              shares: l.shares,
+              trigger: 'MULTI_TRANSFER',
+              original_issue_date: first ? first.originalIssueDate : null,
+              transfer_date: txDate,
+              source_certificate: first ? first.cert.certificate_number : null,
+            },
+          });
+        }
+      }
+
+      return { cancelledCerts, senderRemainders, receiverCerts };
+    });
+  } catch (err) {
+    if (err.statusCode === 400) {
+      return json(400, { success:false, error:err.message, error_code:err.error_code, details:err.details }, headers);
+    }
+    throw err;
+  }
+
+  await logAudit({
+    user_id: user.id, user_email: user.email, user_role: user.role,
+    entity_id: user.entity_id, action: 'MULTI_TRANSFER_SHARES',
+    resource_type: 'SHARE_TRANSACTION',
+    details: {
+      transfer_batch_id: batchId,
+      mode: oneToMany ? 'ONE_TO_MANY' : 'MANY_TO_ONE',
+      entity_stock_type_id,
+      transfer_kind: transferKind,
+      legs: legs.map(l => ({ from_shareholder_id: l.from, to_shareholder_id: l.to, shares: l.shares, price_per_share: l.price })),
+    },
+    ip_address: getClientIp(event),
+  });
+  if (restriction.override) {
+    await logAudit({
+      user_id: user.id, user_email: user.email, user_role: user.role,
+      entity_id: user.entity_id, action: 'TRANSFER_RESTRICTION_OVERRIDE',
+      resource_type: 'SHARE_TRANSACTION', resource_id: legs[0].out.id,
+      details: { transfer_batch_id: batchId, reason: restriction.override.reason, violations: restriction.override.violations },
+      ip_address: getClientIp(event),
+    });
+  }
+  for (const entry of auditEntries) {
+    await logAudit({
+      user_id: user.id, user_email: user.email, user_role: user.role,
+      entity_id: user.entity_id, ...entry,
+      ip_address: getClientIp(event),
+    });
+  }
+
+  // Render PDFs after commit (best-effort; the certificate records already exist)
+  for (const cert of [...result.senderRemainders, ...result.receiverCerts]) {
+    try {
+      cert.pdf_path = await storeCertificatePdf(cert.id);
+    } catch (pdfErr) {
+      console.error('Multi-transfer certificate PDF generation error (non-fatal):', pdfErr.message);
+    }
+  }
+
+  return json(201, {
+    success: true,
+    transfer_batch_id: batchId,
+    legs: legs.map(l => ({
+      from_shareholder_id: Number(l.from),
+      to_shareholder_id: Number(l.to),
+      shares: l.shares,
+      transfer_out: l.out,
+      transfer_in: l.in,
+    })),
+    certificates: {
+      cancelled: result.cancelledCerts.map(c => c.certificate_number),
+      sender_new: result.senderRemainders.map(c => ({ id: c.id, certificate_number: c.certificate_number, shareholder_id: c.shareholder_id, shares: c.shares })),
+      receiver_new: result.receiverCerts.map(c => ({ id: c.id, certificate_number: c.certificate_number, shareholder_id: c.shareholder_id, shares: c.shares })),
+    }
+  }, headers);
+}
+
+/* =====================================================
+   POST: Cancel Shares
+   Stores with NEGATIVE shares for proper balance calculation
+   Tax lots are consumed FIFO unless lot_method=SPECIFIC_ID
+   with lot_selections [{ lot_id, shares }].
+===================================================== */
+async function handleCancel(event, approval = null) {
+  const auth = approval ? approval.auth : await authMiddleware(event);
+  if (auth.statusCode) return auth;
+  const { user, headers } = auth;
+
+  const body = parseBody(event);
+  const {
+    shareholder_id,
+    entity_stock_type_id,
+    entity_stock_series_id,
+    shares,
+    transaction_date,
+    notes,
+  } = body;
+
+  if (!shareholder_id || !entity_stock_type_id || !shares) {
+    return json(400, { success:false, error:'Missing required fields' }, headers);
+  }
+
+  // Store cancellation with NEGATIVE shares
+  const sharesNum = -Math.abs(parseFloat(shares));
+  const lotSelection = parseLotSelection(body);
+
+  if (!approval) {
+    const held = await holdForApproval(event, auth, 'cancel-shares', 'CANCEL', sharesNum, body);
+    if (held) return held;
+  }
+
+  let result, consumed;
+  try {
+    ({ result, consumed } = await withTransaction(async (client) => {
+      await markApprovalPosted(client, approval);
+      // Lock the holder so concurrent transfers/cancellations can't race the stop-order check
+      const holderLock = await client.query(
+        'SELECT id FROM shareholders WHERE id = $1 AND entity_id = $2 FOR UPDATE',
+        [shareholder_id, user.entity_id]
+      );
+      if (!holderLock.rows.length) {
+        throw Object.assign(new Error('Shareholder not found'), { statusCode: 400 });
+      }
+
+      // Shares frozen by a stop-transfer order can't be cancelled either
+      const stop = await assertHoldingNotStopped(client, {
+        entityId: user.entity_id,
+        shareholderId: shareholder_id,
+        entityStockTypeId: entity_stock_type_id,
+        entityStockSeriesId: entity_stock_series_id || null,
+      });
+      if (stop.heldShares > 0) {
+        const balRes = await client.query(`
+          SELECT COALESCE(SUM(shares), 0) as balance
+          FROM share_transactions
+          WHERE shareholder_id = $1
+            AND entity_stock_type_id = $2
+            AND ($3::bigint IS NULL OR entity_stock_series_id = $3)
+        `, [shareholder_id, entity_stock_type_id, entity_stock_series_id || null]);
+        const free = parseFloat(balRes.rows[0]?.balance || 0) - stop.heldShares;
+        if (free < -sharesNum) {
+          throw stopOrderError(`Only ${free} shares are free to cancel; ${stop.heldShares} are frozen by stop-transfer orders`, stop.orders);
+        }
+      }
+
+      const result = await client.query(
+        `
+        INSERT INTO share_transactions (
+          entity_id,
+          shareholder_id,
+          transaction_type,
+          transaction_date,
+          entity_stock_type_id,
+          entity_stock_series_id,
+          shares,
+          notes,
+          created_by
+        )
+        VALUES (
+          $1,$2,'CANCELLATION',$3,$4,$5,$6,$7,$8
+        )
+        RETURNING *
+        `,
+        [
+          user.entity_id,
+          shareholder_id,
+          transaction_date || new Date(),
+          entity_stock_type_id,
+          entity_stock_series_id || null,
+          sharesNum,  // NEGATIVE shares for cancellation
+          notes || null,
+          user.id,
+        ]
+      );
+
+      const consumed = await consumeLots(client, {
+        entityId: user.entity_id,
+        shareholderId: shareholder_id,
+        entityStockTypeId: entity_stock_type_id,
+        entityStockSeriesId: entity_stock_series_id || null,
+        shares: sharesNum,
+        shareTransactionId: result.rows[0].id,
+        disposalType: 'CANCELLATION',
+        method: lotSelection.method,
+        selections: lotSelection.selections,
+      });
+      return { result, consumed };
+    }));
+  } catch (err) {
+    if (err.statusCode === 400) {
+      return json(400, { success:false, error:err.message, error_code:err.error_code, details:err.details }, headers);
+    }
+    throw err;
+  }
+
+  await logAudit({
+    user_id: user.id, user_email: user.email, user_role: user.role,
+    entity_id: user.entity_id, action: 'CANCEL_SHARES',
+    resource_type: 'SHARE_TRANSACTION', resource_id: result.rows[0].id,
+    details: {
+      shareholder_id, entity_stock_type_id, shares: sharesNum, lot_method: lotSelection.method,
+      lots_consumed: consumed.disposals.map(d => ({ lot_id: d.lot.id, shares: d.shares })),
+    },
+    ip_address: getClientIp(event),
+  });
+
+  return json(201, { success:true, transaction: result.rows[0] }, headers);
+}
+
+/* =====================================================
+   POST: Void Transaction
+   Immutable correction for a mistaken ISSUANCE, TRANSFER
+   or CANCELLATION: posts an offsetting row of the same
+   type (negated shares) that references the original via
+   reversal_of_transaction_id. A transfer is voided as a
+   pair, and its certificates are unwound: the receiver's
+   certificate and the sender's remainders are cancelled
+   and the sender's consumed certificates reissued whole.
+   Certificates issued for a voided issuance are cancelled.
+   Tax lots drawn down by the voided rows are restored and
+   lots they opened are closed.
+===================================================== */
+async function handleVoidTransaction(event) {
+  const auth = await authMiddleware(event);
+  if (auth.statusCode) return auth;
+  const { user, headers } = auth;
+
+  const canVoid = requireRole(['SUPER_ADMIN', 'ENTITY_ADMIN'])(user);
+  if (!canVoid) return json(403, { success:false, error:'Forbidden' }, headers);
+
+  const body = parseBody(event);
+  const { transaction_id, reason } = body;
+  if (!transaction_id) {
+    return json(400, { success:false, error:'transaction_id is required' }, headers);
+  }
+  if (!reason || !String(reason).trim()) {
+    return json(400, { success:false, error:'A reason is required to void a transaction' }, headers);
+  }
+  const voidReason = String(reason).trim();
+  const correctionDate = parseAsOf(body.correction_date, 'correction_date') || toDateStr(new Date());
+  const entityId = user.entity_id;
+
+  const auditEntries = [];
+  let result;
+  try {
+    result = await withTransaction(async (client) => {
+      const origRes = await client.query(
+        'SELECT * FROM share_transactions WHERE id = $1 AND entity_id = $2 FOR UPDATE',
+        [transaction_id, entityId]
+      );
+      if (!origRes.rows.length) {
+        throw Object.assign(new Error('Transaction not found'), { statusCode: 400 });
+      }
+      const original = origRes.rows[0];
+      await assertVoidable(client, original);
+
+      // A transfer is two rows written in one DB transaction (same created_at); void both legs
+      let legs = [original];
+      if (original.transaction_type === 'TRANSFER') {
+        const siblingRes = await client.query(`
+          SELECT * FROM share_transactions
+          WHERE entity_id = $1
+            AND transaction_type = 'TRANSFER'
+            AND id <> $2
+            AND from_shareholder_id = $3
+            AND to_shareholder_id = $4
+            AND entity_stock_type_id = $5
+            AND entity_stock_series_id IS NOT DISTINCT FROM $6::bigint
+            AND shares = $7
+            AND created_at = (SELECT created_at FROM share_transactions WHERE id = $2)
+          ORDER BY ABS(id - $2)
+          LIMIT 1
+          FOR UPDATE
+        `, [
+          entityId, original.id, original.from_shareholder_id, original.to_shareholder_id,
+          original.entity_stock_type_id, original.entity_stock_series_id, -parseFloat(original.shares),
+        ]);
+        if (!siblingRes.rows.length) {
+          throw Object.assign(new Error('The other leg of this transfer could not be found'), { statusCode: 400 });
+        }
+        await assertVoidable(client, siblingRes.rows[0]);
+        legs = [original, siblingRes.rows[0]];
+      } else if (original.transaction_type === 'ISSUANCE') {
+        await assertPlainIssuance(client, original);
+      }
+
+      // No leg may drive its holder negative once offset
+      for (const leg of legs) {
+        const shares = parseFloat(leg.shares);
+        if (shares <= 0) continue;
+        const balRes = await client.query(`
+          SELECT COALESCE(SUM(shares), 0) AS balance
+          FROM share_transactions
+          WHERE entity_id = $1 AND shareholder_id = $2 AND entity_stock_type_id = $3
+            AND entity_stock_series_id IS NOT DISTINCT FROM $4::bigint
+        `, [entityId, leg.shareholder_id, leg.entity_stock_type_id, leg.entity_stock_series_id]);
+        const balance = parseFloat(balRes.rows[0].balance);
+        if (balance < shares) {
+          throw Object.assign(
+            new Error(`Cannot void: shareholder #${leg.shareholder_id} now holds ${balance.toLocaleString()} shares, fewer than the ${shares.toLocaleString()} this entry added. Void the later transactions first.`),
+            { statusCode: 400, error_code: 'ERR_LATER_ACTIVITY', details: { shareholder_id: leg.shareholder_id, balance, shares } }
+          );
+        }
+
+        // Offsetting the leg takes its shares back: refused while the holding, or the
+        // certificate the leg issued, is frozen by a stop-transfer order
+        const stop = await assertHoldingNotStopped(client, {
+          entityId,
+          shareholderId: leg.shareholder_id,
+          entityStockTypeId: leg.entity_stock_type_id,
+          entityStockSeriesId: leg.entity_stock_series_id,
+        });
+        if (stop.heldCertificateIds.length) {
+          const frozenRes = await client.query(
+            'SELECT id FROM stock_certificates WHERE id = ANY($1::int[]) AND share_transaction_id = $2',
+            [stop.heldCertificateIds, leg.id]
+          );
+          if (frozenRes.rows.length) {
+            const frozenIds = frozenRes.rows.map(r => r.id);
+            throw stopOrderError(
+              'A certificate issued by this entry is frozen by a stop-transfer order',
+              stop.orders.filter(o => frozenIds.includes(o.certificate_id))
+            );
+          }
+        }
+      }
+
+      const offsets = [];
+      for (const leg of legs) {
+        const offRes = await client.query(`
+          INSERT INTO share_transactions (
+            entity_id, shareholder_id, from_shareholder_id, to_shareholder_id,
+            transaction_type, transaction_date, entity_stock_type_id, entity_stock_series_id,
+            shares, certificate_number, notes, is_treasury, reversal_of_transaction_id, created_by
+          ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14)
+          RETURNING *
+        `, [
+          entityId, leg.shareholder_id, leg.from_shareholder_id, leg.to_shareholder_id,
+          leg.transaction_type, correctionDate, leg.entity_stock_type_id, leg.entity_stock_series_id,
+          -parseFloat(leg.shares), leg.certificate_number, `VOID of #${leg.id}: ${voidReason}`,
+          leg.is_treasury, leg.id, user.id,
+        ]);
+        offsets.push(offRes.rows[0]);
+        auditEntries.push({
+          action: 'VOID_TRANSACTION',
+          resource_type: 'SHARE_TRANSACTION', resource_id: offRes.rows[0].id,
+          details: { voided_transaction_id: leg.id, transaction_type: leg.transaction_type, shareholder_id: leg.shareholder_id, shares: -parseFloat(leg.shares), reason: voidReason, correction_date: correctionDate },
+        });
+      }
+
+      // Voiding a cancellation puts shares back, so it needs authorized headroom again
+      if (original.transaction_type === 'CANCELLATION') {
+        const typeRes = await client.query(
+          'SELECT id, authorized_shares FROM entity_stock_types WHERE id = $1 FOR UPDATE',
+          [original.entity_stock_type_id]
+        );
+        const seriesRes = original.entity_stock_series_id
+          ? await client.query('SELECT id, authorized_shares FROM entity_stock_series WHERE id = $1', [original.entity_stock_series_id])
+          : { rows: [] };
+        await assertWithinAuthorized(client, entityId, typeRes.rows[0], seriesRes.rows[0] || null, Math.abs(parseFloat(original.shares)), 'restore');
+      }
+
+      const certs = await unwindCertificates(client, { entityId, legs, offsets, original, voidReason, createdBy: user.id });
+      await unwindLots(client, legs.map(l => l.id));
+      for (const c of certs.cancelled) {
+        auditEntries.push({
+          action: 'AUTO_CANCEL_CERTIFICATE',
+          resource_type: 'STOCK_CERTIFICATE', resource_id: c.id,
+          details: { certificate_number: c.certificate_number, shareholder_id: c.shareholder_id, shares: parseFloat(c.shares), trigger: 'VOID_TRANSACTION', voided_transaction_id: original.id },
+        });
+      }
+      for (const r of certs.restored) {
+        auditEntries.push({
+          action: 'AUTO_GENERATE_CERTIFICATE',
+          resource_type: 'STOCK_CERTIFICATE', resource_id: r.cert.id,
+          details: { certificate_number: r.cert.certificate_number, shareholder_id: r.source.shareholder_id, shares: parseFloat(r.source.shares), trigger: 'VOID_TRANSACTION', source_certificate: r.source.certificate_number },
+        });
+      }
+
+      return { original, legs, offsets, certs };
+    });
+  } catch (err) {
+    if (err.statusCode === 400) {
+      return json(400, { success:false, error:err.message, error_code:err.error_code, details:err.details }, headers);
+    }
+    throw err;
+  }
+
+  for (const entry of auditEntries) {
+    await logAudit({
+      user_id: user.id, user_email: user.email, user_role: user.role,
+      entity_id: entityId, ...entry,
+      ip_address: getClientIp(event),
+    });
+  }
+
+  for (const r of result.certs.restored) {
+    try {
+      r.cert.pdf_path = await storeCertificatePdf(r.cert.id);
+    } catch (pdfErr) {
+      console.error('Void certificate PDF generation error (non-fatal):', pdfErr.message);
+    }
+  }
+
+  return json(201, {
+    success: true,
+    voided: result.legs.map(l => l.id),
+    transactions: result.offsets,
+    certificates: {
+      cancelled: result.certs.cancelled.map(c => c.certificate_number),
+      restored: result.certs.restored.map(r => ({
+        id: r.cert.id,
+        certificate_number: r.cert.certificate_number,
+        shareholder_id: r.cert.shareholder_id,
+        shares: r.cert.shares,
+        source_certificate_number: r.source.certificate_number,
+      })),
+    }
+  }, headers);
+}
+
+async function assertVoidable(client, tx) {
+  if (!VOIDABLE_TYPES.includes(tx.transaction_type)) {
+    throw Object.assign(new Error(`${tx.transaction_type} entries cannot be voided here`), { statusCode: 400 });
+  }
+  if (tx.reversal_of_transaction_id) {
+    throw Object.assign(new Error('This entry is itself a correction and cannot be voided'), { statusCode: 400 });
+  }
+  if (tx.corporate_action_batch_id) {
+    throw Object.assign(new Error('This entry belongs to a corporate action; use reverse-corporate-action'), { statusCode: 400 });
+  }
+  // Multi-transfer legs share certificates consumed in one FIFO pass, so one leg can't be unwound alone
+  if (tx.transfer_batch_id) {
+    throw Object.assign(new Error('This entry is part of a multi-transfer and cannot be voided on its own'), { statusCode: 400 });
+  }
+  const voided = await client.query('SELECT 1 FROM share_transactions WHERE reversal_of_transaction_id = $1 LIMIT 1', [tx.id]);
+  if (voided.rows.length) {
+    throw Object.assign(new Error(`Transaction #${tx.id} has already been voided`), { statusCode: 400 });
+  }
+}
+
+// Issuances posted by other workflows keep state elsewhere (grants, instruments,
+// dividends, vesting); voiding the ledger row alone would leave that state stale.
+async function assertPlainIssuance(client, tx) {
+  const res = await client.query(`
+    SELECT
+      EXISTS (SELECT 1 FROM vesting_schedules WHERE share_transaction_id = $1) AS vesting,
+      EXISTS (SELECT 1 FROM equity_grant_events WHERE share_transaction_id = $1) AS grant_exercise,
+      EXISTS (SELECT 1 FROM convertible_instruments WHERE share_transaction_id = $1) AS conversion,
+      EXISTS (SELECT 1 FROM stock_dividend_allocations WHERE share_transaction_id = $1) AS stock_dividend
+  `, [tx.id]);
+  const r = res.rows[0];
+  if (r.vesting) throw Object.assign(new Error('This issuance carries a vesting schedule and cannot be voided'), { statusCode: 400 });
+  if (r.grant_exercise) throw Object.assign(new Error('This issuance is a grant exercise and cannot be voided'), { statusCode: 400 });
+  if (r.conversion) throw Object.assign(new Error('This issuance came from an instrument conversion and cannot be voided'), { statusCode: 400 });
+  if (r.stock_dividend) throw Object.assign(new Error('This issuance is part of a stock dividend and cannot be voided'), { statusCode: 400 });
+}
+
+// Cancel the certificates the voided rows created and, for a transfer, reissue the
+// sender's consumed certificates whole (found through their recorded lineage).
+async function unwindCertificates(client, { entityId, legs, offsets, original, voidReason, createdBy }) {
+  const cancelled = [];
+  const restored = [];
+  if (original.transaction_type === 'CANCELLATION') return { cancelled, restored };
+
+  const legIds = legs.map(l => l.id);
+  const createdRes = await client.query(`
+    SELECT id, certificate_number, shareholder_id, shares, status
+    FROM stock_certificates
+    WHERE entity_id = $1 AND share_transaction_id = ANY($2::int[])
+    FOR UPDATE
+  `, [entityId, legIds]);
+  const live = createdRes.rows.filter(c => c.status === 'ISSUED');
+  if (live.length !== createdRes.rows.length) {
+    throw Object.assign(
+      new Error('Certificates created by this transaction have since been cancelled or transferred. Void the later transactions first.'),
+      { statusCode: 400, error_code: 'ERR_LATER_ACTIVITY' }
+    );
+  }
+  for (const cert of live) {
+    await client.query(
+      `UPDATE stock_certificates SET status = 'CANCELLED', cancelled_at = NOW(), cancelled_reason = $1, updated_at = NOW() WHERE id = $2`,
+      [`Voided: ${voidReason}`, cert.id]
+    );
+    cancelled.push(cert);
+  }
+
+  if (original.transaction_type !== 'TRANSFER') return { cancelled, restored };
+
+  // The sender's certificates the transfer consumed: recorded against the out leg, and
+  // (for transfers posted before that was recorded) the sources of the certificates it issued
+  const outLeg = legs.find(l => parseFloat(l.shares) < 0);
+  const outOffset = offsets.find(o => o.reversal_of_transaction_id === outLeg.id);
+  const consumedRes = await client.query(`
+    SELECT * FROM stock_certificates
+    WHERE entity_id = $1 AND shareholder_id = $2 AND status = 'CANCELLED'
+      AND (cancelled_by_transaction_id = $3
+           OR id IN (SELECT source_certificate_id FROM stock_certificates WHERE share_transaction_id = ANY($4::int[])))
+    ORDER BY id
+    FOR UPDATE
+  `, [entityId, outLeg.shareholder_id, outLeg.id, legIds]);
+  for (const src of consumedRes.rows) {
+    const cert = await autoGenerateCertificateWithClient(client, {
+      entityId,
+      shareholderId: src.shareholder_id,
+      shareTransactionId: outOffset.id,
+      entityStockTypeId: src.entity_stock_type_id,
+      entityStockSeriesId: src.entity_stock_series_id || null,
+      shares: src.shares,
+      issueDate: null, // certificate_issue_date = today
+      createdBy,
+      originalIssueDate: src.original_issue_date || src.issue_date,
+      transferDate: null, // No transfer - same owner
+      sourceCertificateId: src.id,
+    });
+    // The source was replaced by the (now voided) remainder; point it at the restored certificate
+    // and move any stop-transfer order placed on the remainder onto it
+    if (src.replaced_by_certificate_id) await carryStopOrders(client, src.replaced_by_certificate_id, cert.id);
+    await client.query('UPDATE stock_certificates SET replaced_by_certificate_id = $1 WHERE id = $2', [cert.id, src.id]);
+    restored.push({ cert, source: src });
+  }
+  return { cancelled, restored };
+}
+
+/* =====================================================
+   POST: Repurchase Shares (company buyback)
+   Appends a REPURCHASE row (NEGATIVE shares) for the seller
+   and records price / consideration / payment date in
+   share_repurchases. disposition = 'TREASURY' keeps the
+   shares issued but not outstanding (reissuable through
+   issue-shares with from_treasury); 'RETIRE' cancels them.
+   The seller's tax lots are consumed FIFO unless
+   lot_method=SPECIFIC_ID with lot_selections.
+===================================================== */
+async function handleRepurchase(event) {
+  const auth = await authMiddleware(event);
+  if (auth.statusCode) return auth;
+  const { user, headers } = auth;
+
+  const canRepurchase = requireRole(['SUPER_ADMIN', 'ENTITY_ADMIN'])(user);
+  if (!canRepurchase) return json(403, { success:false, error:'Forbidden' }, headers);
+
+  const body = parseBody(event);
+  const {
+    shareholder_id,
+    entity_stock_type_id,
+    entity_stock_series_id,
+    shares,
+    price_per_share,
+    total_consideration,
+    transaction_date,
+    notes,
+  } = body;
+  const disposition = String(body.disposition || '').toUpperCase();
+
+  if (!shareholder_id || !entity_stock_type_id || !shares || price_per_share === undefined || price_per_share === null || price_per_share === '') {
+    return json(400, { success:false, error:'Missing required fields' }, headers);
+  }
+  if (!['TREASURY', 'RETIRE'].includes(disposition)) {
+    return json(400, { success:false, error:'disposition must be TREASURY or RETIRE' }, headers);
+  }
+
+  const sharesNum = Math.abs(parseFloat(shares));
+  const price = parseFloat(price_per_share);
+  if (!(sharesNum > 0)) return json(400, { success:false, error:'shares must be positive' }, headers);
+  if (!(price >= 0)) return json(400, { success:false, error:'price_per_share must be zero or positive' }, headers);
+
+  const consideration = total_consideration !== undefined && total_consideration !== null && total_consideration !== ''
+    ? parseFloat(total_consideration)
+    : Math.round(sharesNum * price * 100) / 100;
+  if (!(consideration >= 0)) return json(400, { success:false, error:'total_consideration must be zero or positive' }, headers);
+
+  const txDate = transaction_date || new Date();
+  const paymentDate = parseAsOf(body.payment_date, 'payment_date');
+  const toTreasury = disposition === 'TREASURY';
+  const lotSelection = parseLotSelection(body);
+  const entityId = user.entity_id;
+  const auditEntries = [];
+
+  let result;
+  try {
+    result = await withTransaction(async (client) => {
+      const lock = await client.query(
+        'SELECT id FROM shareholders WHERE id = $1 AND entity_id = $2 FOR UPDATE',
+        [shareholder_id, entityId]
+      );
+      if (!lock.rows.length) throw Object.assign(new Error('Shareholder not found'), { statusCode: 400 });
+
+      const balRes = await client.query(`
+        SELECT COALESCE(SUM(shares), 0) AS balance
+        FROM share_transactions
+        WHERE entity_id = $1 AND shareholder_id = $2
+          AND entity_stock_type_id = $3
+          AND entity_stock_series_id IS NOT DISTINCT FROM $4::bigint
+      `, [entityId, shareholder_id, entity_stock_type_id, entity_stock_series_id || null]);
+      const balance = parseFloat(balRes.rows[0].balance || 0);
+      if (balance < sharesNum) {
+        throw Object.assign(new Error(`Insufficient shares. Holder has ${balance} shares available.`), { statusCode: 400 });
+      }
+
+      // A buyback moves shares like a transfer: frozen holdings are refused, frozen certificates stay put
+      const stop = await assertHoldingNotStopped(client, {
+        entityId,
+        shareholderId: shareholder_id,
+        entityStockTypeId: entity_stock_type_id,
+        entityStockSeriesId: entity_stock_series_id || null,
+      });
+      if (balance - stop.heldShares < sharesNum) {
+        throw stopOrderError(
+          `Only ${balance - stop.heldShares} shares are free to repurchase; ${stop.heldShares} are frozen by stop-transfer orders`,
+          stop.orders
+        );
+      }
+
+      const txRes = await client.query(`
+        INSERT INTO share_transactions (
+          entity_id, shareholder_id, transaction_type, transaction_date,
+          entity_stock_type_id, entity_stock_series_id, shares, price_per_share,
+          notes, is_treasury, created_by
+        ) VALUES ($1,$2,'REPURCHASE',$3,$4,$5,$6,$7,$8,$9,$10)
+        RETURNING *
+      `, [
+        entityId, shareholder_id, txDate,
+        entity_stock_type_id, entity_stock_series_id || null,
+        -sharesNum, // NEGATIVE shares for the seller
+        price,
+        `Repurchase (${toTreasury ? 'to treasury' : 'retired'})${notes ? ` — ${notes}` : ''}`,
+        toTreasury,
+        user.id,
+      ]);
+      const transaction = txRes.rows[0];
+
+      const repRes = await client.query(`
+        INSERT INTO share_repurchases (
+          entity_id, share_transaction_id, shareholder_id,
+          entity_stock_type_id, entity_stock_series_id, shares,
+          price_per_share, total_consideration, payment_date, disposition, notes, created_by
+        ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12)
+        RETURNING *
+      `, [
+        entityId, transaction.id, shareholder_id,
+        entity_stock_type_id, entity_stock_series_id || null, sharesNum,
+        price, consideration, paymentDate, toTreasury ? 'TREASURY' : 'RETIRED', notes || null, user.id,
+      ]);
+
+      const certs = await consumeCertificatesFifo(client, {
+        entityId,
+        shareholderId: shareholder_id,
+        entityStockTypeId: entity_stock_type_id,
+        entityStockSeriesId: entity_stock_series_id || null,
+        shares: sharesNum,
+        reason: (alloc) => `Cancelled for company repurchase of ${alloc.usedShares} shares`,
+        shareTransactionId: transaction.id,
+        createdBy: user.id,
+        excludeCertificateIds: stop.heldCertificateIds,
+      });
+
+      const lots = await consumeLots(client, {
+        entityId,
+        shareholderId: shareholder_id,
+        entityStockTypeId: entity_stock_type_id,
+        entityStockSeriesId: entity_stock_series_id || null,
+        shares: sharesNum,
+        shareTransactionId: transaction.id,
+        disposalType: 'REPURCHASE',
+        method: lotSelection.method,
+        selections: lotSelection.selections,
+      });
+
+      auditEntries.push({
+        action: 'REPURCHASE_SHARES',
+        resource_type: 'SHARE_TRANSACTION', resource_id: transaction.id,
+        details: {
+          shareholder_id, entity_stock_type_id, entity_stock_series_id: entity_stock_series_id || null,
+          shares: sharesNum, price_per_share: price, total_consideration: consideration,
+          payment_date: paymentDate, disposition: toTreasury ? 'TREASURY' : 'RETIRED',
+          lot_method: lotSelection.method,
+          lots_consumed: lots.disposals.map(d => ({ lot_id: d.lot.id, shares: d.shares })),
+        },
+      });
+      for (const alloc of certs.allocations) {
+        auditEntries.push({
+          action: 'AUTO_CANCEL_CERTIFICATE',
+          resource_type: 'STOCK_CERTIFICATE', resource_id: alloc.cert.id,
+          details: { certificate_number: alloc.cert.certificate_number, trigger: 'REPURCHASE', shares_used: alloc.usedShares },
+        });
+      }
+      for (const r of certs.remainders) {
+        auditEntries.push({
+          action: 'AUTO_GENERATE_CERTIFICATE',
+          resource_type: 'STOCK_CERTIFICATE', resource_id: r.cert.id,
+          details: { certificate_number: r.cert.certificate_number, shareholder_id, shares: r.shares, trigger: 'REPURCHASE_REMAINDER', source_certificate: r.source.certificate_number },
+        });
+      }
+
+      return { transaction, repurchase: repRes.rows[0], certs };
+    });
+  } catch (err) {
+    if (err.statusCode === 400) {
+      return json(400, { success:false, error:err.message, error_code:err.error_code, details:err.details }, headers);
+    }
+    throw err;
+  }
+
+  for (const entry of auditEntries) {
+    await logAudit({
+      user_id: user.id, user_email: user.email, user_role: user.role,
+      entity_id: entityId, ...entry,
+      ip_address: getClientIp(event),
+    });
+  }
+
+  const remainderCerts = result.certs.remainders.map(r => r.cert);
+  for (const cert of remainderCerts) {
+    try {
+      cert.pdf_path = await storeCertificatePdf(cert.id);
+    } catch (pdfErr) {
+      console.error('Repurchase certificate PDF generation error (non-fatal):', pdfErr.message);
+    }
+  }
+
+  return json(201, {
+    success: true,
+    transaction: result.transaction,
+    repurchase: result.repurchase,
+    certificates: {
+      cancelled: result.certs.cancelled.map(c => c.certificate_number),
+      remainders: remainderCerts.map(c => ({ id: c.id, certificate_number: c.certificate_number, shares: c.shares })),
+    }
+  }, headers);
+}
+
+// Record the cash owed to a holder for the fraction dropped by a CASH_IN_LIEU split.
+async function insertCashInLieu(client, split, holder, shareTransactionId, pricePerShare) {
+  const res = await client.query(`
+    INSERT INTO split_cash_in_lieu (
+      split_id, entity_id, shareholder_id, share_transaction_id,
+      pre_split_shares, post_split_shares, fractional_shares, price_per_share, amount
+    ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9)
+    RETURNING *
+  `, [
+    split.id, split.entity_id, holder.shareholder_id, shareTransactionId,
+    holder.pre_split_shares, holder.post_split_shares, holder.fractional_entitlement,
+    pricePerShare, holder.cash_in_lieu,
+  ]);
+  return res.rows[0];
+}
+
+/* =====================================================
+   POST: Execute Stock Split (Forward or Reverse)
+   Appends FORWARD_SPLIT or REVERSE_SPLIT adjustment 
+   transactions per holder – immutable, audit-safe.
+   Each adjusted holder's ISSUED certificates are cancelled
+   and reissued at the post-split count in the same
+   transaction.
+   preview = true returns the per-holder plan (before/after,
+   fractional entitlement, rounding residue) without writing.
+   CASH_IN_LIEU rounds down and records each holder's
+   fraction and the cash owed at cash_in_lieu_price against
+   the stock_splits record.
+   All rows share a corporate_action_batch_id so the split
+   can be undone with reverse-corporate-action.
+   Tax lots are rescaled (shares × ratio, basis ÷ ratio).
+===================================================== */
+async function handleSplit(event, approval = null) {
+  const auth = approval ? approval.auth : await authMiddleware(event);
+  if (auth.statusCode) return auth;
+  const { user, headers } = auth;
+
+  const canSplit = requireRole(['SUPER_ADMIN', 'ENTITY_ADMIN'])(user);
+  if (!canSplit) return json(403, { success:false, error:'Forbidden' }, headers);
+
+  const body = parseBody(event);
+  const {
+    entity_stock_type_id,
+    entity_stock_series_id,
+    old_shares,
+    new_shares,
+    split_direction, // 'FORWARD' or 'REVERSE'
+    effective_date,
+    rounding,        // 'ROUND_DOWN', 'ROUND_UP', 'ROUND_NEAREST', 'CASH_IN_LIEU'
+    cash_in_lieu_price,
+    notes,
+  } = body;
+  const preview = body.preview === true || body.preview === 'true';
+
+  if (!entity_stock_type_id || !old_shares || !new_shares || !split_direction || !effective_date) {
+    return json(400, { success:false, error:'Missing required fields' }, headers);
+  }
+
+  if (!['FORWARD', 'REVERSE'].includes(split_direction)) {
+    return json(400, { success:false, error:'split_direction must be FORWARD or REVERSE' }, headers);
+  }
+
+  const oldNum = parseInt(old_shares);
+  const newNum = parseInt(new_shares);
+  if (oldNum < 1 || newNum < 1) {
+    return json(400, { success:false, error:'Split ratio values must be positive integers' }, headers);
+  }
+
+  if (split_direction === 'REVERSE' && oldNum <= newNum) {
+    return json(400, { success:false, error:'For reverse split, old shares must exceed new shares' }, headers);
+  }
+  if (split_direction === 'FORWARD' && newNum <= oldNum) {
+    return json(400, { success:false, error:'For forward split, new shares must exceed old shares' }, headers);
+  }
+
+  const entityId = user.entity_id;
+  const txType = split_direction === 'FORWARD' ? 'FORWARD_SPLIT' : 'REVERSE_SPLIT';
+  const ratio = newNum / oldNum; // e.g. reverse 10:1 → 0.1, forward 1:2 → 2.0
+  const roundMode = rounding || 'ROUND_DOWN';
+
+  if (!['ROUND_DOWN', 'ROUND_UP', 'ROUND_NEAREST', 'CASH_IN_LIEU'].includes(roundMode)) {
+    return json(400, { success:false, error:'rounding must be ROUND_DOWN, ROUND_UP, ROUND_NEAREST or CASH_IN_LIEU' }, headers);
+  }
+  const cashInLieu = roundMode === 'CASH_IN_LIEU';
+  const cashPrice = cashInLieu ? parseFloat(cash_in_lieu_price) : null;
+  if (cashInLieu && !(cashPrice >= 0)) {
+    return json(400, { success:false, error:'cash_in_lieu_price is required for CASH_IN_LIEU rounding' }, headers);
+  }
+
+  // 1️⃣ Prevent duplicate split on the same date (reversed splits and their reversing rows don't count)
+  const dupCheck = await query(`
+    SELECT 1 FROM share_transactions st
+    WHERE st.entity_id = $1
+      AND st.entity_stock_type_id = $2
+      AND st.transaction_type IN ('FORWARD_SPLIT','REVERSE_SPLIT')
+      AND st.transaction_date = $3
+      AND st.reversal_of_transaction_id IS NULL
+      AND NOT EXISTS (SELECT 1 FROM share_transactions r WHERE r.reversal_of_transaction_id = st.id)
+    LIMIT 1
+  `, [entityId, entity_stock_type_id, effective_date]);
+
+  if (dupCheck.rows.length > 0) {
+    return json(400, { success:false, error:'A split has already been executed for this stock type on this date. Choose a different date or verify the existing split.' }, headers);
+  }
+
+  // Get all shareholders with positive holdings for this stock type/series
+  const holdersResult = await query(`
+    SELECT 
+      st.shareholder_id,
+      sh.full_name AS shareholder_name,
+      COALESCE(SUM(st.shares), 0) AS current_shares
+    FROM share_transactions st
+    JOIN shareholders sh ON sh.id = st.shareholder_id
+    WHERE st.entity_id = $1
+      AND st.entity_stock_type_id = $2
+      ${entity_stock_series_id ? 'AND st.entity_stock_series_id = $3' : 'AND ($3::bigint IS NULL OR st.entity_stock_series_id IS NULL)'}
+    GROUP BY st.shareholder_id, sh.full_name
+    HAVING COALESCE(SUM(st.shares), 0) > 0
+  `, [entityId, entity_stock_type_id, entity_stock_series_id || null]);
+
+  if (!holdersResult.rows.length) {
+    return json(400, { success:false, error:'No shareholders hold shares in this stock type/series' }, headers);
+  }
+
+  // 3️⃣ Snapshot: compute total outstanding before split
+  const totalOutstandingBefore = holdersResult.rows.reduce(
+    (sum, h) => sum + parseFloat(h.current_shares), 0
+  );
+
+  // Per-holder plan: exact entitlement, rounded result and what rounding added or dropped
+  const plan = holdersResult.rows.map(holder => {
+    const currentShares = parseFloat(holder.current_shares);
+    const exact = Math.round(currentShares * ratio * 1e6) / 1e6;
+    const newSharesCount = roundShares(exact, cashInLieu ? 'ROUND_DOWN' : roundMode);
+    const fraction = Math.round((exact - Math.floor(exact)) * 1e6) / 1e6;
+    return {
+      shareholder_id: holder.shareholder_id,
+      shareholder_name: holder.shareholder_name,
+      pre_split_shares: currentShares,
+      post_split_shares: newSharesCount,
+      adjustment: newSharesCount - currentShares,
+      fractional_entitlement: fraction,
+      rounding_residue: Math.round((newSharesCount - exact) * 1e6) / 1e6,
+      cash_in_lieu: cashInLieu ? Math.round(fraction * cashPrice * 100) / 100 : 0,
+    };
+  });
+  const totalOutstandingAfter = plan.reduce((sum, p) => sum + p.post_split_shares, 0);
+  const totalCashInLieu = Math.round(plan.reduce((sum, p) => sum + p.cash_in_lieu, 0) * 100) / 100;
+
+  if (preview) {
+    return json(200, {
+      success: true,
+      preview: true,
+      split: {
+        type: txType,
+        ratio: `${oldNum}:${newNum}`,
+        rounding: roundMode,
+        cash_in_lieu_price: cashPrice,
+        effective_date,
+        affected_holders: plan.filter(p => p.adjustment !== 0).length,
+        total_outstanding_before: totalOutstandingBefore,
+        total_outstanding_after: totalOutstandingAfter,
+        total_cash_in_lieu: totalCashInLieu,
+        total_rounding_residue: Math.round(plan.reduce((sum, p) => sum + p.rounding_residue, 0) * 1e6) / 1e6,
+        holders: plan,
+      }
+    }, headers);
+  }
+
+  // Splits have no single share count, so an enabled SPLIT policy holds every split
+  if (!approval) {
+    const held = await holdForApproval(event, auth, 'execute-split', 'SPLIT', null, body);
+    if (held) return held;
+  }
+
+  const splitNote = `${txType} ${oldNum}:${newNum} — ${notes || ''}`.trim();
+  const batchId = crypto.randomUUID();
+  const adjustments = [];
+  const cashPayments = [];
+  const cancelledCerts = [];
+  const replacementCerts = [];
+  const auditEntries = [];
+
+  // 2️⃣ Wrap all inserts in a DB transaction for atomicity
+  const split = await withTransaction(async (client) => {
+    await markApprovalPosted(client, approval);
+    const splitRes = await client.query(`
+      INSERT INTO stock_splits (
+        entity_id, entity_stock_type_id, entity_stock_series_id, split_type,
+        old_shares, new_shares, rounding, cash_in_lieu_price, effective_date,
+        total_outstanding_before, total_outstanding_after, total_cash_in_lieu, notes, batch_id, created_by
+      ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15)
+      RETURNING *
+    `, [
+      entityId, entity_stock_type_id, entity_stock_series_id || null, txType,
+      oldNum, newNum, roundMode, cashPrice, effective_date,
+      totalOutstandingBefore, totalOutstandingAfter, totalCashInLieu, notes || null, batchId, user.id,
+    ]);
+    const split = splitRes.rows[0];
+
+    for (const holder of plan) {
+      const { pre_split_shares: currentShares, post_split_shares: newSharesCount, adjustment } = holder;
+
+      // Tax lots rescale for every holder: basis per share moves with the ratio even
+      // when the rounded position doesn't
+      await adjustLotsForSplit(client, {
+        entityId,
+        shareholderId: holder.shareholder_id,
+        entityStockTypeId: entity_stock_type_id,
+        entityStockSeriesId: entity_stock_series_id || null,
+        ratio,
+        preSplitShares: currentShares,
+        postSplitShares: newSharesCount,
+        batchId,
+      });
+
+      // A holder whose rounded position doesn't move can still be owed cash for a fraction
+      if (adjustment === 0) {
+        if (holder.cash_in_lieu > 0) {
+          cashPayments.push(await insertCashInLieu(client, split, holder, null, cashPrice));
+        }
+        continue;
+      }
+
+      const insertResult = await client.query(`
+        INSERT INTO share_transactions (
+          entity_id, shareholder_id, transaction_type, transaction_date,
+          entity_stock_type_id, entity_stock_series_id, shares, notes,
+          corporate_action_batch_id, created_by
+        ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10)
+        RETURNING *
+      `, [
+        entityId,
+        holder.shareholder_id,
+        txType,
+        effective_date,
+        entity_stock_type_id,
+        entity_stock_series_id || null,
+        adjustment,
+        splitNote,
+        batchId,
+        user.id,
+      ]);
+
+      adjustments.push({
+	 
+        shareholder_id: holder.shareholder_id,
+        pre_split_shares: currentShares,
+        post_split_shares: newSharesCount,
+        adjustment,
+        transaction: insertResult.rows[0],
+      });
+
+      if (holder.cash_in_lieu > 0) {
+        cashPayments.push(await insertCashInLieu(client, split, holder, insertResult.rows[0].id, cashPrice));
+      }
+
+      const certs = await reissueCertificatesForSplit(client, {
+        entityId,
+        shareholderId: holder.shareholder_id,
+        entityStockTypeId: entity_stock_type_id,
+        entityStockSeriesId: entity_stock_series_id || null,
+        ratio,
+        preSplitShares: currentShares,
+        postSplitShares: newSharesCount,
+        shareTransactionId: insertResult.rows[0].id,
+        issueDate: effective_date,
+        reason: `Replaced for ${txType} ${oldNum}:${newNum}`,
+        createdBy: user.id,
+        batchId,
+      });
+      cancelledCerts.push(...certs.cancelled);
+      replacementCerts.push(...certs.replacements);
+
+      for (const c of certs.cancelled) {
+        auditEntries.push({
+          action: 'AUTO_CANCEL_CERTIFICATE',
+          resource_type: 'STOCK_CERTIFICATE', resource_id: c.id,
+          details: { certificate_number: c.certificate_number, shareholder_id: holder.shareholder_id, shares: parseFloat(c.shares), trigger: txType },
+        });
+      }
+      for (const r of certs.replacements) {
+        await carryStopOrders(client, r.source.id, r.cert.id);
+        auditEntries.push({
+          action: 'AUTO_GENERATE_CERTIFICATE',
+          resource_type: 'STOCK_CERTIFICATE', resource_id: r.cert.id,
+          details: { certificate_number: r.cert.certificate_number, shareholder_id: holder.shareholder_id, shares: r.shares, trigger: txType, source_certificate: r.source.certificate_number },
+        });
+      }
+    }
+
+    return split;
+  });
+
+  await logAudit({
+    user_id: user.id, user_email: user.email, user_role: user.role,
+    entity_id: entityId, action: 'EXECUTE_SPLIT',
+    resource_type: 'STOCK_SPLIT', resource_id: split.id,
+    details: { batch_id: batchId, split_direction, ratio: `${oldNum}:${newNum}`, rounding: roundMode, affected_holders: adjustments.length, total_before: totalOutstandingBefore, total_after: totalOutstandingAfter, cash_in_lieu_price: cashPrice, total_cash_in_lieu: totalCashInLieu, certificates_cancelled: cancelledCerts.length, certificates_issued: replacementCerts.length },
+    ip_address: getClientIp(event),
+  });
+
+  for (const entry of auditEntries) {
+    await logAudit({
+      user_id: user.id, user_email: user.email, user_role: user.role,
+      entity_id: entityId, ...entry,
+      ip_address: getClientIp(event),
+    });
+  }
+
+  for (const r of replacementCerts) {
+    try {
+      r.cert.pdf_path = await storeCertificatePdf(r.cert.id);
+    } catch (pdfErr) {
+      console.error('Split certificate PDF generation error (non-fatal):', pdfErr.message);
+    }
+  }
+
+  return json(201, {
+    success: true,
+    split: {
+      id: split.id,
+      batch_id: batchId,
+      type: txType,
+      ratio: `${oldNum}:${newNum}`,
+      rounding: roundMode,
+      effective_date,
+      affected_holders: adjustments.length,
+      total_outstanding_before: totalOutstandingBefore,
+      total_outstanding_after: totalOutstandingAfter,
+      adjustments,
+      cash_in_lieu: cashInLieu ? {
+        price_per_share: cashPrice,
+        total: totalCashInLieu,
+        payments: cashPayments,
+      } : null,
+    },
+    certificates: {
+      cancelled: cancelledCerts.map(c => c.certificate_number),
+      replacements: replacementCerts.map(r => ({
+        id: r.cert.id,
+        certificate_number: r.cert.certificate_number,
+        shareholder_id: r.cert.shareholder_id,
+        shares: r.shares,
+        source_certificate_number: r.source.certificate_number,
+      })),
+    }
+  }, headers);
+}
+
+/* =====================================================
+   POST: Reverse Corporate Action
+   Undoes a split by batch_id: every adjustment row in the
+   batch gets an equal and opposite row dated correction_date
+   (linked via reversal_of_transaction_id, tagged with a new
+   reversal batch). Certificates the split cancelled are
+   restored at their pre-split counts and the split's
+   replacements are cancelled, and tax lots go back to
+   their pre-split shares and basis. Refused once later activity
+   has touched the class, or any replacement certificate has
+   since been reissued, reported lost or cancelled, since
+   positions would no longer match what the split saw.
+   The split is named by batch_id or split_id; splits posted
+   before batch ids were recorded cannot be reversed.
+   preview = true returns the reversal plan without writing.
+===================================================== */
+async function handleReverseCorporateAction(event) {
+  const auth = await authMiddleware(event);
+  if (auth.statusCode) return auth;
+  const { user, headers } = auth;
+
+  const canReverse = requireRole(['SUPER_ADMIN', 'ENTITY_ADMIN'])(user);
+  if (!canReverse) return json(403, { success:false, error:'Forbidden' }, headers);
+
+  const body = parseBody(event);
+  const { reason } = body;
+  const preview = body.preview === true || body.preview === 'true';
+  if (!body.batch_id && !body.split_id) {
+    return json(400, { success:false, error:'batch_id or split_id is required' }, headers);
+  }
+  if (!preview && (!reason || !String(reason).trim())) {
+    return json(400, { success:false, error:'A reason is required to reverse a corporate action' }, headers);
+  }
+  if (body.batch_id && !/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(String(body.batch_id))) {
+    return json(400, { success:false, error:'batch_id must be a UUID' }, headers);
+  }
+  if (body.split_id && !/^\d+$/.test(String(body.split_id))) {
+    return json(400, { success:false, error:'split_id must be a positive integer' }, headers);
+  }
+  const correctionDate = parseAsOf(body.correction_date, 'correction_date') || toDateStr(new Date());
+
+  const entityId = user.entity_id;
+  const splitRes = body.batch_id
+    ? await query('SELECT * FROM stock_splits WHERE batch_id = $1 AND entity_id = $2', [body.batch_id, entityId])
+    : await query('SELECT * FROM stock_splits WHERE id = $1 AND entity_id = $2', [body.split_id, entityId]);
+  if (!splitRes.rows.length) {
+    return json(404, { success:false, error:'Corporate action not found' }, headers);
+  }
+  const split = splitRes.rows[0];
+  if (!split.batch_id) {
+    return json(400, {
+      success: false,
+      error: 'This split was posted before corporate action batches were recorded, so its adjustments and certificates cannot be identified for reversal. Post an opposite split to correct it.',
+      error_code: 'ERR_UNTAGGED_CORPORATE_ACTION',
+      details: { split_id: split.id, effective_date: toDateStr(split.effective_date) },
+    }, headers);
+  }
+  const batch_id = split.batch_id;
+  if (split.reversed_at) {
+    return json(400, { success:false, error:'This corporate action has already been reversed', details: { reversal_batch_id: split.reversal_batch_id } }, headers);
+  }
+  if (correctionDate < toDateStr(split.effective_date)) {
+    return json(400, { success:false, error:'correction_date cannot be before the effective date of the action' }, headers);
+  }
+
+  const rowsRes = await query(
+    'SELECT * FROM share_transactions WHERE corporate_action_batch_id = $1 AND entity_id = $2 ORDER BY id',
+    [batch_id, entityId]
+  );
+  const rows = rowsRes.rows;
+
+  // Later activity in the class/series means the split's adjustments no longer line up with holdings
+  if (rows.length) {
+    const laterRes = await query(`
+      SELECT COUNT(*) AS cnt FROM share_transactions st
+      WHERE st.entity_id = $1
+        AND st.entity_stock_type_id = $2
+        ${split.entity_stock_series_id ? 'AND st.entity_stock_series_id = $3' : 'AND ($3::bigint IS NULL OR st.entity_stock_series_id IS NULL)'}
+        AND st.id > $4
+        AND st.corporate_action_batch_id IS DISTINCT FROM $5::uuid
+    `, [entityId, split.entity_stock_type_id, split.entity_stock_series_id || null, rows[rows.length - 1].id, batch_id]);
+    const later = parseInt(laterRes.rows[0].cnt);
+    if (later > 0) {
+      return json(400, {
+        success: false,
+        error: `${later} later transaction(s) exist in this stock type since the action was posted. Reverse or void those first.`,
+        error_code: 'ERR_LATER_ACTIVITY',
+        details: { later_transactions: later },
+      }, headers);
+    }
+  }
+
+  // Lost-certificate and reissue flows move replacements without a ledger row, so check them directly
+  const replacementRes = rows.length
+    ? await query(`
+        SELECT id, certificate_number, shareholder_id, shares, status
+        FROM stock_certificates
+        WHERE share_transaction_id = ANY($1::int[])
+        ORDER BY id
+      `, [rows.map(r => r.id)])
+    : { rows: [] };
+  const movedReplacements = replacementRes.rows.filter(c => c.status !== 'ISSUED');
+  if (movedReplacements.length) {
+    return json(400, {
+      success: false,
+      error: `${movedReplacements.length} certificate(s) issued by this action have since been reissued, reported lost or cancelled, so it can no longer be reversed.`,
+      error_code: 'ERR_LATER_ACTIVITY',
+      details: { certificates: movedReplacements.map(c => ({ id: c.id, certificate_number: c.certificate_number, status: c.status })) },
+    }, headers);
+  }
+
+  if (preview) {
+    const restoreRes = await query(
+      'SELECT id, certificate_number, shareholder_id, shares FROM stock_certificates WHERE cancelled_by_batch_id = $1 ORDER BY id',
+      [batch_id]
+    );
+    return json(200, {
+      success: true,
+      preview: true,
+      reversal: {
+        split_id: split.id,
+        batch_id,
+        type: split.split_type,
+        ratio: `${split.old_shares}:${split.new_shares}`,
+        effective_date: toDateStr(split.effective_date),
+        correction_date: correctionDate,
+        transactions: rows.map(r => ({
+          id: r.id,
+          shareholder_id: r.shareholder_id,
+          shares: parseFloat(r.shares),
+          reversal_shares: -parseFloat(r.shares),
+        })),
+        certificates_to_cancel: replacementRes.rows.map(c => ({
+          id: c.id, certificate_number: c.certificate_number, shareholder_id: c.shareholder_id, shares: parseFloat(c.shares),
+        })),
+        certificates_to_restore: restoreRes.rows.map(c => ({
+          id: c.id, certificate_number: c.certificate_number, shareholder_id: c.shareholder_id, shares: parseFloat(c.shares),
+        })),
+      },
+    }, headers);
+  }
+
+  const reversalBatchId = crypto.randomUUID();
+  const reversalNote = `Reversal of ${split.split_type} ${split.old_shares}:${split.new_shares} — ${String(reason).trim()}`;
+  const auditEntries = [];
+
+  let result;
+  try {
+    result = await withTransaction(async (client) => {
+      const lockRes = await client.query('SELECT reversed_at FROM stock_splits WHERE id = $1 FOR UPDATE', [split.id]);
+      if (lockRes.rows[0].reversed_at) {
+        throw Object.assign(new Error('This corporate action has already been reversed'), { statusCode: 400 });
+      }
+
+      const reversals = [];
+      const reversalByOriginal = new Map();
+      for (const row of rows) {
+        const revRes = await client.query(`
+          INSERT INTO share_transactions (
+            entity_id, shareholder_id, transaction_type, transaction_date,
+            entity_stock_type_id, entity_stock_series_id, shares, notes,
+            corporate_action_batch_id, reversal_of_transaction_id, created_by
+          ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11)
+          RETURNING *
+        `, [
+          entityId, row.shareholder_id, row.transaction_type, correctionDate,
+          row.entity_stock_type_id, row.entity_stock_series_id, -parseFloat(row.shares), reversalNote,
+          reversalBatchId, row.id, user.id,
+        ]);
+        reversals.push(revRes.rows[0]);
+        reversalByOriginal.set(row.id, revRes.rows[0]);
+      }
+
+      // Cancel the split's replacement certificates; all must still be outstanding
+      const cancelled = [];
+      if (rows.length) {
+        const replRes = await client.query(`
+          SELECT id, certificate_number, shareholder_id, shares, status
+          FROM stock_certificates
+          WHERE share_transaction_id = ANY($1::int[])
+          ORDER BY id
+          FOR UPDATE
+        `, [rows.map(r => r.id)]);
+        const moved = replRes.rows.filter(c => c.status !== 'ISSUED');
+        if (moved.length) {
+          throw Object.assign(new Error(`${moved.length} certificate(s) issued by this action have since been reissued, reported lost or cancelled, so it can no longer be reversed.`), {
+            statusCode: 400,
+            error_code: 'ERR_LATER_ACTIVITY',
+            details: { certificates: moved.map(c => ({ id: c.id, certificate_number: c.certificate_number, status: c.status })) },
+          });
+        }
+        for (const cert of replRes.rows) {
+          await client.query(
+            `UPDATE stock_certificates SET status = 'CANCELLED', cancelled_at = NOW(), cancelled_reason = $1, cancelled_by_batch_id = $2, updated_at = NOW() WHERE id = $3`,
+            [`Cancelled for reversal of ${split.split_type}`, reversalBatchId, cert.id]
+          );
+          cancelled.push(cert);
+        }
+      }
+
+      // Restore the certificates the split cancelled, at their pre-split counts
+      const restored = [];
+      const origRes = await client.query(`
+        SELECT sc.*, rep.id AS replacement_id, orig_tx.id AS holder_tx_id
+        FROM stock_certificates sc
+        LEFT JOIN stock_certificates rep ON rep.id = sc.replaced_by_certificate_id
+        LEFT JOIN share_transactions orig_tx
+          ON orig_tx.corporate_action_batch_id = $1 AND orig_tx.shareholder_id = sc.shareholder_id
+        WHERE sc.cancelled_by_batch_id = $1
+        ORDER BY sc.id
+      `, [batch_id]);
+      for (const orig of origRes.rows) {
+        const reversalRow = orig.holder_tx_id ? reversalByOriginal.get(orig.holder_tx_id) : null;
+        const cert = await autoGenerateCertificateWithClient(client, {
+          entityId,
+          shareholderId: orig.shareholder_id,
+          shareTransactionId: reversalRow ? reversalRow.id : null,
+          entityStockTypeId: orig.entity_stock_type_id,
+          entityStockSeriesId: orig.entity_stock_series_id || null,
+          shares: orig.shares,
+          issueDate: correctionDate,
+          createdBy: user.id,
+          originalIssueDate: orig.original_issue_date || orig.issue_date,
+          transferDate: null, // No transfer - same owner
+          sourceCertificateId: orig.id,
+        });
+        if (orig.replacement_id) {
+          await client.query('UPDATE stock_certificates SET replaced_by_certificate_id = $1 WHERE id = $2', [cert.id, orig.replacement_id]);
+        }
+        await carryStopOrders(client, orig.replacement_id || orig.id, cert.id);
+        restored.push({ cert, source: orig });
+      }
+
+      const lotsRestored = await reverseLotAdjustments(client, batch_id);
+
+      await client.query(`
+        UPDATE stock_splits
+        SET reversed_at = NOW(), reversed_by = $1, reversal_batch_id = $2, reversal_date = $3, reversal_reason = $4
+        WHERE id = $5
+      `, [user.id, reversalBatchId, correctionDate, String(reason).trim(), split.id]);
+
+      for (const cert of cancelled) {
+        auditEntries.push({
+          action: 'AUTO_CANCEL_CERTIFICATE',
+          resource_type: 'STOCK_CERTIFICATE', resource_id: cert.id,
+          details: { certificate_number: cert.certificate_number, shareholder_id: cert.shareholder_id, shares: parseFloat(cert.shares), trigger: 'REVERSE_CORPORATE_ACTION', batch_id },
+        });
+      }
+      for (const r of restored) {
+        auditEntries.push({
+          action: 'AUTO_GENERATE_CERTIFICATE',
+          resource_type: 'STOCK_CERTIFICATE', resource_id: r.cert.id,
+          details: { certificate_number: r.cert.certificate_number, shareholder_id: r.source.shareholder_id, shares: parseFloat(r.source.shares), trigger: 'REVERSE_CORPORATE_ACTION', source_certificate: r.source.certificate_number },
+        });
+      }
+
+      return { reversals, cancelled, restored, lotsRestored };
+    });
+  } catch (err) {
+    if (err.statusCode === 400) {
+      return json(400, { success:false, error:err.message, error_code:err.error_code, details:err.details }, headers);
+    }
+    throw err;
+  }
+
+  // Link the reversal to the audit entry of the action it undoes
+  const origAudit = await query(
+    `SELECT id FROM audit_logs WHERE action = 'EXECUTE_SPLIT' AND resource_type = 'STOCK_SPLIT' AND resource_id = $1 ORDER BY id LIMIT 1`,
+    [String(split.id)]
+  );
+
+  await logAudit({
+    user_id: user.id, user_email: user.email, user_role: user.role,
+    entity_id: entityId, action: 'REVERSE_CORPORATE_ACTION',
+    resource_type: 'STOCK_SPLIT', resource_id: split.id,
+    details: {
+      batch_id,
+      reversal_batch_id: reversalBatchId,
+      original_action: 'EXECUTE_SPLIT',
+      original_audit_log_id: origAudit.rows.length ? origAudit.rows[0].id : null,
+      correction_date: correctionDate,
+      reason: String(reason).trim(),
+      reversed_transactions: result.reversals.length,
+      certificates_cancelled: result.cancelled.length,
+      certificates_restored: result.restored.length,
+      tax_lots_restored: result.lotsRestored,
+    },
+    ip_address: getClientIp(event),
+  });
+
+  for (const entry of auditEntries) {
+    await logAudit({
+      user_id: user.id, user_email: user.email, user_role: user.role,
+      entity_id: entityId, ...entry,
+      ip_address: getClientIp(event),
+    });
+  }
+
+  for (const r of result.restored) {
+    try {
+      r.cert.pdf_path = await storeCertificatePdf(r.cert.id);
+    } catch (pdfErr) {
+      console.error('Reversal certificate PDF generation error (non-fatal):', pdfErr.message);
+    }
+  }
+
+  return json(201, {
+    success: true,
+    reversal: {
+      split_id: split.id,
+      batch_id,
+      reversal_batch_id: reversalBatchId,
+      correction_date: correctionDate,
+      transactions: result.reversals,
+    },
+    certificates: {
+      cancelled: result.cancelled.map(c => c.certificate_number),
+      restored: result.restored.map(r => ({
+        id: r.cert.id,
+        certificate_number: r.cert.certificate_number,
+        shareholder_id: r.cert.shareholder_id,
+        shares: r.cert.shares,
+        source_certificate_number: r.source.certificate_number,
+      })),
+    }
+  }, headers);
+}
+
+/* =====================================================
+   POST: Stock Dividend (paid in shares)
+   Holders of record in the source class/series receive
+   shares_per new shares for every per_shares held
+   (e.g. 5 per 100), issued as ISSUANCE rows in the target
+   class (the source class unless another is given).
+   Fractional entitlements are rounded like a split, or with
+   CASH_IN_LIEU the whole shares are issued and the fraction
+   is paid out at cash_in_lieu_price per share.
+   preview = true returns the allocation without writing.
+===================================================== */
+async function handleStockDividend(event) {
+  const auth = await authMiddleware(event);
+  if (auth.statusCode) return auth;
+  const { user, headers } = auth;
+
+  const canDeclare = requireRole(['SUPER_ADMIN', 'ENTITY_ADMIN'])(user);
+  if (!canDeclare) return json(403, { success:false, error:'Forbidden' }, headers);
+
+  const body = parseBody(event);
+  const {
+    entity_stock_type_id,        // source class the dividend is declared on
     entity_stock_series_id,
-    old_shares,
-    new_shares,
-    split_direction, // 'FORWARD' or 'REVERSE'
-    effective_date,
-    rounding,        // 'ROUND_DOWN', 'ROUND_UP', 'ROUND_NEAREST'
+    target_entity_stock_type_id, // class the dividend is paid in (defaults to source)
+    target_entity_stock_series_id,
+    shares_per,
+    per_shares,
+    rounding,                    // 'ROUND_DOWN', 'ROUND_UP', 'ROUND_NEAREST', 'CASH_IN_LIEU'
+    cash_in_lieu_price,
     notes,
   } = body;
+  const preview = body.preview === true || body.preview === 'true';
 
-  if (!entity_stock_type_id || !old_shares || !new_shares || !split_direction || !effective_date) {
+  if (!entity_stock_type_id || !shares_per || !per_shares || !body.effective_date) {
     return json(400, { success:false, error:'Missing required fields' }, headers);
   }
 
-  if (!['FORWARD', 'REVERSE'].includes(split_direction)) {
-    return json(400, { success:false, error:'split_direction must be FORWARD or REVERSE' }, headers);
+  const sharesPer = parseFloat(shares_per);
+  const perShares = parseFloat(per_shares);
+  if (!(sharesPer > 0) || !(perShares > 0)) {
+    return json(400, { success:false, error:'shares_per and per_shares must be positive numbers' }, headers);
   }
 
-  const oldNum = parseInt(old_shares);
-  const newNum = parseInt(new_shares);
-  if (oldNum < 1 || newNum < 1) {
-    return json(400, { success:false, error:'Split ratio values must be positive integers' }, headers);
+  const roundMode = rounding || 'ROUND_DOWN';
+  if (!['ROUND_DOWN', 'ROUND_UP', 'ROUND_NEAREST', 'CASH_IN_LIEU'].includes(roundMode)) {
+    return json(400, { success:false, error:'rounding must be ROUND_DOWN, ROUND_UP, ROUND_NEAREST or CASH_IN_LIEU' }, headers);
   }
-
-  if (split_direction === 'REVERSE' && oldNum <= newNum) {
-    return json(400, { success:false, error:'For reverse split, old shares must exceed new shares' }, headers);
+  const cashInLieu = roundMode === 'CASH_IN_LIEU';
+  const cashPrice = cashInLieu ? parseFloat(cash_in_lieu_price) : null;
+  if (cashInLieu && !(cashPrice >= 0)) {
+    return json(400, { success:false, error:'cash_in_lieu_price is required for CASH_IN_LIEU rounding' }, headers);
   }
-  if (split_direction === 'FORWARD' && newNum <= oldNum) {
-    return json(400, { success:false, error:'For forward split, new shares must exceed old shares' }, headers);
+
+  const effectiveDate = parseAsOf(body.effective_date, 'effective_date');
+  const recordDate = parseAsOf(body.record_date, 'record_date') || effectiveDate;
+  if (recordDate > effectiveDate) {
+    return json(400, { success:false, error:'record_date cannot be after effective_date' }, headers);
   }
 
   const entityId = user.entity_id;
-  const txType = split_direction === 'FORWARD' ? 'FORWARD_SPLIT' : 'REVERSE_SPLIT';
-  const ratio = newNum / oldNum; // e.g. reverse 10:1 → 0.1, forward 1:2 → 2.0
-  const roundMode = rounding || 'ROUND_DOWN';
+  const targetTypeId = target_entity_stock_type_id || entity_stock_type_id;
+  const targetSeriesId = target_entity_stock_type_id
+    ? (target_entity_stock_series_id || null)
+    : (target_entity_stock_series_id || entity_stock_series_id || null);
+
+  const sourceRes = await query(
+    'SELECT id, display_name FROM entity_stock_types WHERE id = $1 AND entity_id = $2',
+    [entity_stock_type_id, entityId]
+  );
+  if (!sourceRes.rows.length) {
+    return json(400, { success:false, error:'Invalid stock type' }, headers);
+  }
+
+  let target;
+  try {
+    target = await loadStockClass({ query }, entityId, targetTypeId, targetSeriesId);
+  } catch (err) {
+    if (err.statusCode === 400) return json(400, { success:false, error:`Target class: ${err.message}` }, headers);
+    throw err;
+  }
 
-  // 1️⃣ Prevent duplicate split on the same date
+  // Prevent paying the same dividend twice
   const dupCheck = await query(`
-    SELECT 1 FROM share_transactions
+    SELECT 1 FROM stock_dividends
     WHERE entity_id = $1
       AND entity_stock_type_id = $2
-      AND transaction_type IN ('FORWARD_SPLIT','REVERSE_SPLIT')
-      AND transaction_date = $3
+      AND entity_stock_series_id IS NOT DISTINCT FROM $3::bigint
+      AND effective_date = $4
     LIMIT 1
-  `, [entityId, entity_stock_type_id, effective_date]);
+  `, [entityId, entity_stock_type_id, entity_stock_series_id || null, effectiveDate]);
+
+  if (dupCheck.rows.length > 0) {
+    return json(400, { success:false, error:'A stock dividend has already been paid on this stock type on this date. Choose a different date or verify the existing dividend.' }, headers);
+  }
+
+  // Holders of record at the record date
+  const holdersResult = await query(`
+    SELECT
+      st.shareholder_id,
+      COALESCE(SUM(st.shares), 0) AS current_shares
+    FROM share_transactions st
+    WHERE st.entity_id = $1
+      AND st.entity_stock_type_id = $2
+      ${entity_stock_series_id ? 'AND st.entity_stock_series_id = $3' : 'AND ($3::bigint IS NULL OR st.entity_stock_series_id IS NULL)'}
+      AND st.transaction_date <= $4
+    GROUP BY st.shareholder_id
+    HAVING COALESCE(SUM(st.shares), 0) > 0
+  `, [entityId, entity_stock_type_id, entity_stock_series_id || null, recordDate]);
+
+  if (!holdersResult.rows.length) {
+    return json(400, { success:false, error:'No shareholders held shares in this stock type/series on the record date' }, headers);
+  }
+
+  const allocations = holdersResult.rows.map(h => {
+    const held = parseFloat(h.current_shares);
+    const entitlement = Math.round(held * sharesPer / perShares * 1e6) / 1e6;
+    const issued = roundShares(entitlement, cashInLieu ? 'ROUND_DOWN' : roundMode);
+    const fraction = cashInLieu ? Math.round((entitlement - issued) * 1e6) / 1e6 : 0;
+    return {
+      shareholder_id: h.shareholder_id,
+      shares_held: held,
+      entitlement,
+      shares_issued: issued,
+      fractional_shares: fraction,
+      rounding_residue: Math.round((issued - entitlement) * 1e6) / 1e6,
+      cash_in_lieu: cashInLieu ? Math.round(fraction * cashPrice * 100) / 100 : 0,
+    };
+  });
+
+  const totals = allocations.reduce((t, a) => ({
+    shares_held: t.shares_held + a.shares_held,
+    shares_issued: t.shares_issued + a.shares_issued,
+    cash_in_lieu: Math.round((t.cash_in_lieu + a.cash_in_lieu) * 100) / 100,
+  }), { shares_held: 0, shares_issued: 0, cash_in_lieu: 0 });
+
+  const terms = {
+    entity_stock_type_id,
+    entity_stock_series_id: entity_stock_series_id || null,
+    target_entity_stock_type_id: targetTypeId,
+    target_entity_stock_series_id: targetSeriesId,
+    ratio: `${sharesPer}:${perShares}`,
+    rounding: roundMode,
+    cash_in_lieu_price: cashPrice,
+    record_date: recordDate,
+    effective_date: effectiveDate,
+  };
+
+  if (preview) {
+    return json(200, { success:true, preview:true, stock_dividend: { ...terms, affected_holders: allocations.length, totals, allocations } }, headers);
+  }
+
+  const dividendNote = `Stock dividend ${sharesPer} per ${perShares} — ${notes || ''}`.trim();
+
+  let dividend;
+  try {
+    dividend = await withTransaction(async (client) => {
+      // Serialize issuances against the target class before checking headroom
+      await client.query('SELECT id FROM entity_stock_types WHERE id = $1 FOR UPDATE', [targetTypeId]);
+
+      const divRes = await client.query(`
+        INSERT INTO stock_dividends (
+          entity_id, entity_stock_type_id, entity_stock_series_id,
+          target_entity_stock_type_id, target_entity_stock_series_id,
+          shares_per, per_shares, rounding, cash_in_lieu_price,
+          record_date, effective_date, total_shares_held, total_shares_issued,
+          total_cash_in_lieu, notes, created_by
+        ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16)
+        RETURNING *
+      `, [
+        entityId, entity_stock_type_id, entity_stock_series_id || null,
+        targetTypeId, targetSeriesId,
+        sharesPer, perShares, roundMode, cashPrice,
+        recordDate, effectiveDate, totals.shares_held, totals.shares_issued,
+        totals.cash_in_lieu, notes || null, user.id,
+      ]);
+      const row = divRes.rows[0];
+
+      for (const a of allocations) {
+        if (a.shares_issued > 0) {
+          a.transaction = await insertIssuance(client, {
+            entityId,
+            shareholderId: a.shareholder_id,
+            entityStockTypeId: targetTypeId,
+            entityStockSeriesId: targetSeriesId,
+            shares: a.shares_issued,
+            transactionDate: effectiveDate,
+            notes: dividendNote,
+            createdBy: user.id,
+          });
+          // Basis allocation from the underlying holding isn't computed; the lot records unknown basis
+          await createLot(client, {
+            entityId,
+            shareholderId: a.shareholder_id,
+            entityStockTypeId: targetTypeId,
+            entityStockSeriesId: targetSeriesId,
+            sourceType: 'ISSUANCE',
+            sourceTransactionId: a.transaction.id,
+            acquisitionDate: effectiveDate,
+            shares: a.shares_issued,
+            basisPerShare: null,
+            createdBy: user.id,
+          });
+          // Certificate in the same transaction, so a signer out of term rejects the dividend
+          a.certificate = await autoGenerateCertificateWithClient(client, {
+            entityId,
+            shareholderId: a.shareholder_id,
+            shareTransactionId: a.transaction.id,
+            entityStockTypeId: targetTypeId,
+            entityStockSeriesId: targetSeriesId,
+            shares: a.shares_issued,
+            issueDate: effectiveDate,
+            createdBy: user.id,
+          });
+        }
+        await client.query(`
+          INSERT INTO stock_dividend_allocations (
+            stock_dividend_id, shareholder_id, shares_held, entitlement,
+            shares_issued, fractional_shares, cash_in_lieu_amount, share_transaction_id
+          ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8)
+        `, [
+          row.id, a.shareholder_id, a.shares_held, a.entitlement,
+          a.shares_issued, a.fractional_shares, a.cash_in_lieu, a.transaction ? a.transaction.id : null,
+        ]);
+      }
+
+      await assertWithinAuthorized(client, entityId, target.stockType, target.series, totals.shares_issued, 'issue');
+      return row;
+    });
+  } catch (err) {
+    if (err.statusCode === 400) {
+      return json(400, { success:false, error:err.message, error_code:err.error_code, details:err.details }, headers);
+    }
+    throw err;
+  }
+
+  const issued = allocations.filter(a => a.transaction);
+
+  await logAudit({
+    user_id: user.id, user_email: user.email, user_role: user.role,
+    entity_id: entityId, action: 'STOCK_DIVIDEND',
+    resource_type: 'STOCK_DIVIDEND', resource_id: dividend.id,
+    details: { ...terms, affected_holders: allocations.length, total_shares_issued: totals.shares_issued, total_cash_in_lieu: totals.cash_in_lieu },
+    ip_address: getClientIp(event),
+  });
+
+  for (const a of issued) {
+    await logAudit({
+      user_id: user.id, user_email: user.email, user_role: user.role,
+      entity_id: entityId, action: 'ISSUE_SHARES',
+      resource_type: 'SHARE_TRANSACTION', resource_id: a.transaction.id,
+      details: { shareholder_id: a.shareholder_id, entity_stock_type_id: targetTypeId, shares: a.shares_issued, stock_dividend_id: dividend.id },
+      ip_address: getClientIp(event),
+    });
+  }
+
+  for (const a of issued) {
+    await logAudit({
+      user_id: user.id, user_email: user.email, user_role: user.role,
+      entity_id: entityId, action: 'AUTO_GENERATE_CERTIFICATE',
+      resource_type: 'STOCK_CERTIFICATE', resource_id: a.certificate.id,
+      details: { certificate_number: a.certificate.certificate_number, shareholder_id: a.shareholder_id, shares: a.shares_issued, trigger: 'STOCK_DIVIDEND' },
+      ip_address: getClientIp(event),
+    });
+  }
+
+  for (const a of issued) {
+    try {
+      a.certificate.pdf_path = await storeCertificatePdf(a.certificate.id);
+    } catch (pdfErr) {
+      console.error('Stock dividend certificate PDF generation error (non-fatal):', pdfErr.message);
+    }
+  }
+
+  return json(201, {
+    success: true,
+    stock_dividend: {
+      id: dividend.id,
+      ...terms,
+      affected_holders: allocations.length,
+      totals,
+      allocations,
+    }
+  }, headers);
+}
+
+/* =====================================================
+   POST: Convert Shares (e.g. Preferred → Common)
+   Retires shares of a source class/series and issues the
+   as-converted shares of the target class to the same holder.
+   Two CONVERSION rows per holding: negative on the source,
+   positive on the target. Ratio comes from the source
+   series' conversion_ratio; a series without one is refused
+   (a class without series converts 1:1).
+   mode = 'ALL_PREFERRED' converts every holding of the
+   entity's PREFERRED class (IPO conversion).
+===================================================== */
+async function handleConvert(event) {
+  const auth = await authMiddleware(event);
+  if (auth.statusCode) return auth;
+  const { user, headers } = auth;
+
+  const canConvert = requireRole(['SUPER_ADMIN', 'ENTITY_ADMIN'])(user);
+  if (!canConvert) return json(403, { success:false, error:'Forbidden' }, headers);
+
+  const body = parseBody(event);
+  const {
+    mode,                          // 'SINGLE' (default) or 'ALL_PREFERRED'
+    shareholder_id,
+    entity_stock_type_id,          // source class (SINGLE only)
+    entity_stock_series_id,        // source series (SINGLE only)
+    shares,                        // SINGLE only; defaults to the full holding
+    target_entity_stock_type_id,
+    target_entity_stock_series_id,
+    effective_date,
+    rounding,                      // 'ROUND_DOWN', 'ROUND_UP', 'ROUND_NEAREST'
+    notes,
+  } = body;
+
+  const convMode = mode || 'SINGLE';
+  if (!['SINGLE', 'ALL_PREFERRED'].includes(convMode)) {
+    return json(400, { success:false, error:'mode must be SINGLE or ALL_PREFERRED' }, headers);
+  }
+  if (!target_entity_stock_type_id || !effective_date) {
+    return json(400, { success:false, error:'Missing required fields' }, headers);
+  }
+  if (convMode === 'SINGLE' && (!shareholder_id || !entity_stock_type_id)) {
+    return json(400, { success:false, error:'shareholder_id and entity_stock_type_id are required' }, headers);
+  }
+
+  const roundMode = rounding || 'ROUND_DOWN';
+  if (!['ROUND_DOWN', 'ROUND_UP', 'ROUND_NEAREST'].includes(roundMode)) {
+    return json(400, { success:false, error:'rounding must be ROUND_DOWN, ROUND_UP or ROUND_NEAREST' }, headers);
+  }
+
+  const entityId = user.entity_id;
+
+  // Validate target class / series
+  const targetRes = await query(
+    `SELECT id, entity_id, display_name, supports_series, is_active, authorized_shares
+     FROM entity_stock_types WHERE id = $1`,
+    [target_entity_stock_type_id]
+  );
+  if (!targetRes.rows.length) return json(400, { success:false, error:'Invalid target stock type' }, headers);
+  const targetType = targetRes.rows[0];
+  if (!enforceEntityScope(user, targetType.entity_id)) return json(403, { success:false, error:'Forbidden' }, headers);
+  if (!targetType.is_active) return json(400, { success:false, error:'Target stock type is inactive' }, headers);
+
+  let targetSeries = null;
+  if (targetType.supports_series) {
+    if (!target_entity_stock_series_id) {
+      return json(400, { success:false, error:'Target series is required for this stock type' }, headers);
+    }
+    const tsRes = await query(
+      `SELECT id, series, authorized_shares FROM entity_stock_series
+       WHERE id = $1 AND entity_stock_type_id = $2 AND is_active = TRUE`,
+      [target_entity_stock_series_id, target_entity_stock_type_id]
+    );
+    if (!tsRes.rows.length) return json(400, { success:false, error:'Invalid or inactive target series' }, headers);
+    targetSeries = tsRes.rows[0];
+  } else if (target_entity_stock_series_id) {
+    return json(400, { success:false, error:'Series not allowed for the target stock type' }, headers);
+  }
+
+  if (convMode === 'SINGLE') {
+    if (String(entity_stock_type_id) === String(target_entity_stock_type_id)
+        && String(entity_stock_series_id || '') === String(target_entity_stock_series_id || '')) {
+      return json(400, { success:false, error:'Source and target must be different classes or series' }, headers);
+    }
+    const srcRes = await query('SELECT id, entity_id FROM entity_stock_types WHERE id = $1', [entity_stock_type_id]);
+    if (!srcRes.rows.length) return json(400, { success:false, error:'Invalid source stock type' }, headers);
+    if (String(srcRes.rows[0].entity_id) !== String(targetType.entity_id)) {
+      return json(400, { success:false, error:'Source and target stock types must belong to the same entity' }, headers);
+    }
+  }
+
+  const targetLabel = targetSeries ? `${targetType.display_name} Series ${targetSeries.series}` : targetType.display_name;
+  const auditEntries = [];
+  let result;
+  try {
+    result = await withTransaction(async (client) => {
+      // 1. Resolve the holdings to convert (balances read inside the transaction)
+      let positions;
+      if (convMode === 'SINGLE') {
+        const lock = await client.query(
+          'SELECT id FROM shareholders WHERE id = $1 AND entity_id = $2 FOR UPDATE',
+          [shareholder_id, entityId]
+        );
+        if (!lock.rows.length) throw Object.assign(new Error('Shareholder not found'), { statusCode: 400 });
+
+        const posRes = await client.query(`
+          SELECT st.shareholder_id, st.entity_stock_type_id, st.entity_stock_series_id,
+                 est.display_name AS stock_type_name, ess.series, ess.conversion_ratio,
+                 COALESCE(SUM(st.shares), 0) AS current_shares
+          FROM share_transactions st
+          JOIN entity_stock_types est ON est.id = st.entity_stock_type_id
+          LEFT JOIN entity_stock_series ess ON ess.id = st.entity_stock_series_id
+          WHERE st.entity_id = $1 AND st.shareholder_id = $2
+            AND st.entity_stock_type_id = $3
+            AND st.entity_stock_series_id IS NOT DISTINCT FROM $4::bigint
+          GROUP BY st.shareholder_id, st.entity_stock_type_id, st.entity_stock_series_id,
+                   est.display_name, ess.series, ess.conversion_ratio
+        `, [entityId, shareholder_id, entity_stock_type_id, entity_stock_series_id || null]);
+
+        const held = parseFloat(posRes.rows[0]?.current_shares || 0);
+        const requested = shares !== undefined && shares !== null && shares !== '' ? Math.abs(parseFloat(shares)) : held;
+        if (!(requested > 0)) throw Object.assign(new Error('No shares to convert'), { statusCode: 400 });
+        if (requested > held) {
+          throw Object.assign(new Error(`Insufficient shares. Holder has ${held} shares available.`), { statusCode: 400 });
+        }
+        positions = [{ ...posRes.rows[0], shares_to_convert: requested }];
+      } else {
+        // Lock every holder of preferred first (in id order, like the other multi-holder
+        // actions) so no transfer, cancel or repurchase posts between this read and the
+        // CONVERSION rows
+        const holderRes = await client.query(`
+          SELECT DISTINCT st.shareholder_id
+          FROM share_transactions st
+          JOIN entity_stock_types est ON est.id = st.entity_stock_type_id
+          WHERE st.entity_id = $1 AND est.stock_type = 'PREFERRED'
+        `, [entityId]);
+        const lockRes = await client.query(
+          'SELECT id FROM shareholders WHERE entity_id = $1 AND id = ANY($2::int[]) ORDER BY id FOR UPDATE',
+          [entityId, holderRes.rows.map(r => r.shareholder_id)]
+        );
+
+        const posRes = await client.query(`
+          SELECT st.shareholder_id, st.entity_stock_type_id, st.entity_stock_series_id,
+                 est.display_name AS stock_type_name, ess.series, ess.conversion_ratio,
+                 COALESCE(SUM(st.shares), 0) AS current_shares
+          FROM share_transactions st
+          JOIN entity_stock_types est ON est.id = st.entity_stock_type_id
+          LEFT JOIN entity_stock_series ess ON ess.id = st.entity_stock_series_id
+          WHERE st.entity_id = $1
+            AND est.stock_type = 'PREFERRED'
+            AND st.shareholder_id = ANY($4::int[])
+            AND NOT (st.entity_stock_type_id = $2 AND st.entity_stock_series_id IS NOT DISTINCT FROM $3::bigint)
+          GROUP BY st.shareholder_id, st.entity_stock_type_id, st.entity_stock_series_id,
+                   est.display_name, ess.series, ess.conversion_ratio
+          HAVING COALESCE(SUM(st.shares), 0) > 0
+          ORDER BY st.entity_stock_type_id, st.entity_stock_series_id, st.shareholder_id
+        `, [entityId, target_entity_stock_type_id, target_entity_stock_series_id || null, lockRes.rows.map(r => r.id)]);
+        if (!posRes.rows.length) throw Object.assign(new Error('No preferred holdings to convert'), { statusCode: 400 });
+        positions = posRes.rows.map(p => ({ ...p, shares_to_convert: parseFloat(p.current_shares) }));
+      }
+
+      // A series converts at its own ratio; never guess 1:1 for one that has none.
+      // ALL_PREFERRED holdings always need a ratio, series or not.
+      const unpriced = new Map();
+      for (const p of positions) {
+        if (p.conversion_ratio !== null && p.conversion_ratio !== undefined) continue;
+        if (convMode === 'SINGLE' && !p.entity_stock_series_id) continue;
+        unpriced.set(`${p.entity_stock_type_id}_${p.entity_stock_series_id || 'null'}`, {
+          entity_stock_type_id: p.entity_stock_type_id,
+          entity_stock_series_id: p.entity_stock_series_id,
+          label: p.series ? `${p.stock_type_name} Series ${p.series}` : p.stock_type_name,
+        });
+      }
+      if (unpriced.size) {
+        const series = [...unpriced.values()];
+        throw Object.assign(
+          new Error(`No conversion ratio set for ${series.map(u => u.label).join(', ')}. Nothing was converted.`),
+          { statusCode: 400, error_code: 'ERR_NO_CONVERSION_RATIO', details: { series } }
+        );
+      }
+
+      // 2. Retire source shares, issue target shares, cancel/reissue certificates
+      const conversions = [];
+      for (const pos of positions) {
+        const ratio = pos.conversion_ratio !== null && pos.conversion_ratio !== undefined ? parseFloat(pos.conversion_ratio) : 1;
+        const retired = pos.shares_to_convert;
+        const issued = roundShares(retired * ratio, roundMode);
+        const sourceLabel = pos.series ? `${pos.stock_type_name} Series ${pos.series}` : pos.stock_type_name;
+        const convNote = `Conversion ${sourceLabel} → ${targetLabel} @ ${ratio}${notes ? ` — ${notes}` : ''}`;
+
+        // Converted shares leave the holding: frozen holdings are refused, frozen certificates stay put
+        const stop = await assertHoldingNotStopped(client, {
+          entityId,
+          shareholderId: pos.shareholder_id,
+          entityStockTypeId: pos.entity_stock_type_id,
+          entityStockSeriesId: pos.entity_stock_series_id || null,
+        });
+        const free = parseFloat(pos.current_shares) - stop.heldShares;
+        if (free < retired) {
+          throw stopOrderError(
+            `Shareholder #${pos.shareholder_id} has only ${free} ${sourceLabel} shares free to convert; ${stop.heldShares} are frozen by stop-transfer orders. Nothing was converted.`,
+            stop.orders
+          );
+        }
+
+        const retireRes = await client.query(`
+          INSERT INTO share_transactions (
+            entity_id, shareholder_id, transaction_type, transaction_date,
+            entity_stock_type_id, entity_stock_series_id, shares, notes, created_by
+          ) VALUES ($1,$2,'CONVERSION',$3,$4,$5,$6,$7,$8)
+          RETURNING *
+        `, [entityId, pos.shareholder_id, effective_date, pos.entity_stock_type_id, pos.entity_stock_series_id || null, -retired, convNote, user.id]);
+
+        let issueRow = null;
+        if (issued > 0) {
+          const issueRes = await client.query(`
+            INSERT INTO share_transactions (
+              entity_id, shareholder_id, transaction_type, transaction_date,
+              entity_stock_type_id, entity_stock_series_id, shares, notes, created_by
+            ) VALUES ($1,$2,'CONVERSION',$3,$4,$5,$6,$7,$8)
+            RETURNING *
+          `, [entityId, pos.shareholder_id, effective_date, target_entity_stock_type_id, target_entity_stock_series_id || null, issued, convNote, user.id]);
+          issueRow = issueRes.rows[0];
+        }
+
+        const { allocations, cancelled, remainders } = await consumeCertificatesFifo(client, {
+          entityId,
+          shareholderId: pos.shareholder_id,
+          entityStockTypeId: pos.entity_stock_type_id,
+          entityStockSeriesId: pos.entity_stock_series_id || null,
+          shares: retired,
+          reason: (alloc) => `Cancelled for conversion of ${alloc.usedShares} shares into ${targetLabel}`,
+          shareTransactionId: retireRes.rows[0].id,
+          excludeCertificateIds: stop.heldCertificateIds,
+          createdBy: user.id,
+        });
+
+        // Tax lots carry over: total basis and holding period move to the target class
+        const sourceLots = await consumeLots(client, {
+          entityId,
+          shareholderId: pos.shareholder_id,
+          entityStockTypeId: pos.entity_stock_type_id,
+          entityStockSeriesId: pos.entity_stock_series_id || null,
+          shares: retired,
+          shareTransactionId: retireRes.rows[0].id,
+          disposalType: 'CONVERSION',
+        });
+        if (issueRow) {
+          await createConversionLots(client, {
+            ...sourceLots,
+            retired,
+            issued,
+            entityId,
+            shareholderId: pos.shareholder_id,
+            entityStockTypeId: target_entity_stock_type_id,
+            entityStockSeriesId: target_entity_stock_series_id || null,
+            transactionDate: issueRow.transaction_date,
+            sourceTransactionId: issueRow.id,
+            createdBy: user.id,
+          });
+        }
+
+        // Converted shares tack onto the original holding period of the first consumed certificate
+        let issuedCert = null;
+        if (issueRow) {
+          issuedCert = await autoGenerateCertificateWithClient(client, {
+            entityId,
+            shareholderId: pos.shareholder_id,
+            shareTransactionId: issueRow.id,
+            entityStockTypeId: target_entity_stock_type_id,
+            entityStockSeriesId: target_entity_stock_series_id || null,
+            shares: issued,
+            issueDate: effective_date,
+            createdBy: user.id,
+            originalIssueDate: allocations.length > 0 ? allocations[0].originalIssueDate : null,
+            transferDate: null,
+            sourceCertificateId: allocations.length > 0 ? allocations[0].cert.id : null,
+          });
+        }
+
+        auditEntries.push({
+          action: 'CONVERT_SHARES',
+          resource_type: 'SHARE_TRANSACTION', resource_id: retireRes.rows[0].id,
+          details: {
+            shareholder_id: pos.shareholder_id,
+            source_stock_type_id: pos.entity_stock_type_id, source_series_id: pos.entity_stock_series_id,
+            target_stock_type_id: target_entity_stock_type_id, target_series_id: target_entity_stock_series_id || null,
+            ratio, rounding: roundMode, shares_retired: retired, shares_issued: issued, mode: convMode,
+          },
+        });
+        for (const alloc of allocations) {
+          auditEntries.push({
+            action: 'AUTO_CANCEL_CERTIFICATE',
+            resource_type: 'STOCK_CERTIFICATE', resource_id: alloc.cert.id,
+            details: { certificate_number: alloc.cert.certificate_number, trigger: 'CONVERSION', shares_used: alloc.usedShares },
+          });
+        }
+        for (const r of remainders) {
+          auditEntries.push({
+            action: 'AUTO_GENERATE_CERTIFICATE',
+            resource_type: 'STOCK_CERTIFICATE', resource_id: r.cert.id,
+            details: { certificate_number: r.cert.certificate_number, shareholder_id: pos.shareholder_id, shares: r.shares, trigger: 'CONVERSION_REMAINDER', source_certificate: r.source.certificate_number },
+          });
+        }
+        if (issuedCert) {
+          auditEntries.push({
+            action: 'AUTO_GENERATE_CERTIFICATE',
+            resource_type: 'STOCK_CERTIFICATE', resource_id: issuedCert.id,
+            details: { certificate_number: issuedCert.certificate_number, shareholder_id: pos.shareholder_id, shares: issued, trigger: 'CONVERSION', source_certificates: cancelled.map(c => c.certificate_number) },
+          });
+        }
+
+        conversions.push({
+          shareholder_id: pos.shareholder_id,
+          source_stock_type_id: pos.entity_stock_type_id,
+          source_series_id: pos.entity_stock_series_id,
+          source_label: sourceLabel,
+          ratio,
+          shares_retired: retired,
+          shares_issued: issued,
+          transactions: { retire: retireRes.rows[0], issue: issueRow },
+          certificates: {
+            cancelled: cancelled.map(c => c.certificate_number),
+            remainders: remainders.map(r => r.cert),
+            issued: issuedCert,
+          },
+        });
+      }
+
+      // 3. Target headroom, checked after the inserts so a same-class conversion nets out
+      const totalIssued = conversions.reduce((sum, c) => sum + c.shares_issued, 0);
+      const { limit: authorizedLimit, level: limitLevel } = resolveAuthorizedLimit(targetType, targetSeries);
+      if (authorizedLimit !== null && authorizedLimit > 0) {
+        const limitSeriesId = limitLevel === 'SERIES' ? target_entity_stock_series_id : null;
+        const outstandingAfter = await getIssuedShares(client, entityId, target_entity_stock_type_id, limitSeriesId);
+        const reservedShares = await getReservedPoolShares(client, entityId, target_entity_stock_type_id, limitSeriesId);
+        if (outstandingAfter + reservedShares > authorizedLimit) {
+          const outstandingBefore = outstandingAfter - totalIssued;
+          const available = authorizedLimit - outstandingBefore - reservedShares;
+          throw Object.assign(
+            new Error(`Cannot convert into ${totalIssued.toLocaleString()} shares of ${targetLabel}. Current outstanding: ${outstandingBefore.toLocaleString()}, Reserved for equity plans: ${reservedShares.toLocaleString()}, Authorized limit: ${authorizedLimit.toLocaleString()}. Available: ${available.toLocaleString()}.`),
+            {
+              statusCode: 400,
+              error_code: 'ERR_EXCEEDS_AUTHORIZED_SHARES',
+              details: { authorized: authorizedLimit, outstanding: outstandingBefore, reserved: reservedShares, requested: totalIssued, available },
+            }
+          );
+        }
+      }
+
+      return conversions;
+    });
+  } catch (err) {
+    if (err.statusCode === 400) {
+      return json(400, { success:false, error:err.message, error_code:err.error_code, details:err.details }, headers);
+    }
+    throw err;
+  }
+
+  for (const entry of auditEntries) {
+    await logAudit({
+      user_id: user.id, user_email: user.email, user_role: user.role,
+      entity_id: entityId, ...entry,
+      ip_address: getClientIp(event),
+    });
+  }
+
+  // Render PDFs after commit (best-effort; the certificate records already exist)
+  for (const conv of result) {
+    for (const cert of [...conv.certificates.remainders, conv.certificates.issued].filter(Boolean)) {
+      try {
+        cert.pdf_path = await storeCertificatePdf(cert.id);
+      } catch (pdfErr) {
+        console.error('Conversion certificate PDF generation error (non-fatal):', pdfErr.message);
+      }
+    }
+  }
+
+  return json(201, {
+    success: true,
+    conversion: {
+      mode: convMode,
+      target: { entity_stock_type_id: target_entity_stock_type_id, entity_stock_series_id: target_entity_stock_series_id || null, label: targetLabel },
+      rounding: roundMode,
+      effective_date,
+      converted_holdings: result.length,
+      total_shares_retired: result.reduce((sum, c) => sum + c.shares_retired, 0),
+      total_shares_issued: result.reduce((sum, c) => sum + c.shares_issued, 0),
+      conversions: result,
+    }
+  }, headers);
+}
+
+/* =====================================================
+   GET: Vesting Schedules
+   Restricted-stock schedules with vested / unvested shares
+   computed as of today (or as_of=YYYY-MM-DD).
+===================================================== */
+async function handleListVestingSchedules(event, params) {
+  const auth = await authMiddleware(event);
+  if (auth.statusCode) return auth;
+  const { user, headers } = auth;
+
+  const { shareholder_id, entity_id } = params;
+  const targetEntityId = user.role === 'SUPER_ADMIN' && entity_id ? entity_id : user.entity_id;
+  const asOf = parseAsOf(params.as_of) || toDateStr(new Date());
+
+  const result = await query(`
+    SELECT vs.*,
+           sh.full_name AS shareholder_name,
+           est.display_name AS stock_type_name,
+           ess.series
+    FROM vesting_schedules vs
+    JOIN shareholders sh ON sh.id = vs.shareholder_id
+    LEFT JOIN entity_stock_types est ON est.id = vs.entity_stock_type_id
+    LEFT JOIN entity_stock_series ess ON ess.id = vs.entity_stock_series_id
+    WHERE vs.entity_id = $1
+      AND ($2::bigint IS NULL OR vs.shareholder_id = $2)
+    ORDER BY sh.full_name, vs.vesting_start_date, vs.id
+  `, [targetEntityId, shareholder_id || null]);
+
+  const schedules = result.rows.map(s => ({ ...s, vesting: computeVesting(s, asOf) }));
+  return json(200, { success:true, as_of: asOf, schedules }, headers);
+}
+
+/* =====================================================
+   POST: Attach a Vesting Schedule to an existing ISSUANCE
+===================================================== */
+async function handleCreateVestingSchedule(event) {
+  const auth = await authMiddleware(event);
+  if (auth.statusCode) return auth;
+  const { user, headers } = auth;
+
+  const canManage = requireRole(['SUPER_ADMIN', 'ENTITY_ADMIN'])(user);
+  if (!canManage) return json(403, { success:false, error:'Forbidden' }, headers);
+
+  const body = parseBody(event);
+  const { share_transaction_id } = body;
+  if (!share_transaction_id) {
+    return json(400, { success:false, error:'share_transaction_id is required' }, headers);
+  }
+
+  const v = validateVestingTerms(body);
+  if (v.error) return json(400, { success:false, error:v.error }, headers);
+
+  const txRes = await query('SELECT * FROM share_transactions WHERE id = $1', [share_transaction_id]);
+  if (!txRes.rows.length) return json(404, { success:false, error:'Transaction not found' }, headers);
+  const issuance = txRes.rows[0];
+
+  if (!enforceEntityScope(user, issuance.entity_id)) {
+    return json(403, { success:false, error:'Forbidden' }, headers);
+  }
+  if (issuance.transaction_type !== 'ISSUANCE') {
+    return json(400, { success:false, error:'Vesting schedules can only be attached to an ISSUANCE' }, headers);
+  }
+
+  const existing = await query('SELECT id FROM vesting_schedules WHERE share_transaction_id = $1', [share_transaction_id]);
+  if (existing.rows.length) {
+    return json(400, { success:false, error:'This issuance already has a vesting schedule' }, headers);
+  }
+
+  const schedule = await createVestingSchedule({ query }, issuance, v.terms, user.id);
+
+  await logAudit({
+    user_id: user.id, user_email: user.email, user_role: user.role,
+    entity_id: issuance.entity_id, action: 'CREATE_VESTING_SCHEDULE',
+    resource_type: 'VESTING_SCHEDULE', resource_id: schedule.id,
+    details: { share_transaction_id: issuance.id, shareholder_id: issuance.shareholder_id, ...v.terms },
+    ip_address: getClientIp(event),
+  });
+
+  return json(201, { success:true, schedule: { ...schedule, vesting: computeVesting(schedule, toDateStr(new Date())) } }, headers);
+}
+
+/* =====================================================
+   POST: Record a Change of Control
+   Stamps change_of_control_date on every active schedule
+   that carries an acceleration trigger. Single-trigger
+   schedules accelerate from that date; double-trigger ones
+   accelerate when the holder is later terminated without
+   cause / for good reason (see forfeit-unvested).
+===================================================== */
+async function handleRecordChangeOfControl(event) {
+  const auth = await authMiddleware(event);
+  if (auth.statusCode) return auth;
+  const { user, headers } = auth;
+
+  const canManage = requireRole(['SUPER_ADMIN', 'ENTITY_ADMIN'])(user);
+  if (!canManage) return json(403, { success:false, error:'Forbidden' }, headers);
+
+  const body = parseBody(event);
+  const effectiveDate = parseAsOf(body.effective_date, 'effective_date');
+  if (!effectiveDate) return json(400, { success:false, error:'effective_date is required' }, headers);
+
+  const result = await query(`
+    UPDATE vesting_schedules
+    SET change_of_control_date = $2, updated_at = NOW()
+    WHERE entity_id = $1
+      AND status = 'ACTIVE'
+      AND acceleration_trigger <> 'NONE'
+      AND change_of_control_date IS NULL
+    RETURNING id
+  `, [user.entity_id, effectiveDate]);
+
+  await logAudit({
+    user_id: user.id, user_email: user.email, user_role: user.role,
+    entity_id: user.entity_id, action: 'RECORD_CHANGE_OF_CONTROL',
+    resource_type: 'VESTING_SCHEDULE',
+    details: { effective_date: effectiveDate, notes: body.notes || null, schedule_ids: result.rows.map(r => r.id) },
+    ip_address: getClientIp(event),
+  });
+
+  return json(200, { success:true, effective_date: effectiveDate, affected_schedules: result.rows.length }, headers);
+}
+
+/* =====================================================
+   POST: Forfeit Unvested Shares
+   On termination, computes unvested shares for each active
+   schedule of the holder, appends a FORFEITURE row (NEGATIVE
+   shares) and cancels / reissues the holder's certificates,
+   consuming the grant's own certificate and tax lot first.
+===================================================== */
+async function handleForfeitUnvested(event) {
+  const auth = await authMiddleware(event);
+  if (auth.statusCode) return auth;
+  const { user, headers } = auth;
 
-  if (dupCheck.rows.length > 0) {
-    return json(400, { success:false, error:'A split has already been executed for this stock type on this date. Choose a different date or verify the existing split.' }, headers);
-  }
+  const canForfeit = requireRole(['SUPER_ADMIN', 'ENTITY_ADMIN'])(user);
+  if (!canForfeit) return json(403, { success:false, error:'Forbidden' }, headers);
 
-  // Get all shareholders with positive holdings for this stock type/series
-  const holdersResult = await query(`
-    SELECT 
-      st.shareholder_id,
-      COALESCE(SUM(st.shares), 0) AS current_shares
-    FROM share_transactions st
-    WHERE st.entity_id = $1
-      AND st.entity_stock_type_id = $2
-      ${entity_stock_series_id ? 'AND st.entity_stock_series_id = $3' : 'AND ($3::bigint IS NULL OR st.entity_stock_series_id IS NULL)'}
-    GROUP BY st.shareholder_id
-    HAVING COALESCE(SUM(st.shares), 0) > 0
-  `, [entityId, entity_stock_type_id, entity_stock_series_id || null]);
+  const body = parseBody(event);
+  const { shareholder_id, vesting_schedule_id, notes } = body;
+  const terminationType = String(body.termination_type || '').toUpperCase();
 
-  if (!holdersResult.rows.length) {
-    return json(400, { success:false, error:'No shareholders hold shares in this stock type/series' }, headers);
+  if (!shareholder_id || !body.termination_date || !terminationType) {
+    return json(400, { success:false, error:'shareholder_id, termination_date and termination_type are required' }, headers);
   }
+  if (!TERMINATION_TYPES.includes(terminationType)) {
+    return json(400, { success:false, error:`termination_type must be one of ${TERMINATION_TYPES.join(', ')}` }, headers);
+  }
+  const terminationDate = parseAsOf(body.termination_date, 'termination_date');
 
-  // 3️⃣ Snapshot: compute total outstanding before split
-  const totalOutstandingBefore = holdersResult.rows.reduce(
-    (sum, h) => sum + parseFloat(h.current_shares), 0
-  );
-
-  const splitNote = `${txType} ${oldNum}:${newNum} — ${notes || ''}`.trim();
-  const adjustments = [];
+  const entityId = user.entity_id;
+  const auditEntries = [];
+  let result;
+  try {
+    result = await withTransaction(async (client) => {
+      const lock = await client.query(
+        'SELECT id FROM shareholders WHERE id = $1 AND entity_id = $2 FOR UPDATE',
+        [shareholder_id, entityId]
+      );
+      if (!lock.rows.length) throw Object.assign(new Error('Shareholder not found'), { statusCode: 400 });
 
-  // 2️⃣ Wrap all inserts in a DB transaction for atomicity
-  await withTransaction(async (client) => {
-	
-    for (const holder of holdersResult.rows) {
-      const currentShares = parseFloat(holder.current_shares);
-      let newSharesCount;
-
-      if (roundMode === 'ROUND_UP') {
-        newSharesCount = Math.ceil(currentShares * ratio);
-      } else if (roundMode === 'ROUND_NEAREST') {
-        newSharesCount = Math.round(currentShares * ratio);
-      } else {
-        newSharesCount = Math.floor(currentShares * ratio);
+      const schedRes = await client.query(`
+        SELECT * FROM vesting_schedules
+        WHERE entity_id = $1 AND shareholder_id = $2 AND status = 'ACTIVE'
+          AND ($3::bigint IS NULL OR id = $3)
+        ORDER BY vesting_start_date, id
+        FOR UPDATE
+      `, [entityId, shareholder_id, vesting_schedule_id || null]);
+      if (!schedRes.rows.length) {
+        throw Object.assign(new Error('No active vesting schedule found for this shareholder'), { statusCode: 400 });
       }
 
-      const adjustment = newSharesCount - currentShares;
-      if (adjustment === 0) continue;
+      const outcomes = [];
+      for (const schedule of schedRes.rows) {
+        const vesting = computeVesting(schedule, terminationDate, { terminationType });
+        const unvested = vesting.unvested_shares;
 
-      const insertResult = await client.query(`
-        INSERT INTO share_transactions (
-          entity_id, shareholder_id, transaction_type, transaction_date,
-          entity_stock_type_id, entity_stock_series_id, shares, notes, created_by
-        ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9)
-        RETURNING *
-      `, [
-        entityId,
-        holder.shareholder_id,
-        txType,
-        effective_date,
-        entity_stock_type_id,
-        entity_stock_series_id || null,
-        adjustment,
-        splitNote,
-        user.id,
-      ]);
+        let forfeitRow = null;
+        let certs = { allocations: [], cancelled: [], remainders: [] };
+        if (unvested > 0) {
+          const balRes = await client.query(`
+            SELECT COALESCE(SUM(shares), 0) AS balance
+            FROM share_transactions
+            WHERE entity_id = $1 AND shareholder_id = $2
+              AND entity_stock_type_id = $3
+              AND entity_stock_series_id IS NOT DISTINCT FROM $4::bigint
+          `, [entityId, shareholder_id, schedule.entity_stock_type_id, schedule.entity_stock_series_id || null]);
+          const balance = parseFloat(balRes.rows[0].balance || 0);
+          if (balance < unvested) {
+            throw Object.assign(
+              new Error(`Holder has ${balance} shares but ${unvested} unvested shares must be forfeited under schedule #${schedule.id}`),
+              { statusCode: 400 }
+            );
+          }
 
-      adjustments.push({
-	 
-        shareholder_id: holder.shareholder_id,
-        pre_split_shares: currentShares,
-        post_split_shares: newSharesCount,
-        adjustment,
-        transaction: insertResult.rows[0],
-      });
+          // Frozen holdings are refused and frozen certificates stay put, as for a transfer
+          const stop = await assertHoldingNotStopped(client, {
+            entityId,
+            shareholderId: shareholder_id,
+            entityStockTypeId: schedule.entity_stock_type_id,
+            entityStockSeriesId: schedule.entity_stock_series_id || null,
+          });
+          if (balance - stop.heldShares < unvested) {
+            throw stopOrderError(
+              `Only ${balance - stop.heldShares} shares are free to forfeit; ${stop.heldShares} are frozen by stop-transfer orders`,
+              stop.orders
+            );
+          }
+
+          const ins = await client.query(`
+            INSERT INTO share_transactions (
+              entity_id, shareholder_id, transaction_type, transaction_date,
+              entity_stock_type_id, entity_stock_series_id, shares, notes, created_by
+            ) VALUES ($1,$2,'FORFEITURE',$3,$4,$5,$6,$7,$8)
+            RETURNING *
+          `, [
+            entityId, shareholder_id, terminationDate,
+            schedule.entity_stock_type_id, schedule.entity_stock_series_id || null,
+            -unvested, // NEGATIVE shares for forfeiture
+            `Forfeiture of unvested shares (${terminationType}) — vesting schedule #${schedule.id}${notes ? ` — ${notes}` : ''}`,
+            user.id,
+          ]);
+          forfeitRow = ins.rows[0];
+
+          certs = await consumeCertificatesFifo(client, {
+            entityId,
+            shareholderId: shareholder_id,
+            entityStockTypeId: schedule.entity_stock_type_id,
+            entityStockSeriesId: schedule.entity_stock_series_id || null,
+            shares: unvested,
+            reason: (alloc) => `Cancelled for forfeiture of ${alloc.usedShares} unvested shares`,
+            shareTransactionId: forfeitRow.id,
+            createdBy: user.id,
+            preferShareTransactionId: schedule.share_transaction_id,
+            excludeCertificateIds: stop.heldCertificateIds,
+          });
+          await consumeLots(client, {
+            entityId,
+            shareholderId: shareholder_id,
+            entityStockTypeId: schedule.entity_stock_type_id,
+            entityStockSeriesId: schedule.entity_stock_series_id || null,
+            shares: unvested,
+            shareTransactionId: forfeitRow.id,
+            disposalType: 'FORFEITURE',
+            preferSourceTransactionId: schedule.share_transaction_id,
+          });
+        }
+
+        await client.query(`
+          UPDATE vesting_schedules
+          SET status = 'TERMINATED', termination_date = $2, termination_type = $3,
+              forfeited_shares = $4, forfeiture_transaction_id = $5, updated_at = NOW()
+          WHERE id = $1
+        `, [schedule.id, terminationDate, terminationType, unvested, forfeitRow ? forfeitRow.id : null]);
+
+        auditEntries.push({
+          action: 'FORFEIT_UNVESTED_SHARES',
+          resource_type: 'VESTING_SCHEDULE', resource_id: schedule.id,
+          details: {
+            shareholder_id, termination_date: terminationDate, termination_type: terminationType,
+            vested_shares: vesting.vested_shares, accelerated_shares: vesting.accelerated_shares,
+            forfeited_shares: unvested, share_transaction_id: forfeitRow ? forfeitRow.id : null,
+          },
+        });
+        for (const alloc of certs.allocations) {
+          auditEntries.push({
+            action: 'AUTO_CANCEL_CERTIFICATE',
+            resource_type: 'STOCK_CERTIFICATE', resource_id: alloc.cert.id,
+            details: { certificate_number: alloc.cert.certificate_number, trigger: 'FORFEITURE', shares_used: alloc.usedShares },
+          });
+        }
+        for (const r of certs.remainders) {
+          auditEntries.push({
+            action: 'AUTO_GENERATE_CERTIFICATE',
+            resource_type: 'STOCK_CERTIFICATE', resource_id: r.cert.id,
+            details: { certificate_number: r.cert.certificate_number, shareholder_id, shares: r.shares, trigger: 'FORFEITURE_REMAINDER', source_certificate: r.source.certificate_number },
+          });
+        }
+
+        outcomes.push({
+          vesting_schedule_id: schedule.id,
+          vested_shares: vesting.vested_shares,
+          accelerated_shares: vesting.accelerated_shares,
+          forfeited_shares: unvested,
+          transaction: forfeitRow,
+          certificates: {
+            cancelled: certs.cancelled.map(c => c.certificate_number),
+            remainders: certs.remainders.map(r => r.cert),
+          },
+        });
+      }
+      return outcomes;
+    });
+  } catch (err) {
+    if (err.statusCode === 400) {
+      return json(400, { success:false, error:err.message, error_code:err.error_code, details:err.details }, headers);
     }
-  });
+    throw err;
+  }
 
-  // 3️⃣ Snapshot: compute total outstanding after split
-  const totalOutstandingAfter = adjustments.reduce(
-    (sum, a) => sum + a.post_split_shares, 0
-  );
+  for (const entry of auditEntries) {
+    await logAudit({
+      user_id: user.id, user_email: user.email, user_role: user.role,
+      entity_id: entityId, ...entry,
+      ip_address: getClientIp(event),
+    });
+  }
 
-  await logAudit({
-    user_id: user.id, user_email: user.email, user_role: user.role,
-    entity_id: entityId, action: 'EXECUTE_SPLIT',
-    resource_type: 'SHARE_TRANSACTION',
-    details: { split_direction, ratio: `${oldNum}:${newNum}`, rounding: roundMode, affected_holders: adjustments.length, total_before: totalOutstandingBefore, total_after: totalOutstandingAfter },
-    ip_address: getClientIp(event),
-  });
+  // Render remainder PDFs after commit (best-effort)
+  for (const outcome of result) {
+    for (const cert of outcome.certificates.remainders) {
+      try {
+        cert.pdf_path = await storeCertificatePdf(cert.id);
+      } catch (pdfErr) {
+        console.error('Forfeiture certificate PDF generation error (non-fatal):', pdfErr.message);
+      }
+    }
+  }
 
   return json(201, {
     success: true,
-    split: {
-      type: txType,
-      ratio: `${oldNum}:${newNum}`,
-      rounding: roundMode,
-      effective_date,
-      affected_holders: adjustments.length,
-      total_outstanding_before: totalOutstandingBefore,
-      total_outstanding_after: totalOutstandingAfter,
-      adjustments,
+    forfeiture: {
+      shareholder_id,
+      termination_date: terminationDate,
+      termination_type: terminationType,
+      total_forfeited: result.reduce((sum, o) => sum + o.forfeited_shares, 0),
+      schedules: result,
     }
   }, headers);
 }
@@ -939,3 +3812,440 @@ async function handleUpdateDocumentUrls(event) {
 
   return json(200, { success:true, transaction: result.rows[0] }, headers);
 }
+
+/* =====================================================
+   TRANSFER RESTRICTIONS
+   Shared by transfer-shares and multi-transfer. Lockups,
+   open ROFR windows and blocked transferee types reject
+   the transfer; board consent routes it to the approval
+   queue, where approving the request is the consent.
+===================================================== */
+
+// Returns { response } when the transfer must stop, { override } when an admin overrode
+// the breaches (audited by the caller once the transfer posts), or {} when it is clear.
+async function checkTransferRestrictions(event, auth, { action, legs, shares, body, approval }) {
+  const { user, headers } = auth;
+  let rofrNoticeDate;
+  try {
+    rofrNoticeDate = parseAsOf(body.rofr_notice_date, 'rofr_notice_date');
+  } catch (err) {
+    return { response: json(400, { success:false, error:err.message }, headers) };
+  }
+
+  const violations = [];
+  for (const leg of legs) {
+    const found = await evaluateTransferRestrictions({ query }, {
+      entityId: user.entity_id,
+      fromShareholderId: leg.from,
+      toShareholderId: leg.to,
+      entityStockTypeId: body.entity_stock_type_id,
+      entityStockSeriesId: body.entity_stock_series_id || null,
+      transactionDate: body.transaction_date,
+      rofrNoticeDate,
+    });
+    violations.push(...found.map(v => ({ ...v, from_shareholder_id: Number(leg.from), to_shareholder_id: Number(leg.to) })));
+  }
+
+  const consented = approval && approval.pending.hold_reason === 'BOARD_CONSENT';
+  const open = violations.filter(v => !(consented && v.restriction_type === 'BOARD_CONSENT'));
+  if (!open.length) return {};
+
+  if (body.override_restrictions === true || body.override_restrictions === 'true') {
+    if (!requireRole(APPROVER_ROLES)(user)) {
+      return { response: json(403, { success:false, error:'Only admins can override transfer restrictions' }, headers) };
+    }
+    const reason = String(body.override_reason || '').trim();
+    if (!reason) {
+      return { response: json(400, { success:false, error:'override_reason is required to override transfer restrictions' }, headers) };
+    }
+    return { override: { reason, violations: open } };
+  }
+
+  const hard = open.filter(v => v.restriction_type !== 'BOARD_CONSENT');
+  if (hard.length) {
+    return {
+      response: json(400, {
+        success: false,
+        error: `Transfer restricted: ${hard[0].message}`,
+        error_code: hard[0].error_code,
+        details: { violations: open },
+      }, headers),
+    };
+  }
+
+  return {
+    response: await queueForApproval(event, auth, {
+      action, actionType: 'TRANSFER', shares, payload: body,
+      holdReason: 'BOARD_CONSENT', details: { violations: open },
+    }),
+  };
+}
+
+/* =====================================================
+   MAKER-CHECKER APPROVALS
+   When an entity's approval policy covers a request, the
+   ledger handler stores it as PENDING instead of posting.
+   A second user approves (the request is replayed through
+   the same handler as the requester) or rejects it.
+===================================================== */
+
+// Queue the request when the entity's policy applies. Returns the 202 response, or null to post now.
+async function holdForApproval(event, auth, action, actionType, shares, payload) {
+  if (!(await requiresApproval(auth.user.entity_id, actionType, shares))) return null;
+  return queueForApproval(event, auth, { action, actionType, shares, payload });
+}
+
+async function queueForApproval(event, { user, headers }, { action, actionType, shares, payload, holdReason = 'POLICY', details = {} }) {
+  const pending = await createPendingTransaction({
+    entityId: user.entity_id,
+    action,
+    actionType,
+    shares,
+    payload,
+    requestedBy: user.id,
+    requestedIp: getClientIp(event),
+    holdReason,
+  });
+
+  await logAudit({
+    user_id: user.id, user_email: user.email, user_role: user.role,
+    entity_id: user.entity_id, action: 'REQUEST_APPROVAL',
+    resource_type: 'PENDING_TRANSACTION', resource_id: pending.id,
+    details: { action, action_type: actionType, shares, summary: pending.summary, hold_reason: holdReason, ...details },
+    ip_address: getClientIp(event),
+  });
+  await notifyApprovers(pending, user);
+
+  return json(202, {
+    success: true,
+    pending: true,
+    message: holdReason === 'BOARD_CONSENT'
+      ? `Board consent required; submitted for approval (request #${pending.id})`
+      : `Submitted for approval (request #${pending.id})`,
+    pending_transaction: pending,
+    details,
+  }, headers);
+}
+
+// Ledger actions that can be held, keyed by the action stored on the pending row
+const APPROVAL_HANDLERS = {
+  'issue-shares': handleIssue,
+  'batch-issue': handleBatchIssue,
+  'transfer-shares': handleTransfer,
+  'multi-transfer': handleMultiTransfer,
+  'cancel-shares': handleCancel,
+  'execute-split': handleSplit,
+};
+
+/* =====================================================
+   GET: Pending Transactions
+===================================================== */
+async function handleListPending(event, params) {
+  const auth = await authMiddleware(event);
+  if (auth.statusCode) return auth;
+  const { user, headers } = auth;
+
+  const targetEntityId = user.role === 'SUPER_ADMIN' && params.entity_id ? params.entity_id : user.entity_id;
+  const status = params.status ? String(params.status).toUpperCase() : null;
+
+  const result = await query(`
+    SELECT
+      p.*,
+      ru.full_name AS requested_by_name,
+      vu.full_name AS reviewed_by_name
+    FROM pending_transactions p
+    LEFT JOIN users ru ON ru.id = p.requested_by
+    LEFT JOIN users vu ON vu.id = p.reviewed_by
+    WHERE p.entity_id = $1
+      AND ($2::text IS NULL OR p.status = $2)
+    ORDER BY p.requested_at DESC, p.id DESC
+    LIMIT 500
+  `, [targetEntityId, status]);
+
+  return json(200, { success:true, pending_transactions: result.rows.map(p => ({ ...p, is_reviewable: isReviewable(p) })) }, headers);
+}
+
+/* =====================================================
+   GET: Approval Policies
+   One row per action type; types without a saved policy
+   are returned disabled.
+===================================================== */
+async function handleListApprovalPolicies(event, params) {
+  const auth = await authMiddleware(event);
+  if (auth.statusCode) return auth;
+  const { user, headers } = auth;
+
+  const targetEntityId = user.role === 'SUPER_ADMIN' && params.entity_id ? params.entity_id : user.entity_id;
+  const result = await query(
+    'SELECT * FROM approval_policies WHERE entity_id = $1',
+    [targetEntityId]
+  );
+  const byType = new Map(result.rows.map(r => [r.action_type, r]));
+  const policies = APPROVAL_ACTION_TYPES.map(type => byType.get(type) || {
+    entity_id: Number(targetEntityId), action_type: type, is_enabled: false, threshold_shares: null,
+  });
+
+  return json(200, { success:true, policies }, headers);
+}
+
+/* =====================================================
+   POST: Save Approval Policy
+   threshold_shares = null holds every request of the type;
+   otherwise only requests moving more shares are held.
+===================================================== */
+async function handleSaveApprovalPolicy(event) {
+  const auth = await authMiddleware(event);
+  if (auth.statusCode) return auth;
+  const { user, headers } = auth;
+
+  if (!requireRole(APPROVER_ROLES)(user)) {
+    return json(403, { success:false, error:'Forbidden' }, headers);
+  }
+
+  const body = parseBody(event);
+  const { action_type, is_enabled, threshold_shares } = body;
+  const entityId = user.role === 'SUPER_ADMIN' && body.entity_id ? body.entity_id : user.entity_id;
+
+  if (!APPROVAL_ACTION_TYPES.includes(action_type)) {
+    return json(400, { success:false, error:`action_type must be one of ${APPROVAL_ACTION_TYPES.join(', ')}` }, headers);
+  }
+  const threshold = threshold_shares === null || threshold_shares === undefined || threshold_shares === ''
+    ? null
+    : parseFloat(threshold_shares);
+  if (threshold !== null && (isNaN(threshold) || threshold < 0)) {
+    return json(400, { success:false, error:'threshold_shares must be a non-negative number' }, headers);
+  }
+  const enabled = is_enabled === true || is_enabled === 'true';
+
+  const result = await query(`
+    INSERT INTO approval_policies (entity_id, action_type, is_enabled, threshold_shares, updated_by)
+    VALUES ($1,$2,$3,$4,$5)
+    ON CONFLICT (entity_id, action_type)
+    DO UPDATE SET is_enabled = EXCLUDED.is_enabled,
+                  threshold_shares = EXCLUDED.threshold_shares,
+                  updated_by = EXCLUDED.updated_by,
+                  updated_at = NOW()
+    RETURNING *
+  `, [entityId, action_type, enabled, threshold, user.id]);
+
+  await logAudit({
+    user_id: user.id, user_email: user.email, user_role: user.role,
+    entity_id: entityId, action: 'UPDATE_APPROVAL_POLICY',
+    resource_type: 'APPROVAL_POLICY', resource_id: result.rows[0].id,
+    details: { action_type, is_enabled: enabled, threshold_shares: threshold },
+    ip_address: getClientIp(event),
+  });
+
+  return json(200, { success:true, policy: result.rows[0] }, headers);
+}
+
+// Load a pending row for review and apply the checks shared by approve and reject
+async function loadPendingForReview(user, pendingId) {
+  const res = await query('SELECT * FROM pending_transactions WHERE id = $1', [pendingId]);
+  if (!res.rows.length) {
+    throw Object.assign(new Error('Pending transaction not found'), { statusCode: 404 });
+  }
+  const pending = res.rows[0];
+  if (!enforceEntityScope(user, pending.entity_id)) {
+    throw Object.assign(new Error('Forbidden'), { statusCode: 403 });
+  }
+  if (!isReviewable(pending)) {
+    throw Object.assign(new Error(`Request #${pending.id} is already ${pending.status.toLowerCase()}`), { statusCode: 400 });
+  }
+  return pending;
+}
+
+/* =====================================================
+   POST: Approve Pending Transaction
+   Replays the stored payload through the original handler
+   as the requester, so their role checks apply and the
+   ledger rows are created by them (audited with the IP the
+   request came from). The handler marks the request APPROVED
+   in its own ledger transaction, and only that counts as
+   posted. A replay that is held again (202, e.g. a board
+   consent restriction added since) marks the request
+   SUPERSEDED by the new one; any other outcome is FAILED
+   with the handler's error. A claim interrupted mid-post
+   can be reviewed again after PROCESSING_TIMEOUT_MINUTES.
+===================================================== */
+async function handleApprovePending(event) {
+  const auth = await authMiddleware(event);
+  if (auth.statusCode) return auth;
+  const { user, headers } = auth;
+
+  if (!requireRole(APPROVER_ROLES)(user)) {
+    return json(403, { success:false, error:'Forbidden' }, headers);
+  }
+
+  const body = parseBody(event);
+  const { pending_transaction_id, notes } = body;
+  if (!pending_transaction_id) {
+    return json(400, { success:false, error:'pending_transaction_id is required' }, headers);
+  }
+
+  let pending;
+  try {
+    pending = await loadPendingForReview(user, pending_transaction_id);
+  } catch (err) {
+    if (err.statusCode) return json(err.statusCode, { success:false, error:err.message }, headers);
+    throw err;
+  }
+
+  if (pending.requested_by === user.id) {
+    return json(403, { success:false, error:'Requests must be approved by a different user', error_code:'ERR_SELF_APPROVAL' }, headers);
+  }
+
+  const makerRes = await query(
+    'SELECT id, email, full_name, role, entity_id FROM users WHERE id = $1 AND is_active = TRUE',
+    [pending.requested_by]
+  );
+  if (!makerRes.rows.length) {
+    return json(400, { success:false, error:'The requesting user is no longer active; reject this request instead' }, headers);
+  }
+
+  // Claim the row so two approvers can't post it twice
+  const claim = await query(`
+    UPDATE pending_transactions
+    SET status = 'PROCESSING', reviewed_by = $2, reviewed_at = NOW(), review_notes = $3, updated_at = NOW()
+    WHERE id = $1
+      AND (status = 'PENDING' OR (status = 'PROCESSING' AND updated_at < NOW() - make_interval(mins => $4)))
+    RETURNING *
+  `, [pending.id, user.id, notes || null, PROCESSING_TIMEOUT_MINUTES]);
+  if (!claim.rows.length) {
+    return json(400, { success:false, error:`Request #${pending.id} was reviewed by someone else` }, headers);
+  }
+  const claimed = claim.rows[0];
+
+  // Replay as the requester from where they made the request, not the approver's address
+  const replayEvent = {
+    ...event,
+    headers: { ...event.headers, 'x-forwarded-for': claimed.requested_ip || '', 'client-ip': undefined, 'x-real-ip': undefined },
+    body: JSON.stringify(claimed.payload),
+  };
+
+  let response;
+  try {
+    response = await APPROVAL_HANDLERS[claimed.action](
+      replayEvent,
+      { pending: claimed, auth: { user: makerRes.rows[0], headers } }
+    );
+  } catch (err) {
+    console.error('Approved transaction failed to post:', err);
+    response = json(err.statusCode || 500, { success:false, error:err.message }, headers);
+  }
+
+  const resBody = JSON.parse(response.body || '{}');
+  const requeued = response.statusCode === 202 && resBody.pending_transaction ? resBody.pending_transaction : null;
+  const failure = requeued
+    ? `Held again for approval as request #${requeued.id}: ${resBody.message}`
+    : resBody.error || `Request was not posted (status ${response.statusCode})`;
+  // Posted only if the handler flipped the row to APPROVED inside its ledger transaction;
+  // the HTTP status alone says nothing about whether ledger rows were written
+  const updated = await query(`
+    UPDATE pending_transactions
+    SET status = CASE WHEN status = 'APPROVED' THEN status ELSE $2 END,
+        result = CASE WHEN status = 'APPROVED' THEN $3::jsonb ELSE NULL END,
+        error_message = CASE WHEN status = 'APPROVED' THEN NULL ELSE $4 END,
+        superseded_by_id = CASE WHEN status = 'APPROVED' THEN NULL ELSE $5::int END,
+        updated_at = NOW()
+    WHERE id = $1
+    RETURNING *
+  `, [
+    pending.id,
+    requeued ? 'SUPERSEDED' : 'FAILED',
+    JSON.stringify(resBody),
+    failure,
+    requeued ? requeued.id : null,
+  ]);
+  const reviewed = updated.rows[0];
+  const posted = reviewed.status === 'APPROVED';
+  const superseded = reviewed.status === 'SUPERSEDED';
+
+  await logAudit({
+    user_id: user.id, user_email: user.email, user_role: user.role,
+    entity_id: pending.entity_id,
+    action: posted ? 'APPROVE_PENDING_TRANSACTION' : superseded ? 'APPROVED_TRANSACTION_SUPERSEDED' : 'APPROVED_TRANSACTION_FAILED',
+    resource_type: 'PENDING_TRANSACTION', resource_id: pending.id,
+    details: {
+      action: pending.action,
+      summary: pending.summary,
+      requested_by: pending.requested_by,
+      notes: notes || null,
+      error: reviewed.error_message,
+      superseded_by_id: reviewed.superseded_by_id,
+    },
+    ip_address: getClientIp(event),
+  });
+  await notifyRequester(reviewed);
+
+  if (superseded) {
+    return json(202, {
+      success: true,
+      pending: true,
+      message: `Request #${pending.id} was not posted: ${reviewed.error_message}`,
+      pending_transaction: reviewed,
+      superseded_by: requeued,
+    }, headers);
+  }
+
+  if (!posted) {
+    return json(response.statusCode >= 400 ? response.statusCode : 400, {
+      success: false,
+      error: `Approved but not posted: ${reviewed.error_message}`,
+      error_code: resBody.error_code,
+      details: resBody.details,
+      pending_transaction: reviewed,
+    }, headers);
+  }
+
+  return json(200, { success:true, pending_transaction: reviewed, result: resBody }, headers);
+}
+
+/* =====================================================
+   POST: Reject Pending Transaction
+===================================================== */
+async function handleRejectPending(event) {
+  const auth = await authMiddleware(event);
+  if (auth.statusCode) return auth;
+  const { user, headers } = auth;
+
+  if (!requireRole(APPROVER_ROLES)(user)) {
+    return json(403, { success:false, error:'Forbidden' }, headers);
+  }
+
+  const body = parseBody(event);
+  const { pending_transaction_id, reason } = body;
+  if (!pending_transaction_id || !reason || !String(reason).trim()) {
+    return json(400, { success:false, error:'pending_transaction_id and reason are required' }, headers);
+  }
+
+  try {
+    await loadPendingForReview(user, pending_transaction_id);
+  } catch (err) {
+    if (err.statusCode) return json(err.statusCode, { success:false, error:err.message }, headers);
+    throw err;
+  }
+
+  const result = await query(`
+    UPDATE pending_transactions
+    SET status = 'REJECTED', reviewed_by = $2, reviewed_at = NOW(), review_notes = $3, updated_at = NOW()
+    WHERE id = $1
+      AND (status = 'PENDING' OR (status = 'PROCESSING' AND updated_at < NOW() - make_interval(mins => $4)))
+    RETURNING *
+  `, [pending_transaction_id, user.id, String(reason).trim(), PROCESSING_TIMEOUT_MINUTES]);
+  if (!result.rows.length) {
+    return json(400, { success:false, error:`Request #${pending_transaction_id} was reviewed by someone else` }, headers);
+  }
+  const rejected = result.rows[0];
+
+  await logAudit({
+    user_id: user.id, user_email: user.email, user_role: user.role,
+    entity_id: rejected.entity_id, action: 'REJECT_PENDING_TRANSACTION',
+    resource_type: 'PENDING_TRANSACTION', resource_id: rejected.id,
+    details: { action: rejected.action, summary: rejected.summary, requested_by: rejected.requested_by, reason: rejected.review_notes },
+    ip_address: getClientIp(event),
+  });
+  await notifyRequester(rejected);
+
+  return json(200, { success:true, pending_transaction: rejected }, headers);
+}
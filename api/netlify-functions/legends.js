@@ -0,0 +1,368 @@
+// api/netlify-functions/legends.js
+// Certificate legend library: per-entity legends (Securities Act, shareholder
+// agreement, lockup, Section 83(b), blue-sky...) assigned with an order to stock
+// types, series or individual certificates. Printed by certificate PDFs.
+const { query } = require('./utils/db');
+const { authMiddleware, requireRole, enforceEntityScope } = require('./middleware/auth');
+const { logAudit, getClientIp } = require('./utils/auditLog');
+const { LEGEND_TYPES, LEGEND_SCOPES, resolveCertificateLegends } = require('./utils/legendUtils');
+
+function json(statusCode, body, extraHeaders = {}) {
+  return {
+    statusCode,
+    headers: { 'Content-Type': 'application/json', ...extraHeaders },
+    body: JSON.stringify(body),
+  };
+}
+
+function parseBody(event) {
+  if (!event.body) return {};
+  try { return JSON.parse(event.body); }
+  catch { throw new Error('Invalid JSON body'); }
+}
+
+/* =====================================================
+   HANDLER
+===================================================== */
+exports.handler = async (event) => {
+  const params = event.queryStringParameters || {};
+  const action = params.action;
+
+  try {
+    if (event.httpMethod === 'GET') {
+      if (action === 'list-legends') return await handleListLegends(event, params);
+      if (action === 'certificate-legends') return await handleCertificateLegends(event, params);
+      return json(400, { success:false, error:'Invalid action' });
+    }
+
+    if (event.httpMethod === 'POST') {
+      if (action === 'create-legend') return await handleCreateLegend(event);
+      if (action === 'update-legend') return await handleUpdateLegend(event);
+      if (action === 'assign-legend') return await handleAssignLegend(event);
+      if (action === 'unassign-legend') return await handleUnassignLegend(event);
+      return json(400, { success:false, error:'Invalid action' });
+    }
+
+    return json(405, { success:false, error:'Method not allowed' });
+  } catch (e) {
+    if (e.statusCode === 400) return json(400, { success:false, error:e.message });
+    console.error('LEGENDS ERROR:', e);
+    return json(500, { success:false, error:e.message });
+  }
+};
+
+/* =====================================================
+   GET: Legend Library
+   Every legend (inactive ones too) with its assignments
+   in print order.
+===================================================== */
+async function handleListLegends(event, params) {
+  const auth = await authMiddleware(event);
+  if (auth.statusCode) return auth;
+  const { user, headers } = auth;
+
+  const targetEntityId = user.role === 'SUPER_ADMIN' && params.entity_id ? params.entity_id : user.entity_id;
+
+  const legendsRes = await query(
+    'SELECT * FROM certificate_legends WHERE entity_id = $1 ORDER BY is_active DESC, title, id',
+    [targetEntityId]
+  );
+  const assignmentsRes = await query(`
+    SELECT a.*,
+           est.display_name AS stock_type_name,
+           ess.series,
+           sc.certificate_number
+    FROM certificate_legend_assignments a
+    LEFT JOIN entity_stock_types est ON est.id = a.entity_stock_type_id
+    LEFT JOIN entity_stock_series ess ON ess.id = a.entity_stock_series_id
+    LEFT JOIN stock_certificates sc ON sc.id = a.certificate_id
+    WHERE a.entity_id = $1
+    ORDER BY a.sort_order, a.id
+  `, [targetEntityId]);
+
+  const legends = legendsRes.rows.map(l => ({
+    ...l,
+    assignments: assignmentsRes.rows.filter(a => a.legend_id === l.id),
+  }));
+
+  return json(200, { success:true, legends }, headers);
+}
+
+/* =====================================================
+   GET: Legends printed on one certificate
+===================================================== */
+async function handleCertificateLegends(event, params) {
+  const auth = await authMiddleware(event);
+  if (auth.statusCode) return auth;
+  const { user, headers } = auth;
+
+  if (!params.certificate_id) return json(400, { success:false, error:'certificate_id is required' }, headers);
+
+  const certRes = await query('SELECT * FROM stock_certificates WHERE id = $1', [params.certificate_id]);
+  if (!certRes.rows.length) return json(404, { success:false, error:'Certificate not found' }, headers);
+  const cert = certRes.rows[0];
+  if (!enforceEntityScope(user, cert.entity_id)) {
+    return json(403, { success:false, error:'Forbidden' }, headers);
+  }
+
+  const legends = await resolveCertificateLegends({ query }, cert);
+  return json(200, { success:true, certificate_id: cert.id, legends }, headers);
+}
+
+/* =====================================================
+   POST: Create Legend
+   legend_type, title, text; is_restrictive marks the
+   Securities Act style legends that Rule 144 legend
+   removal takes off the certificate.
+===================================================== */
+async function handleCreateLegend(event) {
+  const auth = await authMiddleware(event);
+  if (auth.statusCode) return auth;
+  const { user, headers } = auth;
+
+  const canManage = requireRole(['SUPER_ADMIN', 'ENTITY_ADMIN'])(user);
+  if (!canManage) return json(403, { success:false, error:'Forbidden' }, headers);
+
+  const body = parseBody(event);
+  const { legend_type, title, text, is_restrictive } = body;
+  const entityId = user.role === 'SUPER_ADMIN' && body.entity_id ? body.entity_id : user.entity_id;
+
+  if (!LEGEND_TYPES.includes(legend_type)) {
+    return json(400, { success:false, error:`legend_type must be one of ${LEGEND_TYPES.join(', ')}` }, headers);
+  }
+  if (!title || !String(title).trim()) return json(400, { success:false, error:'title is required' }, headers);
+  if (!text || !String(text).trim()) return json(400, { success:false, error:'text is required' }, headers);
+
+  const result = await query(`
+    INSERT INTO certificate_legends (entity_id, legend_type, title, text, is_restrictive, created_by)
+    VALUES ($1,$2,$3,$4,$5,$6)
+    RETURNING *
+  `, [entityId, legend_type, String(title).trim(), String(text).trim(), is_restrictive === true, user.id]);
+  const legend = result.rows[0];
+
+  await logAudit({
+    user_id: user.id, user_email: user.email, user_role: user.role,
+    entity_id: entityId, action: 'CREATE_CERTIFICATE_LEGEND',
+    resource_type: 'CERTIFICATE_LEGEND', resource_id: legend.id,
+    details: { legend_type, title: legend.title, text: legend.text, is_restrictive: legend.is_restrictive },
+    ip_address: getClientIp(event),
+  });
+
+  return json(201, { success:true, legend }, headers);
+}
+
+/* =====================================================
+   POST: Update Legend
+   Any of legend_type, title, text, is_restrictive and
+   is_active (false retires the legend everywhere it is
+   assigned). Before and after values go to the audit log.
+===================================================== */
+async function handleUpdateLegend(event) {
+  const auth = await authMiddleware(event);
+  if (auth.statusCode) return auth;
+  const { user, headers } = auth;
+
+  const canManage = requireRole(['SUPER_ADMIN', 'ENTITY_ADMIN'])(user);
+  if (!canManage) return json(403, { success:false, error:'Forbidden' }, headers);
+
+  const body = parseBody(event);
+  const { legend_id, legend_type, title, text, is_restrictive, is_active } = body;
+  if (!legend_id) return json(400, { success:false, error:'legend_id is required' }, headers);
+  if (legend_type !== undefined && !LEGEND_TYPES.includes(legend_type)) {
+    return json(400, { success:false, error:`legend_type must be one of ${LEGEND_TYPES.join(', ')}` }, headers);
+  }
+  if (title !== undefined && !String(title || '').trim()) return json(400, { success:false, error:'title cannot be empty' }, headers);
+  if (text !== undefined && !String(text || '').trim()) return json(400, { success:false, error:'text cannot be empty' }, headers);
+
+  const existingRes = await query('SELECT * FROM certificate_legends WHERE id = $1', [legend_id]);
+  if (!existingRes.rows.length) return json(404, { success:false, error:'Legend not found' }, headers);
+  const existing = existingRes.rows[0];
+  if (!enforceEntityScope(user, existing.entity_id)) {
+    return json(403, { success:false, error:'Forbidden' }, headers);
+  }
+
+  const result = await query(`
+    UPDATE certificate_legends
+    SET legend_type = COALESCE($2, legend_type),
+        title = COALESCE($3, title),
+        text = COALESCE($4, text),
+        is_restrictive = COALESCE($5::boolean, is_restrictive),
+        is_active = COALESCE($6::boolean, is_active),
+        updated_at = NOW()
+    WHERE id = $1
+    RETURNING *
+  `, [
+    legend_id,
+    legend_type || null,
+    title !== undefined ? String(title).trim() : null,
+    text !== undefined ? String(text).trim() : null,
+    typeof is_restrictive === 'boolean' ? is_restrictive : null,
+    typeof is_active === 'boolean' ? is_active : null,
+  ]);
+  const legend = result.rows[0];
+
+  const fields = ['legend_type', 'title', 'text', 'is_restrictive', 'is_active'];
+  const changed = fields.filter(f => existing[f] !== legend[f]);
+  await logAudit({
+    user_id: user.id, user_email: user.email, user_role: user.role,
+    entity_id: existing.entity_id, action: 'UPDATE_CERTIFICATE_LEGEND',
+    resource_type: 'CERTIFICATE_LEGEND', resource_id: legend.id,
+    details: {
+      changed,
+      before: Object.fromEntries(changed.map(f => [f, existing[f]])),
+      after: Object.fromEntries(changed.map(f => [f, legend[f]])),
+    },
+    ip_address: getClientIp(event),
+  });
+
+  return json(200, { success:true, legend }, headers);
+}
+
+/* =====================================================
+   POST: Assign Legend
+   scope STOCK_TYPE: entity_stock_type_id
+   scope SERIES: entity_stock_series_id
+   scope CERTIFICATE: certificate_id (must be ISSUED)
+   sort_order sets the print position (lower first).
+   Assigning again to the same target moves it.
+===================================================== */
+async function handleAssignLegend(event) {
+  const auth = await authMiddleware(event);
+  if (auth.statusCode) return auth;
+  const { user, headers } = auth;
+
+  const canManage = requireRole(['SUPER_ADMIN', 'ENTITY_ADMIN'])(user);
+  if (!canManage) return json(403, { success:false, error:'Forbidden' }, headers);
+
+  const body = parseBody(event);
+  const { legend_id, scope } = body;
+  if (!legend_id) return json(400, { success:false, error:'legend_id is required' }, headers);
+  if (!LEGEND_SCOPES.includes(scope)) {
+    return json(400, { success:false, error:`scope must be one of ${LEGEND_SCOPES.join(', ')}` }, headers);
+  }
+  const sortOrder = body.sort_order === undefined || body.sort_order === null || body.sort_order === '' ? 0 : parseInt(body.sort_order);
+  if (!Number.isInteger(sortOrder)) return json(400, { success:false, error:'sort_order must be a whole number' }, headers);
+
+  const legendRes = await query('SELECT * FROM certificate_legends WHERE id = $1', [legend_id]);
+  if (!legendRes.rows.length) return json(404, { success:false, error:'Legend not found' }, headers);
+  const legend = legendRes.rows[0];
+  if (!enforceEntityScope(user, legend.entity_id)) {
+    return json(403, { success:false, error:'Forbidden' }, headers);
+  }
+  if (!legend.is_active) return json(400, { success:false, error:'Cannot assign an inactive legend' }, headers);
+  const entityId = legend.entity_id;
+
+  let stockTypeId = null;
+  let seriesId = null;
+  let certificateId = null;
+  let target;
+  if (scope === 'STOCK_TYPE') {
+    if (!body.entity_stock_type_id) return json(400, { success:false, error:'entity_stock_type_id is required' }, headers);
+    const typeRes = await query('SELECT id, display_name FROM entity_stock_types WHERE id = $1 AND entity_id = $2', [body.entity_stock_type_id, entityId]);
+    if (!typeRes.rows.length) return json(400, { success:false, error:'Invalid stock type' }, headers);
+    stockTypeId = typeRes.rows[0].id;
+    target = typeRes.rows[0].display_name;
+  } else if (scope === 'SERIES') {
+    if (!body.entity_stock_series_id) return json(400, { success:false, error:'entity_stock_series_id is required' }, headers);
+    const sRes = await query(`
+      SELECT ess.id, ess.series, est.id AS stock_type_id, est.display_name
+      FROM entity_stock_series ess
+      JOIN entity_stock_types est ON est.id = ess.entity_stock_type_id
+      WHERE ess.id = $1 AND est.entity_id = $2
+    `, [body.entity_stock_series_id, entityId]);
+    if (!sRes.rows.length) return json(400, { success:false, error:'Invalid series' }, headers);
+    stockTypeId = sRes.rows[0].stock_type_id;
+    seriesId = sRes.rows[0].id;
+    target = `${sRes.rows[0].display_name} – Series ${sRes.rows[0].series}`;
+  } else {
+    if (!body.certificate_id) return json(400, { success:false, error:'certificate_id is required' }, headers);
+    const certRes = await query('SELECT id, certificate_number, status FROM stock_certificates WHERE id = $1 AND entity_id = $2', [body.certificate_id, entityId]);
+    if (!certRes.rows.length) return json(400, { success:false, error:'Certificate not found' }, headers);
+    if (certRes.rows[0].status !== 'ISSUED') {
+      return json(400, { success:false, error:`Cannot add a legend to a certificate with status '${certRes.rows[0].status}'` }, headers);
+    }
+    certificateId = certRes.rows[0].id;
+    target = `Certificate ${certRes.rows[0].certificate_number}`;
+  }
+
+  const existingRes = await query(`
+    SELECT * FROM certificate_legend_assignments
+    WHERE legend_id = $1 AND scope = $2
+      AND entity_stock_type_id IS NOT DISTINCT FROM $3::int
+      AND entity_stock_series_id IS NOT DISTINCT FROM $4::int
+      AND certificate_id IS NOT DISTINCT FROM $5::int
+  `, [legend.id, scope, stockTypeId, seriesId, certificateId]);
+  const previous = existingRes.rows[0] || null;
+
+  let assignment;
+  if (previous) {
+    const upd = await query('UPDATE certificate_legend_assignments SET sort_order = $2 WHERE id = $1 RETURNING *', [previous.id, sortOrder]);
+    assignment = upd.rows[0];
+  } else {
+    const ins = await query(`
+      INSERT INTO certificate_legend_assignments (
+        entity_id, legend_id, scope, entity_stock_type_id, entity_stock_series_id, certificate_id, sort_order, created_by
+      ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8)
+      RETURNING *
+    `, [entityId, legend.id, scope, stockTypeId, seriesId, certificateId, sortOrder, user.id]);
+    assignment = ins.rows[0];
+  }
+
+  await logAudit({
+    user_id: user.id, user_email: user.email, user_role: user.role,
+    entity_id: entityId, action: previous ? 'REORDER_CERTIFICATE_LEGEND' : 'ASSIGN_CERTIFICATE_LEGEND',
+    resource_type: 'CERTIFICATE_LEGEND', resource_id: legend.id,
+    details: {
+      assignment_id: assignment.id, title: legend.title, scope, target,
+      entity_stock_type_id: stockTypeId, entity_stock_series_id: seriesId, certificate_id: certificateId,
+      sort_order: sortOrder, previous_sort_order: previous ? previous.sort_order : null,
+    },
+    ip_address: getClientIp(event),
+  });
+
+  return json(previous ? 200 : 201, { success:true, assignment }, headers);
+}
+
+/* =====================================================
+   POST: Unassign Legend
+   Removes one assignment; the legend stays in the library.
+===================================================== */
+async function handleUnassignLegend(event) {
+  const auth = await authMiddleware(event);
+  if (auth.statusCode) return auth;
+  const { user, headers } = auth;
+
+  const canManage = requireRole(['SUPER_ADMIN', 'ENTITY_ADMIN'])(user);
+  if (!canManage) return json(403, { success:false, error:'Forbidden' }, headers);
+
+  const body = parseBody(event);
+  if (!body.assignment_id) return json(400, { success:false, error:'assignment_id is required' }, headers);
+
+  const existingRes = await query(`
+    SELECT a.*, l.title
+    FROM certificate_legend_assignments a
+    JOIN certificate_legends l ON l.id = a.legend_id
+    WHERE a.id = $1
+  `, [body.assignment_id]);
+  if (!existingRes.rows.length) return json(404, { success:false, error:'Assignment not found' }, headers);
+  const existing = existingRes.rows[0];
+  if (!enforceEntityScope(user, existing.entity_id)) {
+    return json(403, { success:false, error:'Forbidden' }, headers);
+  }
+
+  await query('DELETE FROM certificate_legend_assignments WHERE id = $1', [existing.id]);
+
+  await logAudit({
+    user_id: user.id, user_email: user.email, user_role: user.role,
+    entity_id: existing.entity_id, action: 'UNASSIGN_CERTIFICATE_LEGEND',
+    resource_type: 'CERTIFICATE_LEGEND', resource_id: existing.legend_id,
+    details: {
+      assignment_id: existing.id, title: existing.title, scope: existing.scope,
+      entity_stock_type_id: existing.entity_stock_type_id, entity_stock_series_id: existing.entity_stock_series_id,
+      certificate_id: existing.certificate_id, sort_order: existing.sort_order,
+    },
+    ip_address: getClientIp(event),
+  });
+
+  return json(200, { success:true, message:'Legend unassigned' }, headers);
+}
@@ -0,0 +1,340 @@
+// api/netlify-functions/officers.js
+// Officer registry: per-entity officers who sign certificates, with title, term
+// of office and facsimile signature image, plus the entity's default signatory
+// and countersignatory used for auto-generated certificates.
+const { query, withTransaction } = require('./utils/db');
+const { authMiddleware, requireRole, enforceEntityScope } = require('./middleware/auth');
+const { logAudit, getClientIp } = require('./utils/auditLog');
+const { toDateStr } = require('./utils/vestingUtils');
+const { IMAGE_TYPES, MAX_IMAGE_BYTES } = require('./utils/templateUtils');
+const { uploadStorageObject } = require('./utils/storageUtils');
+const { officerInTerm } = require('./utils/officerUtils');
+
+function json(statusCode, body, extraHeaders = {}) {
+  return {
+    statusCode,
+    headers: { 'Content-Type': 'application/json', ...extraHeaders },
+    body: JSON.stringify(body),
+  };
+}
+
+function parseBody(event) {
+  if (!event.body) return {};
+  try { return JSON.parse(event.body); }
+  catch { throw new Error('Invalid JSON body'); }
+}
+
+// Validate an optional date field (YYYY-MM-DD). Returns null when absent.
+function parseDate(value, field) {
+  if (!value) return null;
+  const v = String(value).trim();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(v) || isNaN(new Date(v).getTime())) {
+    throw Object.assign(new Error(`${field} must be a date in YYYY-MM-DD format`), { statusCode: 400 });
+  }
+  return v;
+}
+
+const OFFICER_FIELDS = ['full_name', 'title', 'term_start', 'term_end', 'is_active'];
+
+/* =====================================================
+   HANDLER
+===================================================== */
+exports.handler = async (event) => {
+  const params = event.queryStringParameters || {};
+  const action = params.action;
+
+  try {
+    if (event.httpMethod === 'GET') {
+      if (action === 'list-officers') return await handleListOfficers(event, params);
+      return json(400, { success:false, error:'Invalid action' });
+    }
+
+    if (event.httpMethod === 'POST') {
+      if (action === 'create-officer') return await handleCreateOfficer(event);
+      if (action === 'update-officer') return await handleUpdateOfficer(event);
+      if (action === 'upload-officer-signature') return await handleUploadOfficerSignature(event);
+      if (action === 'set-default-signatories') return await handleSetDefaultSignatories(event);
+      return json(400, { success:false, error:'Invalid action' });
+    }
+
+    return json(405, { success:false, error:'Method not allowed' });
+  } catch (e) {
+    if (e.statusCode === 400) return json(400, { success:false, error:e.message });
+    console.error('OFFICERS ERROR:', e);
+    return json(500, { success:false, error:e.message });
+  }
+};
+
+/* =====================================================
+   GET: Officers
+   Every officer (inactive ones too) with whether they can
+   sign a certificate dated today, plus the entity's
+   default signatories.
+===================================================== */
+async function handleListOfficers(event, params) {
+  const auth = await authMiddleware(event);
+  if (auth.statusCode) return auth;
+  const { user, headers } = auth;
+
+  const targetEntityId = user.role === 'SUPER_ADMIN' && params.entity_id ? params.entity_id : user.entity_id;
+
+  const entRes = await query(
+    'SELECT default_signatory_officer_id, default_countersignatory_officer_id FROM entities WHERE id = $1',
+    [targetEntityId]
+  );
+  if (!entRes.rows.length) return json(404, { success:false, error:'Entity not found' }, headers);
+
+  const result = await query(
+    'SELECT * FROM entity_officers WHERE entity_id = $1 ORDER BY is_active DESC, term_end DESC NULLS FIRST, full_name, id',
+    [targetEntityId]
+  );
+  const today = toDateStr(new Date());
+  const officers = result.rows.map(o => ({
+    ...o,
+    term_start: toDateStr(o.term_start),
+    term_end: toDateStr(o.term_end),
+    can_sign_today: o.is_active && officerInTerm(o, today),
+  }));
+
+  return json(200, { success:true, officers, defaults: entRes.rows[0] }, headers);
+}
+
+/* =====================================================
+   POST: Create Officer
+   full_name, title, term_start; term_end is the last day
+   in office (empty while serving).
+===================================================== */
+async function handleCreateOfficer(event) {
+  const auth = await authMiddleware(event);
+  if (auth.statusCode) return auth;
+  const { user, headers } = auth;
+
+  const canManage = requireRole(['SUPER_ADMIN', 'ENTITY_ADMIN'])(user);
+  if (!canManage) return json(403, { success:false, error:'Forbidden' }, headers);
+
+  const body = parseBody(event);
+  const entityId = user.role === 'SUPER_ADMIN' && body.entity_id ? body.entity_id : user.entity_id;
+
+  if (!body.full_name || !String(body.full_name).trim()) return json(400, { success:false, error:'full_name is required' }, headers);
+  if (!body.title || !String(body.title).trim()) return json(400, { success:false, error:'title is required' }, headers);
+  const termStart = parseDate(body.term_start, 'term_start');
+  const termEnd = parseDate(body.term_end, 'term_end');
+  if (!termStart) return json(400, { success:false, error:'term_start is required' }, headers);
+  if (termEnd && termEnd < termStart) return json(400, { success:false, error:'term_end cannot be before term_start' }, headers);
+
+  const result = await query(`
+    INSERT INTO entity_officers (entity_id, full_name, title, term_start, term_end, created_by)
+    VALUES ($1,$2,$3,$4,$5,$6)
+    RETURNING *
+  `, [entityId, String(body.full_name).trim(), String(body.title).trim(), termStart, termEnd, user.id]);
+  const officer = result.rows[0];
+
+  await logAudit({
+    user_id: user.id, user_email: user.email, user_role: user.role,
+    entity_id: entityId, action: 'CREATE_OFFICER',
+    resource_type: 'OFFICER', resource_id: officer.id,
+    details: { full_name: officer.full_name, title: officer.title, term_start: termStart, term_end: termEnd },
+    ip_address: getClientIp(event),
+  });
+
+  return json(201, { success:true, officer }, headers);
+}
+
+/* =====================================================
+   POST: Update Officer
+   officer_id plus any of full_name, title, term_start,
+   term_end (null clears it) and is_active. Deactivating an
+   officer removes them as a default signatory. Before and
+   after values go to the audit log.
+===================================================== */
+async function handleUpdateOfficer(event) {
+  const auth = await authMiddleware(event);
+  if (auth.statusCode) return auth;
+  const { user, headers } = auth;
+
+  const canManage = requireRole(['SUPER_ADMIN', 'ENTITY_ADMIN'])(user);
+  if (!canManage) return json(403, { success:false, error:'Forbidden' }, headers);
+
+  const body = parseBody(event);
+  if (!body.officer_id) return json(400, { success:false, error:'officer_id is required' }, headers);
+  if (body.full_name !== undefined && !String(body.full_name || '').trim()) return json(400, { success:false, error:'full_name cannot be empty' }, headers);
+  if (body.title !== undefined && !String(body.title || '').trim()) return json(400, { success:false, error:'title cannot be empty' }, headers);
+  if (body.term_start !== undefined && !body.term_start) return json(400, { success:false, error:'term_start cannot be empty' }, headers);
+
+  const existingRes = await query('SELECT * FROM entity_officers WHERE id = $1', [body.officer_id]);
+  if (!existingRes.rows.length) return json(404, { success:false, error:'Officer not found' }, headers);
+  const existing = existingRes.rows[0];
+  if (!enforceEntityScope(user, existing.entity_id)) {
+    return json(403, { success:false, error:'Forbidden' }, headers);
+  }
+
+  const termStart = body.term_start !== undefined ? parseDate(body.term_start, 'term_start') : toDateStr(existing.term_start);
+  const termEnd = body.term_end !== undefined ? parseDate(body.term_end, 'term_end') : toDateStr(existing.term_end);
+  if (termEnd && termEnd < termStart) return json(400, { success:false, error:'term_end cannot be before term_start' }, headers);
+  const isActive = typeof body.is_active === 'boolean' ? body.is_active : existing.is_active;
+
+  const { officer, clearedDefaults } = await withTransaction(async (client) => {
+    const upd = await client.query(`
+      UPDATE entity_officers
+      SET full_name = $2, title = $3, term_start = $4, term_end = $5, is_active = $6, updated_at = NOW()
+      WHERE id = $1
+      RETURNING *
+    `, [
+      existing.id,
+      body.full_name !== undefined ? String(body.full_name).trim() : existing.full_name,
+      body.title !== undefined ? String(body.title).trim() : existing.title,
+      termStart, termEnd, isActive,
+    ]);
+
+    let cleared = false;
+    if (!isActive) {
+      const ent = await client.query(`
+        UPDATE entities
+        SET default_signatory_officer_id = NULLIF(default_signatory_officer_id, $2),
+            default_countersignatory_officer_id = NULLIF(default_countersignatory_officer_id, $2)
+        WHERE id = $1 AND $2 IN (default_signatory_officer_id, default_countersignatory_officer_id)
+        RETURNING id
+      `, [existing.entity_id, existing.id]);
+      cleared = ent.rows.length > 0;
+    }
+    return { officer: upd.rows[0], clearedDefaults: cleared };
+  });
+
+  const norm = (o) => ({ ...o, term_start: toDateStr(o.term_start), term_end: toDateStr(o.term_end) });
+  const before = norm(existing);
+  const after = norm(officer);
+  const changed = OFFICER_FIELDS.filter(f => before[f] !== after[f]);
+  await logAudit({
+    user_id: user.id, user_email: user.email, user_role: user.role,
+    entity_id: existing.entity_id, action: 'UPDATE_OFFICER',
+    resource_type: 'OFFICER', resource_id: officer.id,
+    details: {
+      changed,
+      before: Object.fromEntries(changed.map(f => [f, before[f]])),
+      after: Object.fromEntries(changed.map(f => [f, after[f]])),
+      removed_as_default_signatory: clearedDefaults,
+    },
+    ip_address: getClientIp(event),
+  });
+
+  return json(200, { success:true, officer: after }, headers);
+}
+
+/* =====================================================
+   POST: Upload Officer Signature
+   officer_id, content_type (image/png or image/jpeg) and
+   data_base64 of the facsimile signature; remove: true
+   clears it instead. A transparent PNG prints best.
+===================================================== */
+async function handleUploadOfficerSignature(event) {
+  const auth = await authMiddleware(event);
+  if (auth.statusCode) return auth;
+  const { user, headers } = auth;
+
+  const canManage = requireRole(['SUPER_ADMIN', 'ENTITY_ADMIN'])(user);
+  if (!canManage) return json(403, { success:false, error:'Forbidden' }, headers);
+
+  const body = parseBody(event);
+  const { officer_id, content_type, data_base64 } = body;
+  if (!officer_id) return json(400, { success:false, error:'officer_id is required' }, headers);
+
+  const existingRes = await query('SELECT * FROM entity_officers WHERE id = $1', [officer_id]);
+  if (!existingRes.rows.length) return json(404, { success:false, error:'Officer not found' }, headers);
+  const existing = existingRes.rows[0];
+  if (!enforceEntityScope(user, existing.entity_id)) {
+    return json(403, { success:false, error:'Forbidden' }, headers);
+  }
+
+  let storagePath = null;
+  let size = 0;
+  if (body.remove !== true) {
+    if (!IMAGE_TYPES[content_type]) {
+      return json(400, { success:false, error:`content_type must be one of ${Object.keys(IMAGE_TYPES).join(', ')}` }, headers);
+    }
+    if (!data_base64) return json(400, { success:false, error:'data_base64 is required' }, headers);
+    const buffer = Buffer.from(data_base64, 'base64');
+    if (!buffer.length) return json(400, { success:false, error:'Image is empty' }, headers);
+    if (buffer.length > MAX_IMAGE_BYTES) {
+      return json(400, { success:false, error:`Image must be ${MAX_IMAGE_BYTES / 1024 / 1024} MB or smaller` }, headers);
+    }
+    size = buffer.length;
+    storagePath = `officer-signatures/${existing.entity_id}/${existing.id}-${Date.now()}.${IMAGE_TYPES[content_type]}`;
+    await uploadStorageObject(storagePath, buffer, content_type);
+  }
+
+  const result = await query(
+    'UPDATE entity_officers SET signature_path = $2, signature_content_type = $3, updated_at = NOW() WHERE id = $1 RETURNING *',
+    [existing.id, storagePath, storagePath ? content_type : null]
+  );
+
+  await logAudit({
+    user_id: user.id, user_email: user.email, user_role: user.role,
+    entity_id: existing.entity_id, action: storagePath ? 'UPLOAD_OFFICER_SIGNATURE' : 'REMOVE_OFFICER_SIGNATURE',
+    resource_type: 'OFFICER', resource_id: existing.id,
+    details: { full_name: existing.full_name, path: storagePath, previous_path: existing.signature_path, content_type: storagePath ? content_type : null, size },
+    ip_address: getClientIp(event),
+  });
+
+  return json(200, { success:true, officer: result.rows[0] }, headers);
+}
+
+/* =====================================================
+   POST: Set Default Signatories
+   signatory_officer_id and countersignatory_officer_id
+   (null clears) sign every certificate that isn't given
+   its own signers: auto-generated ones from issuances and
+   transfers, reissues and replacements. Each must be an
+   active officer of the entity in office today.
+===================================================== */
+async function handleSetDefaultSignatories(event) {
+  const auth = await authMiddleware(event);
+  if (auth.statusCode) return auth;
+  const { user, headers } = auth;
+
+  const canManage = requireRole(['SUPER_ADMIN', 'ENTITY_ADMIN'])(user);
+  if (!canManage) return json(403, { success:false, error:'Forbidden' }, headers);
+
+  const body = parseBody(event);
+  const entityId = user.role === 'SUPER_ADMIN' && body.entity_id ? body.entity_id : user.entity_id;
+  const signatoryId = body.signatory_officer_id || null;
+  const countersignatoryId = body.countersignatory_officer_id || null;
+
+  const entRes = await query(
+    'SELECT id, default_signatory_officer_id, default_countersignatory_officer_id FROM entities WHERE id = $1',
+    [entityId]
+  );
+  if (!entRes.rows.length) return json(404, { success:false, error:'Entity not found' }, headers);
+  const previous = entRes.rows[0];
+
+  const today = toDateStr(new Date());
+  const ids = [signatoryId, countersignatoryId].filter(Boolean);
+  const offRes = ids.length
+    ? await query('SELECT * FROM entity_officers WHERE id = ANY($1::int[]) AND entity_id = $2', [ids, entityId])
+    : { rows: [] };
+  for (const id of ids) {
+    const officer = offRes.rows.find(o => String(o.id) === String(id));
+    if (!officer) return json(400, { success:false, error:`Officer ${id} not found for this entity` }, headers);
+    if (!officer.is_active || !officerInTerm(officer, today)) {
+      return json(400, { success:false, error:`${officer.full_name} is not in office today and cannot be a default signatory`, error_code:'ERR_OFFICER_TERM' }, headers);
+    }
+  }
+
+  const result = await query(`
+    UPDATE entities SET default_signatory_officer_id = $2, default_countersignatory_officer_id = $3
+    WHERE id = $1
+    RETURNING default_signatory_officer_id, default_countersignatory_officer_id
+  `, [entityId, signatoryId, countersignatoryId]);
+
+  await logAudit({
+    user_id: user.id, user_email: user.email, user_role: user.role,
+    entity_id: entityId, action: 'SET_DEFAULT_SIGNATORIES',
+    resource_type: 'ENTITY', resource_id: entityId,
+    details: {
+      before: { signatory_officer_id: previous.default_signatory_officer_id, countersignatory_officer_id: previous.default_countersignatory_officer_id },
+      after: { signatory_officer_id: signatoryId, countersignatory_officer_id: countersignatoryId },
+    },
+    ip_address: getClientIp(event),
+  });
+
+  return json(200, { success:true, defaults: result.rows[0] }, headers);
+}
@@ -1,5 +1,8 @@
 const { query } = require('./utils/db');
 const { authMiddleware, requireRole, enforceEntityScope } = require('./middleware/auth');
+const { getCertificatesIssuedAsOf } = require('./utils/certificateUtils');
+const { getLotReport } = require('./utils/taxLotUtils');
+const { getRule144Report } = require('./utils/rule144Utils');
 
 exports.handler = async (event, context) => {
     // Parse query parameters
@@ -20,8 +23,16 @@ exports.handler = async (event, context) => {
                 return await handleTransactionHistory(event, params);
             } else if (action === 'capital-stock') {
                 return await handleCapitalStockReport(event, params);
+            } else if (action === 'fully-diluted') {
+                return await handleFullyDilutedReport(event, params);
             } else if (action === 'shareholder-statement') {
                 return await handleShareholderStatement(event, params);
+            } else if (action === 'cash-in-lieu') {
+                return await handleCashInLieuReport(event, params);
+            } else if (action === 'tax-lot-report') {
+                return await handleTaxLotReport(event, params);
+            } else if (action === 'rule-144-eligibility') {
+                return await handleRule144EligibilityReport(event, params);
             }
             break;
     }
@@ -48,9 +59,22 @@ async function handleOwnershipReport(event, params) {
         entity_stock_type_id,
         entity_stock_series_id,
         status,
+        as_of,
         format = 'json'
     } = params;
     
+    // Optional point-in-time view: replay share_transactions up to as_of
+    if (as_of && (!/^\d{4}-\d{2}-\d{2}$/.test(as_of) || isNaN(new Date(as_of).getTime()))) {
+        return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ 
+                success: false,
+                error: 'as_of must be a date in YYYY-MM-DD format'
+            })
+        };
+    }
+    
     // Check entity scope
     let targetEntityId;
     const allEntities = user.role === 'SUPER_ADMIN' && !entity_id;
@@ -225,6 +249,12 @@ async function handleOwnershipReport(event, params) {
             queryParams.push(entity_stock_series_id);
         }
         
+        if (as_of) {
+            paramCount++;
+            queryText += ` AND st.transaction_date <= $${paramCount}`;
+            queryParams.push(as_of);
+        }
+        
         queryText += `
                 GROUP BY s.id, st.entity_stock_type_id, st.entity_stock_series_id
             )
@@ -310,10 +340,18 @@ async function handleOwnershipReport(event, params) {
             grandTotal += sh.total_shares;
         });
 
+        // Certificates outstanding on the as-of date (single entity only)
+        const certificates = as_of && targetEntityId
+            ? await getCertificatesIssuedAsOf({ entityId: targetEntityId, asOf: as_of })
+            : undefined;
+
+        const reportDate = as_of || new Date().toISOString().split('T')[0];
+
         // Build report data
         const reportData = {
             entity: entity,
-            as_of_date: new Date().toISOString().split('T')[0],
+            as_of_date: reportDate,
+            is_point_in_time: Boolean(as_of),
             generated_by: user.full_name,
             generated_at: new Date().toISOString(),
             report_type: 'Ownership Report',
@@ -321,7 +359,8 @@ async function handleOwnershipReport(event, params) {
             shareholders: shareholders,
             column_totals: columnTotals,
             grand_total: grandTotal,
-            total_shareholders: shareholders.length
+            total_shareholders: shareholders.length,
+            certificates
         };
         
         // Format response based on requested format
@@ -361,7 +400,7 @@ async function handleOwnershipReport(event, params) {
                 statusCode: 200,
                 headers: {
                     'Content-Type': 'text/csv',
-                    'Content-Disposition': `attachment; filename="ownership_report_${targetEntityId}_${new Date().toISOString().split('T')[0]}.csv"`,
+                    'Content-Disposition': `attachment; filename="ownership_report_${targetEntityId}_${reportDate}.csv"`,
                     'Access-Control-Allow-Origin': '*'
                 },
                 body: csvContent
@@ -613,39 +652,61 @@ async function handleCapitalStockReport(event, params) {
         
         const entity = entityResult.rows[0];
         
-        // Get capital stock summary
+        // Get capital stock summary per class/series.
+        // Outstanding = shares in holders' hands (every movement is stored signed, so a plain SUM).
+        // Treasury = repurchased into treasury less reissued out of it. Issued = outstanding + treasury.
         const summaryQuery = `
+            WITH movements AS (
+                SELECT *
+                FROM share_transactions
+                WHERE entity_id = $1
+                  AND transaction_date <= $2
+            ),
+            holder_balances AS (
+                SELECT entity_stock_type_id, entity_stock_series_id, shareholder_id, SUM(shares) AS balance
+                FROM movements
+                GROUP BY entity_stock_type_id, entity_stock_series_id, shareholder_id
+            ),
+            class_totals AS (
+                SELECT 
+                    entity_stock_type_id,
+                    entity_stock_series_id,
+                    SUM(shares) AS total_shares_outstanding,
+                    SUM(CASE 
+                        WHEN is_treasury AND transaction_type IN ('REPURCHASE', 'ISSUANCE') THEN -shares
+                        ELSE 0
+                    END) AS treasury_shares,
+                    MIN(CASE 
+                        WHEN transaction_type = 'ISSUANCE' THEN transaction_date
+                        ELSE NULL
+                    END) as first_issue_date,
+                    MAX(CASE 
+                        WHEN transaction_type = 'ISSUANCE' THEN transaction_date
+                        ELSE NULL
+                    END) as last_issue_date
+                FROM movements
+                GROUP BY entity_stock_type_id, entity_stock_series_id
+            )
             SELECT 
-                stock_type,
-                series,
-                COUNT(DISTINCT shareholder_id) as shareholder_count,
-                SUM(CASE 
-                    WHEN transaction_type = 'ISSUANCE' THEN shares
-                    WHEN transaction_type = 'TRANSFER' AND to_shareholder_id = shareholder_id THEN shares
-                    WHEN transaction_type = 'TRANSFER' AND from_shareholder_id = shareholder_id THEN -shares
-                    WHEN transaction_type IN ('CANCELLATION', 'FORFEITURE') THEN -shares
-                    ELSE 0
-                END) as total_shares_outstanding,
-                MIN(CASE 
-                    WHEN transaction_type = 'ISSUANCE' THEN transaction_date
-                    ELSE NULL
-                END) as first_issue_date,
-                MAX(CASE 
-                    WHEN transaction_type = 'ISSUANCE' THEN transaction_date
-                    ELSE NULL
-                END) as last_issue_date
-            FROM share_transactions
-            WHERE entity_id = $1 
-              AND transaction_date <= $2
-            GROUP BY stock_type, series
-            HAVING SUM(CASE 
-                WHEN transaction_type = 'ISSUANCE' THEN shares
-                WHEN transaction_type = 'TRANSFER' AND to_shareholder_id = shareholder_id THEN shares
-                WHEN transaction_type = 'TRANSFER' AND from_shareholder_id = shareholder_id THEN -shares
-                WHEN transaction_type IN ('CANCELLATION', 'FORFEITURE') THEN -shares
-                ELSE 0
-            END) > 0
-            ORDER BY stock_type, series
+                ct.entity_stock_type_id,
+                ct.entity_stock_series_id,
+                est.display_name AS stock_type,
+                ess.series,
+                COALESCE(ess.authorized_shares, est.authorized_shares) AS authorized_shares,
+                (SELECT COUNT(*) FROM holder_balances hb
+                  WHERE hb.entity_stock_type_id = ct.entity_stock_type_id
+                    AND hb.entity_stock_series_id IS NOT DISTINCT FROM ct.entity_stock_series_id
+                    AND hb.balance > 0) AS shareholder_count,
+                ct.total_shares_outstanding + ct.treasury_shares AS total_shares_issued,
+                ct.treasury_shares,
+                ct.total_shares_outstanding,
+                ct.first_issue_date,
+                ct.last_issue_date
+            FROM class_totals ct
+            JOIN entity_stock_types est ON est.id = ct.entity_stock_type_id
+            LEFT JOIN entity_stock_series ess ON ess.id = ct.entity_stock_series_id
+            WHERE ct.total_shares_outstanding + ct.treasury_shares > 0
+            ORDER BY est.display_name, ess.series
         `;
         
         const summaryResult = await query(summaryQuery, [targetEntityId, reportDate]);
@@ -657,31 +718,17 @@ async function handleCapitalStockReport(event, params) {
                     s.id as shareholder_id,
                     s.full_name,
                     s.shareholder_type,
-                    st.stock_type,
-                    st.series,
-                    COALESCE(SUM(
-                        CASE 
-                            WHEN st.transaction_type = 'ISSUANCE' THEN st.shares
-                            WHEN st.transaction_type = 'TRANSFER' AND st.to_shareholder_id = s.id THEN st.shares
-                            WHEN st.transaction_type = 'TRANSFER' AND st.from_shareholder_id = s.id THEN -st.shares
-                            WHEN st.transaction_type IN ('CANCELLATION', 'FORFEITURE') THEN -st.shares
-                            ELSE 0
-                        END
-                    ), 0) as current_shares
+                    est.display_name as stock_type,
+                    ess.series,
+                    COALESCE(SUM(st.shares), 0) as current_shares
                 FROM shareholders s
-                LEFT JOIN share_transactions st ON s.id = st.shareholder_id
+                JOIN share_transactions st ON s.id = st.shareholder_id
+                JOIN entity_stock_types est ON est.id = st.entity_stock_type_id
+                LEFT JOIN entity_stock_series ess ON ess.id = st.entity_stock_series_id
                 WHERE s.entity_id = $1 
                   AND st.transaction_date <= $2
-                GROUP BY s.id, st.stock_type, st.series
-                HAVING COALESCE(SUM(
-                    CASE 
-                        WHEN st.transaction_type = 'ISSUANCE' THEN st.shares
-                        WHEN st.transaction_type = 'TRANSFER' AND st.to_shareholder_id = s.id THEN st.shares
-                        WHEN st.transaction_type = 'TRANSFER' AND st.from_shareholder_id = s.id THEN -st.shares
-                        WHEN st.transaction_type IN ('CANCELLATION', 'FORFEITURE') THEN -st.shares
-                        ELSE 0
-                    END
-                ), 0) > 0
+                GROUP BY s.id, est.display_name, ess.series
+                HAVING COALESCE(SUM(st.shares), 0) > 0
             )
             SELECT 
                 shareholder_id,
@@ -697,6 +744,13 @@ async function handleCapitalStockReport(event, params) {
         
         const topShareholdersResult = await query(topShareholdersQuery, [targetEntityId, reportDate]);
         
+        const totals = summaryResult.rows.reduce((acc, row) => {
+            acc.total_shares_issued += parseFloat(row.total_shares_issued || 0);
+            acc.treasury_shares += parseFloat(row.treasury_shares || 0);
+            acc.total_shares_outstanding += parseFloat(row.total_shares_outstanding || 0);
+            return acc;
+        }, { total_shares_issued: 0, treasury_shares: 0, total_shares_outstanding: 0 });
+        
         // Prepare report data
         const reportData = {
             entity: entity,
@@ -705,6 +759,7 @@ async function handleCapitalStockReport(event, params) {
             generated_at: new Date().toISOString(),
             report_type: 'Capital Stock Report',
             summary: summaryResult.rows,
+            totals: totals,
             top_shareholders: topShareholdersResult.rows
         };
         
@@ -715,19 +770,23 @@ async function handleCapitalStockReport(event, params) {
             // CSV header for summary
             csvRows.push(['Capital Stock Summary as of ' + reportDate]);
             csvRows.push('');
-            csvRows.push(['Stock Type', 'Series', 'Shareholder Count', 'Total Shares Outstanding', 'First Issue Date', 'Last Issue Date'].join(','));
+            csvRows.push(['Stock Type', 'Series', 'Shareholder Count', 'Authorized Shares', 'Shares Issued', 'Treasury Shares', 'Shares Outstanding', 'First Issue Date', 'Last Issue Date'].join(','));
             
             // CSV data for summary
             summaryResult.rows.forEach(row => {
                 csvRows.push([
-                    row.stock_type,
+                    `"${row.stock_type}"`,
                     row.series || '',
                     row.shareholder_count,
+                    row.authorized_shares || '',
+                    row.total_shares_issued,
+                    row.treasury_shares,
                     row.total_shares_outstanding,
                     row.first_issue_date || '',
                     row.last_issue_date || ''
                 ].join(','));
             });
+            csvRows.push(['Total', '', '', '', totals.total_shares_issued, totals.treasury_shares, totals.total_shares_outstanding, '', ''].join(','));
             
             csvRows.push('');
             csvRows.push(['Top 10 Shareholders']);
@@ -740,7 +799,7 @@ async function handleCapitalStockReport(event, params) {
                     index + 1,
                     `"${row.full_name}"`,
                     row.shareholder_type,
-                    row.stock_type,
+                    `"${row.stock_type}"`,
                     row.series || '',
                     row.current_shares
                 ].join(','));
@@ -781,6 +840,585 @@ async function handleCapitalStockReport(event, params) {
     }
 }
 
+async function handleFullyDilutedReport(event, params) {
+    // Authenticate request
+    const auth = await authMiddleware(event);
+    if (auth.statusCode) return auth;
+    
+    const { user, headers } = auth;
+    
+    const { 
+        entity_id,
+        as_of,
+        format = 'json'
+    } = params;
+    
+    if (as_of && (!/^\d{4}-\d{2}-\d{2}$/.test(as_of) || isNaN(new Date(as_of).getTime()))) {
+        return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ 
+                success: false,
+                error: 'as_of must be a date in YYYY-MM-DD format'
+            })
+        };
+    }
+    
+    // Check entity scope
+    let targetEntityId;
+    if (user.role === 'SUPER_ADMIN') {
+        targetEntityId = entity_id || user.entity_id;
+    } else {
+        targetEntityId = user.entity_id;
+    }
+    
+    const reportDate = as_of || new Date().toISOString().split('T')[0];
+    
+    try {
+        // Get entity information
+        const entityResult = await query(`
+            SELECT id, name, legal_name, address, city, state, 
+                   country, zip_code, phone, email
+            FROM entities
+            WHERE id = $1
+        `, [targetEntityId]);
+        
+        if (entityResult.rows.length === 0) {
+            return {
+                statusCode: 404,
+                headers,
+                body: JSON.stringify({ 
+                    success: false,
+                    error: 'Entity not found'
+                })
+            };
+        }
+        
+        // Outstanding shares per holder and class. Preferred converts at its
+        // series conversion_ratio; without one it is left out of the
+        // as-converted figures and listed in missing_conversion_ratios rather
+        // than guessed. Warrant-class holdings are not outstanding stock and
+        // are counted with the warrants instead.
+        const holdingsResult = await query(`
+            SELECT 
+                s.id as shareholder_id,
+                s.external_id,
+                s.full_name,
+                st.entity_stock_type_id,
+                st.entity_stock_series_id,
+                est.stock_type,
+                est.display_name,
+                ess.series,
+                ess.conversion_ratio,
+                SUM(st.shares) as shares
+            FROM share_transactions st
+            JOIN shareholders s ON s.id = st.shareholder_id
+            JOIN entity_stock_types est ON est.id = st.entity_stock_type_id
+            LEFT JOIN entity_stock_series ess ON ess.id = st.entity_stock_series_id
+            WHERE st.entity_id = $1
+              AND st.transaction_date <= $2
+            GROUP BY s.id, st.entity_stock_type_id, st.entity_stock_series_id,
+                     est.stock_type, est.display_name, ess.series, ess.conversion_ratio
+            HAVING SUM(st.shares) > 0
+        `, [targetEntityId, reportDate]);
+        
+        // Options and warrants outstanding on the report date: granted less exercised
+        // and cancelled (from the grant event log). Expired grants drop out.
+        const grantsResult = await query(`
+            SELECT 
+                g.id as grant_id,
+                g.shareholder_id,
+                s.external_id,
+                s.full_name,
+                g.grant_type,
+                g.entity_stock_type_id,
+                g.entity_stock_series_id,
+                est.stock_type,
+                est.display_name,
+                ess.series,
+                ess.conversion_ratio,
+                SUM(CASE 
+                    WHEN e.event_type = 'GRANT' THEN e.shares
+                    WHEN e.event_type IN ('EXERCISE', 'CANCELLATION') THEN -e.shares
+                    ELSE 0
+                END) as outstanding
+            FROM equity_grants g
+            JOIN shareholders s ON s.id = g.shareholder_id
+            JOIN equity_grant_events e ON e.grant_id = g.id AND e.event_date <= $2
+            JOIN entity_stock_types est ON est.id = g.entity_stock_type_id
+            LEFT JOIN entity_stock_series ess ON ess.id = g.entity_stock_series_id
+            WHERE g.entity_id = $1
+              AND (g.expiration_date IS NULL OR g.expiration_date >= $2)
+            GROUP BY g.id, s.id, est.stock_type, est.display_name, ess.series, ess.conversion_ratio
+        `, [targetEntityId, reportDate]);
+        
+        // Unallocated plan pool: reserve less shares granted (net of cancellations).
+        // Grants are dated, but pools keep no history: reserved_shares and
+        // is_active are today's values even for a past as_of (see pool_note).
+        const poolsResult = await query(`
+            SELECT 
+                p.id,
+                p.name,
+                p.reserved_shares,
+                COALESCE(SUM(CASE 
+                    WHEN e.event_type = 'GRANT' THEN e.shares
+                    WHEN e.event_type = 'CANCELLATION' THEN -e.shares
+                    ELSE 0
+                END), 0) as allocated_shares
+            FROM equity_plan_pools p
+            LEFT JOIN equity_grants g ON g.pool_id = p.id
+            LEFT JOIN equity_grant_events e ON e.grant_id = g.id AND e.event_date <= $2
+            WHERE p.entity_id = $1
+              AND p.is_active = TRUE
+              AND p.created_at::date <= $2
+            GROUP BY p.id
+            ORDER BY p.name
+        `, [targetEntityId, reportDate]);
+        
+        const classMap = new Map();
+        const shareholderMap = new Map();
+        const getHolder = (row) => {
+            if (!shareholderMap.has(row.shareholder_id)) {
+                shareholderMap.set(row.shareholder_id, {
+                    shareholder_id: row.shareholder_id,
+                    external_id: row.external_id,
+                    full_name: row.full_name,
+                    holdings: {},
+                    basic_shares: 0,
+                    as_converted_shares: 0,
+                    options: 0,
+                    warrants: 0,
+                    fully_diluted_shares: 0
+                });
+            }
+            return shareholderMap.get(row.shareholder_id);
+        };
+        // Preferred without a series conversion ratio can't be converted: null,
+        // and the class is listed in missingRatioMap
+        const missingRatioMap = new Map();
+        const conversionRatio = (row) => row.conversion_ratio !== null && row.conversion_ratio !== undefined
+            ? parseFloat(row.conversion_ratio)
+            : null;
+        const asConverted = (row, shares) => {
+            if (row.stock_type !== 'PREFERRED') return shares;
+            const ratio = conversionRatio(row);
+            if (ratio !== null) return shares * ratio;
+            const key = `${row.entity_stock_type_id}_${row.entity_stock_series_id || 'null'}`;
+            if (!missingRatioMap.has(key)) {
+                missingRatioMap.set(key, {
+                    entity_stock_type_id: row.entity_stock_type_id,
+                    entity_stock_series_id: row.entity_stock_series_id,
+                    header: row.series ? `${row.display_name} ${row.series}` : row.display_name,
+                    outstanding_shares: 0,
+                    grant_shares: 0
+                });
+            }
+            return null;
+        };
+        
+        holdingsResult.rows.forEach(row => {
+            const shares = parseFloat(row.shares) || 0;
+            const colKey = `${row.entity_stock_type_id}_${row.entity_stock_series_id || 'null'}`;
+            const converted = asConverted(row, shares);
+            const isWarrant = row.stock_type === 'WARRANT';
+            if (converted === null) {
+                missingRatioMap.get(colKey).outstanding_shares += shares;
+            }
+            
+            if (!classMap.has(colKey)) {
+                classMap.set(colKey, {
+                    id: colKey,
+                    entity_stock_type_id: row.entity_stock_type_id,
+                    entity_stock_series_id: row.entity_stock_series_id,
+                    stock_type: row.stock_type,
+                    header: row.series ? `${row.display_name} ${row.series}` : row.display_name,
+                    conversion_ratio: row.stock_type === 'PREFERRED' ? conversionRatio(row) : null,
+                    outstanding_shares: 0,
+                    as_converted_shares: converted === null ? null : 0
+                });
+            }
+            const cls = classMap.get(colKey);
+            cls.outstanding_shares += shares;
+            if (converted !== null) cls.as_converted_shares += converted;
+            
+            const sh = getHolder(row);
+            sh.holdings[colKey] = shares;
+            if (isWarrant) {
+                sh.warrants += shares;
+            } else {
+                sh.basic_shares += shares;
+                if (converted !== null) sh.as_converted_shares += converted;
+            }
+        });
+        
+        grantsResult.rows.forEach(row => {
+            const outstanding = parseFloat(row.outstanding) || 0;
+            if (outstanding <= 0) return;
+            const converted = asConverted(row, outstanding);
+            if (converted === null) {
+                missingRatioMap.get(`${row.entity_stock_type_id}_${row.entity_stock_series_id || 'null'}`).grant_shares += outstanding;
+                return;
+            }
+            const sh = getHolder(row);
+            if (row.grant_type === 'OPTION') {
+                sh.options += converted;
+            } else {
+                sh.warrants += converted;
+            }
+        });
+        
+        const pools = poolsResult.rows.map(p => {
+            const reserved = parseFloat(p.reserved_shares) || 0;
+            const allocated = parseFloat(p.allocated_shares) || 0;
+            return {
+                id: p.id,
+                name: p.name,
+                reserved_shares: reserved,
+                allocated_shares: allocated,
+                unallocated_shares: Math.max(reserved - allocated, 0)
+            };
+        });
+        
+        const shareholders = Array.from(shareholderMap.values());
+        const summary = {
+            outstanding_shares: 0,
+            as_converted_shares: 0,
+            options_outstanding: 0,
+            warrants_outstanding: 0,
+            unallocated_pool: pools.reduce((sum, p) => sum + p.unallocated_shares, 0),
+            fully_diluted_shares: 0
+        };
+        shareholders.forEach(sh => {
+            sh.fully_diluted_shares = sh.as_converted_shares + sh.options + sh.warrants;
+            summary.outstanding_shares += sh.basic_shares;
+            summary.as_converted_shares += sh.as_converted_shares;
+            summary.options_outstanding += sh.options;
+            summary.warrants_outstanding += sh.warrants;
+        });
+        summary.fully_diluted_shares = summary.as_converted_shares + summary.options_outstanding
+            + summary.warrants_outstanding + summary.unallocated_pool;
+        
+        // Basic % is of outstanding shares; fully diluted % is of the as-converted
+        // total including options, warrants and the unallocated pool.
+        const pct = (part, whole) => whole > 0 ? Math.round((part / whole) * 1000000) / 10000 : 0;
+        shareholders.forEach(sh => {
+            sh.basic_percent = pct(sh.basic_shares, summary.outstanding_shares);
+            sh.fully_diluted_percent = pct(sh.fully_diluted_shares, summary.fully_diluted_shares);
+        });
+        shareholders.sort((a, b) => b.fully_diluted_shares - a.fully_diluted_shares);
+        
+        const reportData = {
+            entity: entityResult.rows[0],
+            as_of_date: reportDate,
+            generated_by: user.full_name,
+            generated_at: new Date().toISOString(),
+            report_type: 'Fully Diluted Cap Table',
+            classes: Array.from(classMap.values()),
+            // Preferred classes with no conversion ratio: their shares and grants
+            // are not in any as-converted or fully diluted figure
+            missing_conversion_ratios: Array.from(missingRatioMap.values()),
+            pools: pools,
+            pool_reserves_basis: 'CURRENT',
+            pool_note: reportDate < new Date().toISOString().split('T')[0]
+                ? `Plan pool reserves and active status are current values, not as of ${reportDate}; grants from the pools are as of ${reportDate}.`
+                : null,
+            summary: summary,
+            unallocated_pool_percent: pct(summary.unallocated_pool, summary.fully_diluted_shares),
+            shareholders: shareholders,
+            total_shareholders: shareholders.length
+        };
+        
+        // Format response based on requested format
+        if (format === 'csv') {
+            const csvRows = [];
+            const classes = reportData.classes;
+            
+            // CSV header
+            const headerCols = ['Account #', 'Shareholder Name'];
+            classes.forEach(col => headerCols.push(col.header));
+            headerCols.push('Basic Shares', 'Basic %', 'As-Converted Shares', 'Options', 'Warrants', 'Fully Diluted Shares', 'Fully Diluted %');
+            csvRows.push(headerCols.map(c => `"${c}"`).join(','));
+            
+            // CSV data
+            shareholders.forEach(sh => {
+                const row = [
+                    sh.external_id || String(sh.shareholder_id),
+                    sh.full_name
+                ];
+                classes.forEach(col => {
+                    row.push(sh.holdings[col.id] || 0);
+                });
+                row.push(
+                    sh.basic_shares,
+                    sh.basic_percent.toFixed(2) + '%',
+                    sh.as_converted_shares,
+                    sh.options,
+                    sh.warrants,
+                    sh.fully_diluted_shares,
+                    sh.fully_diluted_percent.toFixed(2) + '%'
+                );
+                csvRows.push(row.map(c => typeof c === 'string' ? `"${c}"` : c).join(','));
+            });
+            
+            // Unallocated pool row
+            const poolRow = ['', 'Unallocated Plan Pool'];
+            classes.forEach(() => poolRow.push(''));
+            poolRow.push('', '', '', '', '', summary.unallocated_pool, reportData.unallocated_pool_percent.toFixed(2) + '%');
+            csvRows.push(poolRow.map(c => typeof c === 'string' && c ? `"${c}"` : c).join(','));
+            
+            // Totals row
+            const totalsRow = ['', 'TOTALS'];
+            classes.forEach(col => totalsRow.push(col.outstanding_shares));
+            totalsRow.push(
+                summary.outstanding_shares, '100%',
+                summary.as_converted_shares,
+                summary.options_outstanding,
+                summary.warrants_outstanding,
+                summary.fully_diluted_shares, '100%'
+            );
+            csvRows.push(totalsRow.join(','));
+            
+            if (reportData.missing_conversion_ratios.length) {
+                csvRows.push('');
+                csvRows.push('"Missing Conversion Ratio (not counted as-converted or fully diluted)","Outstanding Shares","Grant Shares"');
+                reportData.missing_conversion_ratios.forEach(m => {
+                    csvRows.push([`"${m.header}"`, m.outstanding_shares, m.grant_shares].join(','));
+                });
+            }
+            if (reportData.pool_note) {
+                csvRows.push('');
+                csvRows.push(`"${reportData.pool_note}"`);
+            }
+            
+            const csvContent = csvRows.join('\n');
+            
+            return {
+                statusCode: 200,
+                headers: {
+                    'Content-Type': 'text/csv',
+                    'Content-Disposition': `attachment; filename="fully_diluted_report_${targetEntityId}_${reportDate}.csv"`,
+                    'Access-Control-Allow-Origin': '*'
+                },
+                body: csvContent
+            };
+        } else {
+            // Return JSON
+            return {
+                statusCode: 200,
+                headers,
+                body: JSON.stringify({
+                    success: true,
+                    report: reportData
+                })
+            };
+        }
+    } catch (error) {
+        console.error('Fully diluted report error:', error);
+        return {
+            statusCode: 500,
+            headers,
+            body: JSON.stringify({ 
+                success: false,
+                error: 'Failed to generate fully diluted report: ' + error.message
+            })
+        };
+    }
+}
+
+async function handleCashInLieuReport(event, params) {
+    // Authenticate request
+    const auth = await authMiddleware(event);
+    if (auth.statusCode) return auth;
+    
+    const { user, headers } = auth;
+    
+    const { 
+        entity_id,
+        split_id,
+        format = 'json'
+    } = params;
+    
+    // Check entity scope
+    let targetEntityId;
+    if (user.role === 'SUPER_ADMIN') {
+        targetEntityId = entity_id || user.entity_id;
+    } else {
+        targetEntityId = user.entity_id;
+    }
+    
+    try {
+        // Cash owed for fractions dropped by CASH_IN_LIEU splits, one row per holder
+        // per split. split_id narrows the report to a single split.
+        const splitsResult = await query(`
+            SELECT 
+                ss.id,
+                ss.split_type,
+                ss.old_shares,
+                ss.new_shares,
+                ss.effective_date,
+                ss.cash_in_lieu_price,
+                ss.total_cash_in_lieu,
+                ss.batch_id,
+                ss.reversal_date,
+                est.display_name as stock_type_name,
+                ess.series
+            FROM stock_splits ss
+            JOIN entity_stock_types est ON est.id = ss.entity_stock_type_id
+            LEFT JOIN entity_stock_series ess ON ess.id = ss.entity_stock_series_id
+            WHERE ss.entity_id = $1
+              AND ss.rounding = 'CASH_IN_LIEU'
+              AND ($2::bigint IS NULL OR ss.id = $2)
+            ORDER BY ss.effective_date, ss.id
+        `, [targetEntityId, split_id || null]);
+        
+        if (split_id && splitsResult.rows.length === 0) {
+            return {
+                statusCode: 404,
+                headers,
+                body: JSON.stringify({ 
+                    success: false,
+                    error: 'Cash-in-lieu split not found'
+                })
+            };
+        }
+        
+        const paymentsResult = await query(`
+            SELECT 
+                cil.id,
+                cil.split_id,
+                cil.shareholder_id,
+                s.external_id,
+                s.full_name,
+                cil.share_transaction_id,
+                cil.pre_split_shares,
+                cil.post_split_shares,
+                cil.fractional_shares,
+                cil.price_per_share,
+                cil.amount
+            FROM split_cash_in_lieu cil
+            JOIN shareholders s ON s.id = cil.shareholder_id
+            WHERE cil.entity_id = $1
+              AND ($2::bigint IS NULL OR cil.split_id = $2)
+            ORDER BY cil.split_id, s.full_name
+        `, [targetEntityId, split_id || null]);
+        
+        const splits = splitsResult.rows.map(sp => {
+            const payments = paymentsResult.rows
+                .filter(p => p.split_id === sp.id)
+                .map(p => ({
+                    id: p.id,
+                    shareholder_id: p.shareholder_id,
+                    external_id: p.external_id,
+                    full_name: p.full_name,
+                    share_transaction_id: p.share_transaction_id,
+                    pre_split_shares: parseFloat(p.pre_split_shares),
+                    post_split_shares: parseFloat(p.post_split_shares),
+                    fractional_shares: parseFloat(p.fractional_shares),
+                    price_per_share: parseFloat(p.price_per_share),
+                    amount: parseFloat(p.amount)
+                }));
+            return {
+                split_id: sp.id,
+                split_type: sp.split_type,
+                ratio: `${sp.old_shares}:${sp.new_shares}`,
+                effective_date: sp.effective_date,
+                stock_type_name: sp.stock_type_name,
+                series: sp.series,
+                cash_in_lieu_price: parseFloat(sp.cash_in_lieu_price),
+                holder_count: payments.length,
+                total_fractional_shares: payments.reduce((sum, p) => sum + p.fractional_shares, 0),
+                total_cash_in_lieu: parseFloat(sp.total_cash_in_lieu),
+                batch_id: sp.batch_id,
+                reversed: !!sp.reversal_date,
+                reversal_date: sp.reversal_date,
+                payments
+            };
+        });
+        
+        const reportData = {
+            entity_id: targetEntityId,
+            generated_at: new Date().toISOString(),
+            splits,
+            totals: {
+                splits: splits.length,
+                payments: splits.reduce((sum, sp) => sum + sp.holder_count, 0),
+                // Reversed splits no longer owe their holders anything
+                cash_in_lieu: Math.round(splits.filter(sp => !sp.reversed).reduce((sum, sp) => sum + sp.total_cash_in_lieu, 0) * 100) / 100
+            }
+        };
+        
+        // Format response based on requested format
+        if (format === 'csv') {
+            const csvRows = [];
+            
+            // CSV header
+            csvRows.push([
+                'Split ID', 'Split Type', 'Ratio', 'Effective Date', 'Stock Type', 'Series',
+                'Account #', 'Shareholder Name', 'Pre-Split Shares', 'Post-Split Shares',
+                'Fractional Shares', 'Price Per Share', 'Cash In Lieu', 'Reversed'
+            ].map(c => `"${c}"`).join(','));
+            
+            // CSV data
+            splits.forEach(sp => {
+                sp.payments.forEach(p => {
+                    const row = [
+                        sp.split_id,
+                        sp.split_type,
+                        sp.ratio,
+                        new Date(sp.effective_date).toISOString().split('T')[0],
+                        sp.stock_type_name,
+                        sp.series || '',
+                        p.external_id || String(p.shareholder_id),
+                        p.full_name,
+                        p.pre_split_shares,
+                        p.post_split_shares,
+                        p.fractional_shares,
+                        p.price_per_share,
+                        p.amount.toFixed(2),
+                        sp.reversed ? 'Yes' : 'No'
+                    ];
+                    csvRows.push(row.map(c => typeof c === 'string' ? `"${c}"` : c).join(','));
+                });
+            });
+            
+            // Totals row
+            csvRows.push(['', '', '', '', '', '', '', '"TOTAL"', '', '', '', '', reportData.totals.cash_in_lieu.toFixed(2), ''].join(','));
+            
+            const csvContent = csvRows.join('\n');
+            
+            return {
+                statusCode: 200,
+                headers: {
+                    'Content-Type': 'text/csv',
+                    'Content-Disposition': `attachment; filename="cash_in_lieu_report_${targetEntityId}${split_id ? `_split_${split_id}` : ''}.csv"`,
+                    'Access-Control-Allow-Origin': '*'
+                },
+                body: csvContent
+            };
+        } else {
+            // Return JSON
+            return {
+                statusCode: 200,
+                headers,
+                body: JSON.stringify({
+                    success: true,
+                    report: reportData
+                })
+            };
+        }
+    } catch (error) {
+        console.error('Cash-in-lieu report error:', error);
+        return {
+            statusCode: 500,
+            headers,
+            body: JSON.stringify({ 
+                success: false,
+                error: 'Failed to generate cash-in-lieu report: ' + error.message
+            })
+        };
+    }
+}
+
 async function handleShareholderStatement(event, params) {
     // Authenticate request
     const auth = await authMiddleware(event);
@@ -902,6 +1540,8 @@ async function handleShareholderStatement(event, params) {
         
         const holdingsResult = await query(holdingsQuery, [shareholder_id, targetEntityId]);
         
+        const taxLots = await getLotReport({ query }, { entityId: targetEntityId, shareholderId: shareholder_id });
+        
         // Prepare statement data
         const statementData = {
             entity: entity,
@@ -912,6 +1552,7 @@ async function handleShareholderStatement(event, params) {
             report_type: 'Shareholder Statement',
             current_holdings: holdingsResult.rows,
             transaction_history: transactionsResult.rows,
+            tax_lots: taxLots,
             summary: {
                 total_stock_types: holdingsResult.rows.length,
                 total_shares: holdingsResult.rows.reduce((sum, row) => sum + parseFloat(row.current_shares), 0)
@@ -978,6 +1619,10 @@ async function handleShareholderStatement(event, params) {
                 ].join(','));
             });
             
+            csvRows.push('');
+            csvRows.push(['Tax Lots']);
+            csvRows.push(...taxLotCsvRows(taxLots));
+            
             const csvContent = csvRows.join('\n');
             
             return {
@@ -1011,4 +1656,285 @@ async function handleShareholderStatement(event, params) {
             })
         };
     }
-}
\ No newline at end of file
+}
+
+// Lot lines plus untracked shares per holding, shared by the tax lot report and
+// the shareholder statement
+function taxLotCsvRows(report) {
+    const rows = [];
+    rows.push([
+        'Lot ID', 'Stock Type', 'Series', 'Source', 'Holding Period Start', 'Long-Term From',
+        'Term', 'Days Held', 'Original Shares', 'Remaining Shares', 'Basis Per Share', 'Unrealized Basis'
+    ].map(c => `"${c}"`).join(','));
+    report.lots.forEach(l => {
+        const row = [
+            l.lot_id,
+            l.stock_type_name,
+            l.series || '',
+            l.source_type,
+            l.holding_period_start,
+            l.long_term_from,
+            l.term === 'LONG_TERM' ? 'Long-term' : 'Short-term',
+            l.days_held,
+            l.original_shares,
+            l.remaining_shares,
+            l.basis_per_share === null ? 'Unknown' : l.basis_per_share,
+            l.unrealized_basis === null ? 'Unknown' : l.unrealized_basis.toFixed(2)
+        ];
+        rows.push(row.map(c => typeof c === 'string' ? `"${c}"` : c).join(','));
+    });
+    report.holdings.filter(h => h.untracked_shares > 0).forEach(h => {
+        rows.push(['', `"${h.stock_type_name}"`, `"${h.series || ''}"`, '"Untracked"', '', '', '', '', '', h.untracked_shares, '"Unknown"', '"Unknown"'].join(','));
+    });
+    rows.push(['', '', '', '', '', '', '', '', '"TOTAL"', Math.round((report.summary.short_term_shares + report.summary.long_term_shares + report.summary.untracked_shares) * 1e4) / 1e4, '', report.summary.total_unrealized_basis.toFixed(2)].join(','));
+    return rows;
+}
+
+async function handleTaxLotReport(event, params) {
+    // Authenticate request
+    const auth = await authMiddleware(event);
+    if (auth.statusCode) return auth;
+    
+    const { user, headers } = auth;
+    
+    const { 
+        entity_id,
+        shareholder_id,
+        as_of,
+        format = 'json'
+    } = params;
+    
+    if (!shareholder_id) {
+        return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ 
+                success: false,
+                error: 'Shareholder ID is required'
+            })
+        };
+    }
+    if (as_of && (!/^\d{4}-\d{2}-\d{2}$/.test(as_of) || isNaN(new Date(as_of).getTime()))) {
+        return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ 
+                success: false,
+                error: 'as_of must be a date in YYYY-MM-DD format'
+            })
+        };
+    }
+    
+    // Check entity scope
+    let targetEntityId;
+    if (user.role === 'SUPER_ADMIN') {
+        targetEntityId = entity_id || user.entity_id;
+    } else {
+        targetEntityId = user.entity_id;
+    }
+    
+    try {
+        const shareholderResult = await query(`
+            SELECT id, external_id, full_name
+            FROM shareholders
+            WHERE id = $1 AND entity_id = $2
+        `, [shareholder_id, targetEntityId]);
+        
+        if (shareholderResult.rows.length === 0) {
+            return {
+                statusCode: 404,
+                headers,
+                body: JSON.stringify({ 
+                    success: false,
+                    error: 'Shareholder not found in this entity'
+                })
+            };
+        }
+        
+        const shareholder = shareholderResult.rows[0];
+        
+        // Open lots as they stand today; as_of only moves the date the holding
+        // period is measured to (e.g. to see what turns long-term by year end)
+        const lotReport = await getLotReport({ query }, {
+            entityId: targetEntityId,
+            shareholderId: shareholder_id,
+            asOf: as_of || null
+        });
+        
+        const reportData = {
+            entity_id: targetEntityId,
+            shareholder,
+            generated_at: new Date().toISOString(),
+            ...lotReport
+        };
+        
+        if (format === 'csv') {
+            const csvRows = [];
+            csvRows.push([`"Tax Lot Report for ${shareholder.full_name} as of ${lotReport.as_of_date}"`]);
+            csvRows.push('');
+            csvRows.push(...taxLotCsvRows(lotReport));
+            
+            const csvContent = csvRows.join('\n');
+            
+            return {
+                statusCode: 200,
+                headers: {
+                    'Content-Type': 'text/csv',
+                    'Content-Disposition': `attachment; filename="tax_lots_${shareholder_id}_${lotReport.as_of_date.replace(/-/g, '')}.csv"`,
+                    'Access-Control-Allow-Origin': '*'
+                },
+                body: csvContent
+            };
+        } else {
+            // Return JSON
+            return {
+                statusCode: 200,
+                headers,
+                body: JSON.stringify({
+                    success: true,
+                    report: reportData
+                })
+            };
+        }
+    } catch (error) {
+        console.error('Tax lot report error:', error);
+        return {
+            statusCode: 500,
+            headers,
+            body: JSON.stringify({ 
+                success: false,
+                error: 'Failed to generate tax lot report: ' + error.message
+            })
+        };
+    }
+}
+
+async function handleRule144EligibilityReport(event, params) {
+    // Authenticate request
+    const auth = await authMiddleware(event);
+    if (auth.statusCode) return auth;
+    
+    const { user, headers } = auth;
+    
+    const { 
+        entity_id,
+        shareholder_id,
+        as_of,
+        reporting_issuer,
+        format = 'json'
+    } = params;
+    
+    if (as_of && (!/^\d{4}-\d{2}-\d{2}$/.test(as_of) || isNaN(new Date(as_of).getTime()))) {
+        return {
+            statusCode: 400,
+            headers,
+            body: JSON.stringify({ 
+                success: false,
+                error: 'as_of must be a date in YYYY-MM-DD format'
+            })
+        };
+    }
+    
+    // Check entity scope
+    let targetEntityId;
+    if (user.role === 'SUPER_ADMIN') {
+        targetEntityId = entity_id || user.entity_id;
+    } else {
+        targetEntityId = user.entity_id;
+    }
+    
+    try {
+        // Certificates outstanding today; as_of only moves the date eligibility
+        // is measured on (e.g. to see which holders become free to sell by a date).
+        // Holding period is one year unless reporting_issuer=true (six months).
+        const eligibility = await getRule144Report({ query }, {
+            entityId: targetEntityId,
+            shareholderId: shareholder_id || null,
+            asOf: as_of || null,
+            reportingIssuer: reporting_issuer === 'true'
+        });
+        
+        const reportData = {
+            entity_id: targetEntityId,
+            generated_at: new Date().toISOString(),
+            ...eligibility
+        };
+        
+        if (format === 'csv') {
+            const csvRows = [];
+            csvRows.push([`"Rule 144 Eligibility as of ${eligibility.as_of_date} (${eligibility.holding_period_months}-month holding period)"`]);
+            csvRows.push('');
+            csvRows.push(['"Shareholder"', '"Stock Type"', '"Series"', '"Shares"', '"Unrestricted"', '"Eligible"', '"Eligible With Conditions"', '"Restricted"', '"Unknown"', '"Affiliate"', '"Free To Sell"', '"Next Free To Sell"'].join(','));
+            eligibility.holdings.forEach(h => {
+                const row = [
+                    h.shareholder_name,
+                    h.stock_type_name,
+                    h.series || '',
+                    h.shares,
+                    h.unrestricted_shares,
+                    h.eligible_shares,
+                    h.conditional_shares,
+                    h.restricted_shares,
+                    h.unknown_shares,
+                    h.is_affiliate_holding ? 'Yes' : 'No',
+                    h.free_to_sell_date || '',
+                    h.next_free_to_sell_date || ''
+                ];
+                csvRows.push(row.map(c => typeof c === 'string' ? `"${c}"` : c).join(','));
+            });
+            
+            csvRows.push('');
+            csvRows.push(['"Certificates"']);
+            csvRows.push(['"Certificate"', '"Shareholder"', '"Stock Type"', '"Series"', '"Shares"', '"Original Issue Date"', '"Holding Period Start"', '"Free To Sell"', '"Days Remaining"', '"Restricted"', '"Control Security"', '"Status"'].join(','));
+            eligibility.certificates.forEach(c => {
+                const row = [
+                    c.certificate_number,
+                    c.shareholder_name,
+                    c.stock_type_name,
+                    c.series || '',
+                    c.shares,
+                    c.original_issue_date || '',
+                    c.holding_period_start || '',
+                    c.free_to_sell_date || '',
+                    c.days_remaining,
+                    c.is_restricted === null ? 'Unknown' : (c.is_restricted ? 'Yes' : 'No'),
+                    c.is_control_security ? 'Yes' : 'No',
+                    c.status
+                ];
+                csvRows.push(row.map(v => typeof v === 'string' ? `"${v}"` : v).join(','));
+            });
+            
+            const csvContent = csvRows.join('\n');
+            
+            return {
+                statusCode: 200,
+                headers: {
+                    'Content-Type': 'text/csv',
+                    'Content-Disposition': `attachment; filename="rule_144_eligibility_${eligibility.as_of_date.replace(/-/g, '')}.csv"`,
+                    'Access-Control-Allow-Origin': '*'
+                },
+                body: csvContent
+            };
+        } else {
+            // Return JSON
+            return {
+                statusCode: 200,
+                headers,
+                body: JSON.stringify({
+                    success: true,
+                    report: reportData
+                })
+            };
+        }
+    } catch (error) {
+        console.error('Rule 144 eligibility report error:', error);
+        return {
+            statusCode: 500,
+            headers,
+            body: JSON.stringify({ 
+                success: false,
+                error: 'Failed to generate Rule 144 eligibility report: ' + error.message
+            })
+        };
+    }
+}
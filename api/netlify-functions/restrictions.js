@@ -0,0 +1,228 @@
+// api/netlify-functions/restrictions.js
+// Transfer restriction rules (lockups, ROFR windows, board consent,
+// blocked transferee types) enforced by ledger transfer-shares and multi-transfer.
+const { query } = require('./utils/db');
+const { authMiddleware, requireRole, enforceEntityScope } = require('./middleware/auth');
+const { logAudit, getClientIp } = require('./utils/auditLog');
+const { RESTRICTION_TYPES, TRANSFEREE_TYPES } = require('./utils/restrictionUtils');
+const { toDateStr } = require('./utils/vestingUtils');
+
+function json(statusCode, body, extraHeaders = {}) {
+  return {
+    statusCode,
+    headers: { 'Content-Type': 'application/json', ...extraHeaders },
+    body: JSON.stringify(body),
+  };
+}
+
+function parseBody(event) {
+  if (!event.body) return {};
+  try { return JSON.parse(event.body); }
+  catch { throw new Error('Invalid JSON body'); }
+}
+
+// Validate an optional date field (YYYY-MM-DD). Returns null when absent.
+function parseDate(value, field) {
+  if (!value) return null;
+  const v = String(value).trim();
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(v) || isNaN(new Date(v).getTime())) {
+    throw Object.assign(new Error(`${field} must be a date in YYYY-MM-DD format`), { statusCode: 400 });
+  }
+  return v;
+}
+
+// Check and normalise the type-specific fields. Throws 400 on bad input.
+function validateRuleFields(type, { lockup_end_date, rofr_days, blocked_transferee_types }) {
+  const fields = { lockup_end_date: null, rofr_days: null, blocked_transferee_types: null };
+  if (type === 'LOCKUP') {
+    fields.lockup_end_date = parseDate(lockup_end_date, 'lockup_end_date');
+    if (!fields.lockup_end_date) {
+      throw Object.assign(new Error('lockup_end_date is required for a LOCKUP'), { statusCode: 400 });
+    }
+  } else if (type === 'ROFR') {
+    fields.rofr_days = parseInt(rofr_days);
+    if (!(fields.rofr_days > 0)) {
+      throw Object.assign(new Error('rofr_days must be a positive number of days'), { statusCode: 400 });
+    }
+  } else if (type === 'BLOCKED_TRANSFEREE_TYPE') {
+    const types = Array.isArray(blocked_transferee_types) ? blocked_transferee_types : [];
+    if (!types.length || types.some(t => !TRANSFEREE_TYPES.includes(t))) {
+      throw Object.assign(new Error(`blocked_transferee_types must list one or more of ${TRANSFEREE_TYPES.join(', ')}`), { statusCode: 400 });
+    }
+    fields.blocked_transferee_types = [...new Set(types)];
+  }
+  return fields;
+}
+
+/* =====================================================
+   HANDLER
+===================================================== */
+exports.handler = async (event) => {
+  const params = event.queryStringParameters || {};
+  const action = params.action;
+
+  try {
+    if (event.httpMethod === 'GET') {
+      if (action === 'list-restrictions') return await handleListRestrictions(event, params);
+      return json(400, { success:false, error:'Invalid action' });
+    }
+
+    if (event.httpMethod === 'POST') {
+      if (action === 'create-restriction') return await handleCreateRestriction(event);
+      if (action === 'update-restriction') return await handleUpdateRestriction(event);
+      return json(400, { success:false, error:'Invalid action' });
+    }
+
+    return json(405, { success:false, error:'Method not allowed' });
+  } catch (e) {
+    if (e.statusCode === 400) return json(400, { success:false, error:e.message });
+    console.error('RESTRICTIONS ERROR:', e);
+    return json(500, { success:false, error:e.message });
+  }
+};
+
+/* =====================================================
+   GET: Transfer Restrictions
+===================================================== */
+async function handleListRestrictions(event, params) {
+  const auth = await authMiddleware(event);
+  if (auth.statusCode) return auth;
+  const { user, headers } = auth;
+
+  const targetEntityId = user.role === 'SUPER_ADMIN' && params.entity_id ? params.entity_id : user.entity_id;
+  const includeInactive = params.include_inactive === 'true';
+
+  const result = await query(`
+    SELECT r.*,
+           est.display_name AS stock_type_name,
+           ess.series,
+           sh.full_name AS shareholder_name
+    FROM transfer_restrictions r
+    LEFT JOIN entity_stock_types est ON est.id = r.entity_stock_type_id
+    LEFT JOIN entity_stock_series ess ON ess.id = r.entity_stock_series_id
+    LEFT JOIN shareholders sh ON sh.id = r.shareholder_id
+    WHERE r.entity_id = $1
+      AND ($2::boolean OR r.is_active = TRUE)
+    ORDER BY r.is_active DESC, r.id DESC
+  `, [targetEntityId, includeInactive]);
+
+  return json(200, { success:true, restrictions: result.rows }, headers);
+}
+
+/* =====================================================
+   POST: Create Transfer Restriction
+   Scope: entity_stock_type_id / entity_stock_series_id /
+   shareholder_id (the transferor); unset = every class,
+   series or holder. Type-specific fields:
+   LOCKUP lockup_end_date, ROFR rofr_days,
+   BLOCKED_TRANSFEREE_TYPE blocked_transferee_types.
+===================================================== */
+async function handleCreateRestriction(event) {
+  const auth = await authMiddleware(event);
+  if (auth.statusCode) return auth;
+  const { user, headers } = auth;
+
+  const canManage = requireRole(['SUPER_ADMIN', 'ENTITY_ADMIN'])(user);
+  if (!canManage) return json(403, { success:false, error:'Forbidden' }, headers);
+
+  const body = parseBody(event);
+  const { restriction_type, entity_stock_type_id, entity_stock_series_id, shareholder_id, description } = body;
+  const entityId = user.role === 'SUPER_ADMIN' && body.entity_id ? body.entity_id : user.entity_id;
+
+  if (!RESTRICTION_TYPES.includes(restriction_type)) {
+    return json(400, { success:false, error:`restriction_type must be one of ${RESTRICTION_TYPES.join(', ')}` }, headers);
+  }
+  const fields = validateRuleFields(restriction_type, body);
+
+  if (entity_stock_series_id && !entity_stock_type_id) {
+    return json(400, { success:false, error:'entity_stock_type_id is required when a series is given' }, headers);
+  }
+  if (entity_stock_type_id) {
+    const typeRes = await query('SELECT id FROM entity_stock_types WHERE id = $1 AND entity_id = $2', [entity_stock_type_id, entityId]);
+    if (!typeRes.rows.length) return json(400, { success:false, error:'Invalid stock type' }, headers);
+  }
+  if (entity_stock_series_id) {
+    const sRes = await query('SELECT id FROM entity_stock_series WHERE id = $1 AND entity_stock_type_id = $2', [entity_stock_series_id, entity_stock_type_id]);
+    if (!sRes.rows.length) return json(400, { success:false, error:'Invalid series' }, headers);
+  }
+  if (shareholder_id) {
+    const shRes = await query('SELECT id FROM shareholders WHERE id = $1 AND entity_id = $2', [shareholder_id, entityId]);
+    if (!shRes.rows.length) return json(400, { success:false, error:'Shareholder not found' }, headers);
+  }
+
+  const result = await query(`
+    INSERT INTO transfer_restrictions (
+      entity_id, entity_stock_type_id, entity_stock_series_id, shareholder_id,
+      restriction_type, lockup_end_date, rofr_days, blocked_transferee_types,
+      description, created_by
+    ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10)
+    RETURNING *
+  `, [
+    entityId, entity_stock_type_id || null, entity_stock_series_id || null, shareholder_id || null,
+    restriction_type, fields.lockup_end_date, fields.rofr_days, fields.blocked_transferee_types,
+    description || null, user.id,
+  ]);
+  const restriction = result.rows[0];
+
+  await logAudit({
+    user_id: user.id, user_email: user.email, user_role: user.role,
+    entity_id: entityId, action: 'CREATE_TRANSFER_RESTRICTION',
+    resource_type: 'TRANSFER_RESTRICTION', resource_id: restriction.id,
+    details: { restriction_type, entity_stock_type_id, entity_stock_series_id, shareholder_id, ...fields },
+    ip_address: getClientIp(event),
+  });
+
+  return json(201, { success:true, restriction }, headers);
+}
+
+/* =====================================================
+   POST: Update Transfer Restriction
+   Changes the type-specific fields, description or
+   is_active. Scope and type are fixed; deactivate the rule
+   and create a new one to change them.
+===================================================== */
+async function handleUpdateRestriction(event) {
+  const auth = await authMiddleware(event);
+  if (auth.statusCode) return auth;
+  const { user, headers } = auth;
+
+  const canManage = requireRole(['SUPER_ADMIN', 'ENTITY_ADMIN'])(user);
+  if (!canManage) return json(403, { success:false, error:'Forbidden' }, headers);
+
+  const body = parseBody(event);
+  const { restriction_id } = body;
+  if (!restriction_id) return json(400, { success:false, error:'restriction_id is required' }, headers);
+
+  const existingRes = await query('SELECT * FROM transfer_restrictions WHERE id = $1', [restriction_id]);
+  if (!existingRes.rows.length) return json(404, { success:false, error:'Restriction not found' }, headers);
+  const existing = existingRes.rows[0];
+  if (!enforceEntityScope(user, existing.entity_id)) {
+    return json(403, { success:false, error:'Forbidden' }, headers);
+  }
+
+  const fields = validateRuleFields(existing.restriction_type, {
+    lockup_end_date: body.lockup_end_date !== undefined ? body.lockup_end_date : toDateStr(existing.lockup_end_date),
+    rofr_days: body.rofr_days !== undefined ? body.rofr_days : existing.rofr_days,
+    blocked_transferee_types: body.blocked_transferee_types !== undefined ? body.blocked_transferee_types : existing.blocked_transferee_types,
+  });
+  const isActive = body.is_active === undefined ? existing.is_active : (body.is_active === true || body.is_active === 'true');
+  const description = body.description !== undefined ? (body.description || null) : existing.description;
+
+  const result = await query(`
+    UPDATE transfer_restrictions
+    SET lockup_end_date = $2, rofr_days = $3, blocked_transferee_types = $4,
+        description = $5, is_active = $6, updated_at = NOW()
+    WHERE id = $1
+    RETURNING *
+  `, [restriction_id, fields.lockup_end_date, fields.rofr_days, fields.blocked_transferee_types, description, isActive]);
+
+  await logAudit({
+    user_id: user.id, user_email: user.email, user_role: user.role,
+    entity_id: existing.entity_id, action: 'UPDATE_TRANSFER_RESTRICTION',
+    resource_type: 'TRANSFER_RESTRICTION', resource_id: existing.id,
+    details: { restriction_type: existing.restriction_type, ...fields, description, is_active: isActive },
+    ip_address: getClientIp(event),
+  });
+
+  return json(200, { success:true, restriction: result.rows[0] }, headers);
+}
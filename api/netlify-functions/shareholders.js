@@ -299,7 +299,9 @@ async function handleUpdateShareholder(event) {
 
   const allowedFields = new Set([
     'full_name', 'external_id', 'email', 'phone', 'address', 'city', 'state',
-    'zip_code', 'country', 'shareholder_type', 'tax_id', 'is_active'
+    'zip_code', 'country', 'shareholder_type', 'tax_id', 'is_active',
+    // Dividend payment details (see dividends.js)
+    'withholding_rate', 'bank_routing_number', 'bank_account_number', 'bank_account_type'
   ]);
 
   const keys = Object.keys(updates).filter(k => allowedFields.has(k));
@@ -40,6 +40,14 @@ function normalizeSupportsSeries(stock_type, supports_series) {
   return Boolean(supports_series);
 }
 
+// Series conversion ratio (target shares per source share). Blank clears it
+// (the series then can't be converted); anything else must be > 0. NaN signals invalid input.
+function parseConversionRatio(v) {
+  if (v === undefined || v === null || v === '') return null;
+  const n = parseFloat(v);
+  return n > 0 ? n : NaN;
+}
+
 // Governance lock fields - these cannot be changed after shares are issued
 const GOVERNANCE_LOCKED_FIELDS = [
   'par_value', 'authorized_shares', 'dividend_rate',
@@ -444,7 +452,7 @@ async function handleListSeries(event, params) {
 
   const seriesRes = await query(`
 	 
-    SELECT id, entity_stock_type_id, series, authorized_shares, is_active, created_at, updated_at
+    SELECT id, entity_stock_type_id, series, authorized_shares, conversion_ratio, is_active, created_at, updated_at
     FROM entity_stock_series
     WHERE entity_stock_type_id = $1
     ORDER BY series
@@ -471,9 +479,11 @@ async function handleCreateSeries(event) {
   const series = String(body.series || '').trim();
   const is_active = body.is_active === undefined ? true : Boolean(body.is_active);
   const authorized_shares = body.authorized_shares !== undefined && body.authorized_shares !== '' ? parseInt(body.authorized_shares) : null;
+  const conversion_ratio = parseConversionRatio(body.conversion_ratio);
 
   if (!entity_stock_type_id) return json(400, { success: false, error: 'entity_stock_type_id is required' }, headers);
   if (!series) return json(400, { success: false, error: 'series is required' }, headers);
+  if (Number.isNaN(conversion_ratio)) return json(400, { success: false, error: 'conversion_ratio must be a positive number' }, headers);
 
   const typeRes = await query(
     `SELECT id, entity_id, supports_series, is_active FROM entity_stock_types WHERE id = $1`,
@@ -494,16 +504,17 @@ async function handleCreateSeries(event) {
 
   const res = await query(`
 	 
-    INSERT INTO entity_stock_series (entity_stock_type_id, series, authorized_shares, is_active)
-    VALUES ($1, $2, $3, $4)
+    INSERT INTO entity_stock_series (entity_stock_type_id, series, authorized_shares, conversion_ratio, is_active)
+    VALUES ($1, $2, $3, $4, $5)
     ON CONFLICT (entity_stock_type_id, series)
     DO UPDATE SET
       authorized_shares = EXCLUDED.authorized_shares,
+      conversion_ratio = EXCLUDED.conversion_ratio,
       is_active = EXCLUDED.is_active,
       updated_at = NOW()
     RETURNING *
 	  
-  `, [entity_stock_type_id, series, authorized_shares, is_active]);
+  `, [entity_stock_type_id, series, authorized_shares, conversion_ratio, is_active]);
 	
 
   return json(201, { success: true, series: res.rows[0] }, headers);
@@ -556,6 +567,11 @@ async function handleUpdateSeries(event) {
     i++; fields.push(`authorized_shares = $${i}`);
     values.push(body.authorized_shares !== '' && body.authorized_shares !== null ? parseInt(body.authorized_shares) : null);
   }
+  if (body.conversion_ratio !== undefined) {
+    const ratio = parseConversionRatio(body.conversion_ratio);
+    if (Number.isNaN(ratio)) return json(400, { success: false, error: 'conversion_ratio must be a positive number' }, headers);
+    i++; fields.push(`conversion_ratio = $${i}`); values.push(ratio);
+  }
 
   if (!fields.length) return json(400, { success: false, error: 'No fields to update' }, headers);
 
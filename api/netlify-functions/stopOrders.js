@@ -0,0 +1,234 @@
+// api/netlify-functions/stopOrders.js
+// Stop-transfer orders (court orders, pledges, disputes) that freeze a
+// shareholder, a holding or a certificate. Enforced by ledger transfers and
+// cancellations and by certificate cancel, reissue and report-lost.
+const { query } = require('./utils/db');
+const { authMiddleware, requireRole, enforceEntityScope } = require('./middleware/auth');
+const { logAudit, getClientIp } = require('./utils/auditLog');
+const { STOP_ORDER_SCOPES, STOP_ORDER_REASON_TYPES, ACTIVE_ORDER_SQL } = require('./utils/stopOrderUtils');
+
+function json(statusCode, body, extraHeaders = {}) {
+  return {
+    statusCode,
+    headers: { 'Content-Type': 'application/json', ...extraHeaders },
+    body: JSON.stringify(body),
+  };
+}
+
+function parseBody(event) {
+  if (!event.body) return {};
+  try { return JSON.parse(event.body); }
+  catch { throw new Error('Invalid JSON body'); }
+}
+
+/* =====================================================
+   HANDLER
+===================================================== */
+exports.handler = async (event) => {
+  const params = event.queryStringParameters || {};
+  const action = params.action;
+
+  try {
+    if (event.httpMethod === 'GET') {
+      if (action === 'list-stop-orders') return await handleListStopOrders(event, params);
+      return json(400, { success:false, error:'Invalid action' });
+    }
+
+    if (event.httpMethod === 'POST') {
+      if (action === 'create-stop-order') return await handleCreateStopOrder(event);
+      if (action === 'release-stop-order') return await handleReleaseStopOrder(event);
+      return json(400, { success:false, error:'Invalid action' });
+    }
+
+    return json(405, { success:false, error:'Method not allowed' });
+  } catch (e) {
+    if (e.statusCode === 400) return json(400, { success:false, error:e.message });
+    console.error('STOP ORDERS ERROR:', e);
+    return json(500, { success:false, error:e.message });
+  }
+};
+
+/* =====================================================
+   GET: Stop-Transfer Orders
+   Active orders only unless include_inactive=true
+   (released and expired orders). Optional shareholder_id.
+===================================================== */
+async function handleListStopOrders(event, params) {
+  const auth = await authMiddleware(event);
+  if (auth.statusCode) return auth;
+  const { user, headers } = auth;
+
+  const targetEntityId = user.role === 'SUPER_ADMIN' && params.entity_id ? params.entity_id : user.entity_id;
+  const includeInactive = params.include_inactive === 'true';
+
+  const result = await query(`
+    SELECT o.*,
+           (${ACTIVE_ORDER_SQL}) AS is_active,
+           sh.full_name AS shareholder_name,
+           est.display_name AS stock_type_name,
+           ess.series,
+           sc.certificate_number
+    FROM stop_transfer_orders o
+    JOIN shareholders sh ON sh.id = o.shareholder_id
+    LEFT JOIN entity_stock_types est ON est.id = o.entity_stock_type_id
+    LEFT JOIN entity_stock_series ess ON ess.id = o.entity_stock_series_id
+    LEFT JOIN stock_certificates sc ON sc.id = o.certificate_id
+    WHERE o.entity_id = $1
+      AND ($2::bigint IS NULL OR o.shareholder_id = $2)
+      AND ($3::boolean OR (${ACTIVE_ORDER_SQL}))
+    ORDER BY o.id DESC
+  `, [targetEntityId, params.shareholder_id || null, includeInactive]);
+
+  return json(200, { success:true, stop_orders: result.rows }, headers);
+}
+
+/* =====================================================
+   POST: Create Stop-Transfer Order
+   scope SHAREHOLDER: shareholder_id
+   scope HOLDING: shareholder_id + entity_stock_type_id
+     (+ entity_stock_series_id; unset = every series)
+   scope CERTIFICATE: certificate_id (must be ISSUED)
+   Plus reason_type, reason, optional reference_document
+   and expires_on (YYYY-MM-DD; unset = until released).
+===================================================== */
+async function handleCreateStopOrder(event) {
+  const auth = await authMiddleware(event);
+  if (auth.statusCode) return auth;
+  const { user, headers } = auth;
+
+  const canManage = requireRole(['SUPER_ADMIN', 'ENTITY_ADMIN'])(user);
+  if (!canManage) return json(403, { success:false, error:'Forbidden' }, headers);
+
+  const body = parseBody(event);
+  const { scope, reason_type, reason, reference_document, expires_on } = body;
+  const entityId = user.role === 'SUPER_ADMIN' && body.entity_id ? body.entity_id : user.entity_id;
+
+  if (!STOP_ORDER_SCOPES.includes(scope)) {
+    return json(400, { success:false, error:`scope must be one of ${STOP_ORDER_SCOPES.join(', ')}` }, headers);
+  }
+  if (!STOP_ORDER_REASON_TYPES.includes(reason_type)) {
+    return json(400, { success:false, error:`reason_type must be one of ${STOP_ORDER_REASON_TYPES.join(', ')}` }, headers);
+  }
+  if (!reason || !String(reason).trim()) {
+    return json(400, { success:false, error:'reason is required' }, headers);
+  }
+  if (expires_on && (!/^\d{4}-\d{2}-\d{2}$/.test(expires_on) || isNaN(new Date(expires_on).getTime()))) {
+    return json(400, { success:false, error:'expires_on must be a date in YYYY-MM-DD format' }, headers);
+  }
+
+  let shareholderId = body.shareholder_id || null;
+  let stockTypeId = null;
+  let seriesId = null;
+  let certificateId = null;
+
+  if (scope === 'CERTIFICATE') {
+    if (!body.certificate_id) return json(400, { success:false, error:'certificate_id is required' }, headers);
+    const certRes = await query(
+      'SELECT id, shareholder_id, entity_stock_type_id, entity_stock_series_id, status FROM stock_certificates WHERE id = $1 AND entity_id = $2',
+      [body.certificate_id, entityId]
+    );
+    if (!certRes.rows.length) return json(400, { success:false, error:'Certificate not found' }, headers);
+    const cert = certRes.rows[0];
+    if (cert.status !== 'ISSUED') {
+      return json(400, { success:false, error:`Cannot place a stop order on a certificate with status '${cert.status}'` }, headers);
+    }
+    certificateId = cert.id;
+    shareholderId = cert.shareholder_id;
+    stockTypeId = cert.entity_stock_type_id;
+    seriesId = cert.entity_stock_series_id;
+  } else {
+    if (!shareholderId) return json(400, { success:false, error:'shareholder_id is required' }, headers);
+    const shRes = await query('SELECT id FROM shareholders WHERE id = $1 AND entity_id = $2', [shareholderId, entityId]);
+    if (!shRes.rows.length) return json(400, { success:false, error:'Shareholder not found' }, headers);
+
+    if (scope === 'HOLDING') {
+      stockTypeId = body.entity_stock_type_id || null;
+      seriesId = body.entity_stock_series_id || null;
+      if (!stockTypeId) return json(400, { success:false, error:'entity_stock_type_id is required for a HOLDING order' }, headers);
+      const typeRes = await query('SELECT id FROM entity_stock_types WHERE id = $1 AND entity_id = $2', [stockTypeId, entityId]);
+      if (!typeRes.rows.length) return json(400, { success:false, error:'Invalid stock type' }, headers);
+      if (seriesId) {
+        const sRes = await query('SELECT id FROM entity_stock_series WHERE id = $1 AND entity_stock_type_id = $2', [seriesId, stockTypeId]);
+        if (!sRes.rows.length) return json(400, { success:false, error:'Invalid series' }, headers);
+      }
+    }
+  }
+
+  const result = await query(`
+    INSERT INTO stop_transfer_orders (
+      entity_id, scope, shareholder_id, entity_stock_type_id, entity_stock_series_id, certificate_id,
+      reason_type, reason, reference_document, expires_on, created_by
+    ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11)
+    RETURNING *
+  `, [
+    entityId, scope, shareholderId, stockTypeId, seriesId, certificateId,
+    reason_type, String(reason).trim(), reference_document || null, expires_on || null, user.id,
+  ]);
+  const order = result.rows[0];
+
+  await logAudit({
+    user_id: user.id, user_email: user.email, user_role: user.role,
+    entity_id: entityId, action: 'CREATE_STOP_TRANSFER_ORDER',
+    resource_type: 'STOP_TRANSFER_ORDER', resource_id: order.id,
+    details: {
+      scope, shareholder_id: shareholderId, entity_stock_type_id: stockTypeId, entity_stock_series_id: seriesId,
+      certificate_id: certificateId, reason_type, reason: order.reason, reference_document: order.reference_document,
+      expires_on: expires_on || null,
+    },
+    ip_address: getClientIp(event),
+  });
+
+  return json(201, { success:true, stop_order: order }, headers);
+}
+
+/* =====================================================
+   POST: Release Stop-Transfer Order
+   Requires a release_reason. Released orders are kept
+   for the record and can't be reactivated.
+===================================================== */
+async function handleReleaseStopOrder(event) {
+  const auth = await authMiddleware(event);
+  if (auth.statusCode) return auth;
+  const { user, headers } = auth;
+
+  const canManage = requireRole(['SUPER_ADMIN', 'ENTITY_ADMIN'])(user);
+  if (!canManage) return json(403, { success:false, error:'Forbidden' }, headers);
+
+  const body = parseBody(event);
+  const { stop_order_id, release_reason } = body;
+  if (!stop_order_id) return json(400, { success:false, error:'stop_order_id is required' }, headers);
+  if (!release_reason || !String(release_reason).trim()) {
+    return json(400, { success:false, error:'release_reason is required' }, headers);
+  }
+
+  const existingRes = await query('SELECT * FROM stop_transfer_orders WHERE id = $1', [stop_order_id]);
+  if (!existingRes.rows.length) return json(404, { success:false, error:'Stop order not found' }, headers);
+  const existing = existingRes.rows[0];
+  if (!enforceEntityScope(user, existing.entity_id)) {
+    return json(403, { success:false, error:'Forbidden' }, headers);
+  }
+  if (existing.status !== 'ACTIVE') {
+    return json(400, { success:false, error:'Stop order is already released' }, headers);
+  }
+
+  const result = await query(`
+    UPDATE stop_transfer_orders
+    SET status = 'RELEASED', released_at = NOW(), released_by = $2, release_reason = $3
+    WHERE id = $1 AND status = 'ACTIVE'
+    RETURNING *
+  `, [stop_order_id, user.id, String(release_reason).trim()]);
+  if (!result.rows.length) return json(400, { success:false, error:'Stop order is already released' }, headers);
+
+  await logAudit({
+    user_id: user.id, user_email: user.email, user_role: user.role,
+    entity_id: existing.entity_id, action: 'RELEASE_STOP_TRANSFER_ORDER',
+    resource_type: 'STOP_TRANSFER_ORDER', resource_id: existing.id,
+    details: {
+      scope: existing.scope, shareholder_id: existing.shareholder_id, certificate_id: existing.certificate_id,
+      reason_type: existing.reason_type, release_reason: String(release_reason).trim(),
+    },
+    ip_address: getClientIp(event),
+  });
+
+  return json(200, { success:true, stop_order: result.rows[0] }, headers);
+}
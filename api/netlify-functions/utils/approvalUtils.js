@@ -0,0 +1,135 @@
+/**
+ * Approval Utilities
+ * Maker-checker policies, the pending-transaction queue and approval
+ * notifications for ledger actions held under dual control.
+ */
+
+const { query } = require('./db');
+const { sendEmail, buildApprovalRequestEmail, buildApprovalDecisionEmail } = require('./email');
+
+// Policy categories; batch-issue counts as ISSUE and multi-transfer as TRANSFER
+const APPROVAL_ACTION_TYPES = ['ISSUE', 'TRANSFER', 'CANCEL', 'SPLIT'];
+const APPROVER_ROLES = ['SUPER_ADMIN', 'ENTITY_ADMIN'];
+
+// A request claimed for posting (PROCESSING) that hasn't posted within this long was
+// interrupted. Posting flips the row to APPROVED in the ledger transaction itself, so a
+// row still PROCESSING after the timeout never posted and can be reviewed again.
+const PROCESSING_TIMEOUT_MINUTES = 15;
+
+// Approval is required when the entity has an enabled policy for the action type and
+// the request moves more than threshold_shares. A null threshold holds every request;
+// pass shares = null for actions without a single share count (splits).
+async function requiresApproval(entityId, actionType, shares) {
+  const res = await query(
+    `SELECT threshold_shares FROM approval_policies
+     WHERE entity_id = $1 AND action_type = $2 AND is_enabled = TRUE`,
+    [entityId, actionType]
+  );
+  if (!res.rows.length) return false;
+  const threshold = res.rows[0].threshold_shares;
+  if (threshold === null || shares === null || shares === undefined) return true;
+  return Math.abs(parseFloat(shares)) > parseFloat(threshold);
+}
+
+function describePending(action, payload, shares) {
+  const count = shares !== null && shares !== undefined ? `${Number(shares).toLocaleString()} shares` : null;
+  switch (action) {
+    case 'issue-shares': return `Issue ${count} to shareholder #${payload.shareholder_id}`;
+    case 'batch-issue': return `Batch issue of ${count} across ${(payload.lines || []).length} line(s)`;
+    case 'transfer-shares': return `Transfer ${count} from shareholder #${payload.from_shareholder_id} to #${payload.to_shareholder_id}`;
+    case 'multi-transfer': return `Multi-transfer of ${count}`;
+    case 'cancel-shares': return `Cancel ${count} held by shareholder #${payload.shareholder_id}`;
+    case 'execute-split': return `${payload.split_direction === 'REVERSE' ? 'Reverse' : 'Forward'} split ${payload.old_shares}:${payload.new_shares}`;
+    default: return action;
+  }
+}
+
+// holdReason: POLICY (an approval policy applies) or BOARD_CONSENT (a transfer
+// restriction requires consent; approving the request records it)
+async function createPendingTransaction({ entityId, action, actionType, shares, payload, requestedBy, requestedIp = null, holdReason = 'POLICY' }) {
+  const summary = describePending(action, payload, shares);
+  const res = await query(`
+    INSERT INTO pending_transactions (
+      entity_id, action, action_type, shares, summary, payload, status, hold_reason, requested_by, requested_ip
+    ) VALUES ($1,$2,$3,$4,$5,$6,'PENDING',$7,$8,$9)
+    RETURNING *
+  `, [
+    entityId, action, actionType,
+    shares === null || shares === undefined ? null : Math.abs(parseFloat(shares)),
+    holdReason === 'BOARD_CONSENT' ? `Board consent: ${summary}` : summary,
+    JSON.stringify(payload),
+    holdReason,
+    requestedBy,
+    requestedIp,
+  ]);
+  return res.rows[0];
+}
+
+// Whether a review can act on the row: still PENDING, or PROCESSING past the timeout
+function isReviewable(pending) {
+  if (pending.status === 'PENDING') return true;
+  return pending.status === 'PROCESSING'
+    && Date.now() - new Date(pending.updated_at).getTime() > PROCESSING_TIMEOUT_MINUTES * 60000;
+}
+
+/**
+ * Mark an approved request as posted from inside the replayed handler's ledger
+ * transaction, so the ledger rows and the APPROVED status commit together.
+ * No-op outside an approval replay. Throws (400) if the claim was lost, e.g. the
+ * request was recovered after the processing timeout, so it can't post twice.
+ * @param {object} client - pg Client from withTransaction callback
+ * @param {Object|null} approval - { pending, auth } passed to the handler on replay
+ */
+async function markApprovalPosted(client, approval) {
+  if (!approval) return;
+  const res = await client.query(
+    `UPDATE pending_transactions SET status = 'APPROVED', updated_at = NOW()
+     WHERE id = $1 AND status = 'PROCESSING' AND reviewed_by = $2
+     RETURNING id`,
+    [approval.pending.id, approval.pending.reviewed_by]
+  );
+  if (!res.rows.length) {
+    throw Object.assign(new Error(`Request #${approval.pending.id} is no longer being processed`), { statusCode: 400 });
+  }
+}
+
+// Email every active approver in the entity except the requester. Best-effort:
+// a mail failure never blocks the queue.
+async function notifyApprovers(pending, requester) {
+  try {
+    const res = await query(
+      `SELECT email, full_name FROM users
+       WHERE entity_id = $1 AND is_active = TRUE AND role = ANY($2::text[]) AND id <> $3`,
+      [pending.entity_id, APPROVER_ROLES, requester.id]
+    );
+    for (const approver of res.rows) {
+      const content = buildApprovalRequestEmail(approver.full_name, requester.full_name || requester.email, pending);
+      await sendEmail({ to: approver.email, ...content });
+    }
+  } catch (err) {
+    console.error('Approval request email failed (non-fatal):', err.message);
+  }
+}
+
+async function notifyRequester(pending) {
+  try {
+    const res = await query('SELECT email, full_name FROM users WHERE id = $1 AND is_active = TRUE', [pending.requested_by]);
+    if (!res.rows.length) return;
+    const content = buildApprovalDecisionEmail(res.rows[0].full_name, pending);
+    await sendEmail({ to: res.rows[0].email, ...content });
+  } catch (err) {
+    console.error('Approval decision email failed (non-fatal):', err.message);
+  }
+}
+
+module.exports = {
+  APPROVAL_ACTION_TYPES,
+  APPROVER_ROLES,
+  PROCESSING_TIMEOUT_MINUTES,
+  requiresApproval,
+  createPendingTransaction,
+  isReviewable,
+  markApprovalPosted,
+  notifyApprovers,
+  notifyRequester,
+};
@@ -3,9 +3,11 @@
  * Used by both certificates.js and ledger.js for certificate generation
  */
 const { query, withTransaction } = require('./db');
-
-const SUPABASE_URL = process.env.SUPABASE_URL || process.env.VITE_SUPABASE_URL;
-const SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
+const { inheritRestriction } = require('./rule144Utils');
+const { resolveCertificateLegends, copyCertificateLegends } = require('./legendUtils');
+const { DEFAULT_TEMPLATE, parseHexColor, loadCertificateTemplate } = require('./templateUtils');
+const { resolveCertificateSigners, signerColumns, loadCertificateSignatures } = require('./officerUtils');
+const { uploadStorageObject } = require('./storageUtils');
 
 /* ========== HELPERS ========== */
 
@@ -71,8 +73,53 @@ async function generateCertificateNumber(client, entityId, entityPrefix, stockTy
   return `${prefix}-${stockTypeAbbrev}-${pad(seq)}`;
 }
 
+// Printed when a restricted certificate has no legends assigned from the library
+const DEFAULT_LEGEND = 'The shares represented by this certificate are subject to restrictions on transfer as set forth in the corporation\'s governing documents and applicable law.';
+const LOST_REPLACEMENT_LEGEND = 'This is a replacement certificate issued due to lost original. Transfer restrictions may apply.';
+
+// pdf-lib standard fonts per template font_family
+const FONT_SETS = {
+  TIMES: { bold: 'TimesRomanBold', regular: 'TimesRoman', italic: 'TimesRomanItalic' },
+  HELVETICA: { bold: 'HelveticaBold', regular: 'Helvetica', italic: 'HelveticaOblique' },
+  COURIER: { bold: 'CourierBold', regular: 'Courier', italic: 'CourierOblique' },
+};
+
+// Vertical space the assignment / stock power form needs on a back page
+const STOCK_POWER_HEIGHT = 300;
+
+// Break text into lines no wider than maxWidth, keeping the author's line breaks.
+// Words longer than a line are split by character.
+function wrapText(text, font, size, maxWidth) {
+  const lines = [];
+  for (const paragraph of String(text).split(/\r?\n/)) {
+    let line = '';
+    for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+      const candidate = line ? `${line} ${word}` : word;
+      if (font.widthOfTextAtSize(candidate, size) <= maxWidth) { line = candidate; continue; }
+      if (line) lines.push(line);
+      line = word;
+      while (font.widthOfTextAtSize(line, size) > maxWidth) {
+        let cut = line.length - 1;
+        while (cut > 1 && font.widthOfTextAtSize(line.slice(0, cut), size) > maxWidth) cut--;
+        lines.push(line.slice(0, cut));
+        line = line.slice(cut);
+      }
+    }
+    lines.push(line);
+  }
+  return lines;
+}
+
 /**
  * Generate certificate PDF using pdf-lib
+ * cert.template (see loadCertificateTemplate) sets fonts, colours, border,
+ * logo, seal, default officer titles and whether the assignment / stock power
+ * form prints on the back; without one the certificate gets DEFAULT_TEMPLATE.
+ * cert.legends ([{ text }], see resolveCertificateLegends) print on the face
+ * below the holder details; whatever doesn't fit continues on reverse-side
+ * pages. Without legends a restricted certificate gets DEFAULT_LEGEND.
+ * cert.signature_image / countersignature_image (see loadCertificateSignatures)
+ * are the officers' facsimile signatures, drawn on the signature lines.
  */
 async function generateCertificatePdf(cert) {
   let PDFDocument, StandardFonts, rgb;
@@ -85,26 +132,55 @@ async function generateCertificatePdf(cert) {
     throw new Error('pdf-lib not available. Install with: npm i pdf-lib');
   }
 
+  const tpl = { ...DEFAULT_TEMPLATE, ...(cert.template || {}) };
+
   const pdfDoc = await PDFDocument.create();
   const page = pdfDoc.addPage([792, 612]); // Landscape letter
   const { width, height } = page.getSize();
 
-  const fontBold = await pdfDoc.embedFont(StandardFonts.TimesRomanBold);
-  const fontRegular = await pdfDoc.embedFont(StandardFonts.TimesRoman);
-  const fontItalic = await pdfDoc.embedFont(StandardFonts.TimesRomanItalic);
+  const fontSet = FONT_SETS[tpl.font_family] || FONT_SETS.TIMES;
+  const fontBold = await pdfDoc.embedFont(StandardFonts[fontSet.bold]);
+  const fontRegular = await pdfDoc.embedFont(StandardFonts[fontSet.regular]);
+  const fontItalic = await pdfDoc.embedFont(StandardFonts[fontSet.italic]);
 
-  const gold = rgb(0.72, 0.58, 0.2);
-  const darkBlue = rgb(0.05, 0.1, 0.25);
+  const toRgb = (hex) => { const c = parseHexColor(hex); return rgb(c.r, c.g, c.b); };
+  const accent = toRgb(tpl.primary_color);
+  const ink = toRgb(tpl.text_color);
   const gray = rgb(0.4, 0.4, 0.4);
 
+  // A logo, seal or signature that won't embed (corrupt, wrong type) is left off rather
+  // than failing the certificate
+  const embedImage = async (img) => {
+    if (!img) return null;
+    try {
+      return img.type === 'jpg' ? await pdfDoc.embedJpg(img.bytes) : await pdfDoc.embedPng(img.bytes);
+    } catch (e) {
+      console.error('Template image embed error (non-fatal):', e.message);
+      return null;
+    }
+  };
+
   // Border
-  const borderWidth = 3;
-  page.drawRectangle({ x: 20, y: 20, width: width - 40, height: height - 40, borderColor: gold, borderWidth, opacity: 0 });
-  page.drawRectangle({ x: 30, y: 30, width: width - 60, height: height - 60, borderColor: gold, borderWidth: 1, opacity: 0 });
+  const drawBorder = (p) => {
+    if (tpl.border_style === 'NONE') return;
+    const outerWidth = tpl.border_style === 'THICK' ? 6 : tpl.border_style === 'DOUBLE' ? 3 : 1.5;
+    p.drawRectangle({ x: 20, y: 20, width: width - 40, height: height - 40, borderColor: accent, borderWidth: outerWidth, opacity: 0 });
+    if (tpl.border_style === 'DOUBLE') {
+      p.drawRectangle({ x: 30, y: 30, width: width - 60, height: height - 60, borderColor: accent, borderWidth: 1, opacity: 0 });
+    }
+  };
+  drawBorder(page);
+
+  // Logo (top left, scaled into a 110 x 60 box)
+  const logo = await embedImage(tpl.logo_image);
+  if (logo) {
+    const dims = logo.scale(Math.min(110 / logo.width, 60 / logo.height, 1));
+    page.drawImage(logo, { x: 45, y: height - 45 - dims.height, width: dims.width, height: dims.height });
+  }
 
   // Company name
   const companyName = cert.entity_name || 'Company Name';
-  page.drawText(companyName, { x: width / 2 - fontBold.widthOfTextAtSize(companyName, 22) / 2, y: height - 70, size: 22, font: fontBold, color: darkBlue });
+  page.drawText(companyName, { x: width / 2 - fontBold.widthOfTextAtSize(companyName, 22) / 2, y: height - 70, size: 22, font: fontBold, color: ink });
 
   // Jurisdiction
   if (cert.jurisdiction) {
@@ -118,39 +194,39 @@ async function generateCertificatePdf(cert) {
   }
 
   // Certificate number and date
-  page.drawText(`Certificate No: ${cert.certificate_number}`, { x: width - 250, y: height - 70, size: 11, font: fontBold, color: gold });
+  page.drawText(`Certificate No: ${cert.certificate_number}`, { x: width - 250, y: height - 70, size: 11, font: fontBold, color: accent });
   page.drawText(`Date of Issue: ${cert.issue_date}`, { x: width - 250, y: height - 85, size: 10, font: fontRegular, color: gray });
 
   // Title
   const title = 'STOCK CERTIFICATE';
-  page.drawText(title, { x: width / 2 - fontBold.widthOfTextAtSize(title, 20) / 2, y: height - 145, size: 20, font: fontBold, color: gold });
+  page.drawText(title, { x: width / 2 - fontBold.widthOfTextAtSize(title, 20) / 2, y: height - 145, size: 20, font: fontBold, color: accent });
 
   // Body text
   const bodyY = height - 190;
-  page.drawText('This certifies that', { x: 80, y: bodyY, size: 13, font: fontRegular, color: darkBlue });
+  page.drawText('This certifies that', { x: 80, y: bodyY, size: 13, font: fontRegular, color: ink });
 
   // Shareholder name (large)
   const shareholderName = cert.shareholder_name || 'Shareholder Name';
-  page.drawText(shareholderName, { x: 80, y: bodyY - 30, size: 18, font: fontBold, color: darkBlue });
+  page.drawText(shareholderName, { x: 80, y: bodyY - 30, size: 18, font: fontBold, color: ink });
 
   // Line under name
   page.drawLine({ start: { x: 80, y: bodyY - 35 }, end: { x: 500, y: bodyY - 35 }, thickness: 0.5, color: gray });
 
-  page.drawText('is the registered owner of', { x: 80, y: bodyY - 55, size: 13, font: fontRegular, color: darkBlue });
+  page.drawText('is the registered owner of', { x: 80, y: bodyY - 55, size: 13, font: fontRegular, color: ink });
 
   // Shares
   const sharesNum = Number(cert.shares);
   const sharesText = `${sharesNum.toLocaleString()} (${numberToWords(sharesNum)})`;
-  page.drawText(sharesText, { x: 80, y: bodyY - 80, size: 14, font: fontBold, color: darkBlue });
-  page.drawText('shares', { x: 80 + fontBold.widthOfTextAtSize(sharesText, 14) + 5, y: bodyY - 80, size: 14, font: fontRegular, color: darkBlue });
+  page.drawText(sharesText, { x: 80, y: bodyY - 80, size: 14, font: fontBold, color: ink });
+  page.drawText('shares', { x: 80 + fontBold.widthOfTextAtSize(sharesText, 14) + 5, y: bodyY - 80, size: 14, font: fontRegular, color: ink });
 
   // Stock type
-  const stockLabel = cert.stock_series
-    ? `of ${cert.stock_type} Stock, Series ${cert.stock_series}`
-    : `of ${cert.stock_type} Stock`;
-  page.drawText(stockLabel, { x: 80, y: bodyY - 105, size: 13, font: fontRegular, color: darkBlue });
+  const stockClass = cert.stock_series
+    ? `${cert.stock_type} Stock, Series ${cert.stock_series}`
+    : `${cert.stock_type} Stock`;
+  page.drawText(`of ${stockClass}`, { x: 80, y: bodyY - 105, size: 13, font: fontRegular, color: ink });
 
-  page.drawText(`of ${companyName}.`, { x: 80, y: bodyY - 125, size: 13, font: fontRegular, color: darkBlue });
+  page.drawText(`of ${companyName}.`, { x: 80, y: bodyY - 125, size: 13, font: fontRegular, color: ink });
 
   // Shareholder address
   if (cert.shareholder_address) {
@@ -164,55 +240,281 @@ async function generateCertificatePdf(cert) {
     page.drawText(replNote, { x: 80, y: bodyY - 200, size: 10, font: fontItalic, color: rgb(0.7, 0.1, 0.1) });
   }
 
-  // Legend
-  const legendY = 110;
-  let legendText = 'The shares represented by this certificate are subject to restrictions on transfer as set forth in the corporation\'s governing documents and applicable law.';
-  if (cert.lost_certificate_number) {
-    legendText += ' This is a replacement certificate issued due to lost original. Transfer restrictions may apply.';
+  // Reverse side pages (legend overflow, stock power)
+  const backTop = height - 85;
+  let back = null;
+  let backY = 0;
+  const addBackPage = (heading) => {
+    back = pdfDoc.addPage([width, height]);
+    drawBorder(back);
+    back.drawText(heading, { x: width / 2 - fontBold.widthOfTextAtSize(heading, 12) / 2, y: height - 55, size: 12, font: fontBold, color: ink });
+    backY = backTop;
+  };
+
+  // Legends (the default one is left off once the restrictive legend has been removed)
+  const legendTexts = (cert.legends || []).map(l => l.text).filter(Boolean);
+  if (!legendTexts.length && cert.is_restricted !== false) legendTexts.push(DEFAULT_LEGEND);
+  if (legendTexts.length && cert.lost_certificate_number) legendTexts.push(LOST_REPLACEMENT_LEGEND);
+
+  if (legendTexts.length) {
+    const legendSize = 7;
+    const legendLeading = 8.5;
+    const legendWidth = width - 160;
+    // Paragraphs as wrapped lines, with a blank line between legends
+    const legendLines = [];
+    legendTexts.forEach((text, i) => {
+      if (i > 0) legendLines.push('');
+      legendLines.push(...wrapText(text, fontItalic, legendSize, legendWidth));
+    });
+
+    const frontTop = bodyY - 215;
+    const frontBottom = 100;
+    const frontCapacity = Math.floor((frontTop - frontBottom) / legendLeading) + 1;
+    const spills = legendLines.length > frontCapacity;
+    const frontLines = spills ? legendLines.slice(0, frontCapacity - 1) : legendLines;
+
+    let y = frontTop;
+    for (const line of frontLines) {
+      if (line) page.drawText(line, { x: 80, y, size: legendSize, font: fontItalic, color: gray });
+      y -= legendLeading;
+    }
+
+    if (spills) {
+      page.drawText('ADDITIONAL LEGENDS CONTINUED ON REVERSE SIDE', { x: 80, y, size: legendSize, font: fontBold, color: ink });
+
+      // Reverse side: as many pages as the remaining lines need
+      for (const line of legendLines.slice(frontCapacity - 1)) {
+        if (!back || backY < 50) addBackPage(`LEGENDS – Certificate No: ${cert.certificate_number}`);
+        if (line || backY !== backTop) {
+          if (line) back.drawText(line, { x: 80, y: backY, size: legendSize, font: fontItalic, color: gray });
+          backY -= legendLeading;
+        }
+      }
+    }
+  }
+
+  // Assignment / stock power form on the back, below any overflowing legends
+  // when they leave room for it
+  if (tpl.include_stock_power) {
+    if (!back || backY - 20 - STOCK_POWER_HEIGHT < 40) addBackPage(`ASSIGNMENT – Certificate No: ${cert.certificate_number}`);
+    else backY -= 20;
+
+    const lineWidth = width - 160;
+    const drawParagraph = (text, { size = 10, leading = 14, font = fontRegular, color = ink } = {}) => {
+      for (const line of wrapText(text, font, size, lineWidth)) {
+        back.drawText(line, { x: 80, y: backY, size, font, color });
+        backY -= leading;
+      }
+    };
+    const drawRule = (x, ruleWidth, label) => {
+      back.drawLine({ start: { x, y: backY }, end: { x: x + ruleWidth, y: backY }, thickness: 0.5, color: ink });
+      if (label) back.drawText(label, { x, y: backY - 10, size: 7, font: fontItalic, color: gray });
+    };
+
+    if (backY !== backTop) {
+      back.drawText('ASSIGNMENT', { x: width / 2 - fontBold.widthOfTextAtSize('ASSIGNMENT', 12) / 2, y: backY, size: 12, font: fontBold, color: ink });
+      backY -= 25;
+    }
+
+    drawParagraph('FOR VALUE RECEIVED, the undersigned hereby sells, assigns and transfers unto');
+    backY -= 14;
+    drawRule(80, 260, 'Please insert Social Security or other identifying number of assignee');
+    backY -= 34;
+    drawRule(80, lineWidth, 'Please print or typewrite name and address, including zip code, of assignee');
+    backY -= 26;
+    drawParagraph(`_______________ shares of the ${stockClass} of ${companyName} represented by the within Certificate No. ${cert.certificate_number}, and does hereby irrevocably constitute and appoint ______________________________ attorney to transfer the said shares on the books of the within-named corporation with full power of substitution in the premises.`);
+    backY -= 26;
+    back.drawText('Dated:', { x: 80, y: backY + 3, size: 10, font: fontRegular, color: ink });
+    drawRule(115, 130);
+    drawRule(width - 380, 300, 'Signature');
+    backY -= 38;
+    drawRule(width - 380, 300, 'Signature Guaranteed');
+    backY -= 26;
+    drawParagraph('NOTICE: The signature to this assignment must correspond with the name as written upon the face of the certificate in every particular, without alteration or enlargement or any change whatever.', { size: 8, leading: 10, font: fontItalic, color: gray });
   }
-  page.drawText(legendText, { x: 80, y: legendY, size: 8, font: fontItalic, color: gray, maxWidth: width - 160 });
 
   // Signature lines
   const sigY = 75;
   const leftX = 100;
   const rightX = width - 350;
 
-  page.drawLine({ start: { x: leftX, y: sigY }, end: { x: leftX + 200, y: sigY }, thickness: 1, color: darkBlue });
-  page.drawText(cert.signed_by_name || '________________________', { x: leftX, y: sigY - 15, size: 10, font: fontRegular, color: darkBlue });
-  page.drawText(cert.signed_by_title || 'Authorized Officer', { x: leftX, y: sigY - 28, size: 9, font: fontItalic, color: gray });
-
-  page.drawLine({ start: { x: rightX, y: sigY }, end: { x: rightX + 200, y: sigY }, thickness: 1, color: darkBlue });
-  page.drawText(cert.countersigned_by_name || '________________________', { x: rightX, y: sigY - 15, size: 10, font: fontRegular, color: darkBlue });
-  page.drawText(cert.countersigned_by_title || 'Secretary', { x: rightX, y: sigY - 28, size: 9, font: fontItalic, color: gray });
-
-  // Corporate seal placeholder
+  // Facsimile signatures sit on the line, scaled into a 200 x 40 box
+  const drawSignature = async (img, x) => {
+    const signature = await embedImage(img);
+    if (!signature) return;
+    const dims = signature.scale(Math.min(200 / signature.width, 40 / signature.height, 1));
+    page.drawImage(signature, { x, y: sigY + 2, width: dims.width, height: dims.height });
+  };
+  await drawSignature(cert.signature_image, leftX);
+  await drawSignature(cert.countersignature_image, rightX);
+
+  page.drawLine({ start: { x: leftX, y: sigY }, end: { x: leftX + 200, y: sigY }, thickness: 1, color: ink });
+  page.drawText(cert.signed_by_name || '________________________', { x: leftX, y: sigY - 15, size: 10, font: fontRegular, color: ink });
+  page.drawText(cert.signed_by_title || tpl.signer_title, { x: leftX, y: sigY - 28, size: 9, font: fontItalic, color: gray });
+
+  page.drawLine({ start: { x: rightX, y: sigY }, end: { x: rightX + 200, y: sigY }, thickness: 1, color: ink });
+  page.drawText(cert.countersigned_by_name || '________________________', { x: rightX, y: sigY - 15, size: 10, font: fontRegular, color: ink });
+  page.drawText(cert.countersigned_by_title || tpl.countersigner_title, { x: rightX, y: sigY - 28, size: 9, font: fontItalic, color: gray });
+
+  // Corporate seal: the template's image, else a placeholder
   const sealX = width / 2 - 25;
-  page.drawCircle({ x: sealX, y: 65, size: 25, borderColor: gold, borderWidth: 1.5, opacity: 0 });
-  page.drawText('SEAL', { x: sealX - 12, y: 61, size: 8, font: fontBold, color: gold });
+  const seal = await embedImage(tpl.seal_image);
+  if (seal) {
+    const dims = seal.scale(Math.min(70 / seal.width, 70 / seal.height, 1));
+    page.drawImage(seal, { x: sealX - dims.width / 2, y: 65 - dims.height / 2, width: dims.width, height: dims.height });
+  } else {
+    page.drawCircle({ x: sealX, y: 65, size: 25, borderColor: accent, borderWidth: 1.5, opacity: 0 });
+    page.drawText('SEAL', { x: sealX - 12, y: 61, size: 8, font: fontBold, color: accent });
+  }
 
   const pdfBytes = await pdfDoc.save();
   return Buffer.from(pdfBytes);
 }
 
 /**
- * Upload PDF to Supabase Storage via service_role
+ * Upload PDF to Supabase Storage via service_role. Failures are logged, not thrown.
  */
 async function uploadPdfToStorage(filePath, pdfBuffer) {
-  const url = `${SUPABASE_URL}/storage/v1/object/aegisiq-storage/${filePath}`;
-  const res = await fetch(url, {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${SUPABASE_SERVICE_ROLE_KEY}`,
-      'Content-Type': 'application/pdf',
-      'x-upsert': 'true',
-    },
-    body: pdfBuffer,
+  try {
+    await uploadStorageObject(filePath, pdfBuffer, 'application/pdf');
+  } catch (err) {
+    console.error('PDF upload failed:', err.message);
+  }
+}
+
+/**
+ * Insert a certificate row using the caller's transaction client.
+ * Unlike autoGenerateCertificate, failures are thrown so the surrounding
+ * transaction rolls back. No PDF is rendered here - call
+ * storeCertificatePdf(cert.id) once the transaction has committed.
+ * Restricted/control flags and the Rule 144 holding period are inherited from
+ * sourceCertificateId unless params.restriction (see inheritRestriction) is given.
+ * Signed by params.signedByOfficerId / countersignedByOfficerId, else the
+ * entity's default signatories; an officer out of term on the issue date
+ * throws ERR_OFFICER_TERM (see resolveCertificateSigners). A certificate
+ * replacing sourceCertificateId falls back to that certificate's signers
+ * instead of failing on an out-of-term default.
+ * @param {object} client - pg Client from withTransaction callback
+ * @param {Object} params - same as autoGenerateCertificate
+ * @returns {Object} inserted stock_certificates row
+ */
+async function autoGenerateCertificateWithClient(client, {
+  entityId, shareholderId, shareTransactionId,
+  entityStockTypeId, entityStockSeriesId,
+  shares, issueDate, createdBy,
+  originalIssueDate, transferDate, sourceCertificateId,
+  restriction, signedByOfficerId, countersignedByOfficerId,
+}) {
+  const entRes = await client.query('SELECT name FROM entities WHERE id = $1', [entityId]);
+  if (!entRes.rows.length) throw new Error('Auto-cert: entity not found');
+
+  const stRes = await client.query('SELECT stock_type FROM entity_stock_types WHERE id = $1', [entityStockTypeId]);
+  if (!stRes.rows.length) throw new Error('Auto-cert: stock type not found');
+
+  const certNumber = await generateCertificateNumber(client, entityId, entRes.rows[0].name, abbrevStockType(stRes.rows[0].stock_type));
+
+  // Determine dates: original_issue_date preserves lineage, transfer_date marks ownership change
+  const effectiveOriginalDate = originalIssueDate || issueDate || null; // fallback to issue date for new issuances
+
+  const flags = restriction || await inheritRestriction(client, {
+    sourceCertificateIds: [sourceCertificateId], shareholderId, transferDate,
   });
 
-  if (!res.ok) {
-    const errText = await res.text();
-    console.error('PDF upload failed:', errText);
+  let sourceSigners = null;
+  if (sourceCertificateId) {
+    const srcRes = await client.query(`
+      SELECT signed_by_officer_id, signed_by_name, signed_by_title,
+             countersigned_by_officer_id, countersigned_by_name, countersigned_by_title
+      FROM stock_certificates WHERE id = $1
+    `, [sourceCertificateId]);
+    sourceSigners = srcRes.rows[0] || null;
   }
+  const signers = signerColumns(await resolveCertificateSigners(client, {
+    entityId, issueDate, signedByOfficerId, countersignedByOfficerId, fallback: sourceSigners,
+  }), sourceSigners || {});
+
+  const insertRes = await client.query(`
+    INSERT INTO stock_certificates (
+      entity_id, shareholder_id, share_transaction_id,
+      entity_stock_type_id, entity_stock_series_id,
+      certificate_number, shares, issue_date, status,
+      original_issue_date, transfer_date, source_certificate_id,
+      is_restricted, is_control_security, holding_period_start,
+      signed_by_officer_id, signed_by_name, signed_by_title,
+      countersigned_by_officer_id, countersigned_by_name, countersigned_by_title,
+      created_by
+    ) VALUES ($1,$2,$3,$4,$5,$6,$7,COALESCE($8::date, CURRENT_DATE),'ISSUED',
+              COALESCE($9::date, COALESCE($8::date, CURRENT_DATE)), $10::date, $11,
+              $12, $13, COALESCE($14::date, $9::date, $8::date, CURRENT_DATE),
+              $15, $16, $17, $18, $19, $20,
+              $21)
+    RETURNING *
+  `, [
+    entityId, shareholderId, shareTransactionId,
+    entityStockTypeId, entityStockSeriesId || null,
+    certNumber, shares, issueDate || null,
+    effectiveOriginalDate, transferDate || null, sourceCertificateId || null,
+    flags.isRestricted, flags.isControlSecurity, flags.holdingPeriodStart,
+    signers.signed_by_officer_id, signers.signed_by_name, signers.signed_by_title,
+    signers.countersigned_by_officer_id, signers.countersigned_by_name, signers.countersigned_by_title,
+    createdBy,
+  ]);
+
+  if (sourceCertificateId) await copyCertificateLegends(client, sourceCertificateId, insertRes.rows[0].id);
+
+  return insertRes.rows[0];
+}
+
+/**
+ * Render a stored certificate to PDF, upload it and record pdf_path.
+ * Reads everything from the committed row, so call it after COMMIT.
+ * @param {number} certificateId
+ * @returns {string} storage path of the uploaded PDF
+ */
+async function storeCertificatePdf(certificateId) {
+  const certRes = await query(`
+    SELECT sc.*,
+           sh.full_name AS shareholder_name, sh.address AS sh_address, sh.city AS sh_city, sh.state AS sh_state, sh.zip_code AS sh_zip, sh.country AS sh_country,
+           e.name AS entity_name, e.address AS e_address, e.city AS e_city, e.state AS e_state, e.zip_code AS e_zip, e.country AS e_country,
+           est.display_name AS stock_type_name,
+           ess.series
+    FROM stock_certificates sc
+    JOIN shareholders sh ON sh.id = sc.shareholder_id
+    JOIN entities e ON e.id = sc.entity_id
+    JOIN entity_stock_types est ON est.id = sc.entity_stock_type_id
+    LEFT JOIN entity_stock_series ess ON ess.id = sc.entity_stock_series_id
+    WHERE sc.id = $1
+  `, [certificateId]);
+  if (!certRes.rows.length) throw new Error('Certificate not found');
+  const cert = certRes.rows[0];
+
+  const shAddress = [cert.sh_address, cert.sh_city, cert.sh_state, cert.sh_zip, cert.sh_country].filter(Boolean).join(', ');
+  const eAddress = [cert.e_address, cert.e_city, cert.e_state, cert.e_zip, cert.e_country].filter(Boolean).join(', ');
+
+  const pdfBuffer = await generateCertificatePdf({
+    entity_name: cert.entity_name,
+    entity_address: eAddress,
+    certificate_number: cert.certificate_number,
+    shareholder_name: cert.shareholder_name,
+    shareholder_address: shAddress,
+    shares: cert.shares,
+    stock_type: cert.stock_type_name,
+    stock_series: cert.series,
+    issue_date: cert.issue_date,
+    signed_by_name: cert.signed_by_name,
+    signed_by_title: cert.signed_by_title,
+    countersigned_by_name: cert.countersigned_by_name,
+    countersigned_by_title: cert.countersigned_by_title,
+    is_restricted: cert.is_restricted,
+    legends: await resolveCertificateLegends({ query }, cert),
+    template: await loadCertificateTemplate({ query }, cert),
+    ...(await loadCertificateSignatures({ query }, cert)),
+  });
+
+  const pdfPath = `certificates/${cert.entity_id}/${cert.certificate_number}.pdf`;
+  await uploadPdfToStorage(pdfPath, pdfBuffer);
+  await query('UPDATE stock_certificates SET pdf_path = $1 WHERE id = $2', [pdfPath, cert.id]);
+  return pdfPath;
 }
 
 /**
@@ -229,98 +531,196 @@ async function uploadPdfToStorage(filePath, pdfBuffer) {
  * @param {number} params.createdBy - user id
  * @returns {Object|null} certificate record or null on failure
  */
-async function autoGenerateCertificate({
-  entityId, shareholderId, shareTransactionId,
-  entityStockTypeId, entityStockSeriesId,
-  shares, issueDate, createdBy,
-  originalIssueDate, transferDate, sourceCertificateId,
-}) {
+async function autoGenerateCertificate(params) {
   try {
-    // Get entity info
-    const entRes = await query('SELECT name, address, city, state, zip_code, country FROM entities WHERE id = $1', [entityId]);
-    if (!entRes.rows.length) { console.error('Auto-cert: entity not found'); return null; }
-    const entity = entRes.rows[0];
-
-    // Get stock type info
-    const stRes = await query('SELECT id, stock_type, display_name FROM entity_stock_types WHERE id = $1', [entityStockTypeId]);
-    if (!stRes.rows.length) { console.error('Auto-cert: stock type not found'); return null; }
-    const stockType = stRes.rows[0];
-
-    // Get shareholder info
-    const shRes = await query('SELECT id, full_name, address, city, state, zip_code, country FROM shareholders WHERE id = $1', [shareholderId]);
-    if (!shRes.rows.length) { console.error('Auto-cert: shareholder not found'); return null; }
-    const shareholder = shRes.rows[0];
-
-    // Get series info
-    let seriesName = null;
-    if (entityStockSeriesId) {
-      const serRes = await query('SELECT series FROM entity_stock_series WHERE id = $1', [entityStockSeriesId]);
-      seriesName = serRes.rows[0]?.series || null;
-    }
-
-    // Use withTransaction for proper client-based transaction
-    const cert = await withTransaction(async (client) => {
-   
-      const certNumber = await generateCertificateNumber(client, entityId, entity.name, abbrevStockType(stockType.stock_type));
-
-      // Determine dates: original_issue_date preserves lineage, transfer_date marks ownership change
-      const effectiveOriginalDate = originalIssueDate || issueDate || null; // fallback to issue date for new issuances
-
-      const insertRes = await client.query(`
-        INSERT INTO stock_certificates (
-          entity_id, shareholder_id, share_transaction_id,
-          entity_stock_type_id, entity_stock_series_id,
-          certificate_number, shares, issue_date, status,
-          original_issue_date, transfer_date, source_certificate_id,
-          created_by
-        ) VALUES ($1,$2,$3,$4,$5,$6,$7,COALESCE($8::date, CURRENT_DATE),'ISSUED',
-                  COALESCE($9::date, COALESCE($8::date, CURRENT_DATE)), $10::date, $11,
-                  $12)
-        RETURNING *
-      `, [
-        entityId, shareholderId, shareTransactionId,
-        entityStockTypeId, entityStockSeriesId || null,
-        certNumber, shares, issueDate || null,
-        effectiveOriginalDate, transferDate || null, sourceCertificateId || null,
-        createdBy,
-      ]);
-
-      return insertRes.rows[0];
-    });
+    const cert = await withTransaction((client) => autoGenerateCertificateWithClient(client, params));
 
     // Generate and upload PDF (best-effort, non-blocking)
-    const shAddress = [shareholder.address, shareholder.city, shareholder.state, shareholder.zip_code, shareholder.country].filter(Boolean).join(', ');
-    const eAddress = [entity.address, entity.city, entity.state, entity.zip_code, entity.country].filter(Boolean).join(', ');
-
     try {
-      const pdfBuffer = await generateCertificatePdf({
-        entity_name: entity.name,
-        entity_address: eAddress,
-        certificate_number: cert.certificate_number,
-        shareholder_name: shareholder.full_name,
-        shareholder_address: shAddress,
-        shares,
-        stock_type: stockType.display_name,
-        stock_series: seriesName,
-        issue_date: cert.issue_date,
-      });
-
-      const pdfPath = `certificates/${entityId}/${cert.certificate_number}.pdf`;
-      await uploadPdfToStorage(pdfPath, pdfBuffer);
-      await query('UPDATE stock_certificates SET pdf_path = $1 WHERE id = $2', [pdfPath, cert.id]);
-      cert.pdf_path = pdfPath;
+      cert.pdf_path = await storeCertificatePdf(cert.id);
     } catch (pdfErr) {
       console.error('Auto-cert PDF generation error (non-fatal):', pdfErr.message);
     }
 
     return cert;
-  
   } catch (err) {
     console.error('Auto-cert error:', err.message);
     return null;
   }
 }
 
+/**
+ * Consume a holder's ISSUED certificates FIFO (oldest original issue first) on the
+ * caller's transaction client. Every touched certificate is cancelled and points
+ * at shareTransactionId via cancelled_by_transaction_id; a partially consumed
+ * certificate gets a remainder certificate back to the same holder that keeps its
+ * original_issue_date and is linked via replaced_by/source_certificate_id.
+ * Throws on failure so the caller's transaction rolls back.
+ * @param {object} client - pg Client from withTransaction callback
+ * @param {Object} params
+ * @param {number} params.shares - shares leaving the holding
+ * @param {string|Function} params.reason - cancelled_reason, or fn(allocation) => string
+ * @param {number|null} params.shareTransactionId - ledger row consuming the certificates;
+ *   the remainders hang off it
+ * @param {number|null} [params.preferShareTransactionId] - consume certificates issued
+ *   for this ledger row first (e.g. the restricted grant being forfeited), then FIFO
+ * @param {number[]} [params.excludeCertificateIds] - certificates frozen by a
+ *   stop-transfer order; left untouched
+ * @returns {{ allocations: Array, cancelled: Array, remainders: Array }}
+ */
+async function consumeCertificatesFifo(client, {
+  entityId, shareholderId, entityStockTypeId, entityStockSeriesId,
+  shares, reason, shareTransactionId, createdBy, preferShareTransactionId = null,
+  excludeCertificateIds = [],
+}) {
+  const params = [entityId, shareholderId, entityStockTypeId, preferShareTransactionId];
+  if (entityStockSeriesId) params.push(entityStockSeriesId);
+  const certsRes = await client.query(`
+    SELECT id, certificate_number, shares, original_issue_date, issue_date,
+           entity_stock_type_id, entity_stock_series_id, shareholder_id,
+           signed_by_name, signed_by_title, countersigned_by_name, countersigned_by_title
+    FROM stock_certificates
+    WHERE entity_id = $1 AND shareholder_id = $2 AND entity_stock_type_id = $3
+      ${entityStockSeriesId ? 'AND entity_stock_series_id = $5' : 'AND entity_stock_series_id IS NULL'}
+      AND status = 'ISSUED'
+    ORDER BY (share_transaction_id = $4::bigint) IS TRUE DESC,
+             COALESCE(original_issue_date, issue_date) ASC, id ASC
+    FOR UPDATE
+  `, params);
+
+  // FIFO allocation: determine which certs are fully/partially consumed
+  const allocations = [];
+  let remaining = Math.abs(parseFloat(shares));
+  for (const cert of certsRes.rows) {
+    if (remaining <= 0) break;
+    if (excludeCertificateIds.includes(cert.id)) continue;
+    const certShares = parseFloat(cert.shares);
+    const used = Math.min(certShares, remaining);
+    allocations.push({
+      cert,
+      usedShares: used,
+      remainderShares: certShares - used,
+      originalIssueDate: cert.original_issue_date || cert.issue_date,
+    });
+    remaining -= used;
+  }
+
+  const cancelled = [];
+  for (const alloc of allocations) {
+    await client.query(
+      `UPDATE stock_certificates SET status = 'CANCELLED', cancelled_at = NOW(), cancelled_reason = $1, cancelled_by_transaction_id = $2, updated_at = NOW() WHERE id = $3`,
+      [typeof reason === 'function' ? reason(alloc) : reason, shareTransactionId || null, alloc.cert.id]
+    );
+    cancelled.push(alloc.cert);
+  }
+
+  // Remainder certificates back to the holder (one per partially-consumed cert)
+  const remainders = [];
+  for (const alloc of allocations) {
+    if (alloc.remainderShares <= 0) continue;
+    const remainderCert = await autoGenerateCertificateWithClient(client, {
+      entityId,
+      shareholderId,
+      shareTransactionId,
+      entityStockTypeId,
+      entityStockSeriesId: entityStockSeriesId || null,
+      shares: alloc.remainderShares,
+      issueDate: null, // certificate_issue_date = today
+      createdBy,
+      originalIssueDate: alloc.originalIssueDate,
+      transferDate: null, // No transfer - same owner
+      sourceCertificateId: alloc.cert.id,
+    });
+    await client.query('UPDATE stock_certificates SET replaced_by_certificate_id = $1 WHERE id = $2', [remainderCert.id, alloc.cert.id]);
+    remainders.push({ cert: remainderCert, source: alloc.cert, shares: alloc.remainderShares, originalIssueDate: alloc.originalIssueDate });
+  }
+
+  return { allocations, cancelled, remainders };
+}
+
+/**
+ * Replace a holder's ISSUED certificates after a split, on the caller's
+ * transaction client. Every certificate for the class (or the given series)
+ * is cancelled and reissued for its share count times the split ratio,
+ * keeping its original_issue_date and linked via replaced_by/source_certificate_id.
+ * Per-certificate counts are rounded down; the rounding difference against the
+ * holder's post-split position goes on the newest certificate. A certificate
+ * whose post-split count is zero is cancelled without a replacement.
+ * Throws on failure so the caller's transaction rolls back.
+ * @param {object} client - pg Client from withTransaction callback
+ * @param {Object} params
+ * @param {number|null} params.entityStockSeriesId - null = every series of the class
+ * @param {number} params.ratio - new shares per old share
+ * @param {number} params.preSplitShares - holder's ledger position before the split
+ * @param {number} params.postSplitShares - holder's ledger position after the split
+ * @param {number|null} params.shareTransactionId - split adjustment row the replacements hang off
+ * @param {string} params.issueDate - effective date of the split
+ * @param {string|null} [params.batchId] - split batch, stamped on the cancelled
+ *   certificates so a reversal can restore them
+ * @returns {{ cancelled: Array, replacements: Array }}
+ */
+async function reissueCertificatesForSplit(client, {
+  entityId, shareholderId, entityStockTypeId, entityStockSeriesId,
+  ratio, preSplitShares, postSplitShares, shareTransactionId, issueDate, reason, createdBy,
+  batchId = null,
+}) {
+  const params = [entityId, shareholderId, entityStockTypeId];
+  if (entityStockSeriesId) params.push(entityStockSeriesId);
+  const certsRes = await client.query(`
+    SELECT id, certificate_number, shares, original_issue_date, issue_date,
+           entity_stock_type_id, entity_stock_series_id
+    FROM stock_certificates
+    WHERE entity_id = $1 AND shareholder_id = $2 AND entity_stock_type_id = $3
+      ${entityStockSeriesId ? 'AND entity_stock_series_id = $4' : ''}
+      AND status = 'ISSUED'
+    ORDER BY COALESCE(original_issue_date, issue_date) ASC, id ASC
+    FOR UPDATE
+  `, params);
+  if (!certsRes.rows.length) return { cancelled: [], replacements: [] };
+
+  // Snap to 6 dp before flooring so float noise doesn't drop a share
+  const scale = (n) => Math.floor(Math.round(n * ratio * 1e6) / 1e6);
+  const certified = certsRes.rows.reduce((sum, c) => sum + parseFloat(c.shares), 0);
+  // Fully certificated holdings carry the split rounding on their certificates;
+  // partly book-entry holdings only ever get the rounded-down certificated portion.
+  const certifiedAfter = certified >= preSplitShares
+    ? postSplitShares
+    : Math.min(scale(certified), postSplitShares);
+
+  const allocations = certsRes.rows.map(cert => ({ cert, shares: scale(parseFloat(cert.shares)) }));
+  const residual = certifiedAfter - allocations.reduce((sum, a) => sum + a.shares, 0);
+  allocations[allocations.length - 1].shares += Math.max(residual, 0);
+
+  const cancelled = [];
+  const replacements = [];
+  for (const alloc of allocations) {
+    await client.query(
+      `UPDATE stock_certificates SET status = 'CANCELLED', cancelled_at = NOW(), cancelled_reason = $1, cancelled_by_batch_id = $2, updated_at = NOW() WHERE id = $3`,
+      [reason, batchId, alloc.cert.id]
+    );
+    cancelled.push(alloc.cert);
+    if (alloc.shares <= 0) continue;
+
+    const replacement = await autoGenerateCertificateWithClient(client, {
+      entityId,
+      shareholderId,
+      shareTransactionId,
+      entityStockTypeId,
+      entityStockSeriesId: alloc.cert.entity_stock_series_id || null,
+      shares: alloc.shares,
+      issueDate,
+      createdBy,
+      originalIssueDate: alloc.cert.original_issue_date || alloc.cert.issue_date,
+      transferDate: null, // No transfer - same owner
+      sourceCertificateId: alloc.cert.id,
+    });
+    await client.query('UPDATE stock_certificates SET replaced_by_certificate_id = $1 WHERE id = $2', [replacement.id, alloc.cert.id]);
+    replacements.push({ cert: replacement, source: alloc.cert, shares: alloc.shares });
+  }
+
+  return { cancelled, replacements };
+}
+
 /**
  * Cancel all ISSUED certificates for a shareholder's specific stock type/series
  * Used during transfers to cancel sender's certificates
@@ -354,6 +754,43 @@ async function cancelCertificatesForHolding({
   return cancelled;
 }
 
+/**
+ * List certificates that were outstanding (ISSUED) on a given date.
+ * A certificate counts when it was issued on or before the date and had not yet
+ * been cancelled or replaced. If cancelled_at was never stamped, the issue_date
+ * of the certificate it was replaced by marks the end of its life.
+ * @param {Object} params
+ * @param {number} params.entityId
+ * @param {string} params.asOf - YYYY-MM-DD
+ * @param {number|null} [params.shareholderId] - restrict to one holder
+ * @returns {Array} certificate rows with shareholder / class / series labels
+ */
+async function getCertificatesIssuedAsOf({ entityId, asOf, shareholderId = null }) {
+  const res = await query(`
+    SELECT sc.id, sc.certificate_number, sc.shareholder_id, sh.full_name AS shareholder_name,
+           sc.entity_stock_type_id, est.display_name AS stock_type_name,
+           sc.entity_stock_series_id, ess.series,
+           sc.shares, sc.issue_date, sc.original_issue_date,
+           sc.status AS current_status, sc.cancelled_at,
+           sc.replaced_by_certificate_id, rc.certificate_number AS replaced_by_certificate_number
+    FROM stock_certificates sc
+    JOIN shareholders sh ON sh.id = sc.shareholder_id
+    JOIN entity_stock_types est ON est.id = sc.entity_stock_type_id
+    LEFT JOIN entity_stock_series ess ON ess.id = sc.entity_stock_series_id
+    LEFT JOIN stock_certificates rc ON rc.id = sc.replaced_by_certificate_id
+    WHERE sc.entity_id = $1
+      AND sc.issue_date <= $2::date
+      AND (
+        sc.status = 'ISSUED'
+        OR COALESCE(sc.cancelled_at::date, rc.issue_date) > $2::date
+      )
+      AND ($3::bigint IS NULL OR sc.shareholder_id = $3)
+    ORDER BY sh.full_name, COALESCE(sc.original_issue_date, sc.issue_date), sc.id
+  `, [entityId, asOf, shareholderId || null]);
+
+  return res.rows;
+}
+
 module.exports = {
   pad,
   abbrevStockType,
@@ -362,5 +799,10 @@ module.exports = {
   generateCertificatePdf,
   uploadPdfToStorage,
   autoGenerateCertificate,
+  autoGenerateCertificateWithClient,
+  storeCertificatePdf,
+  consumeCertificatesFifo,
+  reissueCertificatesForSplit,
   cancelCertificatesForHolding,
+  getCertificatesIssuedAsOf,
 };
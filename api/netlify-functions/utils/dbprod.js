@@ -216,7 +216,8 @@ async function initDb() {
             { table: 'entity_stock_types', col: 'dividend_rate', type: 'NUMERIC(10,4)' },
             { table: 'entity_stock_types', col: 'liquidation_preference', type: 'TEXT' },
             { table: 'entity_stock_types', col: 'has_voting_rights', type: 'BOOLEAN DEFAULT TRUE' },
-            { table: 'entity_stock_series', col: 'authorized_shares', type: 'NUMERIC(20,0)' }
+            { table: 'entity_stock_series', col: 'authorized_shares', type: 'NUMERIC(20,0)' },
+            { table: 'entity_stock_series', col: 'conversion_ratio', type: 'NUMERIC(20,6)' }
         ];
         for (const g of govCols) {
             await query(`
@@ -394,6 +395,704 @@ await query(`
         await query(`CREATE INDEX IF NOT EXISTS idx_cert_docs_replacement ON certificate_documents(replacement_certificate_id);`);
         console.log('✅ Certificate documents table ready');
 
+        // Vesting schedules (restricted stock attached to an ISSUANCE)
+        await query(`
+          CREATE TABLE IF NOT EXISTS vesting_schedules (
+            id SERIAL PRIMARY KEY,
+            entity_id INTEGER NOT NULL REFERENCES entities(id) ON DELETE CASCADE,
+            share_transaction_id INTEGER NOT NULL UNIQUE REFERENCES share_transactions(id) ON DELETE CASCADE,
+            shareholder_id INTEGER NOT NULL REFERENCES shareholders(id) ON DELETE CASCADE,
+            entity_stock_type_id INTEGER REFERENCES entity_stock_types(id) ON DELETE RESTRICT,
+            entity_stock_series_id INTEGER REFERENCES entity_stock_series(id) ON DELETE SET NULL,
+            total_shares NUMERIC(20,4) NOT NULL,
+            vesting_start_date DATE NOT NULL,
+            cliff_months INTEGER NOT NULL DEFAULT 0,
+            vesting_months INTEGER NOT NULL CHECK (vesting_months > 0),
+            frequency VARCHAR(20) NOT NULL DEFAULT 'MONTHLY' CHECK (frequency IN ('MONTHLY', 'QUARTERLY')),
+            acceleration_trigger VARCHAR(20) NOT NULL DEFAULT 'NONE' CHECK (acceleration_trigger IN ('NONE', 'SINGLE_TRIGGER', 'DOUBLE_TRIGGER')),
+            acceleration_percent NUMERIC(5,2) NOT NULL DEFAULT 100,
+            change_of_control_date DATE,
+            status VARCHAR(20) NOT NULL DEFAULT 'ACTIVE' CHECK (status IN ('ACTIVE', 'TERMINATED')),
+            termination_date DATE,
+            termination_type VARCHAR(30),
+            forfeited_shares NUMERIC(20,4),
+            forfeiture_transaction_id INTEGER REFERENCES share_transactions(id) ON DELETE SET NULL,
+            created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+          );
+        `);
+        await query(`CREATE INDEX IF NOT EXISTS idx_vesting_entity ON vesting_schedules(entity_id);`);
+        await query(`CREATE INDEX IF NOT EXISTS idx_vesting_shareholder ON vesting_schedules(shareholder_id);`);
+        console.log('✅ Vesting schedules table ready');
+
+        // Treasury stock & repurchases
+        // share_transactions.is_treasury: on a REPURCHASE the shares went into treasury
+        // (issued, not outstanding); on an ISSUANCE they came back out of treasury.
+        await query(`
+            DO $$ BEGIN
+                ALTER TABLE share_transactions ADD COLUMN is_treasury BOOLEAN NOT NULL DEFAULT FALSE;
+            EXCEPTION WHEN duplicate_column THEN NULL;
+            END $$;
+        `);
+        await query(`
+          DO $$ BEGIN
+            ALTER TABLE share_transactions DROP CONSTRAINT IF EXISTS share_transactions_transaction_type_check;
+            ALTER TABLE share_transactions ADD CONSTRAINT share_transactions_transaction_type_check
+              CHECK (transaction_type IN ('ISSUANCE', 'TRANSFER', 'CANCELLATION', 'FORFEITURE', 'CONVERSION',
+                                          'FORWARD_SPLIT', 'REVERSE_SPLIT', 'REPURCHASE'));
+            ALTER TABLE share_transactions DROP CONSTRAINT IF EXISTS share_transactions_check;
+            ALTER TABLE share_transactions ADD CONSTRAINT share_transactions_check
+              CHECK (
+                (transaction_type = 'ISSUANCE' AND from_shareholder_id IS NULL) OR
+                (transaction_type = 'TRANSFER' AND from_shareholder_id IS NOT NULL AND to_shareholder_id IS NOT NULL) OR
+                (transaction_type IN ('CANCELLATION', 'FORFEITURE', 'CONVERSION', 'FORWARD_SPLIT', 'REVERSE_SPLIT', 'REPURCHASE')
+                  AND to_shareholder_id IS NULL)
+              );
+          EXCEPTION WHEN others THEN NULL;
+          END $$;
+        `);
+        await query(`
+          CREATE TABLE IF NOT EXISTS share_repurchases (
+            id SERIAL PRIMARY KEY,
+            entity_id INTEGER NOT NULL REFERENCES entities(id) ON DELETE CASCADE,
+            share_transaction_id INTEGER NOT NULL UNIQUE REFERENCES share_transactions(id) ON DELETE CASCADE,
+            shareholder_id INTEGER NOT NULL REFERENCES shareholders(id) ON DELETE RESTRICT,
+            entity_stock_type_id INTEGER REFERENCES entity_stock_types(id) ON DELETE RESTRICT,
+            entity_stock_series_id INTEGER REFERENCES entity_stock_series(id) ON DELETE SET NULL,
+            shares NUMERIC(20,4) NOT NULL,
+            price_per_share NUMERIC(20,6) NOT NULL,
+            total_consideration NUMERIC(20,2) NOT NULL,
+            payment_date DATE,
+            disposition VARCHAR(20) NOT NULL CHECK (disposition IN ('TREASURY', 'RETIRED')),
+            notes TEXT,
+            created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+          );
+        `);
+        await query(`CREATE INDEX IF NOT EXISTS idx_repurchases_entity ON share_repurchases(entity_id);`);
+        console.log('✅ Treasury stock / repurchases ready');
+
+        // Equity plans: option pools, option / warrant grants and their events.
+        // A pool's reserved_shares count against the class (or series) authorized limit
+        // until exercised out of it; exercises land in share_transactions as ISSUANCE rows.
+        await query(`
+          CREATE TABLE IF NOT EXISTS equity_plan_pools (
+            id SERIAL PRIMARY KEY,
+            entity_id INTEGER NOT NULL REFERENCES entities(id) ON DELETE CASCADE,
+            entity_stock_type_id INTEGER NOT NULL REFERENCES entity_stock_types(id) ON DELETE RESTRICT,
+            entity_stock_series_id INTEGER REFERENCES entity_stock_series(id) ON DELETE SET NULL,
+            name VARCHAR(255) NOT NULL,
+            reserved_shares NUMERIC(20,4) NOT NULL CHECK (reserved_shares >= 0),
+            board_approval_date DATE,
+            notes TEXT,
+            is_active BOOLEAN NOT NULL DEFAULT TRUE,
+            created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+          );
+        `);
+        await query(`CREATE INDEX IF NOT EXISTS idx_pools_entity ON equity_plan_pools(entity_id);`);
+        await query(`
+          CREATE TABLE IF NOT EXISTS equity_grants (
+            id SERIAL PRIMARY KEY,
+            entity_id INTEGER NOT NULL REFERENCES entities(id) ON DELETE CASCADE,
+            pool_id INTEGER REFERENCES equity_plan_pools(id) ON DELETE RESTRICT,
+            shareholder_id INTEGER NOT NULL REFERENCES shareholders(id) ON DELETE RESTRICT,
+            grant_type VARCHAR(20) NOT NULL CHECK (grant_type IN ('OPTION', 'WARRANT')),
+            option_type VARCHAR(10) CHECK (option_type IN ('ISO', 'NSO')),
+            entity_stock_type_id INTEGER NOT NULL REFERENCES entity_stock_types(id) ON DELETE RESTRICT,
+            entity_stock_series_id INTEGER REFERENCES entity_stock_series(id) ON DELETE SET NULL,
+            shares_granted NUMERIC(20,4) NOT NULL CHECK (shares_granted > 0),
+            exercised_shares NUMERIC(20,4) NOT NULL DEFAULT 0,
+            cancelled_shares NUMERIC(20,4) NOT NULL DEFAULT 0,
+            strike_price NUMERIC(20,6) NOT NULL CHECK (strike_price >= 0),
+            grant_date DATE NOT NULL,
+            expiration_date DATE,
+            vesting_start_date DATE,
+            cliff_months INTEGER,
+            vesting_months INTEGER,
+            frequency VARCHAR(20) CHECK (frequency IN ('MONTHLY', 'QUARTERLY')),
+            acceleration_trigger VARCHAR(20) NOT NULL DEFAULT 'NONE' CHECK (acceleration_trigger IN ('NONE', 'SINGLE_TRIGGER', 'DOUBLE_TRIGGER')),
+            acceleration_percent NUMERIC(5,2) NOT NULL DEFAULT 100,
+            status VARCHAR(20) NOT NULL DEFAULT 'ACTIVE' CHECK (status IN ('ACTIVE', 'EXERCISED', 'CANCELLED')),
+            notes TEXT,
+            created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            CHECK (grant_type = 'OPTION' OR option_type IS NULL),
+            CHECK (exercised_shares + cancelled_shares <= shares_granted)
+          );
+        `);
+        await query(`CREATE INDEX IF NOT EXISTS idx_grants_entity ON equity_grants(entity_id);`);
+        await query(`CREATE INDEX IF NOT EXISTS idx_grants_shareholder ON equity_grants(shareholder_id);`);
+        await query(`CREATE INDEX IF NOT EXISTS idx_grants_pool ON equity_grants(pool_id);`);
+        await query(`
+          CREATE TABLE IF NOT EXISTS equity_grant_events (
+            id SERIAL PRIMARY KEY,
+            entity_id INTEGER NOT NULL REFERENCES entities(id) ON DELETE CASCADE,
+            grant_id INTEGER NOT NULL REFERENCES equity_grants(id) ON DELETE CASCADE,
+            event_type VARCHAR(20) NOT NULL CHECK (event_type IN ('GRANT', 'EXERCISE', 'CANCELLATION')),
+            event_date DATE NOT NULL,
+            shares NUMERIC(20,4) NOT NULL,
+            price_per_share NUMERIC(20,6),
+            total_consideration NUMERIC(20,2),
+            reason VARCHAR(30),
+            share_transaction_id INTEGER REFERENCES share_transactions(id) ON DELETE SET NULL,
+            notes TEXT,
+            created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+          );
+        `);
+        await query(`CREATE INDEX IF NOT EXISTS idx_grant_events_grant ON equity_grant_events(grant_id);`);
+        console.log('✅ Equity plan pools / grants ready');
+
+        // Convertible instruments (SAFEs / convertible notes). Converted at a priced
+        // round into ISSUANCE rows of the round's series; share_transaction_id links
+        // each instrument to the issuance it converted into.
+        await query(`
+          CREATE TABLE IF NOT EXISTS convertible_instruments (
+            id SERIAL PRIMARY KEY,
+            entity_id INTEGER NOT NULL REFERENCES entities(id) ON DELETE CASCADE,
+            shareholder_id INTEGER NOT NULL REFERENCES shareholders(id) ON DELETE RESTRICT,
+            instrument_type VARCHAR(20) NOT NULL CHECK (instrument_type IN ('SAFE', 'CONVERTIBLE_NOTE')),
+            principal NUMERIC(20,2) NOT NULL CHECK (principal > 0),
+            interest_rate NUMERIC(7,4) NOT NULL DEFAULT 0,
+            valuation_cap NUMERIC(20,2),
+            discount_percent NUMERIC(5,2) NOT NULL DEFAULT 0 CHECK (discount_percent >= 0 AND discount_percent < 100),
+            is_mfn BOOLEAN NOT NULL DEFAULT FALSE,
+            issue_date DATE NOT NULL,
+            maturity_date DATE,
+            status VARCHAR(20) NOT NULL DEFAULT 'OUTSTANDING' CHECK (status IN ('OUTSTANDING', 'CONVERTED', 'CANCELLED')),
+            conversion_date DATE,
+            conversion_amount NUMERIC(20,2),
+            conversion_price NUMERIC(20,6),
+            conversion_shares NUMERIC(20,4),
+            share_transaction_id INTEGER REFERENCES share_transactions(id) ON DELETE SET NULL,
+            converted_entity_stock_series_id INTEGER REFERENCES entity_stock_series(id) ON DELETE SET NULL,
+            notes TEXT,
+            created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+          );
+        `);
+        await query(`CREATE INDEX IF NOT EXISTS idx_instruments_entity ON convertible_instruments(entity_id);`);
+        await query(`CREATE INDEX IF NOT EXISTS idx_instruments_shareholder ON convertible_instruments(shareholder_id);`);
+        console.log('✅ Convertible instruments table ready');
+
+        // Cash dividends: a declaration per class (or series) and the per-holder
+        // payment register snapshotted from share_transactions at the record date.
+        // Shareholders carry optional bank details / withholding for distribution.
+        const payCols = [
+            { col: 'withholding_rate', type: 'NUMERIC(5,2)' },
+            { col: 'bank_routing_number', type: 'VARCHAR(9)' },
+            { col: 'bank_account_number', type: 'VARCHAR(17)' },
+            { col: 'bank_account_type', type: "VARCHAR(10) CHECK (bank_account_type IN ('CHECKING', 'SAVINGS'))" },
+        ];
+        for (const c of payCols) {
+            await query(`
+                DO $$ BEGIN
+                    ALTER TABLE shareholders ADD COLUMN ${c.col} ${c.type};
+                EXCEPTION WHEN duplicate_column THEN NULL;
+                END $$;
+            `);
+        }
+        await query(`
+          CREATE TABLE IF NOT EXISTS dividend_declarations (
+            id SERIAL PRIMARY KEY,
+            entity_id INTEGER NOT NULL REFERENCES entities(id) ON DELETE CASCADE,
+            entity_stock_type_id INTEGER NOT NULL REFERENCES entity_stock_types(id) ON DELETE RESTRICT,
+            entity_stock_series_id INTEGER REFERENCES entity_stock_series(id) ON DELETE SET NULL,
+            declaration_date DATE NOT NULL,
+            record_date DATE NOT NULL,
+            payment_date DATE NOT NULL,
+            amount_type VARCHAR(20) NOT NULL CHECK (amount_type IN ('PER_SHARE', 'PERCENT_OF_PAR')),
+            amount NUMERIC(20,6) NOT NULL,
+            amount_per_share NUMERIC(20,6) NOT NULL,
+            withholding_rate NUMERIC(5,2) NOT NULL DEFAULT 0,
+            backup_withholding_rate NUMERIC(5,2) NOT NULL DEFAULT 0,
+            total_shares NUMERIC(20,4) NOT NULL DEFAULT 0,
+            total_gross NUMERIC(20,2) NOT NULL DEFAULT 0,
+            total_withholding NUMERIC(20,2) NOT NULL DEFAULT 0,
+            total_net NUMERIC(20,2) NOT NULL DEFAULT 0,
+            status VARCHAR(20) NOT NULL DEFAULT 'DECLARED' CHECK (status IN ('DECLARED', 'PAID')),
+            paid_at TIMESTAMP,
+            notes TEXT,
+            created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            CHECK (record_date >= declaration_date AND payment_date >= record_date)
+          );
+        `);
+        await query(`CREATE INDEX IF NOT EXISTS idx_dividends_entity ON dividend_declarations(entity_id);`);
+        await query(`
+          CREATE TABLE IF NOT EXISTS dividend_payments (
+            id SERIAL PRIMARY KEY,
+            declaration_id INTEGER NOT NULL REFERENCES dividend_declarations(id) ON DELETE CASCADE,
+            entity_id INTEGER NOT NULL REFERENCES entities(id) ON DELETE CASCADE,
+            shareholder_id INTEGER NOT NULL REFERENCES shareholders(id) ON DELETE RESTRICT,
+            shares NUMERIC(20,4) NOT NULL,
+            gross_amount NUMERIC(20,2) NOT NULL,
+            withholding_rate NUMERIC(5,2) NOT NULL DEFAULT 0,
+            withholding_amount NUMERIC(20,2) NOT NULL DEFAULT 0,
+            net_amount NUMERIC(20,2) NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (declaration_id, shareholder_id)
+          );
+        `);
+        await query(`CREATE INDEX IF NOT EXISTS idx_dividend_payments_decl ON dividend_payments(declaration_id);`);
+        console.log('✅ Dividend tables ready');
+
+        // Stock dividends (paid in shares) and per-holder allocations
+        await query(`
+          CREATE TABLE IF NOT EXISTS stock_dividends (
+            id SERIAL PRIMARY KEY,
+            entity_id INTEGER NOT NULL REFERENCES entities(id) ON DELETE CASCADE,
+            entity_stock_type_id INTEGER NOT NULL REFERENCES entity_stock_types(id) ON DELETE RESTRICT,
+            entity_stock_series_id INTEGER REFERENCES entity_stock_series(id) ON DELETE SET NULL,
+            target_entity_stock_type_id INTEGER NOT NULL REFERENCES entity_stock_types(id) ON DELETE RESTRICT,
+            target_entity_stock_series_id INTEGER REFERENCES entity_stock_series(id) ON DELETE SET NULL,
+            shares_per NUMERIC(20,6) NOT NULL CHECK (shares_per > 0),
+            per_shares NUMERIC(20,6) NOT NULL CHECK (per_shares > 0),
+            rounding VARCHAR(20) NOT NULL CHECK (rounding IN ('ROUND_DOWN', 'ROUND_UP', 'ROUND_NEAREST', 'CASH_IN_LIEU')),
+            cash_in_lieu_price NUMERIC(20,6),
+            record_date DATE NOT NULL,
+            effective_date DATE NOT NULL,
+            total_shares_held NUMERIC(20,4) NOT NULL DEFAULT 0,
+            total_shares_issued NUMERIC(20,4) NOT NULL DEFAULT 0,
+            total_cash_in_lieu NUMERIC(20,2) NOT NULL DEFAULT 0,
+            notes TEXT,
+            created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            CHECK (record_date <= effective_date)
+          );
+        `);
+        await query(`CREATE INDEX IF NOT EXISTS idx_stock_dividends_entity ON stock_dividends(entity_id);`);
+        await query(`
+          CREATE TABLE IF NOT EXISTS stock_dividend_allocations (
+            id SERIAL PRIMARY KEY,
+            stock_dividend_id INTEGER NOT NULL REFERENCES stock_dividends(id) ON DELETE CASCADE,
+            shareholder_id INTEGER NOT NULL REFERENCES shareholders(id) ON DELETE RESTRICT,
+            shares_held NUMERIC(20,4) NOT NULL,
+            entitlement NUMERIC(20,6) NOT NULL,
+            shares_issued NUMERIC(20,4) NOT NULL DEFAULT 0,
+            fractional_shares NUMERIC(20,6) NOT NULL DEFAULT 0,
+            cash_in_lieu_amount NUMERIC(20,2) NOT NULL DEFAULT 0,
+            share_transaction_id INTEGER REFERENCES share_transactions(id) ON DELETE SET NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (stock_dividend_id, shareholder_id)
+          );
+        `);
+        await query(`CREATE INDEX IF NOT EXISTS idx_stock_dividend_alloc_div ON stock_dividend_allocations(stock_dividend_id);`);
+        console.log('✅ Stock dividend tables ready');
+
+        // Stock splits and cash paid in lieu of fractional shares
+        await query(`
+          CREATE TABLE IF NOT EXISTS stock_splits (
+            id SERIAL PRIMARY KEY,
+            entity_id INTEGER NOT NULL REFERENCES entities(id) ON DELETE CASCADE,
+            entity_stock_type_id INTEGER NOT NULL REFERENCES entity_stock_types(id) ON DELETE RESTRICT,
+            entity_stock_series_id INTEGER REFERENCES entity_stock_series(id) ON DELETE SET NULL,
+            split_type VARCHAR(20) NOT NULL CHECK (split_type IN ('FORWARD_SPLIT', 'REVERSE_SPLIT')),
+            old_shares INTEGER NOT NULL CHECK (old_shares > 0),
+            new_shares INTEGER NOT NULL CHECK (new_shares > 0),
+            rounding VARCHAR(20) NOT NULL CHECK (rounding IN ('ROUND_DOWN', 'ROUND_UP', 'ROUND_NEAREST', 'CASH_IN_LIEU')),
+            cash_in_lieu_price NUMERIC(20,6),
+            effective_date DATE NOT NULL,
+            total_outstanding_before NUMERIC(20,4) NOT NULL DEFAULT 0,
+            total_outstanding_after NUMERIC(20,4) NOT NULL DEFAULT 0,
+            total_cash_in_lieu NUMERIC(20,2) NOT NULL DEFAULT 0,
+            notes TEXT,
+            created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+          );
+        `);
+        await query(`CREATE INDEX IF NOT EXISTS idx_stock_splits_entity ON stock_splits(entity_id);`);
+        await query(`
+          CREATE TABLE IF NOT EXISTS split_cash_in_lieu (
+            id SERIAL PRIMARY KEY,
+            split_id INTEGER NOT NULL REFERENCES stock_splits(id) ON DELETE CASCADE,
+            entity_id INTEGER NOT NULL REFERENCES entities(id) ON DELETE CASCADE,
+            shareholder_id INTEGER NOT NULL REFERENCES shareholders(id) ON DELETE RESTRICT,
+            share_transaction_id INTEGER REFERENCES share_transactions(id) ON DELETE SET NULL,
+            pre_split_shares NUMERIC(20,4) NOT NULL,
+            post_split_shares NUMERIC(20,4) NOT NULL,
+            fractional_shares NUMERIC(20,6) NOT NULL,
+            price_per_share NUMERIC(20,6) NOT NULL,
+            amount NUMERIC(20,2) NOT NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (split_id, shareholder_id)
+          );
+        `);
+        await query(`CREATE INDEX IF NOT EXISTS idx_split_cil_split ON split_cash_in_lieu(split_id);`);
+        console.log('✅ Stock split tables ready');
+
+        // Corporate action batches: every ledger row posted by one split shares a batch id,
+        // so the action can be reversed as a unit. Reversing rows point back at the row they offset,
+        // and certificates consumed by a movement point at the ledger row that consumed them.
+        const batchCols = [
+            { table: 'share_transactions', col: 'corporate_action_batch_id', type: 'UUID' },
+            { table: 'share_transactions', col: 'transfer_batch_id', type: 'UUID' },
+            { table: 'share_transactions', col: 'reversal_of_transaction_id', type: 'INTEGER REFERENCES share_transactions(id) ON DELETE SET NULL' },
+            { table: 'stock_certificates', col: 'cancelled_by_batch_id', type: 'UUID' },
+            { table: 'stock_certificates', col: 'cancelled_by_transaction_id', type: 'INTEGER REFERENCES share_transactions(id) ON DELETE SET NULL' },
+            { table: 'stock_splits', col: 'batch_id', type: 'UUID' },
+            { table: 'stock_splits', col: 'reversal_batch_id', type: 'UUID' },
+            { table: 'stock_splits', col: 'reversal_date', type: 'DATE' },
+            { table: 'stock_splits', col: 'reversal_reason', type: 'TEXT' },
+            { table: 'stock_splits', col: 'reversed_at', type: 'TIMESTAMP' },
+            { table: 'stock_splits', col: 'reversed_by', type: 'INTEGER REFERENCES users(id) ON DELETE SET NULL' },
+        ];
+        for (const bc of batchCols) {
+            await query(`
+                DO $$ BEGIN
+                    ALTER TABLE ${bc.table} ADD COLUMN ${bc.col} ${bc.type};
+                EXCEPTION WHEN duplicate_column THEN NULL;
+                END $$;
+            `);
+        }
+        await query(`CREATE INDEX IF NOT EXISTS idx_share_tx_batch ON share_transactions(corporate_action_batch_id);`);
+        await query(`CREATE INDEX IF NOT EXISTS idx_share_tx_transfer_batch ON share_transactions(transfer_batch_id);`);
+        await query(`CREATE INDEX IF NOT EXISTS idx_share_tx_reversal_of ON share_transactions(reversal_of_transaction_id);`);
+        await query(`CREATE INDEX IF NOT EXISTS idx_cert_cancelled_batch ON stock_certificates(cancelled_by_batch_id);`);
+        await query(`CREATE INDEX IF NOT EXISTS idx_cert_cancelled_tx ON stock_certificates(cancelled_by_transaction_id);`);
+        await query(`CREATE UNIQUE INDEX IF NOT EXISTS idx_stock_splits_batch ON stock_splits(batch_id);`);
+        console.log('✅ Corporate action batch columns ensured');
+
+        // Maker-checker: per-entity approval policies and the pending-transaction queue
+        await query(`
+          CREATE TABLE IF NOT EXISTS approval_policies (
+            id SERIAL PRIMARY KEY,
+            entity_id INTEGER NOT NULL REFERENCES entities(id) ON DELETE CASCADE,
+            action_type VARCHAR(20) NOT NULL CHECK (action_type IN ('ISSUE', 'TRANSFER', 'CANCEL', 'SPLIT')),
+            is_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+            threshold_shares NUMERIC(20,4) CHECK (threshold_shares IS NULL OR threshold_shares >= 0),
+            updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE (entity_id, action_type)
+          );
+        `);
+        await query(`
+          CREATE TABLE IF NOT EXISTS pending_transactions (
+            id SERIAL PRIMARY KEY,
+            entity_id INTEGER NOT NULL REFERENCES entities(id) ON DELETE CASCADE,
+            action VARCHAR(50) NOT NULL,
+            action_type VARCHAR(20) NOT NULL CHECK (action_type IN ('ISSUE', 'TRANSFER', 'CANCEL', 'SPLIT')),
+            shares NUMERIC(20,4),
+            summary TEXT,
+            payload JSONB NOT NULL,
+            status VARCHAR(20) NOT NULL DEFAULT 'PENDING'
+              CHECK (status IN ('PENDING', 'PROCESSING', 'APPROVED', 'REJECTED', 'FAILED')),
+            requested_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+            requested_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            reviewed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+            reviewed_at TIMESTAMP,
+            review_notes TEXT,
+            result JSONB,
+            error_message TEXT,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+          );
+        `);
+        await query(`CREATE INDEX IF NOT EXISTS idx_pending_tx_entity_status ON pending_transactions(entity_id, status);`);
+        console.log('✅ Approval policies and pending transactions tables ready');
+
+        // Transfer restrictions: lockups, ROFR windows, board consent and blocked transferee types
+        await query(`
+          CREATE TABLE IF NOT EXISTS transfer_restrictions (
+            id SERIAL PRIMARY KEY,
+            entity_id INTEGER NOT NULL REFERENCES entities(id) ON DELETE CASCADE,
+            entity_stock_type_id INTEGER REFERENCES entity_stock_types(id) ON DELETE CASCADE,
+            entity_stock_series_id INTEGER REFERENCES entity_stock_series(id) ON DELETE CASCADE,
+            shareholder_id INTEGER REFERENCES shareholders(id) ON DELETE CASCADE,
+            restriction_type VARCHAR(30) NOT NULL
+              CHECK (restriction_type IN ('LOCKUP', 'ROFR', 'BOARD_CONSENT', 'BLOCKED_TRANSFEREE_TYPE')),
+            lockup_end_date DATE,
+            rofr_days INTEGER CHECK (rofr_days IS NULL OR rofr_days > 0),
+            blocked_transferee_types TEXT[],
+            description TEXT,
+            is_active BOOLEAN NOT NULL DEFAULT TRUE,
+            created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            CHECK (restriction_type <> 'LOCKUP' OR lockup_end_date IS NOT NULL),
+            CHECK (restriction_type <> 'ROFR' OR rofr_days IS NOT NULL),
+            CHECK (restriction_type <> 'BLOCKED_TRANSFEREE_TYPE' OR cardinality(blocked_transferee_types) > 0)
+          );
+        `);
+        await query(`CREATE INDEX IF NOT EXISTS idx_transfer_restrictions_entity ON transfer_restrictions(entity_id, is_active);`);
+        await query(`
+          DO $$ BEGIN
+            ALTER TABLE pending_transactions ADD COLUMN hold_reason VARCHAR(20) NOT NULL DEFAULT 'POLICY';
+          EXCEPTION WHEN duplicate_column THEN NULL;
+          END $$;
+        `);
+        // Requester's IP, so audit rows written when the request is approved carry it
+        await query(`
+          DO $$ BEGIN
+            ALTER TABLE pending_transactions ADD COLUMN requested_ip VARCHAR(50);
+          EXCEPTION WHEN duplicate_column THEN NULL;
+          END $$;
+        `);
+        // SUPERSEDED: on approval the replayed request was held again (e.g. a board-consent
+        // restriction added since) and superseded_by_id points at the new request
+        await query(`
+          DO $$ BEGIN
+            ALTER TABLE pending_transactions ADD COLUMN superseded_by_id INTEGER REFERENCES pending_transactions(id) ON DELETE SET NULL;
+          EXCEPTION WHEN duplicate_column THEN NULL;
+          END $$;
+        `);
+        await query(`
+          DO $$ BEGIN
+            ALTER TABLE pending_transactions DROP CONSTRAINT IF EXISTS pending_transactions_status_check;
+            ALTER TABLE pending_transactions ADD CONSTRAINT pending_transactions_status_check
+              CHECK (status IN ('PENDING', 'PROCESSING', 'APPROVED', 'REJECTED', 'FAILED', 'SUPERSEDED'));
+          EXCEPTION WHEN others THEN NULL;
+          END $$;
+        `);
+        console.log('✅ Transfer restrictions table ready');
+
+        // Stop-transfer orders: freeze a shareholder, a holding (class, optionally
+        // series) or one certificate until released or expired
+        await query(`
+          CREATE TABLE IF NOT EXISTS stop_transfer_orders (
+            id SERIAL PRIMARY KEY,
+            entity_id INTEGER NOT NULL REFERENCES entities(id) ON DELETE CASCADE,
+            scope VARCHAR(20) NOT NULL CHECK (scope IN ('SHAREHOLDER', 'HOLDING', 'CERTIFICATE')),
+            shareholder_id INTEGER NOT NULL REFERENCES shareholders(id) ON DELETE CASCADE,
+            entity_stock_type_id INTEGER REFERENCES entity_stock_types(id) ON DELETE CASCADE,
+            entity_stock_series_id INTEGER REFERENCES entity_stock_series(id) ON DELETE CASCADE,
+            certificate_id INTEGER REFERENCES stock_certificates(id) ON DELETE CASCADE,
+            reason_type VARCHAR(20) NOT NULL
+              CHECK (reason_type IN ('COURT_ORDER', 'PLEDGE', 'DISPUTE', 'OTHER')),
+            reason TEXT NOT NULL,
+            reference_document TEXT,
+            expires_on DATE,
+            status VARCHAR(20) NOT NULL DEFAULT 'ACTIVE' CHECK (status IN ('ACTIVE', 'RELEASED')),
+            released_at TIMESTAMP,
+            released_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+            release_reason TEXT,
+            created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            CHECK (scope <> 'HOLDING' OR entity_stock_type_id IS NOT NULL),
+            CHECK (scope <> 'CERTIFICATE' OR certificate_id IS NOT NULL)
+          );
+        `);
+        await query(`CREATE INDEX IF NOT EXISTS idx_stop_orders_holder ON stop_transfer_orders(entity_id, shareholder_id, status);`);
+        await query(`CREATE INDEX IF NOT EXISTS idx_stop_orders_certificate ON stop_transfer_orders(certificate_id);`);
+        console.log('✅ Stop-transfer orders table ready');
+
+        // Tax lots: cost basis and holding period per acquisition. Disposals record
+        // which lots a transaction drew on; adjustments record split rescaling so a
+        // reversed corporate action can restore the lots.
+        await query(`
+          CREATE TABLE IF NOT EXISTS tax_lots (
+            id SERIAL PRIMARY KEY,
+            entity_id INTEGER NOT NULL REFERENCES entities(id) ON DELETE CASCADE,
+            shareholder_id INTEGER NOT NULL REFERENCES shareholders(id) ON DELETE CASCADE,
+            entity_stock_type_id INTEGER NOT NULL REFERENCES entity_stock_types(id) ON DELETE CASCADE,
+            entity_stock_series_id INTEGER REFERENCES entity_stock_series(id) ON DELETE CASCADE,
+            source_type VARCHAR(20) NOT NULL
+              CHECK (source_type IN ('ISSUANCE', 'EXERCISE', 'PURCHASE', 'GIFT', 'CONVERSION')),
+            source_transaction_id INTEGER REFERENCES share_transactions(id) ON DELETE SET NULL,
+            parent_lot_id INTEGER REFERENCES tax_lots(id) ON DELETE SET NULL,
+            acquisition_date DATE NOT NULL,
+            original_shares NUMERIC(20,4) NOT NULL,
+            remaining_shares NUMERIC(20,4) NOT NULL CHECK (remaining_shares >= 0),
+            basis_per_share NUMERIC(20,6),
+            voided_at TIMESTAMP,
+            created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+          );
+        `);
+        await query(`CREATE INDEX IF NOT EXISTS idx_tax_lots_holding ON tax_lots(entity_id, shareholder_id, entity_stock_type_id, entity_stock_series_id);`);
+        await query(`CREATE INDEX IF NOT EXISTS idx_tax_lots_source ON tax_lots(source_transaction_id);`);
+        await query(`
+          CREATE TABLE IF NOT EXISTS tax_lot_disposals (
+            id SERIAL PRIMARY KEY,
+            lot_id INTEGER NOT NULL REFERENCES tax_lots(id) ON DELETE CASCADE,
+            share_transaction_id INTEGER REFERENCES share_transactions(id) ON DELETE SET NULL,
+            disposal_type VARCHAR(20) NOT NULL
+              CHECK (disposal_type IN ('TRANSFER', 'GIFT', 'CANCELLATION', 'REPURCHASE', 'FORFEITURE', 'CONVERSION')),
+            method VARCHAR(20) NOT NULL CHECK (method IN ('FIFO', 'SPECIFIC_ID')),
+            shares NUMERIC(20,4) NOT NULL,
+            basis_per_share NUMERIC(20,6),
+            reversed_at TIMESTAMP,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+          );
+        `);
+        await query(`CREATE INDEX IF NOT EXISTS idx_tax_lot_disposals_tx ON tax_lot_disposals(share_transaction_id);`);
+        await query(`
+          CREATE TABLE IF NOT EXISTS tax_lot_adjustments (
+            id SERIAL PRIMARY KEY,
+            lot_id INTEGER NOT NULL REFERENCES tax_lots(id) ON DELETE CASCADE,
+            corporate_action_batch_id UUID NOT NULL,
+            ratio NUMERIC(20,10) NOT NULL,
+            remaining_before NUMERIC(20,4) NOT NULL,
+            remaining_after NUMERIC(20,4) NOT NULL,
+            original_before NUMERIC(20,4) NOT NULL,
+            original_after NUMERIC(20,4) NOT NULL,
+            basis_before NUMERIC(20,6),
+            basis_after NUMERIC(20,6),
+            reversed_at TIMESTAMP,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+          );
+        `);
+        await query(`CREATE INDEX IF NOT EXISTS idx_tax_lot_adjustments_batch ON tax_lot_adjustments(corporate_action_batch_id);`);
+        console.log('✅ Tax lot tables ready');
+
+        // Rule 144: restricted / control-security flags, tacked holding period
+        // and legend removal on certificates; opinion letters as certificate documents.
+        // is_restricted is added without a default so certificates that predate it read as
+        // NULL (unknown) rather than restricted; new certificates default to restricted.
+        const rule144Cols = [
+            { col: 'is_restricted', type: 'BOOLEAN' },
+            { col: 'is_control_security', type: 'BOOLEAN NOT NULL DEFAULT FALSE' },
+            { col: 'holding_period_start', type: 'DATE' },
+            { col: 'legend_removed_at', type: 'TIMESTAMP' },
+            { col: 'legend_removal_document_id', type: 'INTEGER REFERENCES certificate_documents(id) ON DELETE SET NULL' },
+        ];
+        for (const rc of rule144Cols) {
+            await query(`
+                DO $$ BEGIN
+                    ALTER TABLE stock_certificates ADD COLUMN ${rc.col} ${rc.type};
+                EXCEPTION WHEN duplicate_column THEN NULL;
+                END $$;
+            `);
+        }
+        await query(`ALTER TABLE stock_certificates ALTER COLUMN is_restricted SET DEFAULT TRUE`);
+        await query(`ALTER TABLE stock_certificates ALTER COLUMN is_restricted DROP NOT NULL`);
+        await query(`UPDATE stock_certificates SET holding_period_start = COALESCE(original_issue_date, issue_date) WHERE holding_period_start IS NULL`);
+        const certDocCols = [
+            { col: 'counsel_name', type: 'TEXT' },
+            { col: 'document_date', type: 'DATE' },
+            { col: 'reference', type: 'TEXT' },
+        ];
+        for (const dc of certDocCols) {
+            await query(`
+                DO $$ BEGIN
+                    ALTER TABLE certificate_documents ADD COLUMN ${dc.col} ${dc.type};
+                EXCEPTION WHEN duplicate_column THEN NULL;
+                END $$;
+            `);
+        }
+        await query(`
+          DO $$ BEGIN
+            ALTER TABLE certificate_documents DROP CONSTRAINT IF EXISTS certificate_documents_document_type_check;
+            ALTER TABLE certificate_documents ADD CONSTRAINT certificate_documents_document_type_check
+              CHECK (document_type IN ('LOST_CERTIFICATE_AFFIDAVIT', 'LEGEND_REMOVAL_OPINION'));
+          EXCEPTION WHEN others THEN NULL;
+          END $$;
+        `);
+        console.log('✅ Rule 144 certificate columns ready');
+
+        // Certificate legend library and assignments (stock type, series or certificate)
+        await query(`
+          CREATE TABLE IF NOT EXISTS certificate_legends (
+            id SERIAL PRIMARY KEY,
+            entity_id INTEGER NOT NULL REFERENCES entities(id) ON DELETE CASCADE,
+            legend_type VARCHAR(30) NOT NULL
+              CHECK (legend_type IN ('SECURITIES_ACT', 'SHAREHOLDER_AGREEMENT', 'LOCKUP', 'SECTION_83B', 'BLUE_SKY', 'OTHER')),
+            title TEXT NOT NULL,
+            text TEXT NOT NULL,
+            is_restrictive BOOLEAN NOT NULL DEFAULT FALSE,
+            is_active BOOLEAN NOT NULL DEFAULT TRUE,
+            created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+          );
+        `);
+        await query(`CREATE INDEX IF NOT EXISTS idx_cert_legends_entity ON certificate_legends(entity_id);`);
+        await query(`
+          CREATE TABLE IF NOT EXISTS certificate_legend_assignments (
+            id SERIAL PRIMARY KEY,
+            entity_id INTEGER NOT NULL REFERENCES entities(id) ON DELETE CASCADE,
+            legend_id INTEGER NOT NULL REFERENCES certificate_legends(id) ON DELETE CASCADE,
+            scope VARCHAR(20) NOT NULL CHECK (scope IN ('STOCK_TYPE', 'SERIES', 'CERTIFICATE')),
+            entity_stock_type_id INTEGER REFERENCES entity_stock_types(id) ON DELETE CASCADE,
+            entity_stock_series_id INTEGER REFERENCES entity_stock_series(id) ON DELETE CASCADE,
+            certificate_id INTEGER REFERENCES stock_certificates(id) ON DELETE CASCADE,
+            sort_order INTEGER NOT NULL DEFAULT 0,
+            created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+          );
+        `);
+        await query(`
+          CREATE UNIQUE INDEX IF NOT EXISTS ux_legend_assignment_target
+          ON certificate_legend_assignments(legend_id, scope, COALESCE(entity_stock_type_id, 0), COALESCE(entity_stock_series_id, 0), COALESCE(certificate_id, 0));
+        `);
+        await query(`CREATE INDEX IF NOT EXISTS idx_legend_assignments_entity ON certificate_legend_assignments(entity_id);`);
+        await query(`CREATE INDEX IF NOT EXISTS idx_legend_assignments_certificate ON certificate_legend_assignments(certificate_id);`);
+        console.log('✅ Certificate legend tables ready');
+
+        // Certificate templates: one active default per entity, optionally one per class
+        await query(`
+          CREATE TABLE IF NOT EXISTS certificate_templates (
+            id SERIAL PRIMARY KEY,
+            entity_id INTEGER NOT NULL REFERENCES entities(id) ON DELETE CASCADE,
+            entity_stock_type_id INTEGER REFERENCES entity_stock_types(id) ON DELETE CASCADE,
+            name TEXT NOT NULL,
+            logo_path TEXT,
+            logo_content_type VARCHAR(50),
+            seal_path TEXT,
+            seal_content_type VARCHAR(50),
+            primary_color VARCHAR(7) NOT NULL DEFAULT '#b89433',
+            text_color VARCHAR(7) NOT NULL DEFAULT '#0d1a40',
+            font_family VARCHAR(20) NOT NULL DEFAULT 'TIMES'
+              CHECK (font_family IN ('TIMES', 'HELVETICA', 'COURIER')),
+            border_style VARCHAR(20) NOT NULL DEFAULT 'DOUBLE'
+              CHECK (border_style IN ('DOUBLE', 'SINGLE', 'THICK', 'NONE')),
+            signer_title TEXT,
+            countersigner_title TEXT,
+            include_stock_power BOOLEAN NOT NULL DEFAULT FALSE,
+            is_active BOOLEAN NOT NULL DEFAULT TRUE,
+            created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+          );
+        `);
+        await query(`
+          CREATE UNIQUE INDEX IF NOT EXISTS ux_cert_template_active
+          ON certificate_templates(entity_id, COALESCE(entity_stock_type_id, 0)) WHERE is_active;
+        `);
+        console.log('✅ Certificate templates table ready');
+
+        // Officer registry: certificate signatories with terms and facsimile signatures
+        await query(`
+          CREATE TABLE IF NOT EXISTS entity_officers (
+            id SERIAL PRIMARY KEY,
+            entity_id INTEGER NOT NULL REFERENCES entities(id) ON DELETE CASCADE,
+            full_name TEXT NOT NULL,
+            title TEXT NOT NULL,
+            term_start DATE NOT NULL,
+            term_end DATE,
+            signature_path TEXT,
+            signature_content_type VARCHAR(50),
+            is_active BOOLEAN NOT NULL DEFAULT TRUE,
+            created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+            created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+            CHECK (term_end IS NULL OR term_end >= term_start)
+          );
+        `);
+        await query(`CREATE INDEX IF NOT EXISTS idx_entity_officers_entity ON entity_officers(entity_id);`);
+
+        const signatoryColumns = [
+          { table: 'entities', col: 'default_signatory_officer_id', type: 'INTEGER REFERENCES entity_officers(id) ON DELETE SET NULL' },
+          { table: 'entities', col: 'default_countersignatory_officer_id', type: 'INTEGER REFERENCES entity_officers(id) ON DELETE SET NULL' },
+          { table: 'stock_certificates', col: 'signed_by_officer_id', type: 'INTEGER REFERENCES entity_officers(id) ON DELETE SET NULL' },
+          { table: 'stock_certificates', col: 'countersigned_by_officer_id', type: 'INTEGER REFERENCES entity_officers(id) ON DELETE SET NULL' },
+        ];
+        for (const { table, col, type } of signatoryColumns) {
+          await query(`
+            DO $$ BEGIN
+              ALTER TABLE ${table} ADD COLUMN ${col} ${type};
+            EXCEPTION WHEN duplicate_column THEN NULL;
+            END $$;
+          `);
+        }
+        console.log('✅ Officer registry ready');
+
         // Audit logs table
         const { initAuditTable } = require('./auditLog');
         await initAuditTable();
@@ -82,6 +82,50 @@ function buildForgotPasswordEmail(fullName, tempPassword) {
   return { subject: 'AegisIQ – Password Reset', htmlBody: html, textBody: `Hi ${fullName}, your new temporary password is: ${tempPassword}` };
 }
 
+function buildApprovalRequestEmail(approverName, requesterName, pending) {
+  const html = `
+    <div style="font-family: 'Inter', Arial, sans-serif; max-width: 600px; margin: 0 auto; background: #1a1a2e; color: #e0e0e0; padding: 40px; border-radius: 12px;">
+      <div style="text-align: center; margin-bottom: 30px;">
+        <h1 style="color: #c9a84c; margin: 0; font-size: 28px;">AegisIQ</h1>
+        <p style="color: #888; font-size: 14px; margin-top: 5px;">Stock Ledger Platform</p>
+      </div>
+      <h2 style="color: #fff; font-size: 20px;">Approval Requested</h2>
+      <p style="color: #ccc; line-height: 1.6;">Hi ${approverName}, ${requesterName} submitted a ledger change that needs a second approval before it posts:</p>
+      <div style="background: #2a2a4a; border: 1px solid #c9a84c; border-radius: 8px; padding: 20px; text-align: center; margin: 20px 0;">
+        <span style="font-size: 16px; font-weight: 600; color: #c9a84c;">#${pending.id} – ${pending.summary}</span>
+      </div>
+      <p style="color: #ccc; line-height: 1.6;">Review it in the Approvals tab of the admin panel.</p>
+      <hr style="border: none; border-top: 1px solid #333; margin: 30px 0;">
+      <p style="color: #888; font-size: 12px; text-align: center;">This is an automated message from AegisIQ. Please do not reply.</p>
+    </div>
+  `;
+  return { subject: `AegisIQ – Approval Requested (#${pending.id})`, htmlBody: html, textBody: `${requesterName} requested approval for #${pending.id}: ${pending.summary}` };
+}
+
+function buildApprovalDecisionEmail(requesterName, pending) {
+  const outcome = {
+    APPROVED: 'approved and posted',
+    REJECTED: 'rejected',
+    FAILED: 'approved but could not be posted',
+    SUPERSEDED: `not posted and is held for approval again as request #${pending.superseded_by_id}`,
+  }[pending.status] || pending.status;
+  const note = pending.review_notes || pending.error_message;
+  const html = `
+    <div style="font-family: 'Inter', Arial, sans-serif; max-width: 600px; margin: 0 auto; background: #1a1a2e; color: #e0e0e0; padding: 40px; border-radius: 12px;">
+      <div style="text-align: center; margin-bottom: 30px;">
+        <h1 style="color: #c9a84c; margin: 0; font-size: 28px;">AegisIQ</h1>
+        <p style="color: #888; font-size: 14px; margin-top: 5px;">Stock Ledger Platform</p>
+      </div>
+      <h2 style="color: #fff; font-size: 20px;">Request ${pending.status === 'REJECTED' ? 'Rejected' : 'Reviewed'}</h2>
+      <p style="color: #ccc; line-height: 1.6;">Hi ${requesterName}, your request #${pending.id} (${pending.summary}) was ${outcome}.</p>
+      ${note ? `<p style="color: #ccc; line-height: 1.6;">Note: ${note}</p>` : ''}
+      <hr style="border: none; border-top: 1px solid #333; margin: 30px 0;">
+      <p style="color: #888; font-size: 12px; text-align: center;">This is an automated message from AegisIQ. Please do not reply.</p>
+    </div>
+  `;
+  return { subject: `AegisIQ – Request #${pending.id} ${pending.status.toLowerCase()}`, htmlBody: html, textBody: `Your request #${pending.id} (${pending.summary}) was ${outcome}.${note ? ' Note: ' + note : ''}` };
+}
+
 function generateTempPassword(length = 12) {
   const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghjkmnpqrstuvwxyz23456789!@#$';
   let password = '';
@@ -91,4 +135,11 @@ function generateTempPassword(length = 12) {
   return password;
 }
 
-module.exports = { sendEmail, buildTempPasswordEmail, buildForgotPasswordEmail, generateTempPassword };
+module.exports = {
+  sendEmail,
+  buildTempPasswordEmail,
+  buildForgotPasswordEmail,
+  buildApprovalRequestEmail,
+  buildApprovalDecisionEmail,
+  generateTempPassword,
+};
@@ -0,0 +1,192 @@
+/**
+ * Issuance Utilities
+ * Stock class validation, authorized-share headroom and the ISSUANCE
+ * insert shared by ledger issue-shares, batch-issue and stock dividends,
+ * grant exercises and convertible instrument conversions.
+ */
+
+function httpError(statusCode, message, extra = {}) {
+  return Object.assign(new Error(message), { statusCode, ...extra });
+}
+
+// Series-level authorized limit if set, otherwise class-level. null = unlimited.
+function resolveAuthorizedLimit(stockType, series) {
+  if (series && series.authorized_shares !== null && series.authorized_shares !== undefined) {
+    return { limit: parseFloat(series.authorized_shares), level: 'SERIES' };
+  }
+  if (stockType.authorized_shares !== null && stockType.authorized_shares !== undefined) {
+    return { limit: parseFloat(stockType.authorized_shares), level: 'CLASS' };
+  }
+  return { limit: null, level: null };
+}
+
+// Shares counted against an authorized limit: issuances net of cancellations,
+// forfeitures, conversions, split adjustments and retiring repurchases. Treasury shares stay issued, so
+// repurchases into treasury and reissues out of it don't move this number.
+// `db` is a transaction client or anything with .query().
+// Pass entityStockSeriesId only when checking a series-level limit.
+async function getIssuedShares(db, entityId, entityStockTypeId, entityStockSeriesId = null) {
+  const res = await db.query(`
+    SELECT COALESCE(SUM(
+      CASE
+        WHEN transaction_type = 'ISSUANCE' AND NOT is_treasury THEN shares
+        WHEN transaction_type IN ('CANCELLATION', 'FORFEITURE', 'CONVERSION', 'FORWARD_SPLIT', 'REVERSE_SPLIT') THEN shares
+        WHEN transaction_type = 'REPURCHASE' AND NOT is_treasury THEN shares
+        ELSE 0
+      END
+    ), 0) AS issued
+    FROM share_transactions
+    WHERE entity_id = $1
+      AND entity_stock_type_id = $2
+      AND ($3::bigint IS NULL OR entity_stock_series_id = $3)
+  `, [entityId, entityStockTypeId, entityStockSeriesId || null]);
+  return parseFloat(res.rows[0].issued || 0);
+}
+
+// Shares held in treasury for an exact class/series: repurchased into treasury
+// (negative REPURCHASE rows) less those reissued out of it.
+async function getTreasuryShares(db, entityId, entityStockTypeId, entityStockSeriesId = null) {
+  const res = await db.query(`
+    SELECT COALESCE(SUM(
+      CASE
+        WHEN is_treasury AND transaction_type IN ('REPURCHASE', 'ISSUANCE') THEN -shares
+        ELSE 0
+      END
+    ), 0) AS treasury
+    FROM share_transactions
+    WHERE entity_id = $1
+      AND entity_stock_type_id = $2
+      AND entity_stock_series_id IS NOT DISTINCT FROM $3::bigint
+  `, [entityId, entityStockTypeId, entityStockSeriesId || null]);
+  return parseFloat(res.rows[0].treasury || 0);
+}
+
+// Shares still reserved by active equity plan pools: each pool's reserve less what
+// has already been exercised out of it (exercised shares are counted as issued instead).
+// Same series semantics as getIssuedShares.
+async function getReservedPoolShares(db, entityId, entityStockTypeId, entityStockSeriesId = null) {
+  const res = await db.query(`
+    SELECT COALESCE(SUM(GREATEST(p.reserved_shares - COALESCE(g.exercised, 0), 0)), 0) AS reserved
+    FROM equity_plan_pools p
+    LEFT JOIN (
+      SELECT pool_id, SUM(exercised_shares) AS exercised
+      FROM equity_grants
+      WHERE pool_id IS NOT NULL
+      GROUP BY pool_id
+    ) g ON g.pool_id = p.id
+    WHERE p.entity_id = $1
+      AND p.is_active = TRUE
+      AND p.entity_stock_type_id = $2
+      AND ($3::bigint IS NULL OR p.entity_stock_series_id = $3)
+  `, [entityId, entityStockTypeId, entityStockSeriesId || null]);
+  return parseFloat(res.rows[0].reserved || 0);
+}
+
+// Load an active stock class for the entity and apply the same series rules as issue-shares.
+async function loadStockClass(db, entityId, entityStockTypeId, entityStockSeriesId) {
+  const typeRes = await db.query(
+    `SELECT id, entity_id, display_name, supports_series, is_active, authorized_shares
+     FROM entity_stock_types
+     WHERE id = $1 AND entity_id = $2`,
+    [entityStockTypeId, entityId]
+  );
+  if (!typeRes.rows.length) throw httpError(400, 'Invalid stock type');
+  const stockType = typeRes.rows[0];
+  if (!stockType.is_active) throw httpError(400, 'Stock type is inactive');
+
+  let series = null;
+  if (stockType.supports_series) {
+    if (!entityStockSeriesId) throw httpError(400, 'Series is required for this stock type');
+    const sRes = await db.query(
+      `SELECT id, series, authorized_shares
+       FROM entity_stock_series
+       WHERE id = $1 AND entity_stock_type_id = $2 AND is_active = TRUE`,
+      [entityStockSeriesId, entityStockTypeId]
+    );
+    if (!sRes.rows.length) throw httpError(400, 'Invalid or inactive series');
+    series = sRes.rows[0];
+  } else if (entityStockSeriesId) {
+    throw httpError(400, 'Series not allowed for this stock type');
+  }
+  return { stockType, series };
+}
+
+// Throw ERR_EXCEEDS_AUTHORIZED_SHARES when issued + reserved shares exceed the
+// class/series limit. `requested` is only used to build the message.
+async function assertWithinAuthorized(db, entityId, stockType, series, requested, verb) {
+  const { limit, level } = resolveAuthorizedLimit(stockType, series);
+  if (limit === null || limit <= 0) return;
+
+  const limitSeriesId = level === 'SERIES' ? series.id : null;
+  const issued = await getIssuedShares(db, entityId, stockType.id, limitSeriesId);
+  const reserved = await getReservedPoolShares(db, entityId, stockType.id, limitSeriesId);
+  if (issued + reserved > limit) {
+    const available = limit - issued - reserved + requested;
+    throw httpError(
+      400,
+      `Cannot ${verb} ${requested.toLocaleString()} shares. Current outstanding: ${issued.toLocaleString()}, Reserved for equity plans: ${reserved.toLocaleString()}, Authorized limit: ${limit.toLocaleString()}. Available: ${available.toLocaleString()}.`,
+      {
+        error_code: 'ERR_EXCEEDS_AUTHORIZED_SHARES',
+        details: { authorized: limit, outstanding: issued, reserved, requested, available },
+      }
+    );
+  }
+}
+
+/**
+ * Insert an ISSUANCE row (positive shares).
+ * @param {object} client - transaction client
+ * @param {Object} params
+ * @returns {Object} share_transactions row
+ */
+async function insertIssuance(client, {
+  entityId, shareholderId, entityStockTypeId, entityStockSeriesId,
+  shares, transactionDate, certificateNumber, notes, isTreasury = false, pricePerShare = null, createdBy,
+}) {
+  const result = await client.query(
+    `
+    INSERT INTO share_transactions (
+      entity_id,
+      shareholder_id,
+      transaction_type,
+      transaction_date,
+      entity_stock_type_id,
+      entity_stock_series_id,
+      shares,
+      certificate_number,
+      notes,
+      is_treasury,
+      price_per_share,
+      created_by
+    )
+    VALUES (
+      $1,$2,'ISSUANCE',$3,$4,$5,$6,$7,$8,$9,$10,$11
+    )
+    RETURNING *
+    `,
+    [
+      entityId,
+      shareholderId,
+      transactionDate || new Date(),
+      entityStockTypeId,
+      entityStockSeriesId || null,
+      shares,
+      certificateNumber || null,
+      notes || null,
+      isTreasury,
+      pricePerShare,
+      createdBy,
+    ]
+  );
+  return result.rows[0];
+}
+
+module.exports = {
+  loadStockClass,
+  assertWithinAuthorized,
+  resolveAuthorizedLimit,
+  getIssuedShares,
+  getTreasuryShares,
+  getReservedPoolShares,
+  insertIssuance,
+};
@@ -0,0 +1,77 @@
+/**
+ * Certificate Legend Utilities
+ * Per-entity legend library (Securities Act, shareholder agreement, lockup,
+ * Section 83(b), blue-sky...) assigned to stock types, series or individual
+ * certificates. Used by certificate PDF rendering and the legends API.
+ */
+
+const LEGEND_TYPES = ['SECURITIES_ACT', 'SHAREHOLDER_AGREEMENT', 'LOCKUP', 'SECTION_83B', 'BLUE_SKY', 'OTHER'];
+const LEGEND_SCOPES = ['STOCK_TYPE', 'SERIES', 'CERTIFICATE'];
+
+/**
+ * Active legends that print on a certificate, in print order: sort_order, then
+ * stock type before series before certificate legends. A legend assigned at
+ * several levels prints once, at its lowest sort_order. Restrictive legends are
+ * left off once the certificate's restrictive legend has been removed (Rule 144).
+ * @param {object} db - transaction client or anything with .query()
+ * @param {Object} cert - stock_certificates row (id, entity_id, entity_stock_type_id, entity_stock_series_id, is_restricted)
+ * @returns {Object[]} [{ legend_id, legend_type, title, text, is_restrictive, scope, sort_order }]
+ */
+async function resolveCertificateLegends(db, cert) {
+  const res = await db.query(`
+    SELECT a.scope, a.sort_order, a.id AS assignment_id,
+           l.id AS legend_id, l.legend_type, l.title, l.text, l.is_restrictive
+    FROM certificate_legend_assignments a
+    JOIN certificate_legends l ON l.id = a.legend_id
+    WHERE a.entity_id = $1
+      AND l.is_active
+      AND ($5::boolean OR NOT l.is_restrictive)
+      AND (
+        (a.scope = 'STOCK_TYPE' AND a.entity_stock_type_id = $2)
+        OR (a.scope = 'SERIES' AND a.entity_stock_series_id = $3::int)
+        OR (a.scope = 'CERTIFICATE' AND a.certificate_id = $4::int)
+      )
+    ORDER BY a.sort_order,
+             CASE a.scope WHEN 'STOCK_TYPE' THEN 0 WHEN 'SERIES' THEN 1 ELSE 2 END,
+             a.id
+  `, [cert.entity_id, cert.entity_stock_type_id, cert.entity_stock_series_id || null, cert.id || null, cert.is_restricted !== false]);
+
+  const seen = new Set();
+  const legends = [];
+  for (const r of res.rows) {
+    if (seen.has(r.legend_id)) continue;
+    seen.add(r.legend_id);
+    legends.push({
+      legend_id: r.legend_id,
+      legend_type: r.legend_type,
+      title: r.title,
+      text: r.text,
+      is_restrictive: r.is_restrictive,
+      scope: r.scope,
+      sort_order: r.sort_order,
+    });
+  }
+  return legends;
+}
+
+// Carry certificate-level legends onto a replacement held by the same holder
+// (remainders, reissues, splits) so a holder-specific legend isn't lost with
+// the old paper. Does nothing when the new certificate belongs to someone else.
+async function copyCertificateLegends(client, fromCertificateId, toCertificateId) {
+  await client.query(`
+    INSERT INTO certificate_legend_assignments (entity_id, legend_id, scope, certificate_id, sort_order, created_by)
+    SELECT a.entity_id, a.legend_id, 'CERTIFICATE', dst.id, a.sort_order, a.created_by
+    FROM certificate_legend_assignments a
+    JOIN stock_certificates src ON src.id = a.certificate_id
+    JOIN stock_certificates dst ON dst.id = $2 AND dst.shareholder_id = src.shareholder_id
+    WHERE a.scope = 'CERTIFICATE' AND a.certificate_id = $1
+    ON CONFLICT DO NOTHING
+  `, [fromCertificateId, toCertificateId]);
+}
+
+module.exports = {
+  LEGEND_TYPES,
+  LEGEND_SCOPES,
+  resolveCertificateLegends,
+  copyCertificateLegends,
+};
@@ -0,0 +1,129 @@
+/**
+ * Officer Registry Utilities
+ * Entity officers who sign certificates: title, term of office and facsimile
+ * signature image, plus the entity's default signatory and countersignatory.
+ * Used by certificate creation, PDF rendering and the officers API.
+ */
+
+const { toDateStr } = require('./vestingUtils');
+const { loadStorageImage } = require('./templateUtils');
+
+// Whether the officer held office on onDate (YYYY-MM-DD); term_end is the last day in office
+function officerInTerm(officer, onDate) {
+  const start = toDateStr(officer.term_start);
+  const end = toDateStr(officer.term_end);
+  return start <= onDate && (!end || onDate <= end);
+}
+
+function officerTermError(officer, onDate) {
+  const end = toDateStr(officer.term_end);
+  let message;
+  if (!officer.is_active) message = `${officer.full_name} is no longer an active officer`;
+  else if (end && onDate > end) message = `${officer.full_name}'s term as ${officer.title} ended on ${end}`;
+  else message = `${officer.full_name}'s term as ${officer.title} begins on ${toDateStr(officer.term_start)}`;
+  return Object.assign(new Error(`${message}; a certificate dated ${onDate} cannot carry their signature`), {
+    statusCode: 400,
+    error_code: 'ERR_OFFICER_TERM',
+    details: { officer_id: officer.id, full_name: officer.full_name, title: officer.title, term_start: toDateStr(officer.term_start), term_end: end, certificate_date: onDate },
+  });
+}
+
+/**
+ * Signatory and countersignatory of a certificate dated issueDate. Per slot, an
+ * officer id signs as that officer, undefined means the entity's default (then
+ * fallback's officer, e.g. the certificate being replaced) and null leaves the
+ * slot to free text. An officer from another entity is rejected with
+ * ERR_INVALID_OFFICER; an inactive one, or one not in office on issueDate, with
+ * ERR_OFFICER_TERM. Both are 400s, so inside a transaction the certificate rolls back.
+ * A reissue (fallback given) never fails on an officer it was not asked for: an
+ * out-of-term default or former signer is passed over, down to fallback's free text.
+ * @param {object} db - transaction client or anything with .query()
+ * @param {string|Date|null} params.issueDate - default today
+ * @param {number|null} [params.signedByOfficerId]
+ * @param {number|null} [params.countersignedByOfficerId]
+ * @param {Object|null} [params.fallback] - certificate being replaced ({ signed_by_officer_id, countersigned_by_officer_id })
+ * @returns {{ signer: Object|null, countersigner: Object|null }} entity_officers rows
+ */
+async function resolveCertificateSigners(db, { entityId, issueDate, signedByOfficerId, countersignedByOfficerId, fallback = null }) {
+  const onDate = toDateStr(issueDate || new Date());
+  const from = fallback || {};
+  // Per slot, the officers to try in order; only an explicitly requested one is binding
+  let slots = [signedByOfficerId, countersignedByOfficerId].map(id => ({ ids: [id], explicit: true }));
+  if (signedByOfficerId === undefined || countersignedByOfficerId === undefined) {
+    const entRes = await db.query(
+      'SELECT default_signatory_officer_id, default_countersignatory_officer_id FROM entities WHERE id = $1',
+      [entityId]
+    );
+    const ent = entRes.rows[0] || {};
+    slots = [
+      signedByOfficerId !== undefined ? slots[0] : { ids: [ent.default_signatory_officer_id, from.signed_by_officer_id], explicit: false },
+      countersignedByOfficerId !== undefined ? slots[1] : { ids: [ent.default_countersignatory_officer_id, from.countersigned_by_officer_id], explicit: false },
+    ];
+  }
+
+  const wanted = [...new Set(slots.flatMap(slot => slot.ids).filter(Boolean))];
+  const res = wanted.length
+    ? await db.query('SELECT * FROM entity_officers WHERE id = ANY($1::int[])', [wanted])
+    : { rows: [] };
+
+  const [signer, countersigner] = slots.map(({ ids, explicit }) => {
+    for (const id of ids.filter(Boolean)) {
+      const officer = res.rows.find(o => String(o.id) === String(id));
+      const usable = officer && String(officer.entity_id) === String(entityId);
+      if (usable && officer.is_active && officerInTerm(officer, onDate)) return officer;
+      if (!explicit && fallback) continue;
+      if (!usable) {
+        throw Object.assign(new Error('Signing officer not found for this entity'), {
+          statusCode: 400, error_code: 'ERR_INVALID_OFFICER', details: { officer_id: id },
+        });
+      }
+      throw officerTermError(officer, onDate);
+    }
+    return null;
+  });
+  return { signer, countersigner };
+}
+
+// stock_certificates signer columns: the resolved officers' names and titles,
+// else fallback's free text (one-off signers, certificates from before the registry)
+function signerColumns({ signer, countersigner }, fallback = {}) {
+  return {
+    signed_by_officer_id: signer ? signer.id : null,
+    signed_by_name: signer ? signer.full_name : fallback.signed_by_name || null,
+    signed_by_title: signer ? signer.title : fallback.signed_by_title || null,
+    countersigned_by_officer_id: countersigner ? countersigner.id : null,
+    countersigned_by_name: countersigner ? countersigner.full_name : fallback.countersigned_by_name || null,
+    countersigned_by_title: countersigner ? countersigner.title : fallback.countersigned_by_title || null,
+  };
+}
+
+/**
+ * Facsimile signatures for a certificate PDF (generateCertificatePdf's
+ * signature_image / countersignature_image), from the officers it was signed by.
+ * @param {object} db - transaction client or anything with .query()
+ * @param {Object} cert - needs signed_by_officer_id and countersigned_by_officer_id
+ */
+async function loadCertificateSignatures(db, cert) {
+  const ids = [cert.signed_by_officer_id, cert.countersigned_by_officer_id].filter(Boolean);
+  if (!ids.length) return { signature_image: null, countersignature_image: null };
+
+  const res = await db.query(
+    'SELECT id, signature_path, signature_content_type FROM entity_officers WHERE id = ANY($1::int[])',
+    [ids]
+  );
+  const imageOf = async (id) => {
+    const officer = id && res.rows.find(o => o.id === id);
+    return officer ? loadStorageImage(officer.signature_path, officer.signature_content_type) : null;
+  };
+  return {
+    signature_image: await imageOf(cert.signed_by_officer_id),
+    countersignature_image: await imageOf(cert.countersigned_by_officer_id),
+  };
+}
+
+module.exports = {
+  officerInTerm,
+  resolveCertificateSigners,
+  signerColumns,
+  loadCertificateSignatures,
+};
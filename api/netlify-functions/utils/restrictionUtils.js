@@ -0,0 +1,102 @@
+/**
+ * Transfer Restriction Utilities
+ * Evaluates the transfer_restrictions rules (lockups, ROFR windows,
+ * board consent, blocked transferee types) that apply to a proposed
+ * transfer. Used by ledger transfer-shares and multi-transfer.
+ */
+
+const { toDateStr } = require('./vestingUtils');
+
+const RESTRICTION_TYPES = ['LOCKUP', 'ROFR', 'BOARD_CONSENT', 'BLOCKED_TRANSFEREE_TYPE'];
+const TRANSFEREE_TYPES = ['INDIVIDUAL', 'CORPORATION', 'PARTNERSHIP', 'TRUST'];
+
+const RESTRICTION_ERROR_CODES = {
+  LOCKUP: 'ERR_LOCKUP_ACTIVE',
+  ROFR: 'ERR_ROFR_WINDOW_OPEN',
+  BOARD_CONSENT: 'ERR_BOARD_CONSENT_REQUIRED',
+  BLOCKED_TRANSFEREE_TYPE: 'ERR_BLOCKED_TRANSFEREE_TYPE',
+};
+
+function addDays(dateStr, days) {
+  const d = new Date(`${dateStr}T00:00:00Z`);
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * List the active rules a transfer breaches. A rule applies when its class,
+ * series and holder (the sender) are unset or match the transfer. Lockup and
+ * ROFR windows are checked against the earlier of transactionDate and today.
+ * @param {object} db - transaction client or anything with .query()
+ * @param {Object} params
+ * @param {string|null} [params.rofrNoticeDate] - date the ROFR notice was given (YYYY-MM-DD)
+ * @returns {Object[]} violations: { restriction_id, restriction_type, error_code, message, ... }
+ */
+async function evaluateTransferRestrictions(db, {
+  entityId, fromShareholderId, toShareholderId, entityStockTypeId, entityStockSeriesId,
+  transactionDate, rofrNoticeDate = null,
+}) {
+  const rulesRes = await db.query(`
+    SELECT *
+    FROM transfer_restrictions
+    WHERE entity_id = $1
+      AND is_active = TRUE
+      AND (entity_stock_type_id IS NULL OR entity_stock_type_id = $2)
+      AND (entity_stock_series_id IS NULL OR entity_stock_series_id IS NOT DISTINCT FROM $3::bigint)
+      AND (shareholder_id IS NULL OR shareholder_id = $4)
+    ORDER BY id
+  `, [entityId, entityStockTypeId, entityStockSeriesId || null, fromShareholderId]);
+  if (!rulesRes.rows.length) return [];
+
+  // Lockup and ROFR windows must have closed both on the transfer date and today, so a
+  // transfer dated past the window can't be recorded while the window is still open
+  const today = toDateStr(new Date());
+  const txDate = toDateStr(transactionDate || today);
+  const checkDate = txDate < today ? txDate : today;
+  const violations = [];
+  let transfereeType;
+
+  for (const rule of rulesRes.rows) {
+    const base = {
+      restriction_id: rule.id,
+      restriction_type: rule.restriction_type,
+      error_code: RESTRICTION_ERROR_CODES[rule.restriction_type],
+      description: rule.description || null,
+    };
+
+    if (rule.restriction_type === 'LOCKUP') {
+      const endDate = toDateStr(rule.lockup_end_date);
+      if (checkDate < endDate) {
+        violations.push({ ...base, lockup_end_date: endDate, message: `Shares are locked up until ${endDate}` });
+      }
+    } else if (rule.restriction_type === 'ROFR') {
+      if (!rofrNoticeDate) {
+        violations.push({ ...base, rofr_days: rule.rofr_days, message: `A right of first refusal applies; provide rofr_notice_date (${rule.rofr_days}-day window)` });
+      } else {
+        const windowEnds = addDays(toDateStr(rofrNoticeDate), rule.rofr_days);
+        if (checkDate < windowEnds) {
+          violations.push({ ...base, rofr_days: rule.rofr_days, window_ends: windowEnds, message: `The right of first refusal window is open until ${windowEnds}` });
+        }
+      }
+    } else if (rule.restriction_type === 'BOARD_CONSENT') {
+      violations.push({ ...base, message: 'Board consent is required for this transfer' });
+    } else if (rule.restriction_type === 'BLOCKED_TRANSFEREE_TYPE') {
+      if (transfereeType === undefined) {
+        const shRes = await db.query('SELECT shareholder_type FROM shareholders WHERE id = $1', [toShareholderId]);
+        transfereeType = shRes.rows[0]?.shareholder_type || 'INDIVIDUAL';
+      }
+      if ((rule.blocked_transferee_types || []).includes(transfereeType)) {
+        violations.push({ ...base, transferee_type: transfereeType, message: `Transfers to ${transfereeType} holders are blocked` });
+      }
+    }
+  }
+
+  return violations;
+}
+
+module.exports = {
+  RESTRICTION_TYPES,
+  TRANSFEREE_TYPES,
+  RESTRICTION_ERROR_CODES,
+  evaluateTransferRestrictions,
+};
@@ -0,0 +1,198 @@
+/**
+ * Rule 144 Utilities
+ * Restricted and control-security flags on certificates, holding periods
+ * tacked through transfers, reissues and conversions, and the "free to sell"
+ * date per certificate and holding. Used by certificate creation, the
+ * legend-removal action and the rule-144-eligibility report.
+ */
+
+const { toDateStr, addMonths } = require('./vestingUtils');
+
+// Rule 144(d)(1): six months for issuers that have been SEC-reporting for at
+// least 90 days, one year for everyone else (private companies).
+const HOLDING_PERIOD_MONTHS = { REPORTING: 6, NON_REPORTING: 12 };
+
+const round4 = (n) => Math.round(n * 1e4) / 1e4;
+
+// Holding period start of a certificate row: explicit start, else its lineage date
+function holdingPeriodStart(cert) {
+  return toDateStr(cert.holding_period_start || cert.original_issue_date || cert.issue_date);
+}
+
+/**
+ * Restriction flags and holding period start for a certificate cut from
+ * existing ones. Same holder (remainders, reissues, splits, conversions): flags
+ * and holding period carry over. New holder: restricted shares stay restricted
+ * and tack the seller's holding period, except that shares bought from an
+ * affiliate (control securities) are restricted in the buyer's hands and the
+ * clock restarts on the transfer date. Gifts always tack (Rule 144(d)(3)(v)).
+ * Mixed sources take the most restrictive flags and the latest start; a source
+ * of unknown status (is_restricted NULL, from before the flag existed) leaves
+ * the result unknown unless another source is restricted.
+ * No sources (fresh issuance): restricted, holding period from issue date.
+ * @param {object} db - transaction client or anything with .query()
+ * @param {number[]} params.sourceCertificateIds
+ * @param {number} params.shareholderId - holder of the new certificate
+ * @param {string|Date} [params.transferDate] - date ownership changed; default today
+ * @param {boolean} [params.gift]
+ * @returns {{ isRestricted: boolean|null, isControlSecurity: boolean, holdingPeriodStart: string|null }}
+ */
+async function inheritRestriction(db, { sourceCertificateIds, shareholderId, transferDate = null, gift = false }) {
+  const ids = (sourceCertificateIds || []).filter(Boolean);
+  if (!ids.length) return { isRestricted: true, isControlSecurity: false, holdingPeriodStart: null };
+
+  const res = await db.query(
+    `SELECT id, shareholder_id, is_restricted, is_control_security, holding_period_start, original_issue_date, issue_date
+     FROM stock_certificates WHERE id = ANY($1::int[])`,
+    [ids]
+  );
+  if (!res.rows.length) return { isRestricted: true, isControlSecurity: false, holdingPeriodStart: null };
+
+  const sameHolder = res.rows.every(s => String(s.shareholder_id) === String(shareholderId));
+  const fromAffiliate = !sameHolder && !gift && res.rows.some(s => s.is_control_security);
+  const latestStart = res.rows.map(holdingPeriodStart).filter(Boolean).sort().pop() || null;
+  const restricted = res.rows.some(s => s.is_restricted) || (!sameHolder && res.rows.some(s => s.is_control_security));
+
+  return {
+    isRestricted: restricted ? true : (res.rows.some(s => s.is_restricted === null) ? null : false),
+    isControlSecurity: sameHolder && res.rows.some(s => s.is_control_security),
+    holdingPeriodStart: fromAffiliate ? toDateStr(transferDate || new Date()) : latestStart,
+  };
+}
+
+/**
+ * Rule 144 position of one certificate on a date.
+ *   UNRESTRICTED             - no restrictive legend and not held by an affiliate
+ *   ELIGIBLE                 - holding period met, non-affiliate: free to sell
+ *   ELIGIBLE_WITH_CONDITIONS - affiliate holding past any holding period: volume,
+ *                              manner-of-sale and Form 144 conditions still apply
+ *   RESTRICTED               - holding period still running
+ *   UNKNOWN                  - restriction never recorded (certificate predates the flag)
+ * The holding period has elapsed on its anniversary date.
+ * @param {Object} cert - stock_certificates row
+ * @param {string} onDate - YYYY-MM-DD
+ * @param {number} months - holding period length
+ */
+function certificateEligibility(cert, onDate, months) {
+  const start = holdingPeriodStart(cert);
+  const freeToSell = cert.is_restricted ? addMonths(start, months) : null;
+  const periodMet = !freeToSell || onDate >= freeToSell;
+
+  let status;
+  if (cert.is_restricted === null) status = 'UNKNOWN';
+  else if (!cert.is_restricted && !cert.is_control_security) status = 'UNRESTRICTED';
+  else if (!periodMet) status = 'RESTRICTED';
+  else status = cert.is_control_security ? 'ELIGIBLE_WITH_CONDITIONS' : 'ELIGIBLE';
+
+  return {
+    holding_period_start: start,
+    free_to_sell_date: freeToSell,
+    days_remaining: periodMet ? 0 : Math.round((new Date(`${freeToSell}T00:00:00Z`) - new Date(`${onDate}T00:00:00Z`)) / 86400000),
+    status,
+  };
+}
+
+/**
+ * ISSUED certificates with their Rule 144 status, plus a summary per holding
+ * (shareholder, class, series). A holding is free to sell once its last
+ * restricted certificate is; next_free_to_sell_date is the earliest upcoming one.
+ * @param {object} db - transaction client or anything with .query()
+ * @param {string} [params.asOf] - YYYY-MM-DD; default today
+ * @param {boolean} [params.reportingIssuer] - six-month holding period instead of one year
+ */
+async function getRule144Report(db, { entityId, shareholderId = null, asOf = null, reportingIssuer = false }) {
+  const onDate = asOf || toDateStr(new Date());
+  const months = reportingIssuer ? HOLDING_PERIOD_MONTHS.REPORTING : HOLDING_PERIOD_MONTHS.NON_REPORTING;
+
+  const res = await db.query(`
+    SELECT sc.*, sh.full_name AS shareholder_name,
+           est.display_name AS stock_type_name, ess.series
+    FROM stock_certificates sc
+    JOIN shareholders sh ON sh.id = sc.shareholder_id
+    JOIN entity_stock_types est ON est.id = sc.entity_stock_type_id
+    LEFT JOIN entity_stock_series ess ON ess.id = sc.entity_stock_series_id
+    WHERE sc.entity_id = $1
+      AND sc.status = 'ISSUED'
+      AND ($2::int IS NULL OR sc.shareholder_id = $2)
+    ORDER BY sh.full_name, est.display_name, ess.series NULLS FIRST,
+             COALESCE(sc.holding_period_start, sc.original_issue_date, sc.issue_date), sc.id
+  `, [entityId, shareholderId || null]);
+
+  const certificates = res.rows.map(c => ({
+    certificate_id: c.id,
+    certificate_number: c.certificate_number,
+    shareholder_id: c.shareholder_id,
+    shareholder_name: c.shareholder_name,
+    entity_stock_type_id: c.entity_stock_type_id,
+    entity_stock_series_id: c.entity_stock_series_id,
+    stock_type_name: c.stock_type_name,
+    series: c.series,
+    shares: parseFloat(c.shares),
+    original_issue_date: toDateStr(c.original_issue_date || c.issue_date),
+    is_restricted: c.is_restricted,
+    is_control_security: c.is_control_security,
+    legend_removed_at: c.legend_removed_at,
+    ...certificateEligibility(c, onDate, months),
+  }));
+
+  const byHolding = new Map();
+  for (const c of certificates) {
+    const key = `${c.shareholder_id}_${c.entity_stock_type_id}_${c.entity_stock_series_id || 'null'}`;
+    if (!byHolding.has(key)) {
+      byHolding.set(key, {
+        shareholder_id: c.shareholder_id,
+        shareholder_name: c.shareholder_name,
+        entity_stock_type_id: c.entity_stock_type_id,
+        entity_stock_series_id: c.entity_stock_series_id,
+        stock_type_name: c.stock_type_name,
+        series: c.series,
+        certificates: [],
+      });
+    }
+    byHolding.get(key).certificates.push(c);
+  }
+
+  const sharesWhere = (certs, pred) => round4(certs.filter(pred).reduce((sum, c) => sum + c.shares, 0));
+  const holdings = [...byHolding.values()].map(h => {
+    const freeDates = h.certificates.map(c => c.free_to_sell_date).filter(Boolean).sort();
+    const upcoming = freeDates.filter(d => d > onDate);
+    const { certificates: certs, ...rest } = h;
+    return {
+      ...rest,
+      certificate_count: certs.length,
+      shares: sharesWhere(certs, () => true),
+      unrestricted_shares: sharesWhere(certs, c => c.status === 'UNRESTRICTED'),
+      eligible_shares: sharesWhere(certs, c => c.status === 'ELIGIBLE'),
+      conditional_shares: sharesWhere(certs, c => c.status === 'ELIGIBLE_WITH_CONDITIONS'),
+      restricted_shares: sharesWhere(certs, c => c.status === 'RESTRICTED'),
+      unknown_shares: sharesWhere(certs, c => c.status === 'UNKNOWN'),
+      is_affiliate_holding: certs.some(c => c.is_control_security),
+      free_to_sell_date: freeDates.length ? freeDates[freeDates.length - 1] : null,
+      next_free_to_sell_date: upcoming.length ? upcoming[0] : null,
+    };
+  });
+
+  return {
+    as_of_date: onDate,
+    holding_period_months: months,
+    certificates,
+    holdings,
+    summary: {
+      certificates: certificates.length,
+      holdings: holdings.length,
+      unrestricted_shares: round4(holdings.reduce((sum, h) => sum + h.unrestricted_shares, 0)),
+      eligible_shares: round4(holdings.reduce((sum, h) => sum + h.eligible_shares, 0)),
+      conditional_shares: round4(holdings.reduce((sum, h) => sum + h.conditional_shares, 0)),
+      restricted_shares: round4(holdings.reduce((sum, h) => sum + h.restricted_shares, 0)),
+      unknown_shares: round4(holdings.reduce((sum, h) => sum + h.unknown_shares, 0)),
+    },
+  };
+}
+
+module.exports = {
+  HOLDING_PERIOD_MONTHS,
+  holdingPeriodStart,
+  inheritRestriction,
+  certificateEligibility,
+  getRule144Report,
+};
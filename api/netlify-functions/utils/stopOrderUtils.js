@@ -0,0 +1,137 @@
+/**
+ * Stop-Transfer Order Utilities
+ * Looks up the stop-transfer orders (court orders, pledges, disputes) that
+ * freeze a shareholder, a holding (class and series) or a single certificate.
+ * Used by the ledger actions that move shares out of a holding (transfer,
+ * cancel, repurchase, conversion, forfeiture, void) and the certificate actions.
+ */
+
+const STOP_ORDER_SCOPES = ['SHAREHOLDER', 'HOLDING', 'CERTIFICATE'];
+const STOP_ORDER_REASON_TYPES = ['COURT_ORDER', 'PLEDGE', 'DISPUTE', 'OTHER'];
+
+// An order binds until it is released or its expiry date has passed
+const ACTIVE_ORDER_SQL = `o.status = 'ACTIVE' AND (o.expires_on IS NULL OR o.expires_on >= CURRENT_DATE)`;
+
+function stopOrderError(message, orders) {
+  return Object.assign(new Error(message), {
+    statusCode: 400,
+    error_code: 'ERR_STOP_TRANSFER_ORDER',
+    details: {
+      orders: orders.map(o => ({
+        id: o.id,
+        scope: o.scope,
+        reason_type: o.reason_type,
+        reason: o.reason,
+        reference_document: o.reference_document,
+        expires_on: o.expires_on,
+        certificate_id: o.certificate_id,
+      })),
+    },
+  });
+}
+
+/**
+ * Active SHAREHOLDER and HOLDING orders covering a holder's position in a class.
+ * A HOLDING order without a series covers every series of its class.
+ * @param {object} db - transaction client or anything with .query()
+ * @returns {Object[]} stop_transfer_orders rows
+ */
+async function findStopOrders(db, { entityId, shareholderId, entityStockTypeId, entityStockSeriesId }) {
+  const res = await db.query(`
+    SELECT o.*
+    FROM stop_transfer_orders o
+    WHERE o.entity_id = $1
+      AND o.shareholder_id = $2
+      AND ${ACTIVE_ORDER_SQL}
+      AND (
+        o.scope = 'SHAREHOLDER'
+        OR (o.scope = 'HOLDING'
+            AND o.entity_stock_type_id = $3
+            AND (o.entity_stock_series_id IS NULL OR o.entity_stock_series_id IS NOT DISTINCT FROM $4::bigint))
+      )
+    ORDER BY o.id
+  `, [entityId, shareholderId, entityStockTypeId, entityStockSeriesId || null]);
+  return res.rows;
+}
+
+/**
+ * Refuse to move shares out of a frozen holding. Throws ERR_STOP_TRANSFER_ORDER
+ * when a SHAREHOLDER or HOLDING order applies. Otherwise returns the ISSUED
+ * certificates in the holding that carry their own order: those shares stay put,
+ * so callers subtract heldShares from the balance and skip the certificates.
+ * @returns {{ heldCertificateIds: number[], heldShares: number, orders: Object[] }}
+ */
+async function assertHoldingNotStopped(db, params) {
+  const orders = await findStopOrders(db, params);
+  if (orders.length) {
+    throw stopOrderError('This holding is frozen by a stop-transfer order', orders);
+  }
+
+  const res = await db.query(`
+    SELECT o.*, sc.shares AS certificate_shares
+    FROM stop_transfer_orders o
+    JOIN stock_certificates sc ON sc.id = o.certificate_id
+    WHERE o.entity_id = $1
+      AND o.scope = 'CERTIFICATE'
+      AND ${ACTIVE_ORDER_SQL}
+      AND sc.status = 'ISSUED'
+      AND sc.shareholder_id = $2
+      AND sc.entity_stock_type_id = $3
+      AND sc.entity_stock_series_id IS NOT DISTINCT FROM $4::bigint
+    ORDER BY o.id
+  `, [params.entityId, params.shareholderId, params.entityStockTypeId, params.entityStockSeriesId || null]);
+
+  const seen = new Set();
+  let heldShares = 0;
+  for (const o of res.rows) {
+    if (seen.has(o.certificate_id)) continue;
+    seen.add(o.certificate_id);
+    heldShares += parseFloat(o.certificate_shares);
+  }
+  return { heldCertificateIds: [...seen], heldShares, orders: res.rows };
+}
+
+/**
+ * Active orders that freeze a certificate: its own CERTIFICATE orders plus any
+ * SHAREHOLDER or HOLDING order over the position it represents.
+ * @param {object} db - transaction client or anything with .query()
+ * @param {Object} cert - stock_certificates row
+ */
+async function findCertificateStopOrders(db, cert) {
+  const res = await db.query(`
+    SELECT o.*
+    FROM stop_transfer_orders o
+    WHERE o.entity_id = $1
+      AND ${ACTIVE_ORDER_SQL}
+      AND (
+        o.certificate_id = $2
+        OR (o.shareholder_id = $3 AND o.scope = 'SHAREHOLDER')
+        OR (o.shareholder_id = $3 AND o.scope = 'HOLDING'
+            AND o.entity_stock_type_id = $4
+            AND (o.entity_stock_series_id IS NULL OR o.entity_stock_series_id IS NOT DISTINCT FROM $5::bigint))
+      )
+    ORDER BY o.id
+  `, [cert.entity_id, cert.id, cert.shareholder_id, cert.entity_stock_type_id, cert.entity_stock_series_id || null]);
+  return res.rows;
+}
+
+// Move active CERTIFICATE orders onto a replacement certificate (splits, void restores) so the
+// freeze follows the shares rather than lapsing with the cancelled paper.
+async function carryStopOrders(client, fromCertificateId, toCertificateId) {
+  await client.query(
+    `UPDATE stop_transfer_orders SET certificate_id = $2
+     WHERE certificate_id = $1 AND status = 'ACTIVE'`,
+    [fromCertificateId, toCertificateId]
+  );
+}
+
+module.exports = {
+  STOP_ORDER_SCOPES,
+  STOP_ORDER_REASON_TYPES,
+  ACTIVE_ORDER_SQL,
+  stopOrderError,
+  findStopOrders,
+  assertHoldingNotStopped,
+  findCertificateStopOrders,
+  carryStopOrders,
+};
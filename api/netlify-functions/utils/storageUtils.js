@@ -0,0 +1,81 @@
+/**
+ * Storage Utilities
+ * Supabase Storage REST calls against the private aegisiq-storage bucket,
+ * made with the service_role key. Used for certificate PDFs, uploaded
+ * documents, certificate template images and officer signatures.
+ */
+
+const SUPABASE_URL = process.env.SUPABASE_URL || process.env.VITE_SUPABASE_URL;
+const SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY;
+const STORAGE_BUCKET = 'aegisiq-storage';
+
+function objectUrl(filePath) {
+  return `${SUPABASE_URL}/storage/v1/object/${STORAGE_BUCKET}/${filePath}`;
+}
+
+function isStorageConfigured() {
+  return Boolean(SUPABASE_URL && SUPABASE_SERVICE_ROLE_KEY);
+}
+
+/**
+ * Upload a file. Throws on a failed upload.
+ * @param {string} filePath - object path inside the bucket
+ * @param {Buffer} buffer
+ * @param {string} contentType - e.g. 'application/pdf', 'image/png'
+ * @param {Object} [options]
+ * @param {boolean} [options.upsert=true] - overwrite an existing object at filePath
+ * @returns {Object} Supabase response ({ Key, ... })
+ */
+async function uploadStorageObject(filePath, buffer, contentType, { upsert = true } = {}) {
+  const res = await fetch(objectUrl(filePath), {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${SUPABASE_SERVICE_ROLE_KEY}`,
+      'Content-Type': contentType,
+      'x-upsert': upsert ? 'true' : 'false',
+    },
+    body: buffer,
+  });
+  if (!res.ok) {
+    const errText = await res.text();
+    throw new Error(`Storage upload failed: ${res.status} ${errText}`);
+  }
+  return res.json();
+}
+
+// Object bytes as a Buffer; throws when missing or unreadable
+async function downloadStorageObject(filePath) {
+  const res = await fetch(objectUrl(filePath), {
+    headers: { 'Authorization': `Bearer ${SUPABASE_SERVICE_ROLE_KEY}` },
+  });
+  if (!res.ok) throw new Error(`Storage download failed: ${res.status}`);
+  return Buffer.from(await res.arrayBuffer());
+}
+
+async function deleteStorageObjects(filePaths) {
+  const res = await fetch(`${SUPABASE_URL}/storage/v1/object/${STORAGE_BUCKET}`, {
+    method: 'DELETE',
+    headers: {
+      'Authorization': `Bearer ${SUPABASE_SERVICE_ROLE_KEY}`,
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({ prefixes: filePaths }),
+  });
+  if (!res.ok) {
+    const errText = await res.text();
+    throw new Error(`Storage delete failed: ${res.status} ${errText}`);
+  }
+}
+
+function getPublicUrl(filePath) {
+  return `${SUPABASE_URL}/storage/v1/object/public/${STORAGE_BUCKET}/${filePath}`;
+}
+
+module.exports = {
+  STORAGE_BUCKET,
+  isStorageConfigured,
+  uploadStorageObject,
+  downloadStorageObject,
+  deleteStorageObjects,
+  getPublicUrl,
+};
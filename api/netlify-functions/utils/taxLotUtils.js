@@ -0,0 +1,469 @@
+/**
+ * Tax Lot Utilities
+ * Cost basis tracking per holding. Lots are opened on issuance, grant exercise
+ * and purchase transfers, consumed FIFO or by specific identification on
+ * transfers, cancellations, repurchases and forfeitures, carried over on gifts
+ * and rescaled on splits. Shares a holder had before lots were tracked stay
+ * "untracked" rather than being given an invented basis.
+ */
+
+const { toDateStr } = require('./vestingUtils');
+
+const LOT_METHODS = ['FIFO', 'SPECIFIC_ID'];
+const LOT_SOURCES = ['ISSUANCE', 'EXERCISE', 'PURCHASE', 'GIFT', 'CONVERSION'];
+const TRANSFER_KINDS = ['PURCHASE', 'GIFT'];
+
+const round4 = (n) => Math.round(n * 1e4) / 1e4;
+const round6 = (n) => Math.round(n * 1e6) / 1e6;
+
+function httpError(statusCode, message, extra = {}) {
+  return Object.assign(new Error(message), { statusCode, ...extra });
+}
+
+// Read lot_method and lot_selections ([{ lot_id, shares }]) from a request body.
+function parseLotSelection(body) {
+  const method = String(body.lot_method || 'FIFO').toUpperCase();
+  if (!LOT_METHODS.includes(method)) {
+    throw httpError(400, `lot_method must be one of ${LOT_METHODS.join(', ')}`);
+  }
+  if (method === 'FIFO') return { method, selections: null };
+
+  const raw = body.lot_selections;
+  if (!Array.isArray(raw) || !raw.length) {
+    throw httpError(400, 'lot_selections ([{ lot_id, shares }]) is required for SPECIFIC_ID');
+  }
+  const selections = raw.map(s => ({ lotId: parseInt(s && s.lot_id), shares: parseFloat(s && s.shares) }));
+  if (selections.some(s => !Number.isInteger(s.lotId) || !(s.shares > 0))) {
+    throw httpError(400, 'Each lot selection needs a lot_id and a positive number of shares');
+  }
+  if (new Set(selections.map(s => s.lotId)).size !== selections.length) {
+    throw httpError(400, 'A lot can only be selected once');
+  }
+  return { method, selections };
+}
+
+// Read transfer_kind: PURCHASE (default) opens a new lot for the receiver at the
+// transfer price; GIFT carries the sender's basis and holding period over.
+function parseTransferKind(body) {
+  const kind = String(body.transfer_kind || 'PURCHASE').toUpperCase();
+  if (!TRANSFER_KINDS.includes(kind)) {
+    throw httpError(400, `transfer_kind must be one of ${TRANSFER_KINDS.join(', ')}`);
+  }
+  return kind;
+}
+
+/**
+ * Open a lot.
+ * @param {object} client - transaction client
+ * @param {Object} params
+ * @param {string} params.sourceType - ISSUANCE, EXERCISE, PURCHASE, GIFT or CONVERSION
+ * @param {string|Date} params.acquisitionDate - holding period start
+ * @param {number|null} params.basisPerShare - null when the basis is unknown
+ * @returns {Object} tax_lots row
+ */
+async function createLot(client, {
+  entityId, shareholderId, entityStockTypeId, entityStockSeriesId,
+  sourceType, sourceTransactionId, parentLotId = null,
+  acquisitionDate, shares, basisPerShare, createdBy,
+}) {
+  const res = await client.query(`
+    INSERT INTO tax_lots (
+      entity_id, shareholder_id, entity_stock_type_id, entity_stock_series_id,
+      source_type, source_transaction_id, parent_lot_id, acquisition_date,
+      original_shares, remaining_shares, basis_per_share, created_by
+    ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$9,$10,$11)
+    RETURNING *
+  `, [
+    entityId, shareholderId, entityStockTypeId, entityStockSeriesId || null,
+    sourceType, sourceTransactionId || null, parentLotId,
+    toDateStr(acquisitionDate || new Date()),
+    round4(parseFloat(shares)),
+    basisPerShare === null || basisPerShare === undefined ? null : parseFloat(basisPerShare),
+    createdBy,
+  ]);
+  return res.rows[0];
+}
+
+/**
+ * Take shares out of a holding's open lots, FIFO (oldest acquisition first) or by
+ * specific identification, and record a disposal per lot touched. FIFO consumes
+ * what the lots hold and reports the rest as untracked; SPECIFIC_ID must account
+ * for every share.
+ * @param {object} client - transaction client
+ * @param {Object} params
+ * @param {string} params.disposalType - TRANSFER, GIFT, CANCELLATION, REPURCHASE, FORFEITURE or CONVERSION
+ * @param {number|null} [params.preferSourceTransactionId] - consume lots opened by
+ *   this ledger row first (e.g. the restricted grant being forfeited), then FIFO
+ * @returns {{ disposals: Array<{ lot: Object, shares: number }>, untrackedShares: number }}
+ */
+async function consumeLots(client, {
+  entityId, shareholderId, entityStockTypeId, entityStockSeriesId,
+  shares, shareTransactionId, disposalType,
+  method = 'FIFO', selections = null, preferSourceTransactionId = null,
+}) {
+  const needed = round4(Math.abs(parseFloat(shares)));
+  const lotsRes = await client.query(`
+    SELECT *
+    FROM tax_lots
+    WHERE entity_id = $1 AND shareholder_id = $2 AND entity_stock_type_id = $3
+      AND entity_stock_series_id IS NOT DISTINCT FROM $4::bigint
+      AND remaining_shares > 0
+    ORDER BY (source_transaction_id = $5::bigint) IS TRUE DESC, acquisition_date ASC, id ASC
+    FOR UPDATE
+  `, [entityId, shareholderId, entityStockTypeId, entityStockSeriesId || null, preferSourceTransactionId]);
+
+  const picks = [];
+  if (method === 'SPECIFIC_ID') {
+    const selected = round4(selections.reduce((sum, s) => sum + s.shares, 0));
+    if (selected !== needed) {
+      throw httpError(400, `Selected lots cover ${selected} shares but ${needed} are leaving the holding`, {
+        error_code: 'ERR_LOT_SELECTION', details: { selected, required: needed },
+      });
+    }
+    for (const s of selections) {
+      const lot = lotsRes.rows.find(l => l.id === s.lotId);
+      if (!lot) {
+        throw httpError(400, `Lot #${s.lotId} is not an open lot in this holding`, {
+          error_code: 'ERR_LOT_SELECTION', details: { lot_id: s.lotId },
+        });
+      }
+      if (parseFloat(lot.remaining_shares) < s.shares) {
+        throw httpError(400, `Lot #${s.lotId} has only ${parseFloat(lot.remaining_shares)} shares remaining`, {
+          error_code: 'ERR_LOT_SELECTION', details: { lot_id: s.lotId, remaining: parseFloat(lot.remaining_shares), requested: s.shares },
+        });
+      }
+      picks.push({ lot, shares: s.shares });
+    }
+  } else {
+    let remaining = needed;
+    for (const lot of lotsRes.rows) {
+      if (remaining <= 0) break;
+      const used = Math.min(parseFloat(lot.remaining_shares), remaining);
+      picks.push({ lot, shares: used });
+      remaining = round4(remaining - used);
+    }
+  }
+
+  for (const p of picks) {
+    await client.query(
+      'UPDATE tax_lots SET remaining_shares = remaining_shares - $1, updated_at = NOW() WHERE id = $2',
+      [p.shares, p.lot.id]
+    );
+    await client.query(`
+      INSERT INTO tax_lot_disposals (lot_id, share_transaction_id, disposal_type, method, shares, basis_per_share)
+      VALUES ($1,$2,$3,$4,$5,$6)
+    `, [p.lot.id, shareTransactionId, disposalType, method, p.shares, p.lot.basis_per_share]);
+  }
+
+  const consumed = picks.reduce((sum, p) => sum + p.shares, 0);
+  return { disposals: picks, untrackedShares: round4(needed - consumed) };
+}
+
+/**
+ * Open the receiver's lots for a transfer leg. A purchase is one new lot at the
+ * transfer price dated the transfer; a gift carries each consumed lot's basis and
+ * acquisition date over. Untracked gifted shares get an unknown-basis lot.
+ * @param {Array<{ lot: Object, shares: number }>} params.disposals - from consumeLots
+ * @returns {Object[]} tax_lots rows
+ */
+async function createReceiverLots(client, {
+  kind, disposals, untrackedShares,
+  entityId, shareholderId, entityStockTypeId, entityStockSeriesId,
+  shares, pricePerShare, transactionDate, sourceTransactionId, createdBy,
+}) {
+  const base = { entityId, shareholderId, entityStockTypeId, entityStockSeriesId, sourceTransactionId, createdBy };
+  if (kind !== 'GIFT') {
+    return [await createLot(client, {
+      ...base, sourceType: 'PURCHASE', acquisitionDate: transactionDate, shares, basisPerShare: pricePerShare,
+    })];
+  }
+
+  const lots = [];
+  for (const d of disposals) {
+    lots.push(await createLot(client, {
+      ...base, sourceType: 'GIFT', parentLotId: d.lot.id,
+      acquisitionDate: d.lot.acquisition_date, shares: d.shares, basisPerShare: d.lot.basis_per_share,
+    }));
+  }
+  if (untrackedShares > 0) {
+    lots.push(await createLot(client, {
+      ...base, sourceType: 'GIFT', acquisitionDate: transactionDate, shares: untrackedShares, basisPerShare: null,
+    }));
+  }
+  return lots;
+}
+
+/**
+ * Open the target-class lots for a conversion. Each consumed source lot becomes a
+ * lot of its share of the issued shares, keeping its total basis and acquisition
+ * date; rounding lands on the last lot. Untracked source shares convert into an
+ * unknown-basis lot dated the conversion.
+ * @param {number} params.retired - source shares retired
+ * @param {number} params.issued - target shares issued
+ * @returns {Object[]} tax_lots rows
+ */
+async function createConversionLots(client, {
+  disposals, untrackedShares, retired, issued,
+  entityId, shareholderId, entityStockTypeId, entityStockSeriesId,
+  transactionDate, sourceTransactionId, createdBy,
+}) {
+  const factor = issued / retired;
+  const parts = disposals.map(d => ({
+    parentLotId: d.lot.id,
+    acquisitionDate: d.lot.acquisition_date,
+    sourceShares: d.shares,
+    basis: d.lot.basis_per_share === null ? null : parseFloat(d.lot.basis_per_share) * d.shares,
+    shares: round4(d.shares * factor),
+  }));
+  if (untrackedShares > 0) {
+    parts.push({ parentLotId: null, acquisitionDate: transactionDate, basis: null, shares: round4(untrackedShares * factor) });
+  }
+  if (parts.length) {
+    const last = parts[parts.length - 1];
+    last.shares = Math.max(round4(last.shares + issued - parts.reduce((sum, p) => sum + p.shares, 0)), 0);
+  }
+
+  const lots = [];
+  for (const p of parts) {
+    if (!(p.shares > 0)) continue;
+    lots.push(await createLot(client, {
+      entityId, shareholderId, entityStockTypeId, entityStockSeriesId,
+      sourceType: 'CONVERSION', sourceTransactionId, parentLotId: p.parentLotId,
+      acquisitionDate: p.acquisitionDate, shares: p.shares,
+      basisPerShare: p.basis === null ? null : round6(p.basis / p.shares),
+      createdBy,
+    }));
+  }
+  return lots;
+}
+
+/**
+ * Rescale a holder's open lots for a split: shares times the ratio, basis per
+ * share divided by it, so total basis is unchanged. When the lots cover the whole
+ * holding, the split rounding (a cash-in-lieu fraction or a rounded-up share) is
+ * taken from or added to the newest lots so they still match the position.
+ * Each change is recorded against the corporate action batch for reversal.
+ */
+async function adjustLotsForSplit(client, {
+  entityId, shareholderId, entityStockTypeId, entityStockSeriesId,
+  ratio, preSplitShares, postSplitShares, batchId,
+}) {
+  const lotsRes = await client.query(`
+    SELECT *
+    FROM tax_lots
+    WHERE entity_id = $1 AND shareholder_id = $2 AND entity_stock_type_id = $3
+      AND entity_stock_series_id IS NOT DISTINCT FROM $4::bigint
+      AND remaining_shares > 0
+    ORDER BY acquisition_date ASC, id ASC
+    FOR UPDATE
+  `, [entityId, shareholderId, entityStockTypeId, entityStockSeriesId || null]);
+  if (!lotsRes.rows.length) return [];
+
+  const plan = lotsRes.rows.map(lot => ({ lot, remaining: round4(parseFloat(lot.remaining_shares) * ratio) }));
+  const tracked = round4(lotsRes.rows.reduce((sum, l) => sum + parseFloat(l.remaining_shares), 0));
+  if (tracked >= round4(preSplitShares)) {
+    let diff = round4(postSplitShares - plan.reduce((sum, p) => sum + p.remaining, 0));
+    for (let i = plan.length - 1; i >= 0 && diff !== 0; i--) {
+      const next = Math.max(round4(plan[i].remaining + diff), 0);
+      diff = round4(diff - (next - plan[i].remaining));
+      plan[i].remaining = next;
+    }
+  }
+
+  const adjusted = [];
+  for (const p of plan) {
+    const basisBefore = p.lot.basis_per_share === null ? null : parseFloat(p.lot.basis_per_share);
+    const basisAfter = basisBefore === null ? null : round6(basisBefore / ratio);
+    const originalAfter = round4(parseFloat(p.lot.original_shares) * ratio);
+    await client.query(`
+      UPDATE tax_lots
+      SET remaining_shares = $2, original_shares = $3, basis_per_share = $4, updated_at = NOW()
+      WHERE id = $1
+    `, [p.lot.id, p.remaining, originalAfter, basisAfter]);
+    await client.query(`
+      INSERT INTO tax_lot_adjustments (
+        lot_id, corporate_action_batch_id, ratio,
+        remaining_before, remaining_after, original_before, original_after, basis_before, basis_after
+      ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9)
+    `, [
+      p.lot.id, batchId, ratio,
+      p.lot.remaining_shares, p.remaining, p.lot.original_shares, originalAfter, basisBefore, basisAfter,
+    ]);
+    adjusted.push({ lot_id: p.lot.id, remaining_before: parseFloat(p.lot.remaining_shares), remaining_after: p.remaining });
+  }
+  return adjusted;
+}
+
+// Undo adjustLotsForSplit for a reversed corporate action. A lot untouched since
+// the split goes back to its recorded counts; one that has moved since is rescaled.
+async function reverseLotAdjustments(client, batchId) {
+  const res = await client.query(`
+    SELECT a.*, l.remaining_shares AS current_remaining
+    FROM tax_lot_adjustments a
+    JOIN tax_lots l ON l.id = a.lot_id
+    WHERE a.corporate_action_batch_id = $1 AND a.reversed_at IS NULL
+    ORDER BY a.id
+    FOR UPDATE OF l
+  `, [batchId]);
+  for (const a of res.rows) {
+    const current = parseFloat(a.current_remaining);
+    const remaining = current === parseFloat(a.remaining_after)
+      ? parseFloat(a.remaining_before)
+      : round4(current / parseFloat(a.ratio));
+    await client.query(`
+      UPDATE tax_lots
+      SET remaining_shares = $2, original_shares = $3, basis_per_share = $4, updated_at = NOW()
+      WHERE id = $1
+    `, [a.lot_id, remaining, a.original_before, a.basis_before]);
+    await client.query('UPDATE tax_lot_adjustments SET reversed_at = NOW() WHERE id = $1', [a.id]);
+  }
+  return res.rows.length;
+}
+
+/**
+ * Unwind the lots behind voided ledger rows: disposed shares go back on their lots
+ * and lots the rows opened are closed. Throws ERR_LATER_ACTIVITY when an opened
+ * lot has since been drawn on.
+ */
+async function unwindLots(client, transactionIds) {
+  const dispRes = await client.query(`
+    SELECT * FROM tax_lot_disposals
+    WHERE share_transaction_id = ANY($1::int[]) AND reversed_at IS NULL
+    FOR UPDATE
+  `, [transactionIds]);
+  for (const d of dispRes.rows) {
+    await client.query(
+      'UPDATE tax_lots SET remaining_shares = remaining_shares + $1, updated_at = NOW() WHERE id = $2',
+      [d.shares, d.lot_id]
+    );
+    await client.query('UPDATE tax_lot_disposals SET reversed_at = NOW() WHERE id = $1', [d.id]);
+  }
+
+  const lotsRes = await client.query(`
+    SELECT * FROM tax_lots
+    WHERE source_transaction_id = ANY($1::int[]) AND voided_at IS NULL
+    FOR UPDATE
+  `, [transactionIds]);
+  if (lotsRes.rows.some(l => parseFloat(l.remaining_shares) < parseFloat(l.original_shares))) {
+    throw httpError(400, 'Tax lots opened by this transaction have since been disposed of. Void the later transactions first.', {
+      error_code: 'ERR_LATER_ACTIVITY',
+    });
+  }
+  for (const lot of lotsRes.rows) {
+    await client.query(
+      'UPDATE tax_lots SET remaining_shares = 0, voided_at = NOW(), updated_at = NOW() WHERE id = $1',
+      [lot.id]
+    );
+  }
+  return { restored: dispRes.rows.length, closed: lotsRes.rows.length };
+}
+
+// Shares held more than one year are long-term: the first long-term day is the
+// anniversary of the acquisition plus one day.
+function longTermFrom(acquisitionDate) {
+  const d = new Date(`${toDateStr(acquisitionDate)}T00:00:00Z`);
+  d.setUTCFullYear(d.getUTCFullYear() + 1);
+  d.setUTCDate(d.getUTCDate() + 1);
+  return d.toISOString().slice(0, 10);
+}
+
+/**
+ * Open lots for one shareholder with holding period, short/long-term status and
+ * basis, plus per-holding untracked shares (ledger balance the lots don't cover).
+ * @param {object} db - transaction client or anything with .query()
+ * @param {string} [params.asOf] - date the holding period is measured to (YYYY-MM-DD); default today
+ */
+async function getLotReport(db, { entityId, shareholderId, asOf = null }) {
+  const onDate = asOf || toDateStr(new Date());
+  const lotsRes = await db.query(`
+    SELECT l.*, est.display_name AS stock_type_name, ess.series
+    FROM tax_lots l
+    JOIN entity_stock_types est ON est.id = l.entity_stock_type_id
+    LEFT JOIN entity_stock_series ess ON ess.id = l.entity_stock_series_id
+    WHERE l.entity_id = $1 AND l.shareholder_id = $2
+      AND l.remaining_shares > 0 AND l.voided_at IS NULL
+    ORDER BY est.display_name, ess.series NULLS FIRST, l.acquisition_date, l.id
+  `, [entityId, shareholderId]);
+
+  const balRes = await db.query(`
+    SELECT st.entity_stock_type_id, st.entity_stock_series_id,
+           est.display_name AS stock_type_name, ess.series,
+           COALESCE(SUM(st.shares), 0) AS balance
+    FROM share_transactions st
+    JOIN entity_stock_types est ON est.id = st.entity_stock_type_id
+    LEFT JOIN entity_stock_series ess ON ess.id = st.entity_stock_series_id
+    WHERE st.entity_id = $1 AND st.shareholder_id = $2
+    GROUP BY st.entity_stock_type_id, st.entity_stock_series_id, est.display_name, ess.series
+    HAVING COALESCE(SUM(st.shares), 0) <> 0
+  `, [entityId, shareholderId]);
+
+  const lots = lotsRes.rows.map(l => {
+    const acquired = toDateStr(l.acquisition_date);
+    const ltFrom = longTermFrom(acquired);
+    const remaining = parseFloat(l.remaining_shares);
+    const basis = l.basis_per_share === null ? null : parseFloat(l.basis_per_share);
+    return {
+      lot_id: l.id,
+      entity_stock_type_id: l.entity_stock_type_id,
+      entity_stock_series_id: l.entity_stock_series_id,
+      stock_type_name: l.stock_type_name,
+      series: l.series,
+      source_type: l.source_type,
+      source_transaction_id: l.source_transaction_id,
+      holding_period_start: acquired,
+      long_term_from: ltFrom,
+      term: onDate >= ltFrom ? 'LONG_TERM' : 'SHORT_TERM',
+      days_held: Math.max(0, Math.round((new Date(`${onDate}T00:00:00Z`) - new Date(`${acquired}T00:00:00Z`)) / 86400000)),
+      original_shares: parseFloat(l.original_shares),
+      remaining_shares: remaining,
+      basis_per_share: basis,
+      unrealized_basis: basis === null ? null : Math.round(remaining * basis * 100) / 100,
+    };
+  });
+
+  const holdings = balRes.rows.map(b => {
+    const key = (r) => `${r.entity_stock_type_id}_${r.entity_stock_series_id || 'null'}`;
+    const inLots = lots.filter(l => key(l) === key(b)).reduce((sum, l) => sum + l.remaining_shares, 0);
+    const balance = parseFloat(b.balance);
+    return {
+      entity_stock_type_id: b.entity_stock_type_id,
+      entity_stock_series_id: b.entity_stock_series_id,
+      stock_type_name: b.stock_type_name,
+      series: b.series,
+      shares: balance,
+      lot_shares: round4(inLots),
+      untracked_shares: round4(Math.max(balance - inLots, 0)),
+    };
+  });
+
+  const sumBy = (rows, pick) => Math.round(rows.reduce((sum, r) => sum + (pick(r) || 0), 0) * 100) / 100;
+  return {
+    as_of_date: onDate,
+    lots,
+    holdings,
+    summary: {
+      open_lots: lots.length,
+      short_term_shares: round4(lots.filter(l => l.term === 'SHORT_TERM').reduce((sum, l) => sum + l.remaining_shares, 0)),
+      long_term_shares: round4(lots.filter(l => l.term === 'LONG_TERM').reduce((sum, l) => sum + l.remaining_shares, 0)),
+      untracked_shares: round4(holdings.reduce((sum, h) => sum + h.untracked_shares, 0)),
+      total_unrealized_basis: sumBy(lots, l => l.unrealized_basis),
+      unknown_basis_lots: lots.filter(l => l.basis_per_share === null).length,
+    },
+  };
+}
+
+module.exports = {
+  LOT_METHODS,
+  LOT_SOURCES,
+  TRANSFER_KINDS,
+  parseLotSelection,
+  parseTransferKind,
+  createLot,
+  consumeLots,
+  createReceiverLots,
+  createConversionLots,
+  adjustLotsForSplit,
+  reverseLotAdjustments,
+  unwindLots,
+  getLotReport,
+};
@@ -0,0 +1,145 @@
+/**
+ * Certificate Template Utilities
+ * Per-entity (optionally per-class) certificate look: logo and seal images,
+ * colours, font family, border style, officer titles under the signature
+ * lines and an optional assignment / stock power form on the back.
+ * Used by certificate PDF rendering and the certificate templates API.
+ */
+
+const { downloadStorageObject } = require('./storageUtils');
+
+const FONT_FAMILIES = ['TIMES', 'HELVETICA', 'COURIER'];
+const BORDER_STYLES = ['DOUBLE', 'SINGLE', 'THICK', 'NONE'];
+const IMAGE_KINDS = ['LOGO', 'SEAL'];
+const IMAGE_TYPES = { 'image/png': 'png', 'image/jpeg': 'jpg' };
+const MAX_IMAGE_BYTES = 2 * 1024 * 1024;
+
+// The look every certificate had before templates; fills any unset template field
+const DEFAULT_TEMPLATE = {
+  font_family: 'TIMES',
+  border_style: 'DOUBLE',
+  primary_color: '#b89433',
+  text_color: '#0d1a40',
+  signer_title: 'Authorized Officer',
+  countersigner_title: 'Secretary',
+  include_stock_power: false,
+};
+
+const HEX_COLOR = /^#[0-9a-fA-F]{6}$/;
+
+// '#rrggbb' -> { r, g, b } in 0..1 for pdf-lib's rgb()
+function parseHexColor(hex) {
+  const value = HEX_COLOR.test(hex || '') ? hex : '#000000';
+  return {
+    r: parseInt(value.slice(1, 3), 16) / 255,
+    g: parseInt(value.slice(3, 5), 16) / 255,
+    b: parseInt(value.slice(5, 7), 16) / 255,
+  };
+}
+
+/**
+ * Validate and normalise template fields from a request body. With partial,
+ * only the fields present are checked and returned (updates).
+ * @returns {{ values?: Object, error?: string }}
+ */
+function validateTemplateInput(input, { partial = false } = {}) {
+  const values = {};
+  const has = (k) => input[k] !== undefined;
+
+  if (!partial || has('name')) {
+    if (!input.name || !String(input.name).trim()) return { error: 'name is required' };
+    values.name = String(input.name).trim();
+  }
+  if (has('font_family') || !partial) {
+    const font = input.font_family || DEFAULT_TEMPLATE.font_family;
+    if (!FONT_FAMILIES.includes(font)) return { error: `font_family must be one of ${FONT_FAMILIES.join(', ')}` };
+    values.font_family = font;
+  }
+  if (has('border_style') || !partial) {
+    const border = input.border_style || DEFAULT_TEMPLATE.border_style;
+    if (!BORDER_STYLES.includes(border)) return { error: `border_style must be one of ${BORDER_STYLES.join(', ')}` };
+    values.border_style = border;
+  }
+  for (const key of ['primary_color', 'text_color']) {
+    if (!has(key) && partial) continue;
+    const color = input[key] || DEFAULT_TEMPLATE[key];
+    if (!HEX_COLOR.test(color)) return { error: `${key} must be a hex colour like #1a2b3c` };
+    values[key] = color.toLowerCase();
+  }
+  for (const key of ['signer_title', 'countersigner_title']) {
+    if (!has(key) && partial) continue;
+    values[key] = input[key] && String(input[key]).trim() ? String(input[key]).trim() : DEFAULT_TEMPLATE[key];
+  }
+  if (has('include_stock_power') || !partial) values.include_stock_power = input.include_stock_power === true;
+  if (has('is_active')) values.is_active = input.is_active === true;
+
+  return { values };
+}
+
+/**
+ * Template a certificate renders with: the active template for its class,
+ * else the entity's active default (no class), else null (built-in look).
+ * @param {object} db - transaction client or anything with .query()
+ */
+async function resolveCertificateTemplate(db, { entityId, entityStockTypeId }) {
+  const res = await db.query(`
+    SELECT * FROM certificate_templates
+    WHERE entity_id = $1 AND is_active
+      AND (entity_stock_type_id = $2::int OR entity_stock_type_id IS NULL)
+    ORDER BY entity_stock_type_id NULLS LAST, id DESC
+    LIMIT 1
+  `, [entityId, entityStockTypeId || null]);
+  return res.rows[0] || null;
+}
+
+// Image bytes for rendering ({ bytes, type }), or null when unset or unreadable
+// (the certificate still renders, without the image)
+async function loadStorageImage(path, contentType) {
+  if (!path) return null;
+  try {
+    return { bytes: await downloadStorageObject(path), type: IMAGE_TYPES[contentType] || 'png' };
+  } catch (err) {
+    console.error('Certificate image load error (non-fatal):', err.message);
+    return null;
+  }
+}
+
+/**
+ * What generateCertificatePdf takes as cert.template: a certificate_templates
+ * row over DEFAULT_TEMPLATE, with logo_image / seal_image loaded.
+ * @param {Object|null} row - certificate_templates row; null for the built-in look
+ */
+async function renderableTemplate(row) {
+  if (!row) return { ...DEFAULT_TEMPLATE };
+  return {
+    ...DEFAULT_TEMPLATE,
+    ...Object.fromEntries(Object.entries(row).filter(([, v]) => v !== null)),
+    logo_image: await loadStorageImage(row.logo_path, row.logo_content_type),
+    seal_image: await loadStorageImage(row.seal_path, row.seal_content_type),
+  };
+}
+
+/**
+ * Template a certificate renders with, ready for generateCertificatePdf.
+ * @param {object} db - transaction client or anything with .query()
+ * @param {Object} cert - needs entity_id and entity_stock_type_id
+ */
+async function loadCertificateTemplate(db, cert) {
+  const row = await resolveCertificateTemplate(db, { entityId: cert.entity_id, entityStockTypeId: cert.entity_stock_type_id });
+  return renderableTemplate(row);
+}
+
+module.exports = {
+  FONT_FAMILIES,
+  BORDER_STYLES,
+  IMAGE_KINDS,
+  IMAGE_TYPES,
+  MAX_IMAGE_BYTES,
+  DEFAULT_TEMPLATE,
+  parseHexColor,
+  validateTemplateInput,
+  resolveCertificateTemplate,
+  loadStorageImage,
+  renderableTemplate,
+  loadCertificateTemplate,
+};
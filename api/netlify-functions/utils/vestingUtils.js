@@ -0,0 +1,195 @@
+/**
+ * Vesting Utilities
+ * Restricted-stock vesting schedules attached to an ISSUANCE:
+ * cliff, monthly/quarterly tranches and change-of-control acceleration.
+ */
+
+const FREQUENCIES = ['MONTHLY', 'QUARTERLY'];
+const ACCELERATION_TRIGGERS = ['NONE', 'SINGLE_TRIGGER', 'DOUBLE_TRIGGER'];
+const TERMINATION_TYPES = ['WITHOUT_CAUSE', 'GOOD_REASON', 'FOR_CAUSE', 'RESIGNATION', 'DEATH_DISABILITY', 'OTHER'];
+
+// Termination types that fire the second leg of a double-trigger acceleration
+const DOUBLE_TRIGGER_TERMINATIONS = ['WITHOUT_CAUSE', 'GOOD_REASON'];
+
+/* ========== HELPERS ========== */
+
+// pg hands DATE columns back as local-midnight Date objects; API input is YYYY-MM-DD
+function toDateStr(d) {
+  if (!d) return null;
+  if (d instanceof Date) {
+    const mm = String(d.getMonth() + 1).padStart(2, '0');
+    const dd = String(d.getDate()).padStart(2, '0');
+    return `${d.getFullYear()}-${mm}-${dd}`;
+  }
+  return String(d).slice(0, 10);
+}
+
+// Whole calendar months from start to end (a month counts once its day-of-month is reached)
+function monthsBetween(start, end) {
+  const [y1, m1, d1] = toDateStr(start).split('-').map(Number);
+  const [y2, m2, d2] = toDateStr(end).split('-').map(Number);
+  return (y2 - y1) * 12 + (m2 - m1) - (d2 < d1 ? 1 : 0);
+}
+
+function addMonths(dateStr, months) {
+  const [y, m, d] = toDateStr(dateStr).split('-').map(Number);
+  const dt = new Date(Date.UTC(y, m - 1 + months, 1));
+  // Clamp to the last day of the target month (Jan 31 + 1 month → Feb 28/29)
+  const lastDay = new Date(Date.UTC(dt.getUTCFullYear(), dt.getUTCMonth() + 1, 0)).getUTCDate();
+  dt.setUTCDate(Math.min(d, lastDay));
+  return dt.toISOString().slice(0, 10);
+}
+
+/**
+ * Validate and normalise vesting terms from a request body.
+ * @param {Object} input
+ * @returns {{ terms?: Object, error?: string }}
+ */
+function validateVestingTerms(input) {
+  if (!input || typeof input !== 'object') return { error: 'vesting terms are required' };
+
+  const vestingStart = toDateStr(input.vesting_start_date);
+  if (!vestingStart || !/^\d{4}-\d{2}-\d{2}$/.test(vestingStart) || isNaN(new Date(vestingStart).getTime())) {
+    return { error: 'vesting_start_date must be a date in YYYY-MM-DD format' };
+  }
+
+  const vestingMonths = parseInt(input.vesting_months);
+  if (!(vestingMonths > 0)) return { error: 'vesting_months must be a positive integer' };
+
+  const cliffMonths = input.cliff_months === undefined || input.cliff_months === null || input.cliff_months === ''
+    ? 0 : parseInt(input.cliff_months);
+  if (!(cliffMonths >= 0) || cliffMonths > vestingMonths) {
+    return { error: 'cliff_months must be between 0 and vesting_months' };
+  }
+
+  const frequency = String(input.frequency || 'MONTHLY').toUpperCase();
+  if (!FREQUENCIES.includes(frequency)) return { error: 'frequency must be MONTHLY or QUARTERLY' };
+
+  const trigger = String(input.acceleration_trigger || 'NONE').toUpperCase();
+  if (!ACCELERATION_TRIGGERS.includes(trigger)) {
+    return { error: 'acceleration_trigger must be NONE, SINGLE_TRIGGER or DOUBLE_TRIGGER' };
+  }
+
+  const accelPct = input.acceleration_percent === undefined || input.acceleration_percent === null || input.acceleration_percent === ''
+    ? 100 : parseFloat(input.acceleration_percent);
+  if (!(accelPct >= 0 && accelPct <= 100)) return { error: 'acceleration_percent must be between 0 and 100' };
+
+  return {
+    terms: {
+      vesting_start_date: vestingStart,
+      vesting_months: vestingMonths,
+      cliff_months: cliffMonths,
+      frequency,
+      acceleration_trigger: trigger,
+      acceleration_percent: accelPct,
+    },
+  };
+}
+
+/**
+ * Compute vested / unvested shares for a schedule on a date.
+ * Nothing vests before the cliff; at the cliff the months elapsed so far vest at once,
+ * then one tranche per month (or quarter). Acceleration applies to the unvested balance
+ * once change_of_control_date is on or before the date: always for SINGLE_TRIGGER, and
+ * for DOUBLE_TRIGGER only with a qualifying terminationType.
+ * @param {Object} schedule - vesting_schedules row
+ * @param {string|Date} asOf
+ * @param {Object} [opts]
+ * @param {string} [opts.terminationType]
+ * @returns {Object} { total_shares, vested_shares, unvested_shares, accelerated_shares, next_vesting_date, fully_vested_date }
+ */
+function computeVesting(schedule, asOf, { terminationType } = {}) {
+  const total = parseFloat(schedule.total_shares);
+  const vm = parseInt(schedule.vesting_months);
+  const cliff = parseInt(schedule.cliff_months || 0);
+  const step = schedule.frequency === 'QUARTERLY' ? 3 : 1;
+  const start = toDateStr(schedule.vesting_start_date);
+  const date = toDateStr(asOf);
+  const fullyVestedDate = addMonths(start, vm);
+
+  // A terminated schedule is frozen at whatever was not forfeited
+  if (schedule.status === 'TERMINATED') {
+    const forfeited = parseFloat(schedule.forfeited_shares || 0);
+    return {
+      total_shares: total,
+      vested_shares: total - forfeited,
+      unvested_shares: 0,
+      accelerated_shares: 0,
+      next_vesting_date: null,
+      fully_vested_date: fullyVestedDate,
+    };
+  }
+
+  const elapsed = date < start ? 0 : monthsBetween(start, date);
+  let vestedMonths = 0;
+  if (elapsed >= cliff) {
+    vestedMonths = Math.min(vm, Math.floor(elapsed / step) * step);
+  }
+  let vested = vestedMonths >= vm ? total : Math.floor((total * vestedMonths) / vm);
+
+  let accelerated = 0;
+  const coc = toDateStr(schedule.change_of_control_date);
+  const triggered = coc && coc <= date && (
+    schedule.acceleration_trigger === 'SINGLE_TRIGGER' ||
+    (schedule.acceleration_trigger === 'DOUBLE_TRIGGER' && DOUBLE_TRIGGER_TERMINATIONS.includes(terminationType))
+  );
+  if (triggered && vested < total) {
+    accelerated = Math.floor(((total - vested) * parseFloat(schedule.acceleration_percent ?? 100)) / 100);
+    vested += accelerated;
+  }
+
+  let nextVestingDate = null;
+  if (vested < total) {
+    const nextMonths = elapsed < cliff
+      ? cliff
+      : Math.min(vm, (Math.floor(elapsed / step) + 1) * step);
+    nextVestingDate = addMonths(start, nextMonths);
+  }
+
+  return {
+    total_shares: total,
+    vested_shares: vested,
+    unvested_shares: total - vested,
+    accelerated_shares: accelerated,
+    next_vesting_date: nextVestingDate,
+    fully_vested_date: fullyVestedDate,
+  };
+}
+
+/**
+ * Insert a vesting schedule for an ISSUANCE row.
+ * @param {object} db - transaction client or anything with .query()
+ * @param {Object} issuance - share_transactions row (must be an ISSUANCE)
+ * @param {Object} terms - output of validateVestingTerms
+ * @param {number} createdBy - user id
+ * @returns {Object} vesting_schedules row
+ */
+async function createVestingSchedule(db, issuance, terms, createdBy) {
+  const res = await db.query(`
+    INSERT INTO vesting_schedules (
+      entity_id, share_transaction_id, shareholder_id,
+      entity_stock_type_id, entity_stock_series_id, total_shares,
+      vesting_start_date, cliff_months, vesting_months, frequency,
+      acceleration_trigger, acceleration_percent, created_by
+    ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13)
+    RETURNING *
+  `, [
+    issuance.entity_id, issuance.id, issuance.shareholder_id,
+    issuance.entity_stock_type_id, issuance.entity_stock_series_id || null, Math.abs(parseFloat(issuance.shares)),
+    terms.vesting_start_date, terms.cliff_months, terms.vesting_months, terms.frequency,
+    terms.acceleration_trigger, terms.acceleration_percent, createdBy,
+  ]);
+  return res.rows[0];
+}
+
+module.exports = {
+  FREQUENCIES,
+  ACCELERATION_TRIGGERS,
+  TERMINATION_TYPES,
+  toDateStr,
+  monthsBetween,
+  addMonths,
+  validateVestingTerms,
+  computeVesting,
+  createVestingSchedule,
+};
@@ -218,7 +218,7 @@ const AdminApp = {
     document.querySelectorAll('.tab-panel').forEach(p => p.classList.toggle('active', p.id === `panel-${tabName}`));
 
     // Update topbar title
-    const titleMap = { 'shareholders': 'Shareholders', 'stock-types': 'Stock Types', 'users': 'Users', 'entities': 'Entity Settings', 'certificates': 'Certificates', 'plan-billing': 'Plan & Billing' };
+    const titleMap = { 'shareholders': 'Shareholders', 'stock-types': 'Stock Types', 'users': 'Users', 'entities': 'Entity Settings', 'certificates': 'Certificates', 'approvals': 'Approvals', 'restrictions': 'Transfer Restrictions', 'stop-orders': 'Stop Orders', 'legends': 'Legends', 'cert-templates': 'Certificate Templates', 'officers': 'Officers & Signatories', 'plan-billing': 'Plan & Billing' };
     const titleEl = document.getElementById('adminPageTitle');
     if (titleEl) titleEl.textContent = titleMap[tabName] || 'Admin';
 
@@ -231,6 +231,12 @@ const AdminApp = {
     else if (tabName === 'users') this.loadUsers();
     else if (tabName === 'entities') this.renderEntitiesTable();
     else if (tabName === 'certificates') this.loadCertificates();
+    else if (tabName === 'approvals') this.loadApprovals();
+    else if (tabName === 'restrictions') this.loadRestrictions();
+    else if (tabName === 'stop-orders') this.loadStopOrders();
+    else if (tabName === 'legends') this.loadLegends();
+    else if (tabName === 'cert-templates') this.loadCertTemplates();
+    else if (tabName === 'officers') this.loadOfficers();
     else if (tabName === 'plan-billing') this.loadPlanBilling();
   },
 
@@ -287,6 +293,12 @@ const AdminApp = {
     else if (this.state.currentTab === 'stock-types') this.loadStockTypes();
     else if (this.state.currentTab === 'users') this.loadUsers();
     else if (this.state.currentTab === 'certificates') this.loadCertificates();
+    else if (this.state.currentTab === 'approvals') this.loadApprovals();
+    else if (this.state.currentTab === 'restrictions') this.loadRestrictions();
+    else if (this.state.currentTab === 'stop-orders') this.loadStopOrders();
+    else if (this.state.currentTab === 'legends') this.loadLegends();
+    else if (this.state.currentTab === 'cert-templates') this.loadCertTemplates();
+    else if (this.state.currentTab === 'officers') this.loadOfficers();
   },
 
   /* ---- SHAREHOLDERS ---- */
@@ -478,11 +490,12 @@ const AdminApp = {
       if (st.supports_series) {
         html += `<tr class="series-detail-row ${isExpanded ? 'visible' : ''}" id="series-row-${numId}" style="display:${isExpanded ? 'table-row' : 'none'}"><td colspan="9"><div class="series-detail-content"><div class="series-detail-header"><h4>Series for ${UI.escapeHtml(st.display_name)}</h4></div>`;
         if (st.series && st.series.length > 0) {
-          html += '<table class="data-table series-table" style="margin:0;"><thead><tr><th>Series Name</th><th>Authorized Shares</th><th>Status</th><th style="width:60px;">Actions</th></tr></thead><tbody>';
+          html += '<table class="data-table series-table" style="margin:0;"><thead><tr><th>Series Name</th><th>Authorized Shares</th><th>Conversion Ratio</th><th>Status</th><th style="width:60px;">Actions</th></tr></thead><tbody>';
           st.series.forEach(s => {
             html += `<tr class="${s.is_active ? '' : 'inactive-row'}">
               <td>Series ${UI.escapeHtml(s.series)}</td>
               <td class="mono">${s.authorized_shares !== null && s.authorized_shares !== undefined ? fmt(s.authorized_shares) : '—'}</td>
+              <td class="mono">${s.conversion_ratio !== null && s.conversion_ratio !== undefined ? `1 : ${Number(s.conversion_ratio)}` : '—'}</td>
               <td><span class="status-badge ${s.is_active ? 'active' : 'inactive'}"><span class="dot"></span>${s.is_active ? 'Active' : 'Inactive'}</span></td>
               <td><div class="table-actions"><button class="btn-table edit" onclick="event.stopPropagation(); AdminApp.editSeries(${s.id}, ${numId})" title="Edit Series"><svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"/><path d="M18.5 2.5a2.121 2.121 0 0 1 3 3L12 15l-4 1 1-4 9.5-9.5z"/></svg></button></div></td>
             </tr>`;
@@ -632,6 +645,7 @@ const AdminApp = {
     document.getElementById('seriesStockTypeId').value = stockTypeId;
     document.getElementById('seriesName').value = series.series;
     document.getElementById('seriesAuthorizedShares').value = series.authorized_shares !== null && series.authorized_shares !== undefined ? series.authorized_shares : '';
+    document.getElementById('seriesConversionRatio').value = series.conversion_ratio !== null && series.conversion_ratio !== undefined ? Number(series.conversion_ratio) : '';
     this.state.isSubmitting = false;
     UI.openModal('seriesModal');
   },
@@ -649,6 +663,7 @@ const AdminApp = {
       entity_stock_type_id: document.getElementById('seriesStockTypeId').value,
       series: document.getElementById('seriesName').value,
       authorized_shares: document.getElementById('seriesAuthorizedShares').value || null,
+      conversion_ratio: document.getElementById('seriesConversionRatio').value || null,
       is_active: document.getElementById('seriesActive').checked
     };
     if (isEdit) payload.id = id;
@@ -1145,6 +1160,10 @@ const AdminApp = {
       const statusClass = cert.status === 'ISSUED' ? 'active' : (cert.status === 'REPLACED' ? 'warning' : 'inactive');
       const lostInfo = cert.lost_certificate_number ? `<span class="sidebar-badge" style="font-size:9px;" title="Replaces lost cert">Replaces: ${UI.escapeHtml(cert.lost_certificate_number)}</span>` : '';
       const replacedInfo = cert.cancelled_reason === 'LOST' && cert.replaced_by_certificate_id ? '<span class="sidebar-badge" style="font-size:9px;background:var(--warning);">LOST</span>' : '';
+      const holdInfo = cert.is_held ? '<span class="sidebar-badge" style="font-size:9px;background:var(--danger);" title="Frozen by a stop-transfer order">HOLD</span>' : '';
+      const rule144Info = (cert.is_control_security ? '<span class="sidebar-badge" style="font-size:9px;background:var(--danger);" title="Control security held by an affiliate">AFFILIATE</span> ' : '')
+        + (cert.is_restricted ? '<span class="sidebar-badge" style="font-size:9px;" title="Carries the restrictive legend">LEGEND</span>' : '')
+        + (cert.is_restricted === null ? '<span class="sidebar-badge" style="font-size:9px;background:var(--warning);" title="Restriction status not recorded">144?</span>' : '');
       html += `<tr>
         <td class="mono">${UI.escapeHtml(cert.certificate_number)}</td>
         <td>${UI.escapeHtml(cert.shareholder_name)}</td>
@@ -1152,8 +1171,8 @@ const AdminApp = {
         <td>${cert.series || 'N/A'}</td>
         <td>${Number(cert.shares).toLocaleString()}</td>
         <td>${fmtDate(cert.issue_date)}</td>
-        <td><span class="status-badge ${statusClass}"><span class="dot"></span>${cert.status}</span></td>
-        <td>${lostInfo}${replacedInfo}</td>
+        <td><span class="status-badge ${statusClass}"><span class="dot"></span>${cert.status}</span> ${holdInfo}</td>
+        <td>${lostInfo}${replacedInfo} ${rule144Info}</td>
         <td><div class="table-actions">
           <button class="btn-table" onclick="AdminApp.downloadCertificatePdf(${cert.id})" title="Download PDF">
             <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
@@ -1162,7 +1181,7 @@ const AdminApp = {
               <line x1="12" y1="15" x2="12" y2="3"></line>
             </svg>
           </button>
-          ${cert.status === 'ISSUED' && Auth.isAdmin() ? `
+          ${cert.status === 'ISSUED' && !cert.is_held && Auth.isAdmin() ? `
             <button class="btn-table danger" onclick="AdminApp.openCancelCertificateModal(${cert.id}, '${UI.escapeHtml(cert.certificate_number)}', '${UI.escapeHtml(cert.shareholder_name)}', ${cert.shares})" title="Cancel">
               <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                 <circle cx="12" cy="12" r="10"></circle>
@@ -1185,6 +1204,20 @@ const AdminApp = {
                 <line x1="12" y1="17" x2="12.01" y2="17"></line>
               </svg>
             </button>
+            <button class="btn-table" onclick="AdminApp.openRestrictionFlagsModal(${cert.id})" title="Rule 144 Flags">
+              <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <path d="M4 15s1-1 4-1 5 2 8 2 4-1 4-1V3s-1 1-4 1-5-2-8-2-4 1-4 1z"></path>
+                <line x1="4" y1="22" x2="4" y2="15"></line>
+              </svg>
+            </button>
+            ${cert.is_restricted && !cert.is_control_security ? `
+              <button class="btn-table" onclick="AdminApp.openRemoveLegendModal(${cert.id})" title="Remove Legend" style="color:var(--gold);">
+                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                  <rect x="3" y="11" width="18" height="11" rx="2" ry="2"></rect>
+                  <path d="M7 11V7a5 5 0 0 1 9.9-1"></path>
+                </svg>
+              </button>
+            ` : ''}
           ` : ''}
           ${cert.cancelled_reason === 'LOST' ? `
             <button class="btn-table" onclick="AdminApp.openGenerateAffidavitModal(${cert.id}, '${UI.escapeHtml(cert.certificate_number)}', '${UI.escapeHtml(cert.shareholder_name)}', ${cert.shares})" title="Generate Affidavit" style="color:var(--gold);">
@@ -1233,6 +1266,7 @@ const AdminApp = {
     document.getElementById('certIssueDate').value = new Date().toISOString().split('T')[0];
     document.getElementById('certSeries').innerHTML = '<option value="">N/A</option>';
     document.getElementById('certSeries').disabled = true;
+    this.populateOfficerSelects(['certSignedByOfficer', 'certCountersignedByOfficer']);
     this.state.isSubmitting = false;
     UI.openModal('generateCertificateModal');
   },
@@ -1281,6 +1315,8 @@ const AdminApp = {
       entity_stock_series_id: document.getElementById('certSeries').value || null,
       shares: parseInt(document.getElementById('certShares').value),
       issue_date: document.getElementById('certIssueDate').value || null,
+      signed_by_officer_id: document.getElementById('certSignedByOfficer').value || null,
+      countersigned_by_officer_id: document.getElementById('certCountersignedByOfficer').value || null,
       signed_by_name: document.getElementById('certSignedByName').value || null,
       signed_by_title: document.getElementById('certSignedByTitle').value || null,
       countersigned_by_name: document.getElementById('certCountersignedByName').value || null,
@@ -1453,6 +1489,1195 @@ const AdminApp = {
     }
   },
 
+  /* ---- RULE 144 ---- */
+  rule144CertInfo(cert) {
+    const start = cert.holding_period_start || cert.original_issue_date || cert.issue_date;
+    return `
+      <div style="background:rgba(255,255,255,0.03);border:1px solid var(--border-subtle);border-radius:var(--radius-sm);padding:12px 16px;margin-bottom:16px;">
+        <p style="margin:0 0 4px;"><strong>Certificate:</strong> ${UI.escapeHtml(cert.certificate_number)}</p>
+        <p style="margin:0 0 4px;"><strong>Shareholder:</strong> ${UI.escapeHtml(cert.shareholder_name)}</p>
+        <p style="margin:0 0 4px;"><strong>Shares:</strong> ${Number(cert.shares).toLocaleString()}</p>
+        <p style="margin:0;"><strong>Holding Period Start:</strong> ${start ? String(start).slice(0, 10) : 'N/A'}</p>
+      </div>`;
+  },
+
+  openRestrictionFlagsModal(certId) {
+    const cert = (this.state.certificates || []).find(c => c.id === certId);
+    if (!cert) return;
+    document.getElementById('restrictionFlagsCertId').value = certId;
+    document.getElementById('restrictionFlagsControl').checked = !!cert.is_control_security;
+    // Unknown status (certificate predates the flag) shows indeterminate until the admin picks a side
+    document.getElementById('restrictionFlagsRestricted').checked = !!cert.is_restricted;
+    document.getElementById('restrictionFlagsRestricted').indeterminate = cert.is_restricted === null;
+    document.getElementById('restrictionFlagsRestricted').disabled = !!cert.is_restricted;
+    document.getElementById('restrictionFlagsHoldingStart').value = cert.holding_period_start ? String(cert.holding_period_start).slice(0, 10) : '';
+    document.getElementById('restrictionFlagsReason').value = '';
+    document.getElementById('restrictionFlagsCertInfo').innerHTML = this.rule144CertInfo(cert);
+    UI.openModal('restrictionFlagsModal');
+  },
+
+  async handleRestrictionFlagsSubmit(event) {
+    event.preventDefault();
+    if (this.state.isSubmitting) return;
+    this.state.isSubmitting = true;
+    const submitBtn = document.getElementById('restrictionFlagsSubmitBtn');
+    if (submitBtn) { submitBtn.disabled = true; submitBtn.textContent = 'Saving...'; }
+
+    try {
+      await API.post('/certificates?action=set-restriction-flags', {
+        certificate_id: parseInt(document.getElementById('restrictionFlagsCertId').value),
+        is_control_security: document.getElementById('restrictionFlagsControl').checked,
+        is_restricted: this.restrictionFlagsRestrictedValue(),
+        holding_period_start: document.getElementById('restrictionFlagsHoldingStart').value || null,
+        reason: document.getElementById('restrictionFlagsReason').value || null,
+      });
+      UI.closeModal('restrictionFlagsModal');
+      UI.toast('Rule 144 flags updated', 'success');
+      await this.loadCertificates();
+    } catch (error) {
+      UI.toast(error.message || 'Failed to update flags', 'error');
+    } finally {
+      this.state.isSubmitting = false;
+      if (submitBtn) { submitBtn.disabled = false; submitBtn.textContent = 'Save Flags'; }
+    }
+  },
+
+  // true when ticked; false only to record an unknown certificate as unrestricted
+  restrictionFlagsRestrictedValue() {
+    const box = document.getElementById('restrictionFlagsRestricted');
+    if (box.checked) return true;
+    const cert = (this.state.certificates || []).find(c => c.id === parseInt(document.getElementById('restrictionFlagsCertId').value));
+    return cert && cert.is_restricted === null && !box.indeterminate ? false : undefined;
+  },
+
+  openRemoveLegendModal(certId) {
+    const cert = (this.state.certificates || []).find(c => c.id === certId);
+    if (!cert) return;
+    const form = document.getElementById('removeLegendForm');
+    if (form) form.reset();
+    document.getElementById('removeLegendCertId').value = certId;
+    document.getElementById('removeLegendCertInfo').innerHTML = this.rule144CertInfo(cert);
+    UI.openModal('removeLegendModal');
+  },
+
+  async handleRemoveLegendSubmit(event) {
+    event.preventDefault();
+    if (this.state.isSubmitting) return;
+    this.state.isSubmitting = true;
+    const submitBtn = document.getElementById('removeLegendSubmitBtn');
+    if (submitBtn) { submitBtn.disabled = true; submitBtn.textContent = 'Reissuing...'; }
+
+    try {
+      const result = await API.post('/certificates?action=remove-legend', {
+        certificate_id: parseInt(document.getElementById('removeLegendCertId').value),
+        opinion_counsel: document.getElementById('removeLegendCounsel').value,
+        opinion_date: document.getElementById('removeLegendOpinionDate').value,
+        opinion_reference: document.getElementById('removeLegendReference').value || null,
+        opinion_document_path: document.getElementById('removeLegendDocumentPath').value || null,
+        reporting_issuer: document.getElementById('removeLegendReportingIssuer').checked,
+      });
+      UI.closeModal('removeLegendModal');
+      UI.toast(`Legend removed. New certificate: ${result.new_certificate.certificate_number}`, 'success');
+      await this.loadCertificates();
+      this.downloadCertificatePdf(result.new_certificate.id);
+    } catch (error) {
+      UI.toast(error.message || 'Failed to remove legend', 'error');
+    } finally {
+      this.state.isSubmitting = false;
+      if (submitBtn) { submitBtn.disabled = false; submitBtn.textContent = 'Remove Legend & Reissue'; }
+    }
+  },
+
+  /* ---- APPROVALS ---- */
+  async loadApprovals() {
+    const container = document.getElementById('approvalsTable');
+    if (!this.state.selectedEntityId) {
+      container.innerHTML = '<div class="empty-state"><span>Select an entity to view approvals</span></div>';
+      return;
+    }
+    UI.showLoader(container, 'Loading approvals...');
+    const status = document.getElementById('approvalFilterStatus')?.value || '';
+
+    try {
+      let url = `/ledger?action=pending-transactions&entity_id=${this.state.selectedEntityId}`;
+      if (status) url += `&status=${status}`;
+      const data = await API.get(url);
+      this.state.pendingTransactions = data.pending_transactions || [];
+      this.renderApprovalsTable();
+    } catch (error) {
+      console.error('Error loading approvals:', error);
+      container.innerHTML = `<div class="empty-state"><span>Failed to load approvals: ${UI.escapeHtml(error.message)}</span></div>`;
+    }
+    this.loadApprovalPolicies();
+  },
+
+  renderApprovalsTable() {
+    const container = document.getElementById('approvalsTable');
+    const rows = this.state.pendingTransactions || [];
+    if (rows.length === 0) {
+      container.innerHTML = '<div class="empty-state"><span>No requests found</span></div>';
+      return;
+    }
+
+    const fmtDate = (d) => d ? new Date(d).toLocaleString('en-US') : '—';
+    const statusClass = { PENDING: 'warning', PROCESSING: 'warning', APPROVED: 'active' };
+    const canReview = Auth.isAdmin();
+
+    let html = '<table class="data-table"><thead><tr><th>#</th><th>Request</th><th>Requested By</th><th>Requested</th><th>Status</th><th>Reviewed By</th><th>Notes</th><th style="width:160px;">Actions</th></tr></thead><tbody>';
+    rows.forEach(p => {
+      const own = String(p.requested_by) === String(this.state.user.id);
+      html += `<tr>
+        <td class="mono">${p.id}</td>
+        <td>${UI.escapeHtml(p.summary || p.action)}</td>
+        <td>${UI.escapeHtml(p.requested_by_name || '—')}</td>
+        <td>${fmtDate(p.requested_at)}</td>
+        <td><span class="status-badge ${statusClass[p.status] || 'inactive'}"><span class="dot"></span>${p.status}</span></td>
+        <td>${UI.escapeHtml(p.reviewed_by_name || '—')}</td>
+        <td>${UI.escapeHtml(p.error_message || p.review_notes || '')}</td>
+        <td><div class="table-actions">
+          ${p.is_reviewable && canReview ? `
+            <button class="btn btn-sm btn-gold" onclick="AdminApp.openReviewPendingModal(${p.id}, 'approve')" ${own ? 'disabled title="You cannot approve your own request"' : ''}>Approve</button>
+            <button class="btn btn-sm btn-danger" onclick="AdminApp.openReviewPendingModal(${p.id}, 'reject')">Reject</button>
+          ` : ''}
+        </div></td>
+      </tr>`;
+    });
+    html += '</tbody></table>';
+    container.innerHTML = html;
+  },
+
+  async loadApprovalPolicies() {
+    const container = document.getElementById('approvalPoliciesTable');
+    try {
+      const data = await API.get(`/ledger?action=approval-policies&entity_id=${this.state.selectedEntityId}`);
+      const labels = { ISSUE: 'Issue Shares (incl. batch issue)', TRANSFER: 'Transfers (incl. multi-transfer)', CANCEL: 'Cancellations', SPLIT: 'Stock Splits' };
+      const editable = Auth.isAdmin();
+      let html = '<table class="data-table"><thead><tr><th>Action</th><th>Require Approval</th><th>Above (shares)</th><th style="width:100px;">Actions</th></tr></thead><tbody>';
+      (data.policies || []).forEach(pol => {
+        html += `<tr>
+          <td>${labels[pol.action_type] || pol.action_type}</td>
+          <td><label class="toggle-switch">
+            <input type="checkbox" id="policyEnabled_${pol.action_type}" ${pol.is_enabled ? 'checked' : ''} ${editable ? '' : 'disabled'} />
+            <span class="toggle-slider"></span>
+          </label></td>
+          <td>${pol.action_type === 'SPLIT' ? '—' : `<input type="number" min="0" step="any" class="approval-policy-threshold" id="policyThreshold_${pol.action_type}" value="${pol.threshold_shares !== null ? Number(pol.threshold_shares) : ''}" placeholder="Every request" ${editable ? '' : 'disabled'} />`}</td>
+          <td>${editable ? `<button class="btn btn-sm btn-ghost" onclick="AdminApp.saveApprovalPolicy('${pol.action_type}')">Save</button>` : ''}</td>
+        </tr>`;
+      });
+      html += '</tbody></table>';
+      container.innerHTML = html;
+    } catch (error) {
+      container.innerHTML = `<div class="empty-state"><span>Failed to load approval policies: ${UI.escapeHtml(error.message)}</span></div>`;
+    }
+  },
+
+  async saveApprovalPolicy(actionType) {
+    const thresholdEl = document.getElementById(`policyThreshold_${actionType}`);
+    try {
+      await API.post('/ledger?action=save-approval-policy', {
+        entity_id: this.state.selectedEntityId,
+        action_type: actionType,
+        is_enabled: document.getElementById(`policyEnabled_${actionType}`).checked,
+        threshold_shares: thresholdEl && thresholdEl.value !== '' ? thresholdEl.value : null,
+      });
+      UI.toast('Approval policy saved', 'success');
+      this.loadApprovalPolicies();
+    } catch (error) {
+      UI.toast(error.message || 'Failed to save approval policy', 'error');
+    }
+  },
+
+  openReviewPendingModal(pendingId, decision) {
+    const pending = (this.state.pendingTransactions || []).find(p => p.id === pendingId);
+    if (!pending) return;
+    const approve = decision === 'approve';
+    document.getElementById('reviewPendingId').value = pendingId;
+    document.getElementById('reviewPendingDecision').value = decision;
+    document.getElementById('reviewPendingTitle').textContent = approve ? 'Approve Request' : 'Reject Request';
+    document.getElementById('reviewPendingNotesLabel').textContent = approve ? 'Notes' : 'Reason for Rejection *';
+    const notes = document.getElementById('reviewPendingNotes');
+    notes.value = '';
+    notes.required = !approve;
+    const submitBtn = document.getElementById('reviewPendingSubmitBtn');
+    submitBtn.textContent = approve ? 'Approve & Post' : 'Reject';
+    submitBtn.className = approve ? 'btn btn-gold' : 'btn btn-danger';
+    document.getElementById('reviewPendingInfo').innerHTML = `
+      <div style="background:rgba(255,255,255,0.03);border:1px solid var(--border-subtle);border-radius:var(--radius-sm);padding:12px 16px;margin-bottom:16px;">
+        <p style="margin:0 0 4px;"><strong>Request:</strong> #${pending.id} – ${UI.escapeHtml(pending.summary || pending.action)}</p>
+        <p style="margin:0 0 4px;"><strong>Requested By:</strong> ${UI.escapeHtml(pending.requested_by_name || '—')}</p>
+        <p style="margin:0;"><strong>Requested:</strong> ${new Date(pending.requested_at).toLocaleString('en-US')}</p>
+      </div>`;
+    UI.openModal('reviewPendingModal');
+  },
+
+  async handleReviewPendingSubmit(event) {
+    event.preventDefault();
+    if (this.state.isSubmitting) return;
+    this.state.isSubmitting = true;
+    const submitBtn = document.getElementById('reviewPendingSubmitBtn');
+    const label = submitBtn ? submitBtn.textContent : '';
+    if (submitBtn) { submitBtn.disabled = true; submitBtn.textContent = 'Processing...'; }
+
+    const pendingId = parseInt(document.getElementById('reviewPendingId').value);
+    const approve = document.getElementById('reviewPendingDecision').value === 'approve';
+    const notes = document.getElementById('reviewPendingNotes').value;
+
+    try {
+      if (approve) {
+        const res = await API.post('/ledger?action=approve-pending', { pending_transaction_id: pendingId, notes: notes || null });
+        if (res.pending) UI.toast(res.message, 'warning');
+        else UI.toast(`Request #${pendingId} approved and posted`, 'success');
+      } else {
+        await API.post('/ledger?action=reject-pending', { pending_transaction_id: pendingId, reason: notes });
+        UI.toast(`Request #${pendingId} rejected`, 'success');
+      }
+      UI.closeModal('reviewPendingModal');
+    } catch (error) {
+      UI.toast(error.message || 'Failed to review request', 'error');
+      UI.closeModal('reviewPendingModal');
+    } finally {
+      this.state.isSubmitting = false;
+      if (submitBtn) { submitBtn.disabled = false; submitBtn.textContent = label; }
+      await this.loadApprovals();
+    }
+  },
+
+  /* ---- TRANSFER RESTRICTIONS ---- */
+  async loadRestrictions() {
+    const container = document.getElementById('restrictionsTable');
+    if (!this.state.selectedEntityId) {
+      container.innerHTML = '<div class="empty-state"><span>Select an entity to view transfer restrictions</span></div>';
+      return;
+    }
+    UI.showLoader(container, 'Loading transfer restrictions...');
+    try {
+      const data = await API.get(`/restrictions?action=list-restrictions&entity_id=${this.state.selectedEntityId}&include_inactive=true`);
+      this.state.restrictions = data.restrictions || [];
+      this.renderRestrictionsTable();
+    } catch (error) {
+      console.error('Error loading restrictions:', error);
+      container.innerHTML = `<div class="empty-state"><span>Failed to load transfer restrictions: ${UI.escapeHtml(error.message)}</span></div>`;
+    }
+  },
+
+  renderRestrictionsTable() {
+    const container = document.getElementById('restrictionsTable');
+    const rows = this.state.restrictions || [];
+    if (rows.length === 0) {
+      container.innerHTML = '<div class="empty-state"><span>No transfer restrictions. Transfers are unrestricted.</span></div>';
+      return;
+    }
+
+    const labels = { LOCKUP: 'Lockup', ROFR: 'ROFR', BOARD_CONSENT: 'Board Consent', BLOCKED_TRANSFEREE_TYPE: 'Blocked Transferees' };
+    const terms = (r) => {
+      if (r.restriction_type === 'LOCKUP') return `Until ${new Date(r.lockup_end_date).toLocaleDateString('en-US')}`;
+      if (r.restriction_type === 'ROFR') return `${r.rofr_days}-day window`;
+      if (r.restriction_type === 'BLOCKED_TRANSFEREE_TYPE') return (r.blocked_transferee_types || []).join(', ');
+      return 'Consent via approval queue';
+    };
+
+    let html = '<table class="data-table"><thead><tr><th>Type</th><th>Terms</th><th>Stock Type</th><th>Series</th><th>Holder</th><th>Description</th><th>Status</th><th style="width:80px;">Active</th></tr></thead><tbody>';
+    rows.forEach(r => {
+      html += `<tr>
+        <td>${labels[r.restriction_type] || r.restriction_type}</td>
+        <td>${UI.escapeHtml(terms(r))}</td>
+        <td>${UI.escapeHtml(r.stock_type_name || 'All')}</td>
+        <td>${UI.escapeHtml(r.series || (r.entity_stock_type_id ? 'All' : '—'))}</td>
+        <td>${UI.escapeHtml(r.shareholder_name || 'All holders')}</td>
+        <td>${UI.escapeHtml(r.description || '')}</td>
+        <td><span class="status-badge ${r.is_active ? 'active' : 'inactive'}"><span class="dot"></span>${r.is_active ? 'Active' : 'Inactive'}</span></td>
+        <td><label class="toggle-switch" title="${r.is_active ? 'Deactivate' : 'Activate'}">
+          <input type="checkbox" ${r.is_active ? 'checked' : ''} onchange="AdminApp.toggleRestriction(${r.id}, this.checked)" />
+          <span class="toggle-slider"></span>
+        </label></td>
+      </tr>`;
+    });
+    html += '</tbody></table>';
+    container.innerHTML = html;
+  },
+
+  async toggleRestriction(id, isActive) {
+    try {
+      await API.post('/restrictions?action=update-restriction', { restriction_id: id, is_active: isActive });
+      UI.toast(`Restriction ${isActive ? 'activated' : 'deactivated'}`, 'success');
+    } catch (error) {
+      UI.toast(error.message || 'Failed to update restriction', 'error');
+    }
+    await this.loadRestrictions();
+  },
+
+  async openRestrictionModal() {
+    if (!this.state.selectedEntityId) { UI.toast('Please select an entity first', 'warning'); return; }
+    document.getElementById('restrictionForm').reset();
+    this.state.isSubmitting = false;
+
+    const stSelect = document.getElementById('restrictionStockType');
+    stSelect.innerHTML = '<option value="">All stock types</option>';
+    try {
+      const data = await API.get(`/stockTypes?action=list-types&entity_id=${this.state.selectedEntityId}`);
+      (data.stock_types || []).forEach(st => {
+        const opt = document.createElement('option');
+        opt.value = st.id;
+        opt.textContent = st.display_name;
+        opt.dataset.supportsSeries = st.supports_series;
+        stSelect.appendChild(opt);
+      });
+    } catch (error) {
+      UI.toast('Failed to load stock types', 'error');
+    }
+    document.getElementById('restrictionSeries').innerHTML = '<option value="">All series</option>';
+    document.getElementById('restrictionSeries').disabled = true;
+
+    const shSelect = document.getElementById('restrictionShareholder');
+    shSelect.innerHTML = '<option value="">All holders</option>';
+    (this.state.shareholders || []).forEach(sh => {
+      const opt = document.createElement('option');
+      opt.value = sh.id;
+      opt.textContent = `${sh.full_name} (${sh.external_id || sh.id})`;
+      shSelect.appendChild(opt);
+    });
+
+    this.handleRestrictionTypeChange();
+    UI.openModal('restrictionModal');
+  },
+
+  handleRestrictionTypeChange() {
+    const type = document.getElementById('restrictionType').value;
+    document.querySelectorAll('#restrictionForm .restriction-field').forEach(el => el.classList.toggle('hidden', el.dataset.type !== type));
+  },
+
+  async handleRestrictionStockTypeChange() {
+    const stSelect = document.getElementById('restrictionStockType');
+    const seriesSelect = document.getElementById('restrictionSeries');
+    seriesSelect.innerHTML = '<option value="">All series</option>';
+    seriesSelect.disabled = true;
+    const selectedOption = stSelect.options[stSelect.selectedIndex];
+    if (!stSelect.value || selectedOption?.dataset.supportsSeries !== 'true') return;
+
+    try {
+      const data = await API.get(`/stockTypes?action=list-series&entity_stock_type_id=${stSelect.value}`);
+      (data.series || []).forEach(s => {
+        const opt = document.createElement('option');
+        opt.value = s.id;
+        opt.textContent = s.series;
+        seriesSelect.appendChild(opt);
+      });
+      seriesSelect.disabled = false;
+    } catch (error) {
+      seriesSelect.innerHTML = '<option value="">Error</option>';
+    }
+  },
+
+  async handleRestrictionSubmit(event) {
+    event.preventDefault();
+    if (this.state.isSubmitting) return;
+    this.state.isSubmitting = true;
+    const submitBtn = document.getElementById('restrictionSubmitBtn');
+    if (submitBtn) { submitBtn.disabled = true; submitBtn.textContent = 'Saving...'; }
+
+    const type = document.getElementById('restrictionType').value;
+    const payload = {
+      entity_id: this.state.selectedEntityId,
+      restriction_type: type,
+      entity_stock_type_id: document.getElementById('restrictionStockType').value || null,
+      entity_stock_series_id: document.getElementById('restrictionSeries').value || null,
+      shareholder_id: document.getElementById('restrictionShareholder').value || null,
+      description: document.getElementById('restrictionDescription').value || null,
+    };
+    if (type === 'LOCKUP') payload.lockup_end_date = document.getElementById('restrictionLockupEnd').value;
+    if (type === 'ROFR') payload.rofr_days = document.getElementById('restrictionRofrDays').value;
+    if (type === 'BLOCKED_TRANSFEREE_TYPE') {
+      payload.blocked_transferee_types = [...document.querySelectorAll('input[name="restrictionBlockedType"]:checked')].map(el => el.value);
+    }
+
+    try {
+      await API.post('/restrictions?action=create-restriction', payload);
+      UI.closeModal('restrictionModal');
+      UI.toast('Transfer restriction added', 'success');
+      await this.loadRestrictions();
+    } catch (error) {
+      UI.toast(error.message || 'Failed to add restriction', 'error');
+    } finally {
+      this.state.isSubmitting = false;
+      if (submitBtn) { submitBtn.disabled = false; submitBtn.textContent = 'Add Restriction'; }
+    }
+  },
+
+  /* ---- STOP-TRANSFER ORDERS ---- */
+  async loadStopOrders() {
+    const container = document.getElementById('stopOrdersTable');
+    if (!this.state.selectedEntityId) {
+      container.innerHTML = '<div class="empty-state"><span>Select an entity to view stop-transfer orders</span></div>';
+      return;
+    }
+    UI.showLoader(container, 'Loading stop-transfer orders...');
+    try {
+      const data = await API.get(`/stopOrders?action=list-stop-orders&entity_id=${this.state.selectedEntityId}&include_inactive=true`);
+      this.state.stopOrders = data.stop_orders || [];
+      this.renderStopOrdersTable();
+    } catch (error) {
+      console.error('Error loading stop orders:', error);
+      container.innerHTML = `<div class="empty-state"><span>Failed to load stop-transfer orders: ${UI.escapeHtml(error.message)}</span></div>`;
+    }
+  },
+
+  renderStopOrdersTable() {
+    const container = document.getElementById('stopOrdersTable');
+    const rows = this.state.stopOrders || [];
+    if (rows.length === 0) {
+      container.innerHTML = '<div class="empty-state"><span>No stop-transfer orders.</span></div>';
+      return;
+    }
+
+    const reasonLabels = { COURT_ORDER: 'Court Order', PLEDGE: 'Pledge', DISPUTE: 'Dispute', OTHER: 'Other' };
+    const fmtDate = (d) => d ? new Date(d).toLocaleDateString('en-US') : '—';
+    const target = (o) => {
+      if (o.scope === 'CERTIFICATE') return `Certificate ${o.certificate_number}`;
+      if (o.scope === 'HOLDING') return `${o.stock_type_name}${o.series ? ` – Series ${o.series}` : ' (all series)'}`;
+      return 'All holdings';
+    };
+    const status = (o) => {
+      if (o.status === 'RELEASED') return { cls: 'inactive', label: 'Released' };
+      return o.is_active ? { cls: 'active', label: 'Active' } : { cls: 'warning', label: 'Expired' };
+    };
+
+    let html = '<table class="data-table"><thead><tr><th>Shareholder</th><th>Applies To</th><th>Reason</th><th>Reference</th><th>Expires</th><th>Status</th><th style="width:100px;">Actions</th></tr></thead><tbody>';
+    rows.forEach(o => {
+      const st = status(o);
+      html += `<tr>
+        <td>${UI.escapeHtml(o.shareholder_name)}</td>
+        <td>${UI.escapeHtml(target(o))}</td>
+        <td><strong>${reasonLabels[o.reason_type] || o.reason_type}</strong><br><span style="color:var(--text-muted);font-size:12px;">${UI.escapeHtml(o.reason)}</span></td>
+        <td>${UI.escapeHtml(o.reference_document || '—')}</td>
+        <td>${fmtDate(o.expires_on)}</td>
+        <td><span class="status-badge ${st.cls}" ${o.release_reason ? `title="${UI.escapeHtml(o.release_reason)}"` : ''}><span class="dot"></span>${st.label}</span></td>
+        <td>${o.status === 'ACTIVE' ? `<button class="btn btn-ghost btn-sm" onclick="AdminApp.openReleaseStopOrderModal(${o.id})">Release</button>` : ''}</td>
+      </tr>`;
+    });
+    html += '</tbody></table>';
+    container.innerHTML = html;
+  },
+
+  async openStopOrderModal() {
+    if (!this.state.selectedEntityId) { UI.toast('Please select an entity first', 'warning'); return; }
+    document.getElementById('stopOrderForm').reset();
+    this.state.isSubmitting = false;
+
+    const shSelect = document.getElementById('stopOrderShareholder');
+    const stSelect = document.getElementById('stopOrderStockType');
+    const certSelect = document.getElementById('stopOrderCertificate');
+    shSelect.innerHTML = '<option value="">Select shareholder...</option>';
+    stSelect.innerHTML = '<option value="">Select stock type...</option>';
+    certSelect.innerHTML = '<option value="">Select certificate...</option>';
+    try {
+      const [shData, stData, certData] = await Promise.all([
+        API.get(`/shareholders?action=list&entity_id=${this.state.selectedEntityId}`),
+        API.get(`/stockTypes?action=list-types&entity_id=${this.state.selectedEntityId}`),
+        API.get(`/certificates?action=list&entity_id=${this.state.selectedEntityId}&status=ISSUED`),
+      ]);
+      (shData.shareholders || []).forEach(sh => {
+        const opt = document.createElement('option');
+        opt.value = sh.id;
+        opt.textContent = `${sh.full_name} (${sh.external_id || sh.id})`;
+        shSelect.appendChild(opt);
+      });
+      (stData.stock_types || []).forEach(st => {
+        const opt = document.createElement('option');
+        opt.value = st.id;
+        opt.textContent = st.display_name;
+        opt.dataset.supportsSeries = st.supports_series;
+        stSelect.appendChild(opt);
+      });
+      (certData.certificates || []).forEach(c => {
+        const opt = document.createElement('option');
+        opt.value = c.id;
+        opt.textContent = `${c.certificate_number} – ${c.shareholder_name} (${Number(c.shares).toLocaleString()} shares)`;
+        certSelect.appendChild(opt);
+      });
+    } catch (error) {
+      UI.toast('Failed to load shareholders, stock types or certificates', 'error');
+    }
+    document.getElementById('stopOrderSeries').innerHTML = '<option value="">All series</option>';
+    document.getElementById('stopOrderSeries').disabled = true;
+
+    this.handleStopOrderScopeChange();
+    UI.openModal('stopOrderModal');
+  },
+
+  handleStopOrderScopeChange() {
+    const scope = document.getElementById('stopOrderScope').value;
+    document.querySelectorAll('#stopOrderForm .stop-order-field').forEach(el => el.classList.toggle('hidden', !el.dataset.scopes.split(' ').includes(scope)));
+  },
+
+  async handleStopOrderStockTypeChange() {
+    const stSelect = document.getElementById('stopOrderStockType');
+    const seriesSelect = document.getElementById('stopOrderSeries');
+    seriesSelect.innerHTML = '<option value="">All series</option>';
+    seriesSelect.disabled = true;
+    const selectedOption = stSelect.options[stSelect.selectedIndex];
+    if (!stSelect.value || selectedOption?.dataset.supportsSeries !== 'true') return;
+
+    try {
+      const data = await API.get(`/stockTypes?action=list-series&entity_stock_type_id=${stSelect.value}`);
+      (data.series || []).forEach(s => {
+        const opt = document.createElement('option');
+        opt.value = s.id;
+        opt.textContent = s.series;
+        seriesSelect.appendChild(opt);
+      });
+      seriesSelect.disabled = false;
+    } catch (error) {
+      seriesSelect.innerHTML = '<option value="">Error</option>';
+    }
+  },
+
+  async handleStopOrderSubmit(event) {
+    event.preventDefault();
+    if (this.state.isSubmitting) return;
+
+    const scope = document.getElementById('stopOrderScope').value;
+    const payload = {
+      entity_id: this.state.selectedEntityId,
+      scope,
+      reason_type: document.getElementById('stopOrderReasonType').value,
+      reason: document.getElementById('stopOrderReason').value,
+      reference_document: document.getElementById('stopOrderReference').value || null,
+      expires_on: document.getElementById('stopOrderExpires').value || null,
+    };
+    if (scope === 'CERTIFICATE') {
+      payload.certificate_id = document.getElementById('stopOrderCertificate').value;
+      if (!payload.certificate_id) { UI.toast('Please select a certificate', 'warning'); return; }
+    } else {
+      payload.shareholder_id = document.getElementById('stopOrderShareholder').value;
+      if (!payload.shareholder_id) { UI.toast('Please select a shareholder', 'warning'); return; }
+    }
+    if (scope === 'HOLDING') {
+      payload.entity_stock_type_id = document.getElementById('stopOrderStockType').value;
+      payload.entity_stock_series_id = document.getElementById('stopOrderSeries').value || null;
+      if (!payload.entity_stock_type_id) { UI.toast('Please select a stock type', 'warning'); return; }
+    }
+
+    this.state.isSubmitting = true;
+    const submitBtn = document.getElementById('stopOrderSubmitBtn');
+    if (submitBtn) { submitBtn.disabled = true; submitBtn.textContent = 'Saving...'; }
+    try {
+      await API.post('/stopOrders?action=create-stop-order', payload);
+      UI.closeModal('stopOrderModal');
+      UI.toast('Stop-transfer order added', 'success');
+      await this.loadStopOrders();
+    } catch (error) {
+      UI.toast(error.message || 'Failed to add stop order', 'error');
+    } finally {
+      this.state.isSubmitting = false;
+      if (submitBtn) { submitBtn.disabled = false; submitBtn.textContent = 'Add Stop Order'; }
+    }
+  },
+
+  openReleaseStopOrderModal(orderId) {
+    const order = (this.state.stopOrders || []).find(o => o.id === orderId);
+    if (!order) return;
+    document.getElementById('releaseStopOrderId').value = orderId;
+    document.getElementById('releaseStopOrderReason').value = '';
+    document.getElementById('releaseStopOrderInfo').innerHTML = `
+      <div style="background:rgba(255,255,255,0.03);border:1px solid var(--border-subtle);border-radius:var(--radius-sm);padding:12px 16px;margin-bottom:16px;">
+        <p style="margin:0 0 4px;"><strong>Shareholder:</strong> ${UI.escapeHtml(order.shareholder_name)}</p>
+        <p style="margin:0;"><strong>Reason:</strong> ${UI.escapeHtml(order.reason)}</p>
+      </div>`;
+    UI.openModal('releaseStopOrderModal');
+  },
+
+  async handleReleaseStopOrderSubmit(event) {
+    event.preventDefault();
+    if (this.state.isSubmitting) return;
+    this.state.isSubmitting = true;
+    const submitBtn = document.getElementById('releaseStopOrderSubmitBtn');
+    if (submitBtn) { submitBtn.disabled = true; submitBtn.textContent = 'Releasing...'; }
+
+    try {
+      await API.post('/stopOrders?action=release-stop-order', {
+        stop_order_id: parseInt(document.getElementById('releaseStopOrderId').value),
+        release_reason: document.getElementById('releaseStopOrderReason').value,
+      });
+      UI.closeModal('releaseStopOrderModal');
+      UI.toast('Stop-transfer order released', 'success');
+      await this.loadStopOrders();
+    } catch (error) {
+      UI.toast(error.message || 'Failed to release stop order', 'error');
+    } finally {
+      this.state.isSubmitting = false;
+      if (submitBtn) { submitBtn.disabled = false; submitBtn.textContent = 'Release'; }
+    }
+  },
+
+  /* ---- CERTIFICATE LEGENDS ---- */
+  async loadLegends() {
+    const container = document.getElementById('legendsTable');
+    if (!this.state.selectedEntityId) {
+      container.innerHTML = '<div class="empty-state"><span>Select an entity to view certificate legends</span></div>';
+      return;
+    }
+    UI.showLoader(container, 'Loading legends...');
+    try {
+      const data = await API.get(`/legends?action=list-legends&entity_id=${this.state.selectedEntityId}`);
+      this.state.legends = data.legends || [];
+      this.renderLegendsTable();
+    } catch (error) {
+      console.error('Error loading legends:', error);
+      container.innerHTML = `<div class="empty-state"><span>Failed to load legends: ${UI.escapeHtml(error.message)}</span></div>`;
+    }
+  },
+
+  renderLegendsTable() {
+    const container = document.getElementById('legendsTable');
+    const rows = this.state.legends || [];
+    if (rows.length === 0) {
+      container.innerHTML = '<div class="empty-state"><span>No legends yet. Certificates print the default transfer restriction legend.</span></div>';
+      return;
+    }
+
+    const typeLabels = { SECURITIES_ACT: 'Securities Act', SHAREHOLDER_AGREEMENT: 'Shareholder Agreement', LOCKUP: 'Lockup', SECTION_83B: 'Section 83(b)', BLUE_SKY: 'State Blue-Sky', OTHER: 'Other' };
+    const target = (a) => {
+      if (a.scope === 'CERTIFICATE') return `Certificate ${a.certificate_number}`;
+      if (a.scope === 'SERIES') return `${a.stock_type_name} – Series ${a.series}`;
+      return a.stock_type_name;
+    };
+
+    let html = '<table class="data-table"><thead><tr><th>Legend</th><th>Type</th><th>Assigned To (print order)</th><th>Status</th><th style="width:200px;">Actions</th></tr></thead><tbody>';
+    rows.forEach(l => {
+      const excerpt = l.text.length > 140 ? `${l.text.slice(0, 140)}…` : l.text;
+      const assignments = (l.assignments || []).map(a => `<span class="sidebar-badge" style="font-size:10px;margin:2px;display:inline-flex;gap:4px;align-items:center;">${a.sort_order}. ${UI.escapeHtml(target(a))}
+          <a href="#" onclick="AdminApp.unassignLegend(${a.id}); return false;" title="Remove" style="color:inherit;text-decoration:none;">×</a></span>`).join('') || '<span style="color:var(--text-muted);">Not assigned</span>';
+      html += `<tr>
+        <td><strong>${UI.escapeHtml(l.title)}</strong><br><span style="color:var(--text-muted);font-size:12px;">${UI.escapeHtml(excerpt)}</span></td>
+        <td>${typeLabels[l.legend_type] || l.legend_type}${l.is_restrictive ? ' <span class="sidebar-badge" style="font-size:9px;" title="Removed with the Rule 144 legend">RESTRICTIVE</span>' : ''}</td>
+        <td>${assignments}</td>
+        <td><span class="status-badge ${l.is_active ? 'active' : 'inactive'}"><span class="dot"></span>${l.is_active ? 'Active' : 'Inactive'}</span></td>
+        <td><div class="table-actions">
+          <button class="btn btn-ghost btn-sm" onclick="AdminApp.openLegendModal(${l.id})">Edit</button>
+          ${l.is_active ? `<button class="btn btn-ghost btn-sm" onclick="AdminApp.openAssignLegendModal(${l.id})">Assign</button>` : ''}
+          <button class="btn btn-ghost btn-sm" onclick="AdminApp.toggleLegendActive(${l.id})">${l.is_active ? 'Deactivate' : 'Activate'}</button>
+        </div></td>
+      </tr>`;
+    });
+    html += '</tbody></table>';
+    container.innerHTML = html;
+  },
+
+  openLegendModal(legendId = null) {
+    if (!this.state.selectedEntityId) { UI.toast('Please select an entity first', 'warning'); return; }
+    const legend = legendId ? (this.state.legends || []).find(l => l.id === legendId) : null;
+    document.getElementById('legendForm').reset();
+    this.state.isSubmitting = false;
+    document.getElementById('legendId').value = legend ? legend.id : '';
+    document.getElementById('legendModalTitle').textContent = legend ? 'Edit Legend' : 'Add Legend';
+    if (legend) {
+      document.getElementById('legendType').value = legend.legend_type;
+      document.getElementById('legendTitle').value = legend.title;
+      document.getElementById('legendText').value = legend.text;
+      document.getElementById('legendRestrictive').checked = !!legend.is_restrictive;
+    }
+    UI.openModal('legendModal');
+  },
+
+  async handleLegendSubmit(event) {
+    event.preventDefault();
+    if (this.state.isSubmitting) return;
+    const legendId = document.getElementById('legendId').value;
+    const payload = {
+      entity_id: this.state.selectedEntityId,
+      legend_type: document.getElementById('legendType').value,
+      title: document.getElementById('legendTitle').value,
+      text: document.getElementById('legendText').value,
+      is_restrictive: document.getElementById('legendRestrictive').checked,
+    };
+
+    this.state.isSubmitting = true;
+    const submitBtn = document.getElementById('legendSubmitBtn');
+    if (submitBtn) { submitBtn.disabled = true; submitBtn.textContent = 'Saving...'; }
+    try {
+      if (legendId) await API.post('/legends?action=update-legend', { legend_id: parseInt(legendId), ...payload });
+      else await API.post('/legends?action=create-legend', payload);
+      UI.closeModal('legendModal');
+      UI.toast(legendId ? 'Legend updated' : 'Legend added', 'success');
+      await this.loadLegends();
+    } catch (error) {
+      UI.toast(error.message || 'Failed to save legend', 'error');
+    } finally {
+      this.state.isSubmitting = false;
+      if (submitBtn) { submitBtn.disabled = false; submitBtn.textContent = 'Save Legend'; }
+    }
+  },
+
+  async toggleLegendActive(legendId) {
+    const legend = (this.state.legends || []).find(l => l.id === legendId);
+    if (!legend) return;
+    try {
+      await API.post('/legends?action=update-legend', { legend_id: legendId, is_active: !legend.is_active });
+      UI.toast(legend.is_active ? 'Legend deactivated' : 'Legend activated', 'success');
+      await this.loadLegends();
+    } catch (error) {
+      UI.toast(error.message || 'Failed to update legend', 'error');
+    }
+  },
+
+  async openAssignLegendModal(legendId) {
+    const legend = (this.state.legends || []).find(l => l.id === legendId);
+    if (!legend) return;
+    document.getElementById('assignLegendForm').reset();
+    this.state.isSubmitting = false;
+    document.getElementById('assignLegendId').value = legendId;
+    document.getElementById('assignLegendInfo').innerHTML = `
+      <div style="background:rgba(255,255,255,0.03);border:1px solid var(--border-subtle);border-radius:var(--radius-sm);padding:12px 16px;margin-bottom:16px;">
+        <p style="margin:0;"><strong>Legend:</strong> ${UI.escapeHtml(legend.title)}</p>
+      </div>`;
+
+    const stSelect = document.getElementById('assignLegendStockType');
+    const certSelect = document.getElementById('assignLegendCertificate');
+    stSelect.innerHTML = '<option value="">Select stock type...</option>';
+    certSelect.innerHTML = '<option value="">Select certificate...</option>';
+    try {
+      const [stData, certData] = await Promise.all([
+        API.get(`/stockTypes?action=list-types&entity_id=${this.state.selectedEntityId}`),
+        API.get(`/certificates?action=list&entity_id=${this.state.selectedEntityId}&status=ISSUED`),
+      ]);
+      (stData.stock_types || []).forEach(st => {
+        const opt = document.createElement('option');
+        opt.value = st.id;
+        opt.textContent = st.display_name;
+        opt.dataset.supportsSeries = st.supports_series;
+        stSelect.appendChild(opt);
+      });
+      (certData.certificates || []).forEach(c => {
+        const opt = document.createElement('option');
+        opt.value = c.id;
+        opt.textContent = `${c.certificate_number} – ${c.shareholder_name} (${Number(c.shares).toLocaleString()} shares)`;
+        certSelect.appendChild(opt);
+      });
+    } catch (error) {
+      UI.toast('Failed to load stock types or certificates', 'error');
+    }
+    document.getElementById('assignLegendSeries').innerHTML = '<option value="">Select series...</option>';
+    document.getElementById('assignLegendSeries').disabled = true;
+
+    this.handleAssignLegendScopeChange();
+    UI.openModal('assignLegendModal');
+  },
+
+  handleAssignLegendScopeChange() {
+    const scope = document.getElementById('assignLegendScope').value;
+    document.querySelectorAll('#assignLegendForm .legend-assign-field').forEach(el => el.classList.toggle('hidden', !el.dataset.scopes.split(' ').includes(scope)));
+  },
+
+  async handleAssignLegendStockTypeChange() {
+    const stSelect = document.getElementById('assignLegendStockType');
+    const seriesSelect = document.getElementById('assignLegendSeries');
+    seriesSelect.innerHTML = '<option value="">Select series...</option>';
+    seriesSelect.disabled = true;
+    const selectedOption = stSelect.options[stSelect.selectedIndex];
+    if (!stSelect.value || selectedOption?.dataset.supportsSeries !== 'true') return;
+
+    try {
+      const data = await API.get(`/stockTypes?action=list-series&entity_stock_type_id=${stSelect.value}`);
+      (data.series || []).forEach(s => {
+        const opt = document.createElement('option');
+        opt.value = s.id;
+        opt.textContent = s.series;
+        seriesSelect.appendChild(opt);
+      });
+      seriesSelect.disabled = false;
+    } catch (error) {
+      seriesSelect.innerHTML = '<option value="">Error</option>';
+    }
+  },
+
+  async handleAssignLegendSubmit(event) {
+    event.preventDefault();
+    if (this.state.isSubmitting) return;
+
+    const scope = document.getElementById('assignLegendScope').value;
+    const payload = {
+      legend_id: parseInt(document.getElementById('assignLegendId').value),
+      scope,
+      sort_order: document.getElementById('assignLegendSortOrder').value || 0,
+    };
+    if (scope === 'STOCK_TYPE') {
+      payload.entity_stock_type_id = document.getElementById('assignLegendStockType').value;
+      if (!payload.entity_stock_type_id) { UI.toast('Please select a stock type', 'warning'); return; }
+    } else if (scope === 'SERIES') {
+      payload.entity_stock_series_id = document.getElementById('assignLegendSeries').value;
+      if (!payload.entity_stock_series_id) { UI.toast('Please select a series', 'warning'); return; }
+    } else {
+      payload.certificate_id = document.getElementById('assignLegendCertificate').value;
+      if (!payload.certificate_id) { UI.toast('Please select a certificate', 'warning'); return; }
+    }
+
+    this.state.isSubmitting = true;
+    const submitBtn = document.getElementById('assignLegendSubmitBtn');
+    if (submitBtn) { submitBtn.disabled = true; submitBtn.textContent = 'Saving...'; }
+    try {
+      await API.post('/legends?action=assign-legend', payload);
+      UI.closeModal('assignLegendModal');
+      UI.toast('Legend assigned', 'success');
+      await this.loadLegends();
+    } catch (error) {
+      UI.toast(error.message || 'Failed to assign legend', 'error');
+    } finally {
+      this.state.isSubmitting = false;
+      if (submitBtn) { submitBtn.disabled = false; submitBtn.textContent = 'Assign'; }
+    }
+  },
+
+  async unassignLegend(assignmentId) {
+    try {
+      await API.post('/legends?action=unassign-legend', { assignment_id: assignmentId });
+      UI.toast('Legend assignment removed', 'success');
+      await this.loadLegends();
+    } catch (error) {
+      UI.toast(error.message || 'Failed to remove assignment', 'error');
+    }
+  },
+
+  /* ---- CERTIFICATE TEMPLATES ---- */
+  async loadCertTemplates() {
+    const container = document.getElementById('certTemplatesTable');
+    if (!this.state.selectedEntityId) {
+      container.innerHTML = '<div class="empty-state"><span>Select an entity to view certificate templates</span></div>';
+      return;
+    }
+    UI.showLoader(container, 'Loading templates...');
+    try {
+      const data = await API.get(`/certificateTemplates?action=list-templates&entity_id=${this.state.selectedEntityId}`);
+      this.state.certTemplates = data.templates || [];
+      this.renderCertTemplatesTable();
+    } catch (error) {
+      console.error('Error loading certificate templates:', error);
+      container.innerHTML = `<div class="empty-state"><span>Failed to load templates: ${UI.escapeHtml(error.message)}</span></div>`;
+    }
+  },
+
+  renderCertTemplatesTable() {
+    const container = document.getElementById('certTemplatesTable');
+    const rows = this.state.certTemplates || [];
+    if (rows.length === 0) {
+      container.innerHTML = '<div class="empty-state"><span>No templates yet. Certificates print with the standard gold-bordered design.</span></div>';
+      return;
+    }
+
+    const fontLabels = { TIMES: 'Times Roman', HELVETICA: 'Helvetica', COURIER: 'Courier' };
+    const swatch = (c) => `<span title="${c}" style="display:inline-block;width:14px;height:14px;border-radius:3px;border:1px solid var(--border-subtle);background:${c};vertical-align:middle;"></span>`;
+
+    let html = '<table class="data-table"><thead><tr><th>Template</th><th>Applies To</th><th>Style</th><th>Images</th><th>Status</th><th style="width:220px;">Actions</th></tr></thead><tbody>';
+    rows.forEach(t => {
+      html += `<tr>
+        <td><strong>${UI.escapeHtml(t.name)}</strong>${t.include_stock_power ? ' <span class="sidebar-badge" style="font-size:9px;" title="Assignment form printed on the back">STOCK POWER</span>' : ''}</td>
+        <td>${t.stock_type_name ? UI.escapeHtml(t.stock_type_name) : '<span style="color:var(--text-muted);">All classes (default)</span>'}</td>
+        <td>${swatch(t.primary_color)} ${swatch(t.text_color)} ${fontLabels[t.font_family] || t.font_family}, ${t.border_style.toLowerCase()} border</td>
+        <td>${[t.logo_path ? 'Logo' : '', t.seal_path ? 'Seal' : ''].filter(Boolean).join(', ') || '<span style="color:var(--text-muted);">None</span>'}</td>
+        <td><span class="status-badge ${t.is_active ? 'active' : 'inactive'}"><span class="dot"></span>${t.is_active ? 'Active' : 'Inactive'}</span></td>
+        <td><div class="table-actions">
+          <button class="btn btn-ghost btn-sm" onclick="AdminApp.openCertTemplateModal(${t.id})">Edit</button>
+          <button class="btn btn-ghost btn-sm" onclick="AdminApp.previewCertTemplate(${t.id})">Preview</button>
+          <button class="btn btn-ghost btn-sm" onclick="AdminApp.toggleCertTemplateActive(${t.id})">${t.is_active ? 'Deactivate' : 'Activate'}</button>
+        </div></td>
+      </tr>`;
+    });
+    html += '</tbody></table>';
+    container.innerHTML = html;
+  },
+
+  async openCertTemplateModal(templateId = null) {
+    if (!this.state.selectedEntityId) { UI.toast('Please select an entity first', 'warning'); return; }
+    const tpl = templateId ? (this.state.certTemplates || []).find(t => t.id === templateId) : null;
+    document.getElementById('certTemplateForm').reset();
+    this.state.isSubmitting = false;
+    document.getElementById('certTemplateId').value = tpl ? tpl.id : '';
+    document.getElementById('certTemplateModalTitle').textContent = tpl ? 'Edit Certificate Template' : 'Add Certificate Template';
+
+    const stSelect = document.getElementById('certTemplateStockType');
+    stSelect.innerHTML = '<option value="">All classes (entity default)</option>';
+    try {
+      const stData = await API.get(`/stockTypes?action=list-types&entity_id=${this.state.selectedEntityId}`);
+      (stData.stock_types || []).forEach(st => {
+        const opt = document.createElement('option');
+        opt.value = st.id;
+        opt.textContent = st.display_name;
+        stSelect.appendChild(opt);
+      });
+    } catch (error) {
+      UI.toast('Failed to load stock types', 'error');
+    }
+
+    if (tpl) {
+      document.getElementById('certTemplateName').value = tpl.name;
+      stSelect.value = tpl.entity_stock_type_id || '';
+      document.getElementById('certTemplateFont').value = tpl.font_family;
+      document.getElementById('certTemplateBorder').value = tpl.border_style;
+      document.getElementById('certTemplatePrimaryColor').value = tpl.primary_color;
+      document.getElementById('certTemplateTextColor').value = tpl.text_color;
+      document.getElementById('certTemplateSignerTitle').value = tpl.signer_title || '';
+      document.getElementById('certTemplateCountersignerTitle').value = tpl.countersigner_title || '';
+      document.getElementById('certTemplateStockPower').checked = !!tpl.include_stock_power;
+    }
+    UI.openModal('certTemplateModal');
+  },
+
+  readFileAsBase64(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(String(reader.result).split(',')[1]);
+      reader.onerror = () => reject(new Error(`Could not read ${file.name}`));
+      reader.readAsDataURL(file);
+    });
+  },
+
+  async handleCertTemplateSubmit(event) {
+    event.preventDefault();
+    if (this.state.isSubmitting) return;
+    const templateId = document.getElementById('certTemplateId').value;
+    const payload = {
+      entity_id: this.state.selectedEntityId,
+      name: document.getElementById('certTemplateName').value,
+      entity_stock_type_id: document.getElementById('certTemplateStockType').value || null,
+      font_family: document.getElementById('certTemplateFont').value,
+      border_style: document.getElementById('certTemplateBorder').value,
+      primary_color: document.getElementById('certTemplatePrimaryColor').value,
+      text_color: document.getElementById('certTemplateTextColor').value,
+      signer_title: document.getElementById('certTemplateSignerTitle').value,
+      countersigner_title: document.getElementById('certTemplateCountersignerTitle').value,
+      include_stock_power: document.getElementById('certTemplateStockPower').checked,
+    };
+    const images = [
+      { kind: 'LOGO', file: document.getElementById('certTemplateLogo').files[0] },
+      { kind: 'SEAL', file: document.getElementById('certTemplateSeal').files[0] },
+    ].filter(i => i.file);
+
+    this.state.isSubmitting = true;
+    const submitBtn = document.getElementById('certTemplateSubmitBtn');
+    if (submitBtn) { submitBtn.disabled = true; submitBtn.textContent = 'Saving...'; }
+    try {
+      const result = templateId
+        ? await API.post('/certificateTemplates?action=update-template', { template_id: parseInt(templateId), ...payload })
+        : await API.post('/certificateTemplates?action=create-template', payload);
+      for (const img of images) {
+        await API.post('/certificateTemplates?action=upload-template-image', {
+          template_id: result.template.id,
+          kind: img.kind,
+          content_type: img.file.type,
+          data_base64: await this.readFileAsBase64(img.file),
+        });
+      }
+      UI.closeModal('certTemplateModal');
+      UI.toast(templateId ? 'Template updated' : 'Template added', 'success');
+      await this.loadCertTemplates();
+    } catch (error) {
+      UI.toast(error.message || 'Failed to save template', 'error');
+    } finally {
+      this.state.isSubmitting = false;
+      if (submitBtn) { submitBtn.disabled = false; submitBtn.textContent = 'Save Template'; }
+    }
+  },
+
+  async toggleCertTemplateActive(templateId) {
+    const tpl = (this.state.certTemplates || []).find(t => t.id === templateId);
+    if (!tpl) return;
+    try {
+      await API.post('/certificateTemplates?action=update-template', { template_id: templateId, is_active: !tpl.is_active });
+      UI.toast(tpl.is_active ? 'Template deactivated' : 'Template activated', 'success');
+      await this.loadCertTemplates();
+    } catch (error) {
+      UI.toast(error.message || 'Failed to update template', 'error');
+    }
+  },
+
+  async previewCertTemplate(templateId) {
+    const token = Auth.getToken();
+    try {
+      const res = await fetch(`${CONFIG.API_BASE_URL}/certificateTemplates?action=preview-template&template_id=${templateId}`, {
+        headers: { 'Authorization': `Bearer ${token}` }
+      });
+      if (!res.ok) {
+        const errData = await res.json().catch(() => ({}));
+        UI.toast(errData.error || 'Failed to render preview', 'error');
+        return;
+      }
+      const blob = await res.blob();
+      const url = URL.createObjectURL(blob);
+      window.open(url, '_blank');
+      setTimeout(() => URL.revokeObjectURL(url), 10000);
+    } catch (err) {
+      UI.toast('Failed to render template preview', 'error');
+    }
+  },
+
+  /* ---- OFFICERS & SIGNATORIES ---- */
+  async loadOfficers() {
+    const container = document.getElementById('officersTable');
+    if (!this.state.selectedEntityId) {
+      container.innerHTML = '<div class="empty-state"><span>Select an entity to view officers</span></div>';
+      return;
+    }
+    UI.showLoader(container, 'Loading officers...');
+    try {
+      const data = await API.get(`/officers?action=list-officers&entity_id=${this.state.selectedEntityId}`);
+      this.state.officers = data.officers || [];
+      this.state.officerDefaults = data.defaults || {};
+      this.renderOfficersTable();
+    } catch (error) {
+      console.error('Error loading officers:', error);
+      container.innerHTML = `<div class="empty-state"><span>Failed to load officers: ${UI.escapeHtml(error.message)}</span></div>`;
+    }
+  },
+
+  renderOfficersTable() {
+    const container = document.getElementById('officersTable');
+    const rows = this.state.officers || [];
+    if (rows.length === 0) {
+      container.innerHTML = '<div class="empty-state"><span>No officers yet. Auto-generated certificates print blank signature lines.</span></div>';
+      return;
+    }
+
+    const defaults = this.state.officerDefaults || {};
+    const signers = rows.filter(o => o.can_sign_today);
+    const options = (selectedId) => '<option value="">None</option>' + signers.map(o =>
+      `<option value="${o.id}" ${o.id === selectedId ? 'selected' : ''}>${UI.escapeHtml(o.full_name)} – ${UI.escapeHtml(o.title)}</option>`).join('');
+
+    let html = `<div class="form-row" style="padding:16px;align-items:flex-end;">
+        <div class="form-group"><label for="defaultSignatory">Default Signatory</label><select id="defaultSignatory">${options(defaults.default_signatory_officer_id)}</select></div>
+        <div class="form-group"><label for="defaultCountersignatory">Default Countersignatory</label><select id="defaultCountersignatory">${options(defaults.default_countersignatory_officer_id)}</select></div>
+        <div class="form-group"><button class="btn btn-gold" id="defaultSignatoriesBtn" onclick="AdminApp.saveDefaultSignatories()">Save Defaults</button></div>
+      </div>`;
+
+    html += '<table class="data-table"><thead><tr><th>Officer</th><th>Title</th><th>Term</th><th>Signature</th><th>Status</th><th style="width:180px;">Actions</th></tr></thead><tbody>';
+    rows.forEach(o => {
+      const roles = [
+        o.id === defaults.default_signatory_officer_id ? 'SIGNATORY' : '',
+        o.id === defaults.default_countersignatory_officer_id ? 'COUNTERSIGNATORY' : '',
+      ].filter(Boolean).map(r => ` <span class="sidebar-badge" style="font-size:9px;" title="Default for new certificates">${r}</span>`).join('');
+      let status = '<span class="status-badge active"><span class="dot"></span>In Office</span>';
+      if (!o.is_active) status = '<span class="status-badge inactive"><span class="dot"></span>Inactive</span>';
+      else if (!o.can_sign_today) status = `<span class="status-badge inactive"><span class="dot"></span>${o.term_end && o.term_end < new Date().toISOString().split('T')[0] ? 'Term Ended' : 'Not Yet In Office'}</span>`;
+      html += `<tr>
+        <td><strong>${UI.escapeHtml(o.full_name)}</strong>${roles}</td>
+        <td>${UI.escapeHtml(o.title)}</td>
+        <td>${o.term_start} – ${o.term_end || 'present'}</td>
+        <td>${o.signature_path ? 'Uploaded' : '<span style="color:var(--text-muted);">None</span>'}</td>
+        <td>${status}</td>
+        <td><div class="table-actions">
+          <button class="btn btn-ghost btn-sm" onclick="AdminApp.openOfficerModal(${o.id})">Edit</button>
+          <button class="btn btn-ghost btn-sm" onclick="AdminApp.toggleOfficerActive(${o.id})">${o.is_active ? 'Deactivate' : 'Activate'}</button>
+        </div></td>
+      </tr>`;
+    });
+    html += '</tbody></table>';
+    container.innerHTML = html;
+  },
+
+  openOfficerModal(officerId = null) {
+    if (!this.state.selectedEntityId) { UI.toast('Please select an entity first', 'warning'); return; }
+    const officer = officerId ? (this.state.officers || []).find(o => o.id === officerId) : null;
+    document.getElementById('officerForm').reset();
+    this.state.isSubmitting = false;
+    document.getElementById('officerId').value = officer ? officer.id : '';
+    document.getElementById('officerModalTitle').textContent = officer ? 'Edit Officer' : 'Add Officer';
+    if (officer) {
+      document.getElementById('officerName').value = officer.full_name;
+      document.getElementById('officerTitle').value = officer.title;
+      document.getElementById('officerTermStart').value = officer.term_start;
+      document.getElementById('officerTermEnd').value = officer.term_end || '';
+    }
+    UI.openModal('officerModal');
+  },
+
+  async handleOfficerSubmit(event) {
+    event.preventDefault();
+    if (this.state.isSubmitting) return;
+    const officerId = document.getElementById('officerId').value;
+    const payload = {
+      entity_id: this.state.selectedEntityId,
+      full_name: document.getElementById('officerName').value,
+      title: document.getElementById('officerTitle').value,
+      term_start: document.getElementById('officerTermStart').value,
+      term_end: document.getElementById('officerTermEnd').value || null,
+    };
+    const signature = document.getElementById('officerSignature').files[0];
+
+    this.state.isSubmitting = true;
+    const submitBtn = document.getElementById('officerSubmitBtn');
+    if (submitBtn) { submitBtn.disabled = true; submitBtn.textContent = 'Saving...'; }
+    try {
+      const result = officerId
+        ? await API.post('/officers?action=update-officer', { officer_id: parseInt(officerId), ...payload })
+        : await API.post('/officers?action=create-officer', payload);
+      if (signature) {
+        await API.post('/officers?action=upload-officer-signature', {
+          officer_id: result.officer.id,
+          content_type: signature.type,
+          data_base64: await this.readFileAsBase64(signature),
+        });
+      }
+      UI.closeModal('officerModal');
+      UI.toast(officerId ? 'Officer updated' : 'Officer added', 'success');
+      await this.loadOfficers();
+    } catch (error) {
+      UI.toast(error.message || 'Failed to save officer', 'error');
+    } finally {
+      this.state.isSubmitting = false;
+      if (submitBtn) { submitBtn.disabled = false; submitBtn.textContent = 'Save Officer'; }
+    }
+  },
+
+  async toggleOfficerActive(officerId) {
+    const officer = (this.state.officers || []).find(o => o.id === officerId);
+    if (!officer) return;
+    try {
+      await API.post('/officers?action=update-officer', { officer_id: officerId, is_active: !officer.is_active });
+      UI.toast(officer.is_active ? 'Officer deactivated' : 'Officer activated', 'success');
+      await this.loadOfficers();
+    } catch (error) {
+      UI.toast(error.message || 'Failed to update officer', 'error');
+    }
+  },
+
+  async saveDefaultSignatories() {
+    if (this.state.isSubmitting) return;
+    this.state.isSubmitting = true;
+    const btn = document.getElementById('defaultSignatoriesBtn');
+    if (btn) { btn.disabled = true; btn.textContent = 'Saving...'; }
+    try {
+      await API.post('/officers?action=set-default-signatories', {
+        entity_id: this.state.selectedEntityId,
+        signatory_officer_id: document.getElementById('defaultSignatory').value || null,
+        countersignatory_officer_id: document.getElementById('defaultCountersignatory').value || null,
+      });
+      UI.toast('Default signatories saved', 'success');
+      await this.loadOfficers();
+    } catch (error) {
+      UI.toast(error.message || 'Failed to save default signatories', 'error');
+    } finally {
+      this.state.isSubmitting = false;
+      if (btn) { btn.disabled = false; btn.textContent = 'Save Defaults'; }
+    }
+  },
+
+  // Officers who can sign a certificate dated today, for the signatory pickers
+  async populateOfficerSelects(selectIds) {
+    const selects = selectIds.map(id => document.getElementById(id));
+    selects.forEach(sel => { sel.innerHTML = '<option value="">Entity default (or name below)</option>'; });
+    try {
+      const data = await API.get(`/officers?action=list-officers&entity_id=${this.state.selectedEntityId}`);
+      (data.officers || []).filter(o => o.can_sign_today).forEach(o => {
+        selects.forEach(sel => {
+          const opt = document.createElement('option');
+          opt.value = o.id;
+          opt.textContent = `${o.full_name} – ${o.title}`;
+          sel.appendChild(opt);
+        });
+      });
+    } catch (error) {
+      UI.toast('Failed to load officers', 'error');
+    }
+  },
+
   /* ---- LOST CERTIFICATE AFFIDAVIT ---- */
   openGenerateAffidavitModal(certId, certNumber, shareholderName, shares) {
     document.getElementById('affidavitCertId').value = certId;
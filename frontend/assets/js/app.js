@@ -24,10 +24,15 @@ const state = {
   visibleColumns: [],
   gridData: [],
   shareholderBookEntries: {}, // Cache: shareholderId -> { columnId -> [bookEntries] }
+  vestingSchedules: {}, // Cache: shareholderId -> [vesting schedules with computed vested/unvested]
+  stopOrders: {}, // Active stop-transfer orders: shareholderId -> [orders]
+  taxLots: {}, // Cache: shareholderId -> tax lot report (loaded when the Tax Lots tab opens)
   columnTotals: {},
   grandTotal: 0,
+  showFullyDiluted: false, // Grid toggle: adds options / warrants / fully diluted columns
+  fullyDiluted: null,      // Fully diluted report (summary + per-shareholder rows)
   expandedRows: new Set(),
-  activeDetailTab: {}, // shareholderId -> 'holdings' | 'book-entries'
+  activeDetailTab: {}, // shareholderId -> 'holdings' | 'book-entries' | 'tax-lots'
   expandedStockTypes: {}, // shareholderId -> Set of stock type ids
   sortOrder: 'asc', // 'asc' or 'desc'
   sortField: 'full_name',
@@ -39,7 +44,8 @@ const state = {
     seriesId: null,
     status: '',
     search: '',
-    transactionType: ''
+    transactionType: '',
+    asOf: ''        // YYYY-MM-DD; empty = current state
   }
 };
 
@@ -118,7 +124,7 @@ async function apiCall(path, options = {}) {
 
     const data = await res.json();
     if (!res.ok || data.success === false) {
-      throw new Error(data.error || 'API Error');
+      throw Object.assign(new Error(data.error || 'API Error'), { code: data.error_code, details: data.details });
     }
     return data;
   } catch (error) {
@@ -439,6 +445,9 @@ async function loadOwnership() {
   if (state.filters.status) {
     url += `&status=${state.filters.status}`;
   }
+  if (state.filters.asOf) {
+    url += `&as_of=${state.filters.asOf}`;
+  }
   
   // Show loading state
   showGridLoader();
@@ -455,11 +464,13 @@ async function loadOwnership() {
     state.activeDetailTab = {};
     state.expandedStockTypes = {};
     state.shareholderBookEntries = {};
+    state.vestingSchedules = {};
+    state.taxLots = {};
     
     calculateVisibleColumns();
     
-    // Pre-load book entries for all shareholders on grid load
-    await preloadBookEntries();
+    // Pre-load book entries and vesting for all shareholders on grid load
+    await Promise.all([preloadBookEntries(), preloadVestingSchedules(), loadFullyDiluted(), loadStopOrders()]);
     
     const totalShareholdersCount = document.getElementById('totalShareholdersCount');
     if (totalShareholdersCount) totalShareholdersCount.textContent = report.total_shareholders || 0;
@@ -467,6 +478,13 @@ async function loadOwnership() {
     const totalSharesCount = document.getElementById('totalSharesCount');
     if (totalSharesCount) totalSharesCount.textContent = formatNumber(state.grandTotal);
     
+    const totalSharesLabel = document.getElementById('totalSharesLabel');
+    if (totalSharesLabel) {
+      totalSharesLabel.textContent = report.is_point_in_time
+        ? `Total Shares as of ${formatDate(report.as_of_date)}`
+        : 'Total Shares';
+    }
+    
     renderGrid();
   } catch (error) {
     console.error('Error loading ownership:', error);
@@ -474,12 +492,50 @@ async function loadOwnership() {
   }
 }
 
+async function loadStopOrders() {
+  const entityId = isSuperAdmin() ? state.filters.entityId : state.user.entity_id;
+  state.stopOrders = {};
+  try {
+    let url = `/stopOrders?action=list-stop-orders`;
+    if (entityId) url += `&entity_id=${entityId}`;
+    const data = await apiCall(url);
+    (data.stop_orders || []).forEach(order => {
+      if (!state.stopOrders[order.shareholder_id]) state.stopOrders[order.shareholder_id] = [];
+      state.stopOrders[order.shareholder_id].push(order);
+    });
+  } catch (error) {
+    console.error('Error loading stop-transfer orders:', error);
+  }
+}
+
+// Orders freezing a holder, or only those covering one grid column ("typeId_seriesId")
+function stopOrdersFor(shareholderId, columnId = null) {
+  const orders = state.stopOrders[shareholderId] || [];
+  if (!columnId) return orders;
+  const [typeId, seriesId] = columnId.split('_');
+  return orders.filter(o =>
+    o.scope === 'SHAREHOLDER' ||
+    (String(o.entity_stock_type_id) === typeId &&
+      (o.entity_stock_series_id === null || String(o.entity_stock_series_id) === seriesId))
+  );
+}
+
+function renderHoldBadge(orders) {
+  if (orders.length === 0) return '';
+  const title = orders.map(o => {
+    const target = o.scope === 'CERTIFICATE' ? `Certificate ${o.certificate_number}` : o.scope === 'HOLDING' ? 'Holding' : 'All holdings';
+    return `${target}: ${o.reason_type.replace('_', ' ')} – ${o.reason}`;
+  }).join('\n');
+  return ` <span class="type-badge hold" title="${escapeHtml(title)}">Hold</span>`;
+}
+
 async function preloadBookEntries() {
   const entityId = isSuperAdmin() ? state.filters.entityId : state.user.entity_id;													   
   const promises = state.gridData.map(async (sh) => {
     try {
       let url = `/ledger?action=list-book-entries&shareholder_id=${sh.shareholder_id}`;
       if (entityId) url += `&entity_id=${entityId}`;
+      if (state.filters.asOf) url += `&as_of=${state.filters.asOf}`;
       const data = await apiCall(url);
       state.shareholderBookEntries[sh.shareholder_id] = data.entries || [];
     } catch (error) {
@@ -491,6 +547,39 @@ async function preloadBookEntries() {
   await Promise.all(promises);
 }
 
+async function loadFullyDiluted() {
+  if (!state.showFullyDiluted) {
+    state.fullyDiluted = null;
+    return;
+  }
+  const entityId = isSuperAdmin() ? state.filters.entityId : state.user.entity_id;
+  let url = `/reports?action=fully-diluted`;
+  if (entityId) url += `&entity_id=${entityId}`;
+  if (state.filters.asOf) url += `&as_of=${state.filters.asOf}`;
+  try {
+    const data = await apiCall(url);
+    const byShareholder = {};
+    (data.report.shareholders || []).forEach(sh => { byShareholder[sh.shareholder_id] = sh; });
+    state.fullyDiluted = { ...data.report, byShareholder };
+    const missing = data.report.missing_conversion_ratios || [];
+    if (missing.length) {
+      showToast(`No conversion ratio set for ${missing.map(m => m.header).join(', ')}; excluded from fully diluted figures`, 'warning');
+    }
+  } catch (error) {
+    console.error('Error loading fully diluted report:', error);
+    state.fullyDiluted = null;
+    showToast('Failed to load fully diluted view', 'error');
+  }
+}
+
+async function toggleFullyDiluted() {
+  state.showFullyDiluted = !state.showFullyDiluted;
+  const btn = document.getElementById('fullyDilutedBtn');
+  if (btn) btn.classList.toggle('active', state.showFullyDiluted);
+  await loadFullyDiluted();
+  renderGrid();
+}
+
 function calculateVisibleColumns() {
   state.visibleColumns = state.gridColumns.filter(col => {
     return state.gridData.some(sh => (sh.holdings[col.id] || 0) > 0);
@@ -570,9 +659,19 @@ function renderGridHeader() {
   html += `
     <div class="grid-cell cell-total">Total</div>
     <div class="grid-cell cell-pct">%</div>
-    <div class="grid-cell cell-actions">Actions</div>
   `;
   
+  if (state.fullyDiluted) {
+    html += `
+      <div class="grid-cell cell-shares">Options</div>
+      <div class="grid-cell cell-shares">Warrants</div>
+      <div class="grid-cell cell-total" title="Preferred as-converted, plus options and warrants">Fully Diluted</div>
+      <div class="grid-cell cell-pct">FD %</div>
+    `;
+  }
+  
+  html += `<div class="grid-cell cell-actions">Actions</div>`;
+  
   header.innerHTML = html;
 }
 
@@ -595,17 +694,26 @@ function renderShareholderRow(sh, idx, isExpanded) {
   `;
   
   html += `<div class="grid-cell cell-account">${escapeHtml(sh.external_id || String(sh.shareholder_id))}</div>`;
-  html += `<div class="grid-cell cell-name">${escapeHtml(sh.full_name)}</div>`;
+  html += `<div class="grid-cell cell-name">${escapeHtml(sh.full_name)}${renderHoldBadge(stopOrdersFor(sh.shareholder_id))}</div>`;
   html += `<div class="grid-cell cell-address" title="${escapeHtml(address)}">${escapeHtml(truncate(address, 25))}</div>`;
   
   state.visibleColumns.forEach(col => {
     const shares = sh.holdings[col.id] || 0;
-    html += `<div class="grid-cell cell-shares">${shares > 0 ? formatNumber(shares) : '—'}</div>`;
+    const hold = shares > 0 ? renderHoldBadge(stopOrdersFor(sh.shareholder_id, col.id)) : '';
+    html += `<div class="grid-cell cell-shares">${shares > 0 ? formatNumber(shares) : '—'}${hold}</div>`;
   });
   
   html += `<div class="grid-cell cell-total">${formatNumber(sh.total_shares)}</div>`;
   html += `<div class="grid-cell cell-pct">${pct}%</div>`;
   
+  if (state.fullyDiluted) {
+    const fd = state.fullyDiluted.byShareholder[sh.shareholder_id] || {};
+    html += `<div class="grid-cell cell-shares">${fd.options > 0 ? formatNumber(fd.options) : '—'}</div>`;
+    html += `<div class="grid-cell cell-shares">${fd.warrants > 0 ? formatNumber(fd.warrants) : '—'}</div>`;
+    html += `<div class="grid-cell cell-total">${formatNumber(fd.fully_diluted_shares || 0)}</div>`;
+    html += `<div class="grid-cell cell-pct">${(fd.fully_diluted_percent || 0).toFixed(2)}%</div>`;
+  }
+  
   html += `<div class="grid-cell cell-actions" onclick="event.stopPropagation()">`;
   html += `<button class="btn-icon" onclick="viewShareholder(${sh.shareholder_id})" title="View Details">
     <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
@@ -627,6 +735,59 @@ function renderShareholderRow(sh, idx, isExpanded) {
   return html;
 }
 
+async function preloadVestingSchedules() {
+  const entityId = isSuperAdmin() ? state.filters.entityId : state.user.entity_id;
+  try {
+    let url = `/ledger?action=vesting-schedules`;
+    if (entityId) url += `&entity_id=${entityId}`;
+    if (state.filters.asOf) url += `&as_of=${state.filters.asOf}`;
+    const data = await apiCall(url);
+    (data.schedules || []).forEach(schedule => {
+      if (!state.vestingSchedules[schedule.shareholder_id]) state.vestingSchedules[schedule.shareholder_id] = [];
+      state.vestingSchedules[schedule.shareholder_id].push(schedule);
+    });
+  } catch (error) {
+    console.error('Error loading vesting schedules:', error);
+  }
+}
+
+function renderVestingBreakdown(sh) {
+  const schedules = state.vestingSchedules[sh.shareholder_id] || [];
+  if (schedules.length === 0) return '';
+  
+  const unvested = schedules.reduce((sum, s) => sum + (s.vesting?.unvested_shares || 0), 0);
+  const vested = Math.max(0, (sh.total_shares || 0) - unvested);
+  
+  let html = `<div class="holdings-breakdown vesting-breakdown">`;
+  html += `<h4 class="holdings-breakdown-title">Vesting</h4>`;
+  html += `
+    <div class="holding-item">
+      <span class="holding-name">Vested / Unrestricted</span>
+      <span class="holding-shares">${formatNumber(vested)}</span>
+    </div>
+    <div class="holding-item">
+      <span class="holding-name">Unvested</span>
+      <span class="holding-shares">${formatNumber(unvested)}</span>
+    </div>
+  `;
+  schedules.forEach(s => {
+    const v = s.vesting || {};
+    const label = s.series ? `${s.stock_type_name} – Series ${s.series}` : (s.stock_type_name || 'Restricted Stock');
+    const terms = `${s.vesting_months} mo${s.cliff_months ? `, ${s.cliff_months} mo cliff` : ''}, ${String(s.frequency || '').toLowerCase()}`;
+    const status = s.status === 'TERMINATED'
+      ? `Terminated ${formatDate(s.termination_date)} · ${formatNumber(s.forfeited_shares || 0)} forfeited`
+      : (v.next_vesting_date ? `Next vest ${formatDate(v.next_vesting_date)}` : 'Fully vested');
+    html += `
+      <div class="holding-item">
+        <span class="holding-name">${escapeHtml(label)} <span class="shares-pct">(from ${formatDate(s.vesting_start_date)}; ${escapeHtml(terms)}; ${escapeHtml(status)})</span></span>
+        <span class="holding-shares">${formatNumber(v.vested_shares || 0)} / ${formatNumber(v.total_shares || 0)} <span class="shares-pct">vested</span></span>
+      </div>
+    `;
+  });
+  html += `</div>`;
+  return html;
+}
+
 function renderDetailPanel(sh) {
   const activeTab = state.activeDetailTab[sh.shareholder_id] || 'details';
   
@@ -677,6 +838,7 @@ function renderDetailPanel(sh) {
     <div class="detail-tabs">
       <button class="detail-tab ${activeTab === 'details' ? 'active' : ''}" onclick="switchDetailTab(${sh.shareholder_id}, 'details')">Shareholder Details</button>
       <button class="detail-tab ${activeTab === 'book-entries' ? 'active' : ''}" onclick="switchDetailTab(${sh.shareholder_id}, 'book-entries')">Book Entries</button>
+      <button class="detail-tab ${activeTab === 'tax-lots' ? 'active' : ''}" onclick="switchDetailTab(${sh.shareholder_id}, 'tax-lots')">Tax Lots</button>
     </div>
   `;
   
@@ -742,6 +904,7 @@ function renderDetailPanel(sh) {
     `;
   });
   html += `</div>`;
+  html += renderVestingBreakdown(sh);
   html += `</div>`; // End details tab
   
   html += `<div class="tab-content ${activeTab === 'book-entries' ? 'active' : ''}" id="tab-book-entries-${sh.shareholder_id}">`;
@@ -768,10 +931,15 @@ function renderDetailPanel(sh) {
     allBookEntries.forEach(entry => {
       const transactionType = entry.transaction_type || 'ISSUANCE';
       const typeClass = transactionType.toLowerCase();
+      // Voided originals are struck through; the offsetting entry is tagged VOID
+      const rowClass = entry.is_voided ? 'book-entry-voided' : '';
+      const rowTitle = entry.is_voided
+        ? `Voided by #${entry.voided_by_transaction_id}`
+        : entry.reversal_of_transaction_id ? `Offsets #${entry.reversal_of_transaction_id}: ${entry.notes || ''}` : '';
       html += `
-        <tr>
+        <tr class="${rowClass}" title="${escapeHtml(rowTitle)}">
           <td class="mono">${entry.id}</td>
-          <td><span class="type-badge ${typeClass}">${transactionType}</span></td>
+          <td><span class="type-badge ${typeClass}">${transactionType}</span>${entry.reversal_of_transaction_id ? ' <span class="type-badge void">Void</span>' : ''}</td>
           <td>${escapeHtml(entry.stock_type_name || '')}</td>
           <td>${escapeHtml(entry.series || '-')}</td>
           <td>${formatNumber(entry.shares)}</td>
@@ -788,6 +956,10 @@ function renderDetailPanel(sh) {
   }
   html += `</div>`; // End book-entries tab
   
+  html += `<div class="tab-content ${activeTab === 'tax-lots' ? 'active' : ''}" id="tab-tax-lots-${sh.shareholder_id}">`;
+  html += renderTaxLots(sh.shareholder_id);
+  html += `</div>`; // End tax-lots tab
+  
   html += `</div>`; // detail-content
   html += `</div>`; // detail-panel
   
@@ -818,9 +990,20 @@ function renderGridFooter() {
   html += `
     <div class="grid-cell cell-total"><strong>${formatNumber(state.grandTotal)}</strong></div>
     <div class="grid-cell cell-pct"><strong>100%</strong></div>
-    <div class="grid-cell cell-actions"></div>
   `;
   
+  if (state.fullyDiluted) {
+    const summary = state.fullyDiluted.summary;
+    html += `
+      <div class="grid-cell cell-shares"><strong>${formatNumber(summary.options_outstanding)}</strong></div>
+      <div class="grid-cell cell-shares"><strong>${formatNumber(summary.warrants_outstanding)}</strong></div>
+      <div class="grid-cell cell-total" title="Includes ${formatNumber(summary.unallocated_pool)} unallocated plan pool shares (${state.fullyDiluted.unallocated_pool_percent.toFixed(2)}%)${state.fullyDiluted.pool_note ? `. ${escapeHtml(state.fullyDiluted.pool_note)}` : ''}"><strong>${formatNumber(summary.fully_diluted_shares)}</strong></div>
+      <div class="grid-cell cell-pct"><strong>100%</strong></div>
+    `;
+  }
+  
+  html += `<div class="grid-cell cell-actions"></div>`;
+  
   footer.innerHTML = html;
 }
 
@@ -867,6 +1050,107 @@ function switchDetailTab(shareholderId, tabName) {
       content.classList.toggle('active', content.id.includes(tabName));
     });
   }
+  
+  if (tabName === 'tax-lots') loadTaxLots(shareholderId);
+}
+
+/* ================= TAX LOTS ================= */
+async function loadTaxLots(shareholderId) {
+  if (state.taxLots[shareholderId]) return;
+  const entityId = isSuperAdmin() ? state.filters.entityId : state.user.entity_id;
+  let url = `/reports?action=tax-lot-report&shareholder_id=${shareholderId}`;
+  if (entityId) url += `&entity_id=${entityId}`;
+  try {
+    const data = await apiCall(url);
+    state.taxLots[shareholderId] = data.report;
+  } catch (error) {
+    console.error(`Error loading tax lots for shareholder ${shareholderId}:`, error);
+    state.taxLots[shareholderId] = { error: error.message || 'Failed to load tax lots' };
+  }
+  const container = document.getElementById(`tab-tax-lots-${shareholderId}`);
+  if (container) container.innerHTML = renderTaxLots(shareholderId);
+}
+
+function renderTaxLots(shareholderId) {
+  const report = state.taxLots[shareholderId];
+  if (!report) return `<div class="empty-book-entries">Loading tax lots...</div>`;
+  if (report.error) return `<div class="empty-book-entries">${escapeHtml(report.error)}</div>`;
+  
+  const money = (v) => v === null ? 'Unknown' : `$${Number(v).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 6 })}`;
+  let html = `
+    <div class="tax-lots-summary">
+      <span>Short-term: <strong>${formatNumber(report.summary.short_term_shares)}</strong></span>
+      <span>Long-term: <strong>${formatNumber(report.summary.long_term_shares)}</strong></span>
+      ${report.summary.untracked_shares > 0 ? `<span title="Shares held before lots were tracked; basis unknown">Untracked: <strong>${formatNumber(report.summary.untracked_shares)}</strong></span>` : ''}
+      <span>Unrealized basis: <strong>${money(report.summary.total_unrealized_basis)}</strong></span>
+      <button class="btn btn-ghost btn-sm" onclick="downloadShareholderStatement(${shareholderId})">Export Statement (CSV)</button>
+    </div>
+  `;
+  
+  if (report.lots.length === 0) {
+    html += `<div class="empty-book-entries">No open tax lots for this shareholder.</div>`;
+    return html;
+  }
+  
+  html += `
+    <table class="book-entries-full-table tax-lots-table">
+      <thead>
+        <tr>
+          <th>Lot</th>
+          <th>Stock Type</th>
+          <th>Shares</th>
+          <th>Source</th>
+          <th>Holding Period Start</th>
+          <th>Term</th>
+          <th>Basis / Share</th>
+          <th>Unrealized Basis</th>
+        </tr>
+      </thead>
+      <tbody>
+  `;
+  report.lots.forEach(lot => {
+    const term = lot.term === 'LONG_TERM' ? 'long-term' : 'short-term';
+    html += `
+      <tr>
+        <td class="mono">${lot.lot_id}</td>
+        <td>${escapeHtml(lot.stock_type_name)}${lot.series ? ` – ${escapeHtml(lot.series)}` : ''}</td>
+        <td>${formatNumber(lot.remaining_shares)}</td>
+        <td>${escapeHtml(lot.source_type)}</td>
+        <td>${formatDate(lot.holding_period_start)}</td>
+        <td><span class="type-badge ${term}" title="Long-term from ${formatDate(lot.long_term_from)}">${term.replace('-', ' ')}</span></td>
+        <td>${money(lot.basis_per_share)}</td>
+        <td>${money(lot.unrealized_basis)}</td>
+      </tr>
+    `;
+  });
+  html += `
+      </tbody>
+    </table>
+  `;
+  return html;
+}
+
+// Shareholder statement CSV: holdings, transaction history and tax lots
+async function downloadShareholderStatement(shareholderId) {
+  const token = getAuthToken();
+  const entityId = isSuperAdmin() ? state.filters.entityId : state.user.entity_id;
+  let url = `${API_BASE_URL}/reports?action=shareholder-statement&format=csv&shareholder_id=${shareholderId}`;
+  if (entityId) url += `&entity_id=${entityId}`;
+  try {
+    const res = await fetch(url, { headers: { 'Authorization': `Bearer ${token}` } });
+    if (!res.ok) throw new Error('Failed to export statement');
+    const blob = await res.blob();
+    const downloadUrl = window.URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = downloadUrl;
+    a.download = `shareholder_statement_${shareholderId}_${new Date().toISOString().split('T')[0]}.csv`;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    window.URL.revokeObjectURL(downloadUrl);
+  } catch (error) {
+    showToast(error.message || 'Failed to export statement', 'error');
+  }
 }
 
 function toggleStockType(shareholderId, stockTypeId) {
@@ -900,12 +1184,14 @@ async function applyFilters() {
   const statusFilter = document.getElementById('statusFilter');
   const searchInput = document.getElementById('searchInput');
   const transactionTypeFilter = document.getElementById('transactionTypeFilter');
+  const asOfFilter = document.getElementById('asOfFilter');
   
   state.filters.stockTypeId = stockTypeFilter?.value || null;
   state.filters.seriesId = seriesFilter?.value || null;
   state.filters.status = statusFilter?.value || '';
   state.filters.search = searchInput?.value || '';
   state.filters.transactionType = transactionTypeFilter?.value || '';
+  state.filters.asOf = asOfFilter?.value || '';
   
   await loadOwnership();
 }
@@ -917,6 +1203,7 @@ function resetFilters() {
   const statusFilter = document.getElementById('statusFilter');
   const searchInput = document.getElementById('searchInput');
   const transactionTypeFilter = document.getElementById('transactionTypeFilter');
+  const asOfFilter = document.getElementById('asOfFilter');
   
   state.filters.entityId = state.user.entity_id;
   state.filters.stockTypeId = null;
@@ -924,6 +1211,7 @@ function resetFilters() {
   state.filters.status = '';
   state.filters.search = '';
   state.filters.transactionType = '';
+  state.filters.asOf = '';
   state.sortOrder = 'asc';
   state.sortField = 'full_name';
   
@@ -936,6 +1224,7 @@ function resetFilters() {
   if (statusFilter) statusFilter.value = '';
   if (searchInput) searchInput.value = '';
   if (transactionTypeFilter) transactionTypeFilter.value = '';
+  if (asOfFilter) asOfFilter.value = '';
   
   updateSortButton();
   loadOwnership();
@@ -1203,9 +1492,11 @@ document.addEventListener('click', (e) => {
 function closeAllModals() {
   closeShareholderModal();
   closeModal('issueSharesModal');
+  closeModal('batchIssueModal');
   closeModal('transferStockModal');
   closeModal('cancelStockModal');
   closeModal('splitModal');
+  closeModal('stockDividendModal');
   closeModal('capTableModal');
 }
 
@@ -1235,9 +1526,20 @@ function openIssueSharesModal() {
   const issueFileList = document.getElementById('issueFileList');
   if (issueFileList) issueFileList.innerHTML = '';
   
+  toggleIssueVesting();
   openModal('issueSharesModal');
 }
 
+function toggleIssueVesting() {
+  const enabled = document.getElementById('issueHasVesting')?.checked;
+  const fields = document.getElementById('issueVestingFields');
+  if (fields) fields.classList.toggle('hidden', !enabled);
+  const start = document.getElementById('issueVestingStart');
+  if (enabled && start && !start.value) {
+    start.value = document.getElementById('issueDate').value || new Date().toISOString().split('T')[0];
+  }
+}
+
 async function handleIssueStockTypeChange() {
   const stockTypeSelect = document.getElementById('issueStockType');
   const seriesSelect = document.getElementById('issueSeries');
@@ -1265,14 +1567,31 @@ async function handleIssueSharesSubmit(event) {
       shares: parseInt(document.getElementById('issueShares').value),
       transaction_date: document.getElementById('issueDate').value || null,
       certificate_number: document.getElementById('issueCertificate').value || null,
+      price_per_share: document.getElementById('issuePricePerShare').value || null,
       notes: document.getElementById('issueNotes').value || null
     };
     
+    if (document.getElementById('issueHasVesting').checked) {
+      payload.vesting = {
+        vesting_start_date: document.getElementById('issueVestingStart').value,
+        vesting_months: parseInt(document.getElementById('issueVestingMonths').value),
+        cliff_months: parseInt(document.getElementById('issueVestingCliff').value || '0'),
+        frequency: document.getElementById('issueVestingFrequency').value,
+        acceleration_trigger: document.getElementById('issueVestingAcceleration').value,
+        acceleration_percent: document.getElementById('issueVestingAccelPct').value || 100
+      };
+    }
+    
     try {
       const result = await apiCall('/ledger?action=issue-shares', {
         method: 'POST',
         body: JSON.stringify(payload)
       });
+      if (result.pending) {
+        closeModal('issueSharesModal');
+        showToast(result.message, 'info');
+        return;
+      }
       
       // Upload supporting documents if any
       const transactionId = result.transaction?.id;
@@ -1293,6 +1612,189 @@ async function handleIssueSharesSubmit(event) {
   });
 }
 
+/* ================= BATCH ISSUE ================= */
+function openBatchIssueModal() {
+  const form = document.getElementById('batchIssueForm');
+  if (form) form.reset();
+
+  document.getElementById('batchIssueDate').value = new Date().toISOString().split('T')[0];
+  document.getElementById('batchIssueRows').innerHTML = '';
+  for (let i = 0; i < 3; i++) addBatchIssueRow();
+  updateBatchIssueTotals();
+
+  openModal('batchIssueModal');
+}
+
+function addBatchIssueRow(values = {}) {
+  const tbody = document.getElementById('batchIssueRows');
+  const tr = document.createElement('tr');
+  tr.className = 'batch-issue-row';
+
+  const shareholderOptions = state.gridData.map(sh =>
+    `<option value="${sh.shareholder_id}">${escapeHtml(sh.full_name)} (${escapeHtml(String(sh.external_id || sh.shareholder_id))})</option>`
+  ).join('');
+  const stockTypeOptions = state.stockTypes.map(st =>
+    `<option value="${st.id}" data-supports-series="${st.supports_series}">${escapeHtml(st.display_name)}</option>`
+  ).join('');
+
+  tr.innerHTML = `
+    <td><select class="batch-shareholder" required><option value="">Select...</option>${shareholderOptions}</select></td>
+    <td><select class="batch-stock-type" required onchange="handleBatchRowStockTypeChange(this)"><option value="">Select...</option>${stockTypeOptions}</select></td>
+    <td><select class="batch-series" disabled><option value="">N/A</option></select></td>
+    <td><input type="number" class="batch-shares" min="1" step="1" required oninput="updateBatchIssueTotals()" /></td>
+    <td><input type="number" class="batch-price" min="0" step="0.0001" oninput="updateBatchIssueTotals()" /></td>
+    <td><button type="button" class="btn btn-ghost btn-sm" onclick="removeBatchIssueRow(this)" title="Remove line">&times;</button></td>
+  `;
+  tbody.appendChild(tr);
+
+  if (values.shareholder_id) tr.querySelector('.batch-shareholder').value = values.shareholder_id;
+  if (values.shares) tr.querySelector('.batch-shares').value = values.shares;
+  if (values.price_per_share) tr.querySelector('.batch-price').value = values.price_per_share;
+  if (values.entity_stock_type_id) {
+    const typeSelect = tr.querySelector('.batch-stock-type');
+    typeSelect.value = values.entity_stock_type_id;
+    handleBatchRowStockTypeChange(typeSelect, values.series);
+  }
+  return tr;
+}
+
+function removeBatchIssueRow(btn) {
+  btn.closest('tr').remove();
+  updateBatchIssueTotals();
+}
+
+async function handleBatchRowStockTypeChange(typeSelect, seriesName = null) {
+  const seriesSelect = typeSelect.closest('tr').querySelector('.batch-series');
+  const selectedOption = typeSelect.options[typeSelect.selectedIndex];
+  if (!typeSelect.value || selectedOption?.dataset.supportsSeries !== 'true') {
+    seriesSelect.innerHTML = '<option value="">N/A</option>';
+    seriesSelect.disabled = true;
+    return;
+  }
+  await loadSeriesForDropdown(typeSelect.value, seriesSelect);
+  if (seriesName) {
+    const match = Array.from(seriesSelect.options).find(o => o.textContent.toLowerCase() === String(seriesName).toLowerCase());
+    if (match) seriesSelect.value = match.value;
+  }
+}
+
+function updateBatchIssueTotals() {
+  let shares = 0;
+  let consideration = 0;
+  document.querySelectorAll('#batchIssueRows .batch-issue-row').forEach(tr => {
+    const n = parseFloat(tr.querySelector('.batch-shares').value) || 0;
+    shares += n;
+    consideration += n * (parseFloat(tr.querySelector('.batch-price').value) || 0);
+  });
+  document.getElementById('batchIssueTotals').textContent =
+    `${document.querySelectorAll('#batchIssueRows .batch-issue-row').length} line(s) · ${formatNumber(shares)} shares · $${consideration.toFixed(2)}`;
+}
+
+// CSV columns: shareholder, stock type, series, shares, price. Shareholders match on
+// account number, id or full name; stock types on display name or id; a header row is skipped.
+function loadBatchIssueCsv() {
+  const text = document.getElementById('batchIssueCsv').value.trim();
+  if (!text) {
+    showToast('Paste CSV lines first', 'warning');
+    return;
+  }
+
+  const findShareholder = (v) => {
+    const key = v.toLowerCase();
+    return state.gridData.find(sh =>
+      String(sh.external_id || '').toLowerCase() === key ||
+      String(sh.shareholder_id) === v ||
+      String(sh.full_name || '').toLowerCase() === key
+    );
+  };
+  const findStockType = (v) => {
+    const key = v.toLowerCase();
+    return state.stockTypes.find(st => String(st.id) === v || String(st.display_name || '').toLowerCase() === key);
+  };
+
+  const tbody = document.getElementById('batchIssueRows');
+  tbody.innerHTML = '';
+  const unmatched = [];
+  text.split(/\r?\n/).forEach((raw, idx) => {
+    if (!raw.trim()) return;
+    const cols = raw.split(/[,\t]/).map(c => c.trim().replace(/^"|"$/g, ''));
+    if (idx === 0 && isNaN(parseFloat(cols[3]))) return; // header row
+
+    const sh = findShareholder(cols[0] || '');
+    const st = findStockType(cols[1] || '');
+    const tr = addBatchIssueRow({
+      shareholder_id: sh?.shareholder_id,
+      entity_stock_type_id: st?.id,
+      series: cols[2] || null,
+      shares: cols[3],
+      price_per_share: cols[4],
+    });
+    if (!sh || !st) {
+      tr.classList.add('batch-row-error');
+      tr.title = !sh ? `Unknown shareholder "${cols[0]}"` : `Unknown stock type "${cols[1]}"`;
+      unmatched.push(idx + 1);
+    }
+  });
+  updateBatchIssueTotals();
+
+  if (unmatched.length) {
+    showToast(`${unmatched.length} CSV line(s) need attention: ${unmatched.join(', ')}`, 'warning');
+  } else {
+    showToast('CSV loaded — review the lines before issuing', 'info');
+  }
+}
+
+async function handleBatchIssueSubmit(event) {
+  event.preventDefault();
+  const btn = event.target.querySelector('button[type="submit"]');
+
+  withSubmitGuard(btn, async () => {
+    const rows = Array.from(document.querySelectorAll('#batchIssueRows .batch-issue-row'));
+    rows.forEach(tr => { tr.classList.remove('batch-row-error'); tr.title = ''; });
+
+    if (!rows.length) {
+      showToast('Add at least one line', 'warning');
+      return;
+    }
+
+    const payload = {
+      transaction_date: document.getElementById('batchIssueDate').value || null,
+      notes: document.getElementById('batchIssueNotes').value || null,
+      lines: rows.map(tr => ({
+        shareholder_id: tr.querySelector('.batch-shareholder').value,
+        entity_stock_type_id: tr.querySelector('.batch-stock-type').value,
+        entity_stock_series_id: tr.querySelector('.batch-series').value || null,
+        shares: tr.querySelector('.batch-shares').value,
+        price_per_share: tr.querySelector('.batch-price').value || null,
+      })),
+    };
+
+    try {
+      const data = await apiCall('/ledger?action=batch-issue', {
+        method: 'POST',
+        body: JSON.stringify(payload),
+      });
+      if (data.pending) {
+        closeModal('batchIssueModal');
+        showToast(data.message, 'info');
+        return;
+      }
+      closeModal('batchIssueModal');
+      showToast(`Issued ${formatNumber(data.batch.total_shares)} shares across ${data.batch.lines} line(s); ${data.results.length} certificate(s) generated`, 'success');
+      await loadOwnership();
+    } catch (error) {
+      (error.details?.lines || []).forEach(l => {
+        const tr = rows[l.line - 1];
+        if (tr) {
+          tr.classList.add('batch-row-error');
+          tr.title = l.error;
+        }
+      });
+      showToast(error.message || 'Batch issue failed', 'error');
+    }
+  });
+}
+
 /* ================= TRANSFER STOCK ================= */
 function openTransferStockModal() {
   const form = document.getElementById('transferStockForm');
@@ -1309,6 +1811,8 @@ function openTransferStockModal() {
   document.getElementById('transferToType').value = 'existing';
   document.getElementById('newShareholderFields').classList.add('hidden');
   document.getElementById('existingReceiverGroup').style.display = 'block';
+  document.getElementById('transferOverrideGroup').classList.add('hidden');
+  handleTransferKindChange();
   
   // Clear file list
   const transferFileList = document.getElementById('transferFileList');
@@ -1317,6 +1821,16 @@ function openTransferStockModal() {
   openModal('transferStockModal');
 }
 
+// Gifts carry the sender's basis and holding period over, so there is no price to enter
+function handleTransferKindChange() {
+  const isGift = document.getElementById('transferKind').value === 'GIFT';
+  document.getElementById('transferPriceGroup').style.display = isGift ? 'none' : 'block';
+  if (isGift) document.getElementById('transferPricePerShare').value = '';
+  document.getElementById('transferKindHelp').textContent = isGift
+    ? "The receiver takes over the sender's basis and acquisition dates, lot by lot (oldest first)."
+    : "The receiver's tax lot starts at this price on the transaction date. The sender's lots are consumed oldest first.";
+}
+
 // Load stock types available to the selected sender
 async function handleTransferFromShareholderChange() {
   const fromId = document.getElementById('transferFromShareholder').value;
@@ -1501,14 +2015,26 @@ async function handleTransferStockSubmit(event) {
       entity_stock_series_id: document.getElementById('transferSeries').value || null,
       shares: parseInt(document.getElementById('transferShares').value),
       transaction_date: document.getElementById('transferDate').value || null,
+      rofr_notice_date: document.getElementById('transferRofrNoticeDate').value || null,
+      transfer_kind: document.getElementById('transferKind').value,
+      price_per_share: document.getElementById('transferPricePerShare').value || null,
       notes
     };
+    if (document.getElementById('transferOverrideRestrictions').checked) {
+      payload.override_restrictions = true;
+      payload.override_reason = document.getElementById('transferOverrideReason').value;
+    }
     
     try {
       const result = await apiCall('/ledger?action=transfer-shares', {
         method: 'POST',
         body: JSON.stringify(payload)
       });
+      if (result.pending) {
+        closeModal('transferStockModal');
+        showToast(result.message, 'info');
+        return;
+      }
       
       // Upload supporting documents if any
       const transactionId = result.transactions?.transfer_out?.id;
@@ -1529,6 +2055,10 @@ async function handleTransferStockSubmit(event) {
       showToast('Stock transferred successfully.' + certMsg, 'success');
       await loadOwnership();
     } catch (error) {
+      // Admins may override a restriction with a reason; show the override fields once one is hit
+      if (error.details?.violations && isAdmin()) {
+        document.getElementById('transferOverrideGroup').classList.remove('hidden');
+      }
       showToast(error.message || 'Failed to transfer stock', 'error');
 	
     }
@@ -1699,6 +2229,11 @@ async function handleCancelStockSubmit(event) {
         method: 'POST',
         body: JSON.stringify(payload)
       });
+      if (result.pending) {
+        closeModal('cancelStockModal');
+        showToast(result.message, 'info');
+        return;
+      }
       
       // Upload supporting documents if any
       const transactionId = result.transaction?.id;
@@ -1731,7 +2266,8 @@ function openSplitModal(direction) {
   document.getElementById('splitHelpText').textContent = isReverse
     ? 'Example: 10:1 reverse split means 10 old shares become 1 new share'
     : 'Example: 1:2 forward split means 1 old share becomes 2 new shares';
-  document.getElementById('splitSubmitBtn').textContent = isReverse ? 'Execute Reverse Split' : 'Execute Forward Split';
+  resetSplitPreview();
+  handleSplitRoundingChange();
 
   document.getElementById('splitOldShares').value = isReverse ? 10 : 1;
   document.getElementById('splitNewShares').value = isReverse ? 1 : 2;
@@ -1748,6 +2284,71 @@ function openSplitModal(direction) {
 // Keep backward compat for old button references
 function openReverseSplitModal() { openSplitModal('REVERSE'); }
 
+function handleSplitRoundingChange() {
+  const cashInLieu = document.getElementById('splitRounding').value === 'CASH_IN_LIEU';
+  document.getElementById('splitCashPriceGroup').classList.toggle('hidden', !cashInLieu);
+  document.getElementById('splitCashPrice').required = cashInLieu;
+}
+
+// Any edit after a preview invalidates it; the next submit previews again.
+function resetSplitPreview() {
+  const form = document.getElementById('splitForm');
+  const preview = document.getElementById('splitPreview');
+  if (!form || !preview) return;
+
+  const isReverse = document.getElementById('splitDirection').value === 'REVERSE';
+  form.dataset.previewed = 'false';
+  preview.innerHTML = '';
+  preview.classList.add('hidden');
+  document.getElementById('splitSubmitBtn').textContent = isReverse ? 'Preview Reverse Split' : 'Preview Forward Split';
+}
+
+function renderSplitPreview(split) {
+  const preview = document.getElementById('splitPreview');
+  const cashInLieu = split.rounding === 'CASH_IN_LIEU';
+  const rows = split.holders.map(h => `
+    <tr>
+      <td>${escapeHtml(h.shareholder_name || String(h.shareholder_id))}</td>
+      <td>${formatNumber(h.pre_split_shares)}</td>
+      <td>${formatNumber(h.post_split_shares)}</td>
+      <td>${h.fractional_entitlement ? h.fractional_entitlement : '—'}</td>
+      <td>${h.rounding_residue ? (h.rounding_residue > 0 ? '+' : '') + h.rounding_residue : '—'}</td>
+      ${cashInLieu ? `<td>${h.cash_in_lieu ? '$' + h.cash_in_lieu.toFixed(2) : '—'}</td>` : ''}
+    </tr>
+  `).join('');
+
+  preview.innerHTML = `
+    <h4 class="form-section-title">Preview — ${escapeHtml(split.ratio)} (${split.affected_holders} holder(s) adjusted)</h4>
+    <div class="corporate-action-preview">
+      <table class="book-entries-table">
+        <thead>
+          <tr>
+            <th>Shareholder</th>
+            <th>Before</th>
+            <th>After</th>
+            <th>Fraction</th>
+            <th>Residue</th>
+            ${cashInLieu ? '<th>Cash in Lieu</th>' : ''}
+          </tr>
+        </thead>
+        <tbody>${rows}</tbody>
+        <tfoot>
+          <tr>
+            <td>Total outstanding</td>
+            <td>${formatNumber(split.total_outstanding_before)}</td>
+            <td>${formatNumber(split.total_outstanding_after)}</td>
+            <td></td>
+            <td>${split.total_rounding_residue || '—'}</td>
+            ${cashInLieu ? `<td>$${split.total_cash_in_lieu.toFixed(2)}</td>` : ''}
+          </tr>
+        </tfoot>
+      </table>
+    </div>
+    <p class="form-help-text">Nothing has been written yet. Review the table, then confirm to execute.</p>
+  `;
+  preview.classList.remove('hidden');
+}
+
 async function handleSplitStockTypeChange() {
   const stockTypeSelect = document.getElementById('splitStockType');
   const seriesSelect = document.getElementById('splitSeries');
@@ -1795,17 +2396,44 @@ async function handleSplitSubmit(event) {
       split_direction: direction,
       effective_date: document.getElementById('splitEffectiveDate').value,
       rounding: document.getElementById('splitRounding').value,
+      cash_in_lieu_price: document.getElementById('splitRounding').value === 'CASH_IN_LIEU'
+        ? document.getElementById('splitCashPrice').value
+        : null,
       notes: document.getElementById('splitNotes').value || null,
     };
 
+    const form = document.getElementById('splitForm');
+    if (form.dataset.previewed !== 'true') {
+      try {
+        const data = await apiCall('/ledger?action=execute-split', {
+          method: 'POST',
+          body: JSON.stringify({ ...payload, preview: true }),
+        });
+        renderSplitPreview(data.split);
+        form.dataset.previewed = 'true';
+        document.getElementById('splitSubmitBtn').textContent = direction === 'REVERSE' ? 'Confirm Reverse Split' : 'Confirm Forward Split';
+      } catch (error) {
+        showToast(error.message || 'Split preview failed', 'error');
+      }
+      return;
+    }
+
     try {
       const data = await apiCall('/ledger?action=execute-split', {
         method: 'POST',
         body: JSON.stringify(payload),
       });
+      if (data.pending) {
+        closeModal('splitModal');
+        showToast(data.message, 'info');
+        return;
+      }
 
       const label = direction === 'REVERSE' ? 'Reverse' : 'Forward';
-      showToast(`${label} split executed — ${data.split.affected_holders} shareholder(s) adjusted`, 'success');
+      const reissued = data.certificates?.replacements?.length || 0;
+      let message = `${label} split executed — ${data.split.affected_holders} shareholder(s) adjusted, ${reissued} certificate(s) reissued`;
+      if (data.split.cash_in_lieu) message += `, $${data.split.cash_in_lieu.total.toFixed(2)} cash in lieu owed`;
+      showToast(message, 'success');
       closeModal('splitModal');
       await loadOwnership();
     } catch (error) {
@@ -1817,6 +2445,92 @@ async function handleSplitSubmit(event) {
 // Legacy handler kept for backward compat
 async function handleReverseSplitSubmit(event) { return handleSplitSubmit(event); }
 
+/* ================= STOCK DIVIDEND ================= */
+function openStockDividendModal() {
+  const form = document.getElementById('stockDividendForm');
+  if (form) form.reset();
+
+  populateStockTypeDropdown('stockDividendStockType');
+  populateStockTypeDropdown('stockDividendTargetType');
+  document.getElementById('stockDividendTargetType').options[0].textContent = 'Same as declared class';
+
+  ['stockDividendSeries', 'stockDividendTargetSeries'].forEach(id => {
+    const select = document.getElementById(id);
+    select.innerHTML = '<option value="">All Series</option>';
+    select.disabled = true;
+  });
+
+  document.getElementById('stockDividendEffectiveDate').value = new Date().toISOString().split('T')[0];
+  handleStockDividendRoundingChange();
+
+  openModal('stockDividendModal');
+}
+
+async function handleStockDividendStockTypeChange(typeSelectId, seriesSelectId) {
+  const stockTypeSelect = document.getElementById(typeSelectId);
+  const seriesSelect = document.getElementById(seriesSelectId);
+
+  const selectedOption = stockTypeSelect.options[stockTypeSelect.selectedIndex];
+  const supportsSeries = selectedOption?.dataset.supportsSeries === 'true';
+
+  if (!stockTypeSelect.value || !supportsSeries) {
+    seriesSelect.innerHTML = '<option value="">N/A</option>';
+    seriesSelect.disabled = true;
+    return;
+  }
+
+  await loadSeriesForDropdown(stockTypeSelect.value, seriesSelect);
+}
+
+function handleStockDividendRoundingChange() {
+  const cashInLieu = document.getElementById('stockDividendRounding').value === 'CASH_IN_LIEU';
+  document.getElementById('stockDividendCashPriceGroup').classList.toggle('hidden', !cashInLieu);
+  document.getElementById('stockDividendCashPrice').required = cashInLieu;
+}
+
+async function handleStockDividendSubmit(event) {
+  event.preventDefault();
+  const btn = event.target.querySelector('button[type="submit"]');
+
+  withSubmitGuard(btn, async () => {
+    if (!state.filters.entityId && !isSuperAdmin()) {
+      showToast('Please select an entity first', 'warning');
+      return;
+    }
+
+    const rounding = document.getElementById('stockDividendRounding').value;
+    const payload = {
+      entity_stock_type_id: document.getElementById('stockDividendStockType').value,
+      entity_stock_series_id: document.getElementById('stockDividendSeries').value || null,
+      target_entity_stock_type_id: document.getElementById('stockDividendTargetType').value || null,
+      target_entity_stock_series_id: document.getElementById('stockDividendTargetSeries').value || null,
+      shares_per: document.getElementById('stockDividendSharesPer').value,
+      per_shares: document.getElementById('stockDividendPerShares').value,
+      rounding,
+      cash_in_lieu_price: rounding === 'CASH_IN_LIEU' ? document.getElementById('stockDividendCashPrice').value : null,
+      record_date: document.getElementById('stockDividendRecordDate').value || null,
+      effective_date: document.getElementById('stockDividendEffectiveDate').value,
+      notes: document.getElementById('stockDividendNotes').value || null,
+    };
+
+    try {
+      const data = await apiCall('/ledger?action=stock-dividend', {
+        method: 'POST',
+        body: JSON.stringify(payload),
+      });
+
+      const { totals, affected_holders } = data.stock_dividend;
+      let message = `Stock dividend paid — ${formatNumber(totals.shares_issued)} shares to ${affected_holders} shareholder(s)`;
+      if (totals.cash_in_lieu > 0) message += `, $${totals.cash_in_lieu.toFixed(2)} cash in lieu`;
+      showToast(message, 'success');
+      closeModal('stockDividendModal');
+      await loadOwnership();
+    } catch (error) {
+      showToast(error.message || 'Stock dividend failed', 'error');
+    }
+  });
+}
+
 /* ================= PRINT ================= */
 function printLedger() {
   window.print();